@@ -0,0 +1,77 @@
+// --- Cloud Functions of Plataforma 8D ---
+//
+//   scanDeadlines       every hour, writes the deadline reminders of every
+//                       open report (see reminders.js) as notifications in
+//                       the recipients' `users/{uid}/notifications`.
+//   emailNotification   emails each new notification, whoever wrote it,
+//                       through the outbound adapter (see mail.js) unless
+//                       the recipient turned email off in their profile.
+//                       Notifications written by users are retold from the
+//                       stored report; their text is never mailed.
+//
+// Notifications follow the shape of src/notifications.js. Locally,
+// `npm run emulators` runs both with the `log` adapter; the emulator does
+// not run schedules, so start a scan from `npm run functions:shell` with
+// `scanDeadlines()`.
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { onDocumentCreated } from 'firebase-functions/v2/firestore';
+import { logger } from 'firebase-functions';
+import { findReminders } from './reminders.js';
+import { createMailer, composeNotificationEmail, retellUserNotification } from './mail.js';
+
+initializeApp();
+
+// gRPC status of a create() on a document that exists.
+const ALREADY_EXISTS = 6;
+
+// Open reports of every app id; each one's `users` live next to its reports.
+// Reports without a status predate the workflow and have no assigned
+// actions. Reports saved before the trash have no `deleted` field and a
+// query on it would skip them, so findReminders leaves out the deleted ones.
+export const scanDeadlines = onSchedule('every 1 hours', async () => {
+    const now = new Date();
+    const snapshot = await getFirestore().collectionGroup('8d-reports').where('status', '!=', 'closed').get();
+    let created = 0;
+    await Promise.all(snapshot.docs.flatMap(reportDoc => {
+        const report = { id: reportDoc.id, ...reportDoc.data() };
+        const users = reportDoc.ref.parent.parent.collection('users');
+        return findReminders(report, now).map(({ id, to, ...reminder }) => users.doc(to).collection('notifications').doc(id)
+            .create({
+                ...reminder,
+                reportId: report.id,
+                reportTitle: report.title || '',
+                actorUid: '',
+                actorName: '',
+                read: false,
+                createdAt: FieldValue.serverTimestamp(),
+            })
+            .then(() => { created += 1; })
+            .catch((error) => {
+                if (error.code !== ALREADY_EXISTS) logger.error(`No se pudo crear el recordatorio ${id} para ${to}`, error);
+            }));
+    }));
+    logger.info(`${snapshot.size} informe(s) revisado(s), ${created} recordatorio(s) nuevo(s).`);
+});
+
+export const emailNotification = onDocumentCreated('artifacts/{appId}/public/data/users/{uid}/notifications/{notificationId}', async (event) => {
+    const notification = event.data?.data();
+    if (!notification) return;
+    const users = event.data.ref.parent.parent.parent;
+    const user = (await event.data.ref.parent.parent.get()).data();
+    if (!user?.email || user.emailNotifications === false) return;
+    // Deadline reminders are written by scanDeadlines and mailed as they are.
+    if (!notification.actorUid) {
+        await createMailer().send(composeNotificationEmail(notification, user));
+        return;
+    }
+    if (!notification.reportId) return;
+    const [reportDoc, actorDoc] = await Promise.all([
+        users.parent.collection('8d-reports').doc(notification.reportId).get(),
+        users.doc(notification.actorUid).get(),
+    ]);
+    if (!reportDoc.exists) return;
+    await createMailer().send(composeNotificationEmail(retellUserNotification(notification, reportDoc.data(), actorDoc.data() || {}), user));
+});
@@ -0,0 +1,81 @@
+// --- Outbound Email ---
+// Every email goes through one adapter, picked by MAIL_TRANSPORT:
+//
+//   log    (default) writes each message to the functions log instead of
+//          sending it; for the emulators and tests.
+//   smtp   sends through SMTP_HOST:SMTP_PORT, authenticating with
+//          SMTP_USER/SMTP_PASS when set and over TLS with SMTP_SECURE=true.
+//          Locally, an SMTP catcher such as Mailpit (SMTP_HOST=localhost,
+//          SMTP_PORT=1025) shows the emails in its web UI.
+//
+// MAIL_FROM is the sender and APP_URL the link at the end of each email.
+// Another provider is one more entry in ADAPTERS: a function of the
+// environment returning `{ send({ to, subject, text }) }`, where `send`
+// returns a promise.
+
+import nodemailer from 'nodemailer';
+import { logger } from 'firebase-functions';
+
+const ADAPTERS = {
+    log: () => ({
+        send: async (message) => logger.info('Correo no enviado (MAIL_TRANSPORT=log)', message),
+    }),
+    smtp: (env) => {
+        const transport = nodemailer.createTransport({
+            host: env.SMTP_HOST || 'localhost',
+            port: Number(env.SMTP_PORT) || 25,
+            secure: env.SMTP_SECURE === 'true',
+            auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+        });
+        return { send: (message) => transport.sendMail({ from: env.MAIL_FROM || 'Plataforma 8D <no-reply@localhost>', ...message }) };
+    },
+};
+
+export const createMailer = (env = process.env) => {
+    const name = env.MAIL_TRANSPORT || 'log';
+    if (!ADAPTERS[name]) throw new Error(`MAIL_TRANSPORT "${name}" no existe; usa ${Object.keys(ADAPTERS).join(' o ')}.`);
+    return ADAPTERS[name](env);
+};
+
+// --- Messages ---
+
+const SUBJECTS = {
+    assigned: 'te han asignado una acción',
+    due_soon: 'un plazo vence pronto',
+    overdue: 'un plazo ha vencido',
+    comment: 'nueva respuesta',
+    mention: 'te han mencionado',
+    approval: 'decisión de Calidad',
+};
+
+// What a user did, for notifications written from the app: their `text`,
+// title and author name come from the client, so the email tells the event
+// again from the stored report and the author's profile.
+const USER_MESSAGES = {
+    assigned: (actor) => `${actor} te ha asignado una tarea.`,
+    comment: (actor) => `${actor} ha respondido en un hilo de comentarios en el que participas.`,
+    mention: (actor) => `${actor} te ha mencionado en un comentario.`,
+    approval: (actor) => `${actor} ha decidido sobre una disciplina que completaste.`,
+};
+
+export const retellUserNotification = (notification, report, actor) => ({
+    kind: notification.kind,
+    reportTitle: report.title || '',
+    disciplineId: /^D[0-8]$/.test(notification.disciplineId || '') ? notification.disciplineId : '',
+    text: (USER_MESSAGES[notification.kind] || ((name) => `${name} te ha enviado un aviso.`))(actor.displayName || 'Un usuario'),
+});
+
+export const composeNotificationEmail = (notification, user, env = process.env) => ({
+    to: user.email,
+    subject: `[8D] ${notification.reportTitle}: ${SUBJECTS[notification.kind] || 'aviso'}`,
+    text: [
+        `Hola ${user.displayName || ''},`.trim(),
+        '',
+        notification.text,
+        '',
+        `Informe: ${notification.reportTitle}${notification.disciplineId ? ` (${notification.disciplineId})` : ''}`,
+        ...(env.APP_URL ? [`Abrir la Plataforma 8D: ${env.APP_URL}`] : []),
+        '',
+        'Puedes dejar de recibir estos correos desde tu perfil.',
+    ].join('\n'),
+});
@@ -0,0 +1,103 @@
+// --- Deadline Reminders ---
+// What the scheduled scan tells whom about one report: the responsible of
+// each open action or D7 document update that is due soon or overdue, and
+// the supplier contact of each response deadline not met yet (the person
+// who issued the request too, once it is overdue). Mirrors the due states
+// of src/actions.js and src/prevention.js and the deadlines of src/supplier.js.
+//
+// Reports are read as stored, possibly from an older schema version.
+// Every reminder has an id made of what it is about, so scanning again
+// does not repeat it; moving a date gives a new one.
+
+export const DUE_SOON_DAYS = 3;
+export const SUPPLIER_DUE_SOON_HOURS = 24;
+
+const ACTION_FIELDS = [
+    { field: 'd0_emergency_actions', disciplineId: 'D0' },
+    { field: 'd3_containment', disciplineId: 'D3' },
+    { field: 'd5_corrective_actions', disciplineId: 'D5' },
+];
+
+const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+const getDueState = (action, today) => {
+    if (action.status === 'verified' || !action.date) return null;
+    if (action.date < today) return 'overdue';
+    if (action.date <= addDays(today, DUE_SOON_DAYS)) return 'due_soon';
+    return null;
+};
+
+const formatDateTime = (iso) => `${new Date(iso).toLocaleString('es', { timeZone: 'UTC', dateStyle: 'short', timeStyle: 'short' })} UTC`;
+
+const actionReminders = (report, today) => ACTION_FIELDS.flatMap(({ field, disciplineId }) => (Array.isArray(report[field]) ? report[field] : [])
+    .filter(a => a.responsibleUid && a.action?.trim())
+    .map(a => ({ action: a, state: getDueState(a, today) }))
+    .filter(({ state }) => state)
+    .map(({ action, state }) => ({
+        id: `${state}_${report.id}_${action.id}_${action.date}`,
+        to: action.responsibleUid,
+        kind: state,
+        disciplineId,
+        text: state === 'overdue'
+            ? `La acción «${action.action}» venció el ${action.date} y sigue sin verificar.`
+            : `La acción «${action.action}» vence el ${action.date}.`,
+    })));
+
+// D7 document updates are due until they are closed (see src/prevention.js).
+const documentReminders = (report, today) => (Array.isArray(report.d7_prevention?.documents) ? report.d7_prevention.documents : [])
+    .filter(d => d.responsibleUid && d.status !== 'closed' && d.due_date)
+    .map(d => ({ document: d, state: d.due_date < today ? 'overdue' : d.due_date <= addDays(today, DUE_SOON_DAYS) ? 'due_soon' : null }))
+    .filter(({ state }) => state)
+    .map(({ document, state }) => {
+        const name = [document.title, document.number].filter(Boolean).join(' ') || 'sin nombre';
+        return {
+            id: `${state}_${report.id}_${document.id}_${document.due_date}`,
+            to: document.responsibleUid,
+            kind: state,
+            disciplineId: 'D7',
+            text: state === 'overdue'
+                ? `La actualización del documento «${name}» venció el ${document.due_date} y sigue sin cerrar.`
+                : `La actualización del documento «${name}» vence el ${document.due_date}.`,
+        };
+    });
+
+// A deadline is met by the first submission of its discipline.
+const supplierReminders = (report, now) => {
+    const request = report.supplierRequest;
+    if (!request?.contactUid) return [];
+    const log = Array.isArray(report.supplierLog) ? report.supplierLog : [];
+    return Object.entries(request.deadlines || {})
+        .filter(([disciplineId, due]) => due && !log.some(e => e.disciplineId === disciplineId && e.kind === 'submitted'))
+        .flatMap(([disciplineId, due]) => {
+            const hoursLeft = (new Date(due) - now) / (60 * 60 * 1000);
+            if (hoursLeft < 0) {
+                return [request.contactUid, request.issuedBy].filter(Boolean).map(to => ({
+                    id: `overdue_${report.id}_${disciplineId}_${due}`,
+                    to,
+                    kind: 'overdue',
+                    disciplineId,
+                    text: `El plazo de ${disciplineId} para ${request.company} venció el ${formatDateTime(due)} sin que se enviara.`,
+                }));
+            }
+            if (hoursLeft <= SUPPLIER_DUE_SOON_HOURS) {
+                return [{
+                    id: `due_soon_${report.id}_${disciplineId}_${due}`,
+                    to: request.contactUid,
+                    kind: 'due_soon',
+                    disciplineId,
+                    text: `Envía ${disciplineId} antes del ${formatDateTime(due)}.`,
+                }];
+            }
+            return [];
+        });
+};
+
+export const findReminders = (report, now = new Date()) => {
+    if (report.deleted || report.status === 'closed') return [];
+    const today = now.toISOString().slice(0, 10);
+    return [...actionReminders(report, today), ...documentReminders(report, today), ...supplierReminders(report, now)];
+};
@@ -0,0 +1,22 @@
+// Sends one sample notification email through the configured adapter, to
+// check the outbound settings without Firebase:
+//
+//   MAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=1025 npm run mail:test -- calidad@example.com
+
+import { createMailer, composeNotificationEmail } from './mail.js';
+
+const [to] = process.argv.slice(2);
+if (!to) {
+    console.error('Uso: npm run mail:test -- <correo>');
+    process.exit(1);
+}
+
+const sample = {
+    kind: 'assigned',
+    reportTitle: 'Informe de prueba',
+    disciplineId: 'D5',
+    text: 'Alguien te ha asignado la acción «Modificar el herramental», con fecha límite 2026-11-02.',
+};
+
+await createMailer().send(composeNotificationEmail(sample, { email: to, displayName: 'Prueba' }));
+console.log(`Correo de prueba enviado a ${to} (MAIL_TRANSPORT=${process.env.MAIL_TRANSPORT || 'log'}).`);
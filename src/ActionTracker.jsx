@@ -0,0 +1,149 @@
+import React, { useState, useMemo } from 'react';
+import { ClipboardList, ExternalLink } from 'lucide-react';
+import { InputField, SelectField, TextAreaField } from './ui';
+import { ACTION_STATUSES, DUE_STATES, DUE_SOON_DAYS, collectActions, getDueState, getActionStatusLabel, isActionOwner, markImplemented, markVerified, todayIso } from './actions';
+import { can } from './permissions';
+
+const MY_ACTIONS = '__mine__';
+
+const dueRowStyles = {
+    overdue: 'border-l-4 border-red-500 bg-red-900/20',
+    due_soon: 'border-l-4 border-yellow-500 bg-yellow-900/10',
+};
+
+// --- Implemented / Verified Dialog ---
+const ActionStatusDialog = ({ action, mode, onClose, onConfirm }) => {
+    const [evidence, setEvidence] = useState(action.evidence);
+    const [verifiedAt, setVerifiedAt] = useState(todayIso());
+    const isVerify = mode === 'verified';
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+            <div className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-md mx-4 space-y-4">
+                <div>
+                    <h3 className="text-lg font-bold text-white">{isVerify ? 'Verificar acción' : 'Marcar como implementada'}</h3>
+                    <p className="mt-1 text-sm text-gray-400">{action.action}</p>
+                </div>
+                <TextAreaField label="Evidencia" value={evidence} onChange={(e) => setEvidence(e.target.value)} placeholder="Ej: Registro de inspección #123, 0 defectos en 500 piezas" />
+                {isVerify && <InputField label="Fecha de verificación" type="date" value={verifiedAt} onChange={(e) => setVerifiedAt(e.target.value)} />}
+                <div className="flex justify-end gap-3">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">Cancelar</button>
+                    <button
+                        onClick={() => onConfirm({ evidence, verifiedAt })}
+                        disabled={isVerify && (!evidence.trim() || !verifiedAt)}
+                        className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50"
+                    >
+                        Guardar
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Action Tracker across all Reports ---
+const ActionTracker = ({ reports, profile, isLoading, onSelectReport, onUpdateAction }) => {
+    const [responsible, setResponsible] = useState('');
+    const [statusFilter, setStatusFilter] = useState('');
+    const [dialog, setDialog] = useState(null); // { entry, mode }
+
+    const entries = useMemo(() => collectActions(reports).map(e => ({ ...e, dueState: getDueState(e.item) })), [reports]);
+    const responsibles = useMemo(() => [...new Set(entries.map(e => e.item.responsible.trim()).filter(Boolean))].sort(), [entries]);
+
+    const filtered = entries
+        .filter(e => !responsible || (responsible === MY_ACTIONS ? isActionOwner(e.item, profile) : e.item.responsible.trim() === responsible))
+        .filter(e => !statusFilter || e.item.status === statusFilter || e.dueState === statusFilter)
+        .sort((a, b) => (a.item.date || '9999').localeCompare(b.item.date || '9999'));
+
+    const overdueCount = entries.filter(e => e.dueState === 'overdue').length;
+    const dueSoonCount = entries.filter(e => e.dueState === 'due_soon').length;
+
+    const canChangeStatus = (entry) => isActionOwner(entry.item, profile) || can('manageTeam', entry.report, profile);
+
+    const handleConfirm = (details) => {
+        const { entry, mode } = dialog;
+        const updated = mode === 'verified' ? markVerified(entry.item, details, profile.uid) : markImplemented(entry.item, details);
+        onUpdateAction(entry.report, entry.field, updated);
+        setDialog(null);
+    };
+
+    return (
+        <div>
+            {dialog && <ActionStatusDialog action={dialog.entry.item} mode={dialog.mode} onClose={() => setDialog(null)} onConfirm={handleConfirm} />}
+
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold text-white flex items-center gap-3"><ClipboardList size={28} /> Acciones</h2>
+                <div className="flex gap-4 text-sm">
+                    <span className="text-red-400 font-semibold">{overdueCount} vencidas</span>
+                    <span className="text-yellow-400 font-semibold">{dueSoonCount} vencen en {DUE_SOON_DAYS} días</span>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6 max-w-2xl">
+                <SelectField
+                    label="Responsable"
+                    value={responsible}
+                    onChange={(e) => setResponsible(e.target.value)}
+                    placeholder="Todos"
+                    options={[{ value: MY_ACTIONS, label: 'Mis acciones' }, ...responsibles.map(r => ({ value: r, label: r }))]}
+                />
+                <SelectField
+                    label="Estado"
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value)}
+                    placeholder="Todos"
+                    options={[
+                        ...ACTION_STATUSES.map(s => ({ value: s.id, label: s.label })),
+                        { value: 'overdue', label: DUE_STATES.overdue.label },
+                        { value: 'due_soon', label: DUE_STATES.due_soon.label },
+                    ]}
+                />
+            </div>
+
+            {isLoading ? (
+                <p className="text-center text-gray-400">Cargando acciones...</p>
+            ) : filtered.length === 0 ? (
+                <div className="text-center py-16 border-2 border-dashed border-gray-700 rounded-lg">
+                    <h3 className="text-xl font-semibold text-gray-300">No hay acciones que mostrar.</h3>
+                </div>
+            ) : (
+                <div className="space-y-2">
+                    {filtered.map(entry => {
+                        const a = entry.item;
+                        return (
+                            <div key={`${entry.report.id}-${a.id}`} className={`bg-gray-800 rounded-lg p-4 flex flex-col md:flex-row md:items-center gap-4 ${dueRowStyles[entry.dueState] || ''}`}>
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-semibold text-gray-100">{a.action}</p>
+                                    <button onClick={() => onSelectReport(entry.report.id)} className="mt-1 flex items-center gap-1 text-xs text-indigo-400 hover:text-indigo-300">
+                                        {entry.discipline} · {entry.kind} · {entry.report.title} <ExternalLink size={12} />
+                                    </button>
+                                    {a.evidence && <p className="mt-1 text-xs text-gray-400">Evidencia: {a.evidence}</p>}
+                                </div>
+                                <div className="text-sm w-40">
+                                    <p className="text-gray-300">{a.responsible || 'Sin responsable'}</p>
+                                    <p className={DUE_STATES[entry.dueState].className}>{a.date || '—'} · {DUE_STATES[entry.dueState].label}</p>
+                                </div>
+                                <div className="text-sm w-32">
+                                    <p className="font-semibold text-gray-200">{getActionStatusLabel(a.status)}</p>
+                                    {a.verifiedAt && <p className="text-xs text-gray-400">el {a.verifiedAt}</p>}
+                                </div>
+                                {canChangeStatus(entry) && (
+                                    <div className="flex gap-2">
+                                        {a.status === 'open' && (
+                                            <button onClick={() => setDialog({ entry, mode: 'implemented' })} className="px-3 py-1.5 bg-gray-700 text-white text-sm font-semibold rounded-lg hover:bg-gray-600 transition-all">Implementada</button>
+                                        )}
+                                        {a.status !== 'verified' && (
+                                            <button onClick={() => setDialog({ entry, mode: 'verified' })} className="px-3 py-1.5 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-500 transition-all">Verificar</button>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ActionTracker;
@@ -0,0 +1,195 @@
+import React, { useMemo, useState } from 'react';
+import { BarChart3, FileDown } from 'lucide-react';
+import { InputField, SelectField } from './ui';
+import { NOT_SPECIFIED, buildAnalyticsRows, computeMetrics, filterByPlant, getPlants, toCsv } from './analytics';
+import { downloadBlob } from './download';
+import { formatCost, formatCount, formatDefectRate } from './problemDescription';
+
+const TOP_ITEMS = 10;
+
+const formatPercent = (rate) => rate === null ? '—' : `${Math.round(rate * 100)}%`;
+const formatDays = (days) => days === null ? '—' : days.toFixed(1);
+
+// --- Chart Pieces ---
+const KpiCard = ({ label, value, detail }) => (
+    <div className="bg-gray-800 rounded-xl p-4 border border-gray-700">
+        <p className="text-sm text-gray-400">{label}</p>
+        <p className="text-3xl font-bold text-white mt-1">{value}</p>
+        {detail && <p className="text-xs text-gray-500 mt-1">{detail}</p>}
+    </div>
+);
+
+const ChartCard = ({ title, children }) => (
+    <div className="bg-gray-800 rounded-xl p-4 border border-gray-700">
+        <h3 className="font-semibold text-gray-200 mb-3">{title}</h3>
+        {children}
+    </div>
+);
+
+// `format` shows each value, e.g. the amounts of a cost chart.
+const BarList = ({ items, format = (item) => item.count }) => {
+    const max = Math.max(1, ...items.map(i => i.count));
+    if (items.length === 0) return <p className="text-sm text-gray-500">Sin datos.</p>;
+    return (
+        <div className="space-y-2">
+            {items.slice(0, TOP_ITEMS).map(item => (
+                <div key={`${item.label}|${item.currency || ''}`} className="text-sm">
+                    <div className="flex justify-between text-gray-300">
+                        <span className={`truncate ${item.label === NOT_SPECIFIED ? 'italic text-gray-500' : ''}`}>{item.label}</span>
+                        <span className="font-semibold">{format(item)}</span>
+                    </div>
+                    <div className="mt-1 h-2 rounded bg-gray-700">
+                        <div className="h-2 rounded bg-indigo-500" style={{ width: `${(item.count / max) * 100}%` }} />
+                    </div>
+                </div>
+            ))}
+            {items.length > TOP_ITEMS && <p className="text-xs text-gray-500">y {items.length - TOP_ITEMS} más (ver exportación)</p>}
+        </div>
+    );
+};
+
+// Average days per discipline as bars, with the median and sample size next to them.
+const DurationChart = ({ durations }) => {
+    const max = Math.max(1, ...durations.map(d => d.average || 0));
+    return (
+        <div className="space-y-2">
+            {durations.map(d => (
+                <div key={d.label} className="grid grid-cols-[4rem_1fr_9rem] items-center gap-3 text-sm">
+                    <span className="text-gray-300 font-semibold">{d.label}</span>
+                    <div className="h-3 rounded bg-gray-700">
+                        {d.average !== null && <div className="h-3 rounded bg-indigo-500" style={{ width: `${(d.average / max) * 100}%` }} />}
+                    </div>
+                    <span className="text-gray-400 text-xs">
+                        {formatDays(d.average)} d · med. {formatDays(d.median)} d · n={d.count}
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Bars per root-cause category, largest first, with the cumulative share as a line.
+const ParetoChart = ({ data }) => {
+    if (data.length === 0) return <p className="text-sm text-gray-500">No hay causas raíz marcadas en los diagramas de Ishikawa.</p>;
+    const width = 600;
+    const height = 260;
+    const pad = { top: 16, right: 40, bottom: 70, left: 36 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const max = Math.max(...data.map(d => d.count));
+    const slot = plotWidth / data.length;
+    const barWidth = slot * 0.7;
+    const x = (i) => pad.left + slot * i + slot / 2;
+    const yCount = (count) => pad.top + plotHeight - (count / max) * plotHeight;
+    const yShare = (share) => pad.top + plotHeight - share * plotHeight;
+    const line = data.map((d, i) => `${i === 0 ? 'M' : 'L'} ${x(i)} ${yShare(d.cumulativeShare)}`).join(' ');
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label="Diagrama de Pareto de causas raíz">
+            <line x1={pad.left} y1={pad.top + plotHeight} x2={pad.left + plotWidth} y2={pad.top + plotHeight} stroke="#4b5563" />
+            <line x1={pad.left} y1={yShare(0.8)} x2={pad.left + plotWidth} y2={yShare(0.8)} stroke="#f59e0b" strokeDasharray="4 4" />
+            <text x={pad.left + plotWidth + 4} y={yShare(0.8) + 4} fill="#f59e0b" fontSize="10">80%</text>
+            <text x={pad.left - 6} y={pad.top + 4} fill="#9ca3af" fontSize="10" textAnchor="end">{max}</text>
+            <text x={pad.left - 6} y={pad.top + plotHeight} fill="#9ca3af" fontSize="10" textAnchor="end">0</text>
+            {data.map((d, i) => (
+                <g key={d.label}>
+                    <rect x={x(i) - barWidth / 2} y={yCount(d.count)} width={barWidth} height={pad.top + plotHeight - yCount(d.count)} fill="#6366f1" />
+                    <text x={x(i)} y={yCount(d.count) - 4} fill="#e5e7eb" fontSize="10" textAnchor="middle">{d.count}</text>
+                    <text x={x(i)} y={pad.top + plotHeight + 12} fill="#d1d5db" fontSize="10" textAnchor="end" transform={`rotate(-35 ${x(i)} ${pad.top + plotHeight + 12})`}>
+                        {d.label.length > 18 ? `${d.label.slice(0, 17)}…` : d.label}
+                    </text>
+                </g>
+            ))}
+            <path d={line} fill="none" stroke="#f59e0b" strokeWidth="2" />
+            {data.map((d, i) => <circle key={d.label} cx={x(i)} cy={yShare(d.cumulativeShare)} r="3" fill="#f59e0b" />)}
+        </svg>
+    );
+};
+
+// --- Analytics View ---
+// `range` ({ from, to }) is applied by the Firestore query; the plant is
+// filtered here.
+const AnalyticsView = ({ reports, isLoading, range, onRangeChange }) => {
+    const [plant, setPlant] = useState('');
+    const plants = useMemo(() => getPlants(reports), [reports]);
+    const filtered = useMemo(() => filterByPlant(reports, plant), [reports, plant]);
+    const metrics = useMemo(() => computeMetrics(filtered), [filtered]);
+
+    const fileName = `analitica-8d-${range.from || 'inicio'}-${range.to || 'hoy'}${plant ? `-${plant}` : ''}`;
+
+    const exportCsv = () => {
+        // The BOM makes Excel read the accents correctly.
+        downloadBlob(new Blob(['\uFEFF', toCsv(buildAnalyticsRows(filtered))], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+    };
+
+    const exportJson = () => {
+        const data = { range, plant, metrics, reports: buildAnalyticsRows(filtered) };
+        downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${fileName}.json`);
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap justify-between items-center gap-4">
+                <h2 className="text-3xl font-bold text-white flex items-center gap-3"><BarChart3 size={28} /> Analítica 8D</h2>
+                <div className="flex gap-2">
+                    <button onClick={exportCsv} disabled={filtered.length === 0} className="flex items-center gap-2 px-3 py-2 bg-gray-700 text-white text-sm font-semibold rounded-lg hover:bg-gray-600 transition-all disabled:opacity-50">
+                        <FileDown size={16} /> CSV
+                    </button>
+                    <button onClick={exportJson} disabled={filtered.length === 0} className="flex items-center gap-2 px-3 py-2 bg-gray-700 text-white text-sm font-semibold rounded-lg hover:bg-gray-600 transition-all disabled:opacity-50">
+                        <FileDown size={16} /> JSON
+                    </button>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 max-w-3xl">
+                <InputField label="Creados desde" type="date" value={range.from} onChange={(e) => onRangeChange({ ...range, from: e.target.value })} />
+                <InputField label="Creados hasta" type="date" value={range.to} onChange={(e) => onRangeChange({ ...range, to: e.target.value })} />
+                <SelectField label="Planta" value={plant} onChange={(e) => setPlant(e.target.value)} placeholder="Todas" options={plants.map(p => ({ value: p, label: p }))} />
+            </div>
+
+            {isLoading ? (
+                <p className="text-center text-gray-400">Calculando indicadores...</p>
+            ) : (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                        <KpiCard label="Informes" value={metrics.total} />
+                        <KpiCard label="Abiertos" value={metrics.open} />
+                        <KpiCard label="Cerrados" value={metrics.closed} />
+                        <KpiCard label="Acciones a tiempo" value={formatPercent(metrics.actions.rate)} detail={`${metrics.actions.onTime} de ${metrics.actions.measured} con fecha`} />
+                        <KpiCard label="Recurrencia" value={formatPercent(metrics.recurrence.rate)} detail={`${metrics.recurrence.count} informe(s) repiten pieza y defecto o están vinculados`} />
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <KpiCard label="Piezas afectadas" value={formatCount(metrics.impact.affected)} />
+                        <KpiCard label="Tasa de defecto global" value={formatDefectRate(metrics.impact.defectRate) || '—'} detail={`${metrics.impact.measured} informe(s) con cantidad inspeccionada`} />
+                        <KpiCard
+                            label="Coste de la no calidad"
+                            value={metrics.impact.costs.length === 0 ? '—' : formatCost(metrics.impact.costs[0].count, metrics.impact.costs[0].currency)}
+                            detail={metrics.impact.costs.slice(1).map(c => formatCost(c.count, c.currency)).join(' + ')}
+                        />
+                    </div>
+
+                    <ChartCard title="Días desde la creación hasta cada disciplina (promedio · mediana)">
+                        <DurationChart durations={metrics.durations} />
+                    </ChartCard>
+
+                    <ChartCard title="Pareto de categorías de causa raíz">
+                        <ParetoChart data={metrics.pareto} />
+                    </ChartCard>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                        <ChartCard title="Por cliente"><BarList items={metrics.byCustomer} /></ChartCard>
+                        <ChartCard title="Por producto (nº de parte)"><BarList items={metrics.byProduct} /></ChartCard>
+                        <ChartCard title="Por categoría de defecto"><BarList items={metrics.byDefectCategory} /></ChartCard>
+                        <ChartCard title="Por severidad"><BarList items={metrics.bySeverity} /></ChartCard>
+                        <ChartCard title="Coste de la no calidad por categoría de defecto">
+                            <BarList items={metrics.costByDefectCategory} format={(item) => formatCost(item.count, item.currency)} />
+                        </ChartCard>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default AnalyticsView;
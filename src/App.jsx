@@ -1,92 +1,450 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, doc, addDoc, onSnapshot, updateDoc, deleteDoc, query, serverTimestamp } from 'firebase/firestore';
-import { Users, CheckCircle, BrainCircuit, Shield, Rocket, Target, Repeat, Award, PlusCircle, Home, Trash2, FileDown, X } from 'lucide-react';
+import { getAuth, onAuthStateChanged, signOut, sendEmailVerification, connectAuthEmulator } from 'firebase/auth';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, collection, doc, setDoc, getDocs, writeBatch, onSnapshot, updateDoc, deleteDoc, query, where, arrayUnion, arrayRemove, serverTimestamp, connectFirestoreEmulator } from 'firebase/firestore';
+import { Users, CheckCircle, BrainCircuit, Shield, Rocket, Target, Repeat, Award, PlusCircle, Home, Trash2, FileDown, AlertTriangle, CheckCircle2, Lock, LogOut, UserCircle, Search, ClipboardList, Cloud, CloudOff, RefreshCw, History, LayoutTemplate, BookmarkPlus, BarChart3, Upload, Download, Building2, Siren, Factory, ListChecks, Truck, MessageSquare, AtSign, Tags, ScanSearch, Ruler, FileCheck2, Share2 } from 'lucide-react';
+import { DISCIPLINE_IDS, createAction, createCorrectiveAction, createTeamMember, createDocumentUpdate, createLessonLearned, createReadAcross, normalizeReport, toDocument, validateUpdate } from './reportSchema';
+import { ConfirmationModal, ErrorBanner, Section, InputField, SelectField, TextAreaField, CheckboxField, CommentMarker, QuantityField, RowList } from './ui';
+import { REPORT_STATUSES, SEVERITIES, evaluateDiscipline, getCurrentDiscipline, getDisciplineState, getSeverity, getStatusLabel, isClosed, isEightDNotRequired, canClose, completeDiscipline, reopenDiscipline, closeReport } from './workflow';
+import { MAX_TEAM_SIZE, TEAM_ACCESS_IDS, can, deriveAccess, getReportRole, getRoleLabel } from './permissions';
+import { DEFAULT_FILTERS, SORT_OPTIONS, PAGE_SIZE, readFiltersFromUrl, writeFiltersToUrl, hasActiveFilters, getReportScope, buildReportsQuery, buildScopeQueries, buildAnalyticsQuery, buildOpenReportsQuery, buildTrashQuery, listenToQueries, getDocsOfQueries, pageReports } from './reportQuery';
+import { ACTION_STATUSES, assignAction, countOverdueActions, getActionStatusLabel, getAssignees, markImplemented, markVerified, reopenAction, replaceAction, todayIso } from './actions';
+import { loadScript } from './loadScript';
+import AuthScreen from './AuthScreen';
+import ActionTracker from './ActionTracker';
+import Trash from './Trash';
+import AnalyticsView from './AnalyticsView';
+import TemplateManager, { TemplateEditor } from './TemplateManager';
+import NewReportDialog from './NewReportDialog';
+import ExportDialog from './ExportDialog';
+import ImportDialog from './ImportDialog';
+import CustomerFormats from './CustomerFormats';
+import PlantSettings from './PlantSettings';
+import DefectCatalog from './DefectCatalog';
+import RecurrencePanel from './RecurrencePanel';
+import EffectivenessChecks from './EffectivenessChecks';
+import { DOCUMENT_STATUSES, DOCUMENT_TYPES, confirmLine, describeDocument, getDocumentProblems, getDocumentStatus, getDocumentTypeLabel, getUnconfirmedLessons, getUnconfirmedReadAcross, isDocumentOverdue, setDocumentStatus, toDocumentAssignment, unconfirmLine } from './prevention';
+import { evaluateCheck, formatChange, formatMetricValue, getChartMeasurements, getCheckStatus, layoutRunChart } from './effectiveness';
+import { addRecurrenceLink, createRecurrenceLinks, describeRecurrence, getRecurrenceRelationLabel, isRecurrence, removeRecurrenceLink, updateLinkedReport, useSimilarReports } from './recurrence';
+import { CURRENCIES, IS_IS_NOT_DIMENSIONS, W2H_QUESTIONS, describeIdentification, describeImpact, formatDefectRate, formatLotNumbers, getDefectRate, getQuantityWarnings, hasIsIsNot, parseLotNumbers } from './problemDescription';
+import { getDefectCategoriesPath, getDefectCategoryOptions, normalizeDefectCategory, toDefectCategoryDocument } from './defectCategories';
+import { OUTPUT_FORMATS, findCustomer, getOutputFormat, normalizeCustomer, resolveLayout } from './outputFormats';
+import { D0_DECISIONS, getD0DecisionLabel, getDiscipline, getDisciplineIds, getPlantDisciplines, findPlantConfig, followsPlantConfig, normalizePlantConfig, toPlantDocument } from './disciplines';
+import { buildReportFromTemplate, cloneReport, createTemplate, normalizeTemplate, templateFromReport } from './templates';
+import HistoryPanel from './HistoryPanel';
+import { ProfileForm, UserAdmin } from './UserProfile';
+import { OrganizationPicker, OrganizationSwitcher, InvitationManager, UnassignedDataPanel } from './OrganizationAccess';
+import { VISIBILITY_LEVELS, createInvitation, createMember, getInvitationId, getInvitationsPath, getMembersPath, getOrganizationsPath, getOrgProfile, normalizeEmail, normalizeInvitation, normalizeMember, normalizeOrganization, readActiveOrgId, writeActiveOrgId } from './organizations';
+import FishboneDiagram from './FishboneDiagram';
+import WhyTreeEditor from './WhyTreeEditor';
+import { WHY_CHAINS, flattenChain, isLeaf } from './whyTree';
+import { SYNC_STATES, describeField, isEqual, useReportWriter } from './reportSync';
+import { createWithHistory, requiresQualityManager, requiresTeamLead, writeWithHistory } from './history';
+import { FieldEditorsContext, getAvatarColor, getInitials, groupByField, usePresence } from './presence';
+import AttachmentList, { AttachmentsContext } from './AttachmentList';
+import { collectAttachments, deleteAttachmentFile, formatFileSize, getAttachmentFolder, loadAttachmentImages } from './attachments';
+import { CommentsPanel, DisciplineApproval, ApprovalSummary } from './ReviewPanel';
+import { FieldCommentsContext, addComment, countOpenThreads, countUnread, extractMentions, getMentionCandidates, groupThreads, setThreadResolved, useComments, useReadMarkers } from './comments';
+import { approvalNotifications, assignmentNotifications, commentNotifications, markNotificationsRead, sendNotifications, useNotifications } from './notifications';
+import { NotificationCenter } from './NotificationCenter';
+import { decideDiscipline, getApprovalStatus, getDisciplineApprovalStatus } from './approvals';
+import { SupplierBanner, SupplierCardBadge, SupplierRequestDialog, SupplierReview } from './SupplierPortal';
+import { isLockedForSupplier, isSupplierReport, issueSupplierRequest, reviewDiscipline, submitDiscipline } from './supplier';
+import { ROOT_CAUSE_COLOR, getCauseStatus, getCategoryName, getRootCauses, layoutFishbone, FISHBONE_WIDTH, FISHBONE_HEIGHT } from './fishbone';
 
 // --- Firebase Configuration ---
 const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
-
-// --- Script Loader Utility ---
-const loadedScripts = new Set();
-const loadScript = (src) => {
-    return new Promise((resolve, reject) => {
-        if (loadedScripts.has(src)) {
-            return resolve();
-        }
-        const script = document.createElement('script');
-        script.src = src;
-        script.onload = () => {
-            loadedScripts.add(src);
-            resolve();
-        };
-        script.onerror = () => reject(new Error(`Script load error for ${src}`));
-        document.body.appendChild(script);
-    });
-};
-
+// Set VITE_USE_FIREBASE_EMULATORS=true to work against `npm run emulators`.
+const useEmulators = import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true';
 
 // --- Main App Component ---
 export default function App() {
     const [auth, setAuth] = useState(null);
     const [db, setDb] = useState(null);
-    const [userId, setUserId] = useState(null);
+    const [storage, setStorage] = useState(null);
+    const [authUser, setAuthUser] = useState(null);
+    const [userProfile, setUserProfile] = useState(undefined); // undefined while loading, null when not created yet
+    const [profiles, setProfiles] = useState([]); // members of the active organization
     const [isAuthReady, setIsAuthReady] = useState(false);
+    const [isEditingProfile, setIsEditingProfile] = useState(false);
+    const userId = authUser?.uid || null;
 
-    const [view, setView] = useState('dashboard'); // 'dashboard' or 'workspace'
+    // --- Organizations ---
+    const [organizations, setOrganizations] = useState([]);
+    const [chosenOrgId, setChosenOrgId] = useState('');
+    const [membership, setMembership] = useState(null); // { orgId, member }, member null when removed
+    const [invitations, setInvitations] = useState([]); // addressed to the user
+    const [orgInvitations, setOrgInvitations] = useState([]); // pending in the active organization
+    const [isOrgPickerOpen, setIsOrgPickerOpen] = useState(false);
+    const orgIds = useMemo(() => userProfile?.orgIds || [], [userProfile]);
+    const storedOrgId = userId ? readActiveOrgId(userId) : '';
+    const activeOrgId = orgIds.includes(chosenOrgId) ? chosenOrgId : orgIds.includes(storedOrgId) ? storedOrgId : orgIds[0] || '';
+    // undefined while loading, null without an organization.
+    const member = !activeOrgId ? null : membership?.orgId === activeOrgId ? membership.member : undefined;
+    const activeOrganization = organizations.find(o => o.id === activeOrgId) || null;
+
+    // The profile as seen in the active organization; what every permission check receives.
+    const profile = useMemo(() => (userProfile && member ? getOrgProfile(userProfile, activeOrgId, member) : null), [userProfile, activeOrgId, member]);
+    const orgId = profile?.orgId || '';
+    // Supplier contacts only work on the reports issued to them.
+    const isSupplier = profile?.role === 'supplier';
+    // Report listeners restart when what the user may read changes, not on every profile edit.
+    const scopeKey = profile ? JSON.stringify(getReportScope(profile)) : '';
+    const scope = useMemo(() => (scopeKey ? JSON.parse(scopeKey) : null), [scopeKey]);
+
+    const [view, setView] = useState('dashboard'); // 'dashboard', 'actions', 'analytics', 'templates', 'customers', 'plants', 'defects', 'trash', 'workspace' or 'users'
     const [reports, setReports] = useState([]);
+    const [filters, setFilters] = useState(readFiltersFromUrl);
+    const [pageCount, setPageCount] = useState(1);
+    const [fetchCount, setFetchCount] = useState(PAGE_SIZE);
+    const [hasMoreReports, setHasMoreReports] = useState(false);
+    const [trackerReports, setTrackerReports] = useState([]);
+    const [isTrackerLoading, setIsTrackerLoading] = useState(true);
+    const [analyticsReports, setAnalyticsReports] = useState([]);
+    const [isAnalyticsLoading, setIsAnalyticsLoading] = useState(true);
+    // The last twelve months by default.
+    const [analyticsRange, setAnalyticsRange] = useState(() => {
+        const from = new Date();
+        from.setFullYear(from.getFullYear() - 1);
+        return { from: from.toISOString().slice(0, 10), to: '' };
+    });
+    const [templates, setTemplates] = useState([]);
+    const [customers, setCustomers] = useState([]);
+    const [plantConfigs, setPlantConfigs] = useState([]);
+    const [defectCategories, setDefectCategories] = useState([]);
+    const [isNewReportOpen, setIsNewReportOpen] = useState(false);
+    const [isImportOpen, setIsImportOpen] = useState(false);
+    const [isExportOpen, setIsExportOpen] = useState(false);
+    const [templateDraft, setTemplateDraft] = useState(null);
+    const [trashReports, setTrashReports] = useState([]);
+    const [isTrashLoading, setIsTrashLoading] = useState(true);
     const [activeReport, setActiveReport] = useState(null);
+    const [activeReportHasPendingWrites, setActiveReportHasPendingWrites] = useState(false);
     const [activeReportId, setActiveReportId] = useState(null);
+    const [openDiscipline, setOpenDiscipline] = useState(''); // where a notification opens the active report
     const [isLoading, setIsLoading] = useState(true);
+    const [appError, setAppError] = useState(null);
 
     const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-8d-app';
+    const notifications = useNotifications({ db, appId, uid: userId });
 
     // --- Firebase Initialization and Authentication ---
     useEffect(() => {
         try {
             const app = initializeApp(firebaseConfig);
             const authInstance = getAuth(app);
-            const dbInstance = getFirestore(app);
+            // IndexedDB cache: reports stay readable and editable without a connection.
+            const dbInstance = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+            const storageInstance = getStorage(app);
+            if (useEmulators) {
+                connectAuthEmulator(authInstance, 'http://127.0.0.1:9099', { disableWarnings: true });
+                connectFirestoreEmulator(dbInstance, '127.0.0.1', 8080);
+                connectStorageEmulator(storageInstance, '127.0.0.1', 9199);
+            }
             setAuth(authInstance);
             setDb(dbInstance);
+            setStorage(storageInstance);
 
-            const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
-                if (user) {
-                    setUserId(user.uid);
-                } else {
-                    await signInAnonymously(authInstance);
-                }
+            const unsubscribe = onAuthStateChanged(authInstance, (user) => {
+                setAuthUser(user);
                 setIsAuthReady(true);
             });
             return () => unsubscribe();
         } catch (error) {
-            console.error("Error initializing Firebase:", error);
+            setAppError(`No se pudo inicializar Firebase: ${error.message}`);
             setIsAuthReady(true);
         }
     }, []);
 
-    // --- Data Fetching: All Reports for Dashboard ---
+    // --- Data Fetching: Own Profile ---
+    useEffect(() => {
+        if (!db || !userId) {
+            setUserProfile(undefined);
+            return;
+        }
+
+        const unsubscribe = onSnapshot(doc(db, `artifacts/${appId}/public/data/users`, userId), (docSnapshot) => {
+            setUserProfile(docSnapshot.exists() ? { uid: docSnapshot.id, ...docSnapshot.data() } : null);
+        }, (error) => {
+            setAppError(`Error al cargar tu perfil: ${error.message}`);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, appId]);
+
+    // --- Data Fetching: Organizations of the User ---
+    useEffect(() => {
+        if (!db || orgIds.length === 0) {
+            setOrganizations([]);
+            return;
+        }
+
+        const loaded = {};
+        const publish = () => setOrganizations(orgIds.map(id => loaded[id]).filter(Boolean).sort((a, b) => a.name.localeCompare(b.name)));
+        const unsubscribes = orgIds.map(id => onSnapshot(doc(db, getOrganizationsPath(appId), id), (docSnapshot) => {
+            loaded[id] = docSnapshot.exists() ? normalizeOrganization({ id, ...docSnapshot.data() }) : null;
+            publish();
+        }, () => {
+            // No longer a member: the membership listener forgets the organization.
+            loaded[id] = null;
+            publish();
+        }));
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, appId, orgIds]);
+
+    // --- Data Fetching: Membership in the Active Organization ---
+    useEffect(() => {
+        if (!db || !userId || !activeOrgId) return;
+
+        const unsubscribe = onSnapshot(doc(db, getMembersPath(appId, activeOrgId), userId), (docSnapshot) => {
+            if (docSnapshot.exists()) {
+                setMembership({ orgId: activeOrgId, member: normalizeMember({ id: docSnapshot.id, ...docSnapshot.data() }) });
+                return;
+            }
+            setMembership({ orgId: activeOrgId, member: null });
+            // Removed from the organization: drop it from the switcher.
+            updateDoc(doc(db, `artifacts/${appId}/public/data/users`, userId), { orgIds: arrayRemove(activeOrgId) }).catch((error) => {
+                setAppError(`Error al actualizar tus organizaciones: ${error.message}`);
+            });
+        }, (error) => {
+            setAppError(`Error al cargar tu membresía: ${error.message}`);
+            setMembership({ orgId: activeOrgId, member: null });
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, appId, activeOrgId]);
+
+    // --- Data Fetching: Members of the Active Organization ---
+    // Supplier contacts read neither the members nor the organization's
+    // templates, customers and plants (see firestore.rules).
+    useEffect(() => {
+        if (!db || !orgId || isSupplier) {
+            setProfiles([]);
+            return;
+        }
+
+        const unsubscribe = onSnapshot(collection(db, getMembersPath(appId, orgId)), (querySnapshot) => {
+            setProfiles(querySnapshot.docs.map(d => normalizeMember({ id: d.id, ...d.data() })).sort((a, b) => a.displayName.localeCompare(b.displayName)));
+        }, (error) => {
+            setAppError(`Error al cargar los usuarios: ${error.message}`);
+        });
+
+        return () => unsubscribe();
+    }, [db, appId, orgId, isSupplier]);
+
+    // --- Data Fetching: Invitations ---
+    // Only a verified address proves the invitation is for this user.
+    const emailVerified = Boolean(authUser?.emailVerified);
+    const userEmail = normalizeEmail(authUser?.email);
+    useEffect(() => {
+        if (!db || !emailVerified || !userEmail) {
+            setInvitations([]);
+            return;
+        }
+
+        const q = query(collection(db, getInvitationsPath(appId)), where('email', '==', userEmail));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setInvitations(querySnapshot.docs.map(d => normalizeInvitation({ id: d.id, ...d.data() })));
+        }, (error) => {
+            setAppError(`Error al cargar tus invitaciones: ${error.message}`);
+        });
+
+        return () => unsubscribe();
+    }, [db, appId, emailVerified, userEmail]);
+
+    const canManageUsers = can('manageUsers', null, profile);
+    useEffect(() => {
+        if (view !== 'users' || !db || !orgId || !canManageUsers) return;
+
+        const q = query(collection(db, getInvitationsPath(appId)), where('orgId', '==', orgId));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setOrgInvitations(querySnapshot.docs.map(d => normalizeInvitation({ id: d.id, ...d.data() })).sort((a, b) => a.email.localeCompare(b.email)));
+        }, (error) => {
+            setAppError(`Error al cargar las invitaciones: ${error.message}`);
+        });
+
+        return () => unsubscribe();
+    }, [view, db, appId, orgId, canManageUsers]);
+
+    // --- Data Fetching: Filtered, Paginated Reports for Dashboard ---
     useEffect(() => {
-        if (!isAuthReady || !db) return;
+        if (!isAuthReady || !db || !scope) return;
 
         setIsLoading(true);
         const reportsCollectionPath = `artifacts/${appId}/public/data/8d-reports`;
-        const q = query(collection(db, reportsCollectionPath));
+        const queries = buildReportsQuery(db, reportsCollectionPath, filters, fetchCount, scope);
 
-        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+        const unsubscribe = listenToQueries(queries, (docs, snapshots) => {
             const reportsData = [];
-            querySnapshot.forEach((doc) => {
-                reportsData.push({ id: doc.id, ...doc.data() });
+            const unreadable = [];
+            docs.forEach((doc) => {
+                try {
+                    reportsData.push(normalizeReport({ id: doc.id, ...doc.data() }).report);
+                } catch (error) {
+                    unreadable.push(doc.id);
+                }
             });
-            setReports(reportsData);
-            setIsLoading(false);
+            const { page, hasMore, fetchMore } = pageReports(reportsData, snapshots.map(s => s.size), filters, pageCount, fetchCount);
+            setReports(page);
+            setHasMoreReports(hasMore);
+            if (unreadable.length > 0) {
+                setAppError(`No se pudieron leer ${unreadable.length} informe(s): ${unreadable.join(', ')}`);
+            }
+            // Filtered out on the client: fetch twice as many until the pages fill up.
+            if (fetchMore) setFetchCount(fetchCount * 2);
+            else setIsLoading(false);
         }, (error) => {
-            console.error("Error fetching reports:", error);
+            setAppError(`Error al cargar los informes: ${error.message}`);
             setIsLoading(false);
         });
 
         return () => unsubscribe();
-    }, [isAuthReady, db, appId]);
+    }, [isAuthReady, db, appId, scope, filters, pageCount, fetchCount]);
+
+    // --- Data Fetching: Open Reports for the Action Tracker ---
+    useEffect(() => {
+        if (view !== 'actions' || !db || !scope) return;
+
+        setIsTrackerLoading(true);
+        const reportsCollectionPath = `artifacts/${appId}/public/data/8d-reports`;
+
+        const unsubscribe = listenToQueries(buildOpenReportsQuery(db, reportsCollectionPath, scope), (docs) => {
+            const reportsData = [];
+            docs.forEach((doc) => {
+                try {
+                    reportsData.push(normalizeReport({ id: doc.id, ...doc.data() }).report);
+                } catch (error) {
+                    // Unreadable reports are already reported by the dashboard listener.
+                }
+            });
+            setTrackerReports(reportsData.filter(r => !r.deleted));
+            setIsTrackerLoading(false);
+        }, (error) => {
+            setAppError(`Error al cargar las acciones: ${error.message}`);
+            setIsTrackerLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [view, db, appId, scope]);
+
+    // --- Data Fetching: Reports for Analytics ---
+    useEffect(() => {
+        if (view !== 'analytics' || !db || !scope) return;
+
+        setIsAnalyticsLoading(true);
+        const reportsCollectionPath = `artifacts/${appId}/public/data/8d-reports`;
+        const unsubscribe = listenToQueries(buildAnalyticsQuery(db, reportsCollectionPath, analyticsRange, scope), (docs) => {
+            const reportsData = [];
+            docs.forEach((doc) => {
+                try {
+                    reportsData.push(normalizeReport({ id: doc.id, ...doc.data() }).report);
+                } catch (error) {
+                    // Unreadable reports are already reported by the dashboard listener.
+                }
+            });
+            setAnalyticsReports(reportsData.filter(r => !r.deleted));
+            setIsAnalyticsLoading(false);
+        }, (error) => {
+            setAppError(`Error al cargar la analítica: ${error.message}`);
+            setIsAnalyticsLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [view, db, appId, scope, analyticsRange]);
+
+    // --- Data Fetching: Report Templates ---
+    useEffect(() => {
+        if (!db || !orgId || isSupplier) return;
+
+        const templatesCollectionPath = `artifacts/${appId}/public/data/8d-templates`;
+        const unsubscribe = onSnapshot(query(collection(db, templatesCollectionPath), where('orgId', '==', orgId)), (querySnapshot) => {
+            setTemplates(querySnapshot.docs.map(d => normalizeTemplate({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name)));
+        }, (error) => {
+            setAppError(`Error al cargar las plantillas: ${error.message}`);
+        });
+
+        return () => unsubscribe();
+    }, [db, appId, orgId, isSupplier]);
+
+    // --- Data Fetching: Customer Output Formats ---
+    useEffect(() => {
+        if (!db || !orgId || isSupplier) return;
+
+        const customersCollectionPath = `artifacts/${appId}/public/data/8d-customers`;
+        const unsubscribe = onSnapshot(query(collection(db, customersCollectionPath), where('orgId', '==', orgId)), (querySnapshot) => {
+            setCustomers(querySnapshot.docs.map(d => normalizeCustomer({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name)));
+        }, (error) => {
+            setAppError(`Error al cargar los clientes: ${error.message}`);
+        });
+
+        return () => unsubscribe();
+    }, [db, appId, orgId, isSupplier]);
+
+    // --- Data Fetching: Defect Category Catalog ---
+    useEffect(() => {
+        if (!db || !orgId || isSupplier) return;
+
+        const unsubscribe = onSnapshot(query(collection(db, getDefectCategoriesPath(appId)), where('orgId', '==', orgId)), (querySnapshot) => {
+            setDefectCategories(querySnapshot.docs.map(d => normalizeDefectCategory({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name)));
+        }, (error) => {
+            setAppError(`Error al cargar las categorías de defecto: ${error.message}`);
+        });
+
+        return () => unsubscribe();
+    }, [db, appId, orgId, isSupplier]);
+
+    // --- Data Fetching: Plant Discipline Configurations ---
+    useEffect(() => {
+        if (!db || !orgId || isSupplier) return;
+
+        const plantsCollectionPath = `artifacts/${appId}/public/data/8d-plants`;
+        const unsubscribe = onSnapshot(query(collection(db, plantsCollectionPath), where('orgId', '==', orgId)), (querySnapshot) => {
+            setPlantConfigs(querySnapshot.docs.map(d => normalizePlantConfig({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name)));
+        }, (error) => {
+            setAppError(`Error al cargar las plantas: ${error.message}`);
+        });
+
+        return () => unsubscribe();
+    }, [db, appId, orgId, isSupplier]);
+
+    // --- Data Fetching: Reports in the Trash ---
+    useEffect(() => {
+        if (view !== 'trash' || !db || !scope) return;
+
+        setIsTrashLoading(true);
+        const reportsCollectionPath = `artifacts/${appId}/public/data/8d-reports`;
+        const unsubscribe = listenToQueries(buildTrashQuery(db, reportsCollectionPath, scope), (docs) => {
+            const reportsData = [];
+            docs.forEach((doc) => {
+                try {
+                    reportsData.push(normalizeReport({ id: doc.id, ...doc.data() }).report);
+                } catch (error) {
+                    // Unreadable reports are already reported by the dashboard listener.
+                }
+            });
+            setTrashReports(reportsData.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+            setIsTrashLoading(false);
+        }, (error) => {
+            setAppError(`Error al cargar la papelera: ${error.message}`);
+            setIsTrashLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [view, db, appId, scope]);
+
+    const handleFiltersChange = (newFilters) => {
+        setFilters(newFilters);
+        setPageCount(1);
+        setFetchCount(PAGE_SIZE);
+        writeFiltersToUrl(newFilters);
+    };
+
+    const handleLoadMore = () => {
+        setPageCount(pageCount + 1);
+        setFetchCount(Math.max(fetchCount, PAGE_SIZE * (pageCount + 1)));
+    };
 
 
     // --- Data Fetching: Active Report for Workspace ---
@@ -97,73 +455,380 @@ export default function App() {
         }
         
         const reportDocPath = `artifacts/${appId}/public/data/8d-reports/${activeReportId}`;
-        const unsubscribe = onSnapshot(doc(db, reportDocPath), (docSnapshot) => {
-            if (docSnapshot.exists()) {
-                setActiveReport({ id: docSnapshot.id, ...docSnapshot.data() });
-            } else {
-                console.error("Report not found");
+        // Metadata changes tell the sync indicator when local writes reach the server.
+        const unsubscribe = onSnapshot(doc(db, reportDocPath), { includeMetadataChanges: true }, (docSnapshot) => {
+            if (!docSnapshot.exists()) {
+                setAppError("El informe solicitado no existe o fue eliminado.");
+                setView('dashboard');
+                return;
+            }
+            try {
+                const { report, needsRepair } = normalizeReport({ id: docSnapshot.id, ...docSnapshot.data() });
+                setActiveReport(report);
+                setActiveReportHasPendingWrites(docSnapshot.metadata.hasPendingWrites);
+                if (needsRepair && !docSnapshot.metadata.hasPendingWrites && can('manageTeam', report, profile)) {
+                    // Persist the migrated/repaired shape so every client reads a
+                    // valid document; the history records the fields it changed.
+                    const stored = docSnapshot.data();
+                    const repaired = toDocument(report);
+                    const changed = Object.fromEntries(Object.entries(repaired).filter(([key, value]) => !isEqual(stored[key], value)));
+                    writeWithHistory(db, reportDocPath, stored, repaired, profile, 'migration', changed).catch((error) => {
+                        setAppError(`No se pudo actualizar el formato del informe: ${error.message}`);
+                    });
+                }
+            } catch (error) {
+                setAppError(`El informe no se puede abrir: ${error.message}`);
                 setView('dashboard');
             }
         }, (error) => {
-            console.error("Error fetching active report:", error);
+            setAppError(`Error al cargar el informe: ${error.message}`);
         });
 
         return () => unsubscribe();
-    }, [view, db, activeReportId, appId]);
+    }, [view, db, activeReportId, appId, profile]);
 
-    const handleCreateNewReport = async () => {
-        if (!db || !userId) return;
-        
-        const newReportTitle = `Nuevo Informe 8D - ${new Date().toLocaleDateString()}`;
-        const reportsCollectionPath = `artifacts/${appId}/public/data/8d-reports`;
+    const handleSaveProfile = async (fields) => {
+        const profileDocPath = `artifacts/${appId}/public/data/users/${userId}`;
+        try {
+            if (userProfile) {
+                // Members of each organization read the name from the membership document.
+                const batch = writeBatch(db);
+                batch.update(doc(db, profileDocPath), fields);
+                organizations.forEach(org => batch.update(doc(db, getMembersPath(appId, org.id), userId), { displayName: fields.displayName, department: fields.department }));
+                await batch.commit();
+            } else {
+                await setDoc(doc(db, profileDocPath), { ...fields, email: authUser.email || '', role: 'member', orgIds: [], createdAt: serverTimestamp() });
+            }
+            setIsEditingProfile(false);
+        } catch (error) {
+            setAppError(`No se pudo guardar el perfil: ${error.message}`);
+        }
+    };
+
+    // --- Organization Handlers ---
+    const handleSwitchOrganization = (id) => {
+        writeActiveOrgId(userId, id);
+        setChosenOrgId(id);
+        setIsOrgPickerOpen(false);
+        handleGoToDashboard();
+    };
+
+    // The founder becomes the first quality manager of the organization.
+    const handleCreateOrganization = async (name) => {
+        const orgRef = doc(collection(db, getOrganizationsPath(appId)));
+        const batch = writeBatch(db);
+        batch.set(orgRef, { name, createdBy: userId, createdByName: userProfile.displayName, createdAt: serverTimestamp() });
+        batch.set(doc(db, getMembersPath(appId, orgRef.id), userId), { ...createMember(userProfile, 'quality_manager'), joinedAt: serverTimestamp() });
+        batch.update(doc(db, `artifacts/${appId}/public/data/users`, userId), { orgIds: arrayUnion(orgRef.id) });
+        try {
+            await batch.commit();
+            handleSwitchOrganization(orgRef.id);
+        } catch (error) {
+            setAppError(`No se pudo crear la organización: ${error.message}`);
+        }
+    };
+
+    // Joining takes the role and plants of the invitation; the rules check both against it.
+    const handleAcceptInvitation = async (invitation) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, getMembersPath(appId, invitation.orgId), userId), { ...createMember(userProfile, invitation.role, invitation.plantIds), joinedAt: serverTimestamp() });
+        batch.delete(doc(db, getInvitationsPath(appId), invitation.id));
+        batch.update(doc(db, `artifacts/${appId}/public/data/users`, userId), { orgIds: arrayUnion(invitation.orgId) });
+        try {
+            await batch.commit();
+            handleSwitchOrganization(invitation.orgId);
+        } catch (error) {
+            setAppError(`No se pudo aceptar la invitación: ${error.message}`);
+        }
+    };
+
+    const handleDeclineInvitation = async (invitation) => {
+        try {
+            await deleteDoc(doc(db, getInvitationsPath(appId), invitation.id));
+        } catch (error) {
+            setAppError(`No se pudo rechazar la invitación: ${error.message}`);
+        }
+    };
+
+    const handleSendVerification = async () => {
+        try {
+            await sendEmailVerification(authUser);
+        } catch (error) {
+            setAppError(`No se pudo enviar el correo de verificación: ${error.message}`);
+        }
+    };
 
+    // Returns whether the invitation was sent.
+    const handleInvite = async ({ email, role, plantIds }) => {
+        const address = normalizeEmail(email);
+        if (profiles.some(m => normalizeEmail(m.email) === address)) {
+            setAppError(`${address} ya es miembro de ${activeOrganization.name}.`);
+            return false;
+        }
         try {
-            const docRef = await addDoc(collection(db, reportsCollectionPath), {
-                title: newReportTitle,
-                createdBy: userId,
+            await setDoc(doc(db, getInvitationsPath(appId), getInvitationId(orgId, address)), {
+                ...createInvitation({ org: activeOrganization, email: address, role, plantIds, profile }),
                 createdAt: serverTimestamp(),
-                currentDiscipline: 'D1',
-                d1_team: [{ name: `Usuario ${userId.substring(0, 6)}`, role: 'Líder' }],
-                d2_problem: { what: '', where: '', when: '', who: '', why: '', how: '', how_many: '' },
-                d3_containment: [{ action: '', responsible: '', date: '', verified: false }],
-                d4_root_cause: { 
-                    five_whys: [''], 
-                    fishbone: { Manpower: [], Machine: [], Method: [], Material: [], Measurement: [], Environment: [] } 
-                },
-                d5_corrective_actions: [{ action: '', responsible: '', date: '', verified: false }],
-                d6_implementation: { summary: '', validation_results: '' },
-                d7_prevention: { updated_docs: '', new_standards: '' },
-                d8_recognition: { summary: '', celebration_date: '' }
             });
-            setActiveReportId(docRef.id);
-            setView('workspace');
+            return true;
+        } catch (error) {
+            setAppError(`No se pudo enviar la invitación: ${error.message}`);
+            return false;
+        }
+    };
+
+    // Supplier contacts join with the supplier role and no plants.
+    const handleInviteSupplier = (email) => handleInvite({ email, role: 'supplier', plantIds: [] });
+
+    const handleCancelInvitation = async (id) => {
+        try {
+            await deleteDoc(doc(db, getInvitationsPath(appId), id));
+        } catch (error) {
+            setAppError(`No se pudo anular la invitación: ${error.message}`);
+        }
+    };
+
+    const handleUpdateMember = async (uid, fields) => {
+        try {
+            await updateDoc(doc(db, getMembersPath(appId, orgId), uid), fields);
+        } catch (error) {
+            setAppError(`No se pudo actualizar el miembro: ${error.message}`);
+        }
+    };
+
+    // The removed user's own client drops the organization from their profile.
+    const handleRemoveMember = async (uid) => {
+        try {
+            await deleteDoc(doc(db, getMembersPath(appId, orgId), uid));
+        } catch (error) {
+            setAppError(`No se pudo quitar al miembro: ${error.message}`);
+        }
+    };
+
+    // Data saved before organizations existed has no `orgId` and is only
+    // visible to platform administrators until one of them assigns it.
+    // Returns how many documents were assigned.
+    const handleAdoptUnassigned = async () => {
+        let count = 0;
+        try {
+            for (const name of ['8d-plants', '8d-customers', '8d-defect-categories', '8d-templates', '8d-reports']) {
+                const snapshot = await getDocs(collection(db, `artifacts/${appId}/public/data/${name}`));
+                const unassigned = snapshot.docs.filter(d => !d.data().orgId);
+                for (let start = 0; start < unassigned.length; start += 400) {
+                    const batch = writeBatch(db);
+                    unassigned.slice(start, start + 400).forEach(d => {
+                        // Reports also need the visibility the scoped queries filter on.
+                        batch.update(d.ref, name === '8d-reports' ? { orgId, visibility: d.data().visibility || 'organization', plantId: d.data().plantId || '' } : { orgId });
+                    });
+                    await batch.commit();
+                }
+                count += unassigned.length;
+            }
+        } catch (error) {
+            setAppError(`No se pudieron asignar los datos: ${error.message}`);
+        }
+        return count;
+    };
+
+    const handleUpdateAction = async (report, field, updatedAction) => {
+        const reportDocPath = `artifacts/${appId}/public/data/8d-reports/${report.id}`;
+        try {
+            const actions = replaceAction(report[field], updatedAction);
+            validateUpdate(field, actions);
+            await writeWithHistory(db, reportDocPath, report, { [field]: actions }, profile);
+        } catch (error) {
+            setAppError(`No se pudo actualizar la acción: ${error.message}`);
+        }
+    };
+
+    const handleSignOut = async () => {
+        handleGoToDashboard();
+        await signOut(auth);
+    };
+
+    // `options` come from the new-report dialog: a blank report, a template or a copy of a report.
+    const handleCreateNewReport = ({ source, sourceId, title, customer, partNumber, severity, plantId, visibility }) => {
+        if (!db || !userId || !can('create', null, profile)) return;
+        setIsNewReportOpen(false);
+
+        const reportsCollectionPath = `artifacts/${appId}/public/data/8d-reports`;
+        const plant = plantConfigs.find(c => c.id === plantId)?.name || profile.plant || '';
+        const details = { title, customer, partNumber, severity, orgId, plantId, plant, visibility, userId, userName: profile.displayName, createdAt: serverTimestamp() };
+        let newReport;
+        try {
+            newReport = source === 'clone'
+                ? cloneReport(reports.find(r => r.id === sourceId), details)
+                : buildReportFromTemplate(source === 'template' ? templates.find(t => t.id === sourceId) : null, details);
+        } catch (error) {
+            setAppError(`No se pudo crear el informe: ${error.message}`);
+            return;
+        }
+        // The report follows the disciplines its plant uses today.
+        const disciplines = getPlantDisciplines(plantConfigs, newReport);
+        newReport = { ...newReport, disciplines, currentDiscipline: disciplines[0].id };
+
+        // Not awaited: offline, the write only resolves once it reaches the
+        // server, while the report is already usable from the local cache.
+        const docRef = doc(collection(db, reportsCollectionPath));
+        setDoc(docRef, toDocument(newReport)).catch((error) => {
+            setAppError(`No se pudo crear el informe: ${error.message}`);
+        });
+        setActiveReportId(docRef.id);
+        setView('workspace');
+    };
+
+    // Every readable report outside the trash, for the duplicate check of the import.
+    const loadExistingReports = useCallback(async () => {
+        const docs = await getDocsOfQueries(buildScopeQueries(db, `artifacts/${appId}/public/data/8d-reports`, scope));
+        return docs.flatMap(d => {
+            try {
+                return [normalizeReport({ id: d.id, ...d.data() }).report];
+            } catch {
+                return [];
+            }
+        }).filter(r => !r.deleted);
+    }, [db, appId, scope]);
+
+    // One batch per report, with its import recorded in the history. Plant
+    // names are matched to the organization's plants; without one, a report
+    // shared with its plant is shared with the organization instead.
+    const handleImportReports = async (imported) => {
+        const reportsCollectionPath = `artifacts/${appId}/public/data/8d-reports`;
+        for (const report of imported) {
+            const plantId = findPlantConfig(plantConfigs, { plant: report.plant })?.id || '';
+            const visibility = report.visibility === 'plant' && !plantId ? 'organization' : report.visibility;
+            const reportDocPath = doc(collection(db, reportsCollectionPath)).path;
+            await createWithHistory(db, reportDocPath, { ...report, plantId, visibility, createdAt: report.createdAt || serverTimestamp() }, profile, 'import');
+        }
+    };
+
+    const handleSaveTemplate = async ({ id, createdAt, ...template }) => {
+        const templatesCollectionPath = `artifacts/${appId}/public/data/8d-templates`;
+        setTemplateDraft(null);
+        try {
+            if (id) {
+                await updateDoc(doc(db, templatesCollectionPath, id), template);
+            } else {
+                await setDoc(doc(collection(db, templatesCollectionPath)), { ...template, createdAt: serverTimestamp() });
+            }
+        } catch (error) {
+            setAppError(`No se pudo guardar la plantilla: ${error.message}`);
+        }
+    };
+
+    const handleDeleteTemplate = async (id) => {
+        try {
+            await deleteDoc(doc(db, `artifacts/${appId}/public/data/8d-templates`, id));
+        } catch (error) {
+            setAppError(`No se pudo eliminar la plantilla: ${error.message}`);
+        }
+    };
+
+    // The replaced logo is removed from Storage once the profile no longer points at it.
+    const handleSaveCustomer = async ({ id, ...customer }, replacedLogo) => {
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/public/data/8d-customers`, id), customer);
+            if (replacedLogo) await deleteAttachmentFile(storage, replacedLogo);
+        } catch (error) {
+            setAppError(`No se pudo guardar el cliente: ${error.message}`);
+        }
+    };
+
+    const handleDeleteCustomer = async (customer) => {
+        try {
+            await deleteDoc(doc(db, `artifacts/${appId}/public/data/8d-customers`, customer.id));
+            if (customer.logo) await deleteAttachmentFile(storage, customer.logo);
+        } catch (error) {
+            setAppError(`No se pudo eliminar el cliente: ${error.message}`);
+        }
+    };
+
+    const handleSaveDefectCategory = async (category) => {
+        try {
+            await setDoc(doc(db, getDefectCategoriesPath(appId), category.id), toDefectCategoryDocument(category));
+        } catch (error) {
+            setAppError(`No se pudo guardar la categoría: ${error.message}`);
+        }
+    };
+
+    const handleDeleteDefectCategory = async (id) => {
+        try {
+            await deleteDoc(doc(db, getDefectCategoriesPath(appId), id));
+        } catch (error) {
+            setAppError(`No se pudo eliminar la categoría: ${error.message}`);
+        }
+    };
+
+    const handleSavePlantConfig = async (config) => {
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/public/data/8d-plants`, config.id), toPlantDocument(config));
+        } catch (error) {
+            setAppError(`No se pudo guardar la planta: ${error.message}`);
+        }
+    };
+
+    const handleDeletePlantConfig = async (id) => {
+        try {
+            await deleteDoc(doc(db, `artifacts/${appId}/public/data/8d-plants`, id));
         } catch (error) {
-            console.error("Error creating new report: ", error);
+            setAppError(`No se pudo eliminar la planta: ${error.message}`);
         }
     };
+
+    const handleSaveReportAsTemplate = (report) => {
+        setTemplateDraft({
+            ...createTemplate({ orgId: profile.orgId, userId, userName: profile.displayName }),
+            ...templateFromReport(report),
+            name: report.title,
+        });
+    };
     
-    const handleSelectReport = (id) => {
+    const handleSelectReport = (id, disciplineId = '') => {
         setActiveReportId(id);
+        setOpenDiscipline(disciplineId);
         setView('workspace');
     };
+
+    // --- Notification Handlers ---
+    const handleMarkNotificationsRead = (ids) => {
+        markNotificationsRead(db, appId, userId, ids).catch((error) => {
+            setAppError(`No se pudieron marcar las notificaciones como leídas: ${error.message}`);
+        });
+    };
+
+    const handleOpenNotification = (notification) => {
+        if (!notification.read) handleMarkNotificationsRead([notification.id]);
+        if (notification.reportId) handleSelectReport(notification.reportId, notification.disciplineId);
+    };
     
-    const handleDeleteReport = async (id) => {
-        if(!db) return;
-        const reportDocPath = `artifacts/${appId}/public/data/8d-reports/${id}`;
+    // Deleting sends the report to the trash; the document and its history are kept.
+    const setReportDeleted = async (report, deleted) => {
+        if (!db) return;
+        const reportDocPath = `artifacts/${appId}/public/data/8d-reports/${report.id}`;
+        const fields = deleted
+            ? { deleted: true, deletedAt: new Date().toISOString(), deletedBy: userId }
+            : { deleted: false, deletedAt: '', deletedBy: '' };
         try {
-            await deleteDoc(doc(db, reportDocPath));
-        } catch(error) {
-            console.error("Error deleting report:", error);
+            await writeWithHistory(db, reportDocPath, report, fields, profile, deleted ? 'delete' : 'undelete');
+        } catch (error) {
+            setAppError(`No se pudo ${deleted ? 'eliminar' : 'recuperar'} el informe: ${error.message}`);
         }
     };
 
+    const handleDeleteReport = (id) => {
+        const report = reports.find(r => r.id === id);
+        if (report) setReportDeleted(report, true);
+    };
+
+    const handleRestoreReport = (report) => setReportDeleted(report, false);
+
     const handleGoToDashboard = () => {
         setView('dashboard');
         setActiveReportId(null);
         setActiveReport(null);
     };
 
-    if (!isAuthReady) {
+    if (!isAuthReady || (authUser && (userProfile === undefined || (userProfile && member === undefined)))) {
         return (
             <div className="flex items-center justify-center h-screen bg-gray-900 text-white">
                 <div className="text-center">
@@ -175,31 +840,231 @@ export default function App() {
         );
     }
 
+    if (!authUser) {
+        return <AuthScreen auth={auth} />;
+    }
+
+    if (!userProfile) {
+        return (
+            <div className="min-h-screen bg-gray-900">
+                <ErrorBanner message={appError} onDismiss={() => setAppError(null)} />
+                <ProfileForm email={authUser.email} onSave={handleSaveProfile} />
+            </div>
+        );
+    }
+
+    const organizationPicker = (onCancel) => (
+        <OrganizationPicker
+            invitations={invitations}
+            emailVerified={emailVerified}
+            onCreate={handleCreateOrganization}
+            onAccept={handleAcceptInvitation}
+            onDecline={handleDeclineInvitation}
+            onSendVerification={handleSendVerification}
+            onCancel={onCancel}
+        />
+    );
+
+    if (!profile) {
+        return (
+            <div className="min-h-screen bg-gray-900">
+                <ErrorBanner message={appError} onDismiss={() => setAppError(null)} />
+                {organizationPicker(null)}
+            </div>
+        );
+    }
+
+    const defaultPlantId = profile.plantIds[0] || findPlantConfig(plantConfigs, { plant: profile.plant })?.id || '';
+
     return (
         <div className="min-h-screen bg-gray-900 text-gray-100 font-sans">
+            {isNewReportOpen && (
+                <NewReportDialog templates={templates} reports={reports} plants={plantConfigs} defaultPlantId={defaultPlantId} onCreate={handleCreateNewReport} onClose={() => setIsNewReportOpen(false)} />
+            )}
+            {isImportOpen && (
+                <ImportDialog user={profile} loadExistingReports={loadExistingReports} onImport={handleImportReports} onClose={() => setIsImportOpen(false)} />
+            )}
+            {isExportOpen && (
+                <ExportDialog reports={reports} fileName="informes-8d" onClose={() => setIsExportOpen(false)} onError={setAppError} />
+            )}
+            {templateDraft && (
+                <TemplateEditor template={templateDraft} profiles={profiles} onSave={handleSaveTemplate} onCancel={() => setTemplateDraft(null)} />
+            )}
+            {isOrgPickerOpen && organizationPicker(() => setIsOrgPickerOpen(false))}
+            {isEditingProfile && (
+                <ProfileForm profile={profile} email={authUser.email} onSave={handleSaveProfile} onCancel={() => setIsEditingProfile(false)} />
+            )}
             <header className="bg-gray-800/50 backdrop-blur-sm border-b border-gray-700 p-4 flex justify-between items-center sticky top-0 z-20">
                 <div className="flex items-center gap-3">
                     <BrainCircuit className="h-8 w-8 text-indigo-400" />
                     <h1 className="text-xl font-bold tracking-wider">Plataforma 8D Interactiva</h1>
+                    <OrganizationSwitcher
+                        organizations={organizations}
+                        activeOrgId={orgId}
+                        pendingCount={invitations.length}
+                        onSwitch={handleSwitchOrganization}
+                        onOpenPicker={() => setIsOrgPickerOpen(true)}
+                    />
+                </div>
+                <div className="flex items-center gap-4">
+                    <button onClick={handleGoToDashboard} className={`flex items-center gap-2 text-sm hover:text-white ${view === 'dashboard' ? 'text-white font-semibold' : 'text-gray-300'}`}>
+                        <Home size={18} /> Panel
+                    </button>
+                    <button onClick={() => { handleGoToDashboard(); setView('actions'); }} className={`flex items-center gap-2 text-sm hover:text-white ${view === 'actions' ? 'text-white font-semibold' : 'text-gray-300'}`}>
+                        <ClipboardList size={18} /> Acciones
+                    </button>
+                    {!isSupplier && (
+                        <>
+                            <button onClick={() => { handleGoToDashboard(); setView('analytics'); }} className={`flex items-center gap-2 text-sm hover:text-white ${view === 'analytics' ? 'text-white font-semibold' : 'text-gray-300'}`}>
+                                <BarChart3 size={18} /> Analítica
+                            </button>
+                            <button onClick={() => { handleGoToDashboard(); setView('templates'); }} className={`flex items-center gap-2 text-sm hover:text-white ${view === 'templates' ? 'text-white font-semibold' : 'text-gray-300'}`}>
+                                <LayoutTemplate size={18} /> Plantillas
+                            </button>
+                            <button onClick={() => { handleGoToDashboard(); setView('customers'); }} className={`flex items-center gap-2 text-sm hover:text-white ${view === 'customers' ? 'text-white font-semibold' : 'text-gray-300'}`}>
+                                <Building2 size={18} /> Clientes
+                            </button>
+                            <button onClick={() => { handleGoToDashboard(); setView('plants'); }} className={`flex items-center gap-2 text-sm hover:text-white ${view === 'plants' ? 'text-white font-semibold' : 'text-gray-300'}`}>
+                                <Factory size={18} /> Plantas
+                            </button>
+                            <button onClick={() => { handleGoToDashboard(); setView('defects'); }} className={`flex items-center gap-2 text-sm hover:text-white ${view === 'defects' ? 'text-white font-semibold' : 'text-gray-300'}`}>
+                                <Tags size={18} /> Defectos
+                            </button>
+                            <button onClick={() => { handleGoToDashboard(); setView('trash'); }} className={`flex items-center gap-2 text-sm hover:text-white ${view === 'trash' ? 'text-white font-semibold' : 'text-gray-300'}`}>
+                                <Trash2 size={18} /> Papelera
+                            </button>
+                        </>
+                    )}
+                    {canManageUsers && (
+                        <button onClick={() => { handleGoToDashboard(); setView('users'); }} className="flex items-center gap-2 text-sm text-gray-300 hover:text-white">
+                            <Users size={18} /> Usuarios
+                        </button>
+                    )}
+                    <NotificationCenter notifications={notifications} onOpen={handleOpenNotification} onMarkAllRead={handleMarkNotificationsRead} />
+                    <button onClick={() => setIsEditingProfile(true)} className="flex items-center gap-2 text-sm text-gray-300 hover:text-white" title="Mi perfil">
+                        <UserCircle size={18} />
+                        <span>{profile.displayName}</span>
+                        <span className="text-xs text-gray-500">{getRoleLabel(profile.role)}</span>
+                    </button>
+                    <button onClick={handleSignOut} className="text-gray-400 hover:text-white" title="Cerrar sesión">
+                        <LogOut size={18} />
+                    </button>
                 </div>
-                {userId && <p className="text-xs text-gray-400 font-mono">Usuario ID: {userId}</p>}
             </header>
             
             <main className="p-4 sm:p-6 lg:p-8">
+                <ErrorBanner message={appError} onDismiss={() => setAppError(null)} />
+                {isSupplier && (
+                    <div className="mb-6 p-3 rounded-lg bg-indigo-900/40 border border-indigo-700 text-sm text-indigo-200 flex items-center gap-2">
+                        <Truck size={16} /> Portal de proveedores: ves los 8D que {activeOrganization?.name || 'tu cliente'} te ha solicitado. Envía cada disciplina para su revisión antes de su plazo.
+                    </div>
+                )}
                 {view === 'dashboard' ? (
                     <Dashboard 
                         reports={reports} 
+                        profile={profile}
+                        profiles={profiles}
+                        filters={filters}
+                        defectCategories={defectCategories}
+                        onFiltersChange={handleFiltersChange}
+                        hasMore={hasMoreReports}
+                        onLoadMore={handleLoadMore}
                         onSelectReport={handleSelectReport} 
-                        onCreateNew={handleCreateNewReport}
+                        onCreateNew={() => setIsNewReportOpen(true)}
+                        onImport={() => setIsImportOpen(true)}
+                        onExport={() => setIsExportOpen(true)}
                         onDeleteReport={handleDeleteReport}
                         isLoading={isLoading}
                     />
+                ) : view === 'actions' ? (
+                    <ActionTracker
+                        reports={trackerReports}
+                        profile={profile}
+                        isLoading={isTrackerLoading}
+                        onSelectReport={handleSelectReport}
+                        onUpdateAction={handleUpdateAction}
+                    />
+                ) : view === 'analytics' ? (
+                    <AnalyticsView
+                        reports={analyticsReports}
+                        isLoading={isAnalyticsLoading}
+                        range={analyticsRange}
+                        onRangeChange={setAnalyticsRange}
+                    />
+                ) : view === 'templates' ? (
+                    <TemplateManager
+                        templates={templates}
+                        profile={profile}
+                        profiles={profiles}
+                        onSave={handleSaveTemplate}
+                        onDelete={handleDeleteTemplate}
+                    />
+                ) : view === 'customers' ? (
+                    <CustomerFormats
+                        customers={customers}
+                        profile={profile}
+                        storage={storage}
+                        appId={appId}
+                        onSave={handleSaveCustomer}
+                        onDelete={handleDeleteCustomer}
+                        onError={setAppError}
+                    />
+                ) : view === 'plants' ? (
+                    <PlantSettings
+                        configs={plantConfigs}
+                        profile={profile}
+                        onSave={handleSavePlantConfig}
+                        onDelete={handleDeletePlantConfig}
+                    />
+                ) : view === 'defects' ? (
+                    <DefectCatalog
+                        catalog={defectCategories}
+                        profile={profile}
+                        onSave={handleSaveDefectCategory}
+                        onDelete={handleDeleteDefectCategory}
+                    />
+                ) : view === 'trash' ? (
+                    <Trash
+                        reports={trashReports}
+                        profile={profile}
+                        profiles={profiles}
+                        isLoading={isTrashLoading}
+                        onSelectReport={handleSelectReport}
+                        onRestoreReport={handleRestoreReport}
+                    />
+                ) : view === 'users' ? (
+                    <UserAdmin
+                        organization={activeOrganization || { name: '' }}
+                        members={profiles}
+                        plants={plantConfigs}
+                        currentUserId={userId}
+                        onChangeMember={handleUpdateMember}
+                        onRemoveMember={handleRemoveMember}
+                    >
+                        <InvitationManager invitations={orgInvitations} plants={plantConfigs} onInvite={handleInvite} onCancel={handleCancelInvitation} />
+                        {userProfile.role === 'quality_manager' && activeOrganization && <UnassignedDataPanel organization={activeOrganization} onAdopt={handleAdoptUnassigned} />}
+                    </UserAdmin>
                 ) : (
                     <Workspace 
+                        key={activeReportId}
                         report={activeReport}
+                        hasPendingWrites={activeReportHasPendingWrites}
                         reportId={activeReportId}
+                        initialDiscipline={openDiscipline}
                         db={db}
+                        storage={storage}
+                        userId={userId}
+                        profile={profile}
+                        profiles={profiles}
+                        customers={customers}
+                        plantConfigs={plantConfigs}
+                        defectCategories={defectCategories}
+                        scope={scope}
+                        onInviteSupplier={handleInviteSupplier}
+                        onOpenReport={handleSelectReport}
                         onGoToDashboard={handleGoToDashboard}
+                        onSaveAsTemplate={handleSaveReportAsTemplate}
+                        onError={setAppError}
                         appId={appId}
                     />
                 )}
@@ -208,33 +1073,8 @@ export default function App() {
     );
 }
 
-// --- Reusable Modal Component ---
-const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, children }) => {
-    if (!isOpen) return null;
-
-    return (
-        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
-            <div className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-md mx-4">
-                <h3 className="text-lg font-bold text-white">{title}</h3>
-                <div className="mt-2 text-sm text-gray-300">
-                    {children}
-                </div>
-                <div className="mt-6 flex justify-end gap-3">
-                    <button onClick={onClose} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">
-                        Cancelar
-                    </button>
-                    <button onClick={onConfirm} className="px-4 py-2 bg-red-600 text-white font-semibold rounded-md hover:bg-red-500 transition">
-                        Confirmar
-                    </button>
-                </div>
-            </div>
-        </div>
-    );
-};
-
-
 // --- Dashboard Component ---
-const Dashboard = ({ reports, onSelectReport, onCreateNew, onDeleteReport, isLoading }) => {
+const Dashboard = ({ reports, profile, profiles, filters, defectCategories, onFiltersChange, hasMore, onLoadMore, onSelectReport, onCreateNew, onImport, onExport, onDeleteReport, isLoading }) => {
     const [modalOpen, setModalOpen] = useState(false);
     const [reportToDelete, setReportToDelete] = useState(null);
 
@@ -258,144 +1098,818 @@ const Dashboard = ({ reports, onSelectReport, onCreateNew, onDeleteReport, isLoa
                 isOpen={modalOpen}
                 onClose={() => setModalOpen(false)}
                 onConfirm={confirmDelete}
-                title="Confirmar Eliminación"
+                title="Enviar a la papelera"
             >
-                <p>¿Estás seguro de que quieres eliminar este informe? Esta acción no se puede deshacer.</p>
+                <p>¿Quieres eliminar este informe? Se moverá a la papelera y podrás recuperarlo desde allí.</p>
             </ConfirmationModal>
 
             <div className="flex justify-between items-center mb-6">
                 <h2 className="text-3xl font-bold text-white">Panel de Informes 8D</h2>
+                <div className="flex items-center gap-3">
+                <button onClick={onExport} disabled={reports.length === 0} title="Exporta los informes cargados con los filtros actuales" className="flex items-center gap-2 px-4 py-2 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-600 transition-all disabled:opacity-50">
+                    <Download size={18} /> Exportar
+                </button>
+                {can('create', null, profile) && (
+                <button onClick={onImport} className="flex items-center gap-2 px-4 py-2 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-600 transition-all">
+                    <Upload size={18} /> Importar
+                </button>
+                )}
+                {can('create', null, profile) && (
                 <button onClick={onCreateNew} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-400 focus:ring-opacity-75 transition-all">
                     <PlusCircle size={20} />
                     Nuevo Informe 8D
                 </button>
+                )}
+                </div>
             </div>
-            {isLoading ? (
+            <DashboardFilters filters={filters} profiles={profiles} defectCategories={defectCategories} onChange={onFiltersChange} />
+            {isLoading && reports.length === 0 ? (
                 <p className="text-center text-gray-400">Cargando informes...</p>
+            ) : reports.length === 0 && hasActiveFilters(filters) ? (
+                <div className="text-center py-16 border-2 border-dashed border-gray-700 rounded-lg">
+                    <h3 className="text-xl font-semibold text-gray-300">Ningún informe coincide con los filtros.</h3>
+                    <button onClick={() => onFiltersChange({ ...DEFAULT_FILTERS, sort: filters.sort })} className="mt-2 text-indigo-400 hover:text-indigo-300 font-semibold">Limpiar filtros</button>
+                </div>
             ) : reports.length === 0 ? (
                 <div className="text-center py-16 border-2 border-dashed border-gray-700 rounded-lg">
                     <h3 className="text-xl font-semibold text-gray-300">No hay informes 8D todavía.</h3>
                     <p className="text-gray-500 mt-2">¡Crea tu primer informe para empezar a resolver problemas!</p>
                 </div>
             ) : (
+                <>
+                {reports.some(isRecurrence) && (
+                    <p className="flex items-center gap-2 text-sm text-purple-300 mb-4">
+                        <Repeat size={16} /> {reports.filter(isRecurrence).length} de los {reports.length} informes mostrados repiten un problema anterior.
+                    </p>
+                )}
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                     {reports.map(report => (
                         <div key={report.id} onClick={() => onSelectReport(report.id)} className="group bg-gray-800 rounded-xl p-6 cursor-pointer hover:bg-gray-700/80 transition-all duration-300 border border-gray-700 shadow-lg hover:shadow-indigo-500/20 hover:-translate-y-1 relative">
-                            <button onClick={(e) => openDeleteModal(e, report.id)} className="absolute top-3 right-3 text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity">
-                                <Trash2 size={18} />
-                            </button>
+                            {can('delete', report, profile) && (
+                                <button onClick={(e) => openDeleteModal(e, report.id)} className="absolute top-3 right-3 text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity">
+                                    <Trash2 size={18} />
+                                </button>
+                            )}
                             <h3 className="font-bold text-lg text-indigo-300 truncate pr-8">{report.title}</h3>
-                            <p className="text-sm text-gray-400 mt-2">Disciplina Actual: <span className="font-semibold text-gray-200">{report.currentDiscipline || 'N/A'}</span></p>
-                            <p className="text-xs text-gray-500 mt-3">Creado por: <span className="font-mono">{report.createdBy?.substring(0, 12)}...</span></p>
+                            {getSeverity(report.severity) && (
+                                <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-semibold ${getSeverity(report.severity).className}`}>Severidad {getSeverity(report.severity).label}</span>
+                            )}
+                            <p className="text-sm text-gray-400 mt-2">Disciplina Actual: <span className="font-semibold text-gray-200">{isClosed(report) ? '—' : report.currentDiscipline}</span></p>
+                            <p className="text-sm text-gray-400 mt-1">Estado: <span className="font-semibold text-gray-200">{getStatusLabel(report.status)}</span></p>
+                            {report.customer && <p className="text-sm text-gray-400 mt-1">Cliente: <span className="font-semibold text-gray-200">{report.customer}</span></p>}
+                            {countOverdueActions(report) > 0 && (
+                                <p className="inline-flex items-center gap-1 mt-2 px-2 py-0.5 rounded-full bg-red-900/60 text-red-300 text-xs font-semibold">
+                                    <AlertTriangle size={12} /> {countOverdueActions(report)} acción(es) vencida(s)
+                                </p>
+                            )}
+                            {describeRecurrence(report) && (
+                                <p className="inline-flex items-center gap-1 mt-2 px-2 py-0.5 rounded-full bg-purple-900/60 text-purple-300 text-xs font-semibold">
+                                    <Repeat size={12} /> {describeRecurrence(report)}
+                                </p>
+                            )}
+                            {isSupplierReport(report) && !isClosed(report) && <div><SupplierCardBadge report={report} /></div>}
+                            <ApprovalSummary report={report} />
+                            <p className="text-xs text-gray-500 mt-3">Creado por: <span className="font-semibold text-gray-400">{report.createdByName || 'Desconocido'}</span> · Tu rol: {getRoleLabel(getReportRole(report, profile))}</p>
                         </div>
                     ))}
                 </div>
+                {hasMore && (
+                    <div className="text-center mt-8">
+                        <button onClick={onLoadMore} disabled={isLoading} className="px-4 py-2 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-600 transition-all disabled:opacity-50">
+                            {isLoading ? 'Cargando...' : 'Cargar más informes'}
+                        </button>
+                    </div>
+                )}
+                </>
             )}
         </div>
     );
 };
 
+// --- Dashboard Filter Bar ---
+const DashboardFilters = ({ filters, profiles, defectCategories, onChange }) => {
+    const [searchText, setSearchText] = useState(filters.search);
+
+    useEffect(() => {
+        setSearchText(filters.search);
+    }, [filters.search]);
+
+    const setFilter = (key, value) => onChange({ ...filters, [key]: value });
+    const profileOptions = profiles.map(p => ({ value: p.uid, label: p.displayName }));
+
+    return (
+        <div className="bg-gray-800/50 border border-gray-700 rounded-xl p-4 mb-6 space-y-4">
+            <form onSubmit={(e) => { e.preventDefault(); setFilter('search', searchText.trim()); }} className="flex gap-3">
+                <div className="relative flex-1">
+                    <Search size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" />
+                    <input
+                        type="search"
+                        value={searchText}
+                        onChange={(e) => setSearchText(e.target.value)}
+                        placeholder="Buscar por título o descripción del problema..."
+                        className="w-full bg-gray-900 border border-gray-600 rounded-md pl-10 pr-3 py-2 text-white focus:ring-indigo-500 focus:border-indigo-500 transition"
+                    />
+                </div>
+                <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-500 transition-all">Buscar</button>
+            </form>
+            <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3">
+                <SelectField label="Estado" value={filters.status} onChange={(e) => setFilter('status', e.target.value)} placeholder="Todos" options={REPORT_STATUSES.map(s => ({ value: s.id, label: s.label }))} />
+                <SelectField label="Disciplina" value={filters.discipline} onChange={(e) => setFilter('discipline', e.target.value)} placeholder="Todas" options={DISCIPLINE_IDS.map(id => ({ value: id, label: id }))} />
+                <SelectField label="Creador" value={filters.createdBy} onChange={(e) => setFilter('createdBy', e.target.value)} placeholder="Todos" options={profileOptions} />
+                <SelectField label="Miembro del equipo" value={filters.member} onChange={(e) => setFilter('member', e.target.value)} placeholder="Todos" options={profileOptions} />
+                <InputField label="Cliente" value={filters.customer} onChange={(e) => setFilter('customer', e.target.value)} placeholder="Exacto" />
+                <InputField label="Nº de parte" value={filters.partNumber} onChange={(e) => setFilter('partNumber', e.target.value)} placeholder="Exacto" />
+                {defectCategories.length > 0 ? (
+                    <SelectField label="Categoría de defecto" value={filters.defectCategory} onChange={(e) => setFilter('defectCategory', e.target.value)} placeholder="Todas" options={getDefectCategoryOptions(defectCategories, filters.defectCategory)} />
+                ) : (
+                    <InputField label="Categoría de defecto" value={filters.defectCategory} onChange={(e) => setFilter('defectCategory', e.target.value)} placeholder="Exacta" />
+                )}
+                <SelectField label="Severidad" value={filters.severity} onChange={(e) => setFilter('severity', e.target.value)} placeholder="Todas" options={SEVERITIES.map(s => ({ value: s.id, label: s.label }))} />
+                <InputField label="Desde" type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} />
+                <InputField label="Hasta" type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} />
+                <SelectField label="Ordenar por" value={filters.sort} onChange={(e) => setFilter('sort', e.target.value)} options={SORT_OPTIONS} />
+            </div>
+        </div>
+    );
+};
+
 // --- PDF Generation Logic ---
-const generatePdf = (report) => {
+const PDF_PAGE_WIDTH = 210;
+const PDF_PAGE_HEIGHT = 297;
+const PDF_MARGIN = 14;
+const PDF_CONTENT_TOP = 28;
+const PDF_CONTENT_BOTTOM = 275;
+
+const d2QuestionLabels = {
+    what: '¿Qué?', where: '¿Dónde?', when: '¿Cuándo?', who: '¿Quién?',
+    why: '¿Por qué?', how: '¿Cómo?', how_many: '¿Cuántos?'
+};
+
+// Draws the Ishikawa diagram with the editor's layout scaled to the page
+// width: head with the problem on the right, one bone per category, causes
+// coloured by status and root causes in red.
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+const drawFishbone = (doc, fishbone, problem, top) => {
+    const scale = (PDF_PAGE_WIDTH - PDF_MARGIN * 2) / FISHBONE_WIDTH;
+    const px = (x) => PDF_MARGIN + x * scale;
+    const py = (y) => top + y * scale;
+    const layout = layoutFishbone(fishbone);
+    const { spine, head } = layout;
+
+    doc.setDrawColor(40);
+    doc.setLineWidth(0.8);
+    doc.line(px(spine.start.x), py(spine.start.y), px(spine.end.x), py(spine.end.y));
+
+    doc.setLineWidth(0.4);
+    doc.rect(px(head.x), py(head.y), head.width * scale, head.height * scale);
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'bold');
+    const headText = doc.splitTextToSize(problem || 'Problema', head.width * scale - 4).slice(0, 5);
+    doc.text(headText, px(head.x) + 2, py(head.y) + 5);
+    doc.setFont(undefined, 'normal');
+
+    layout.bones.forEach(bone => {
+        doc.setDrawColor(40);
+        doc.setLineWidth(0.5);
+        doc.line(px(bone.start.x), py(bone.start.y), px(bone.end.x), py(bone.end.y));
+
+        doc.setTextColor(0);
+        doc.setFontSize(9);
+        doc.setFont(undefined, 'bold');
+        doc.text(doc.splitTextToSize(bone.category.name, 40)[0], px(bone.start.x), bone.isTop ? py(bone.start.y) - 2 : py(bone.start.y) + 5, { align: 'center' });
+        doc.setFont(undefined, 'normal');
+
+        bone.causes.forEach(({ cause, x, y }) => {
+            const color = hexToRgb(cause.isRootCause ? ROOT_CAUSE_COLOR : getCauseStatus(cause.status).color);
+            doc.setDrawColor(...color);
+            doc.setTextColor(...color);
+            doc.setLineWidth(cause.isRootCause ? 0.5 : 0.2);
+            doc.line(px(x) - 16, py(y), px(x), py(y));
+            doc.setFontSize(7);
+            doc.setFont(undefined, cause.isRootCause ? 'bold' : 'normal');
+            doc.text(doc.splitTextToSize(cause.text, 26)[0] || '', px(x) - 1, py(y) - 0.8, { align: 'right' });
+            const subCauses = fishbone.causes.filter(c => c.parentId === cause.id).slice(0, 3);
+            doc.setFontSize(6);
+            doc.setFont(undefined, 'normal');
+            subCauses.forEach((sub, i) => doc.text(`› ${doc.splitTextToSize(sub.text, 24)[0] || ''}`, px(x) - 1, py(y) + 2.6 + i * 2.4, { align: 'right' }));
+        });
+    });
+
+    doc.setDrawColor(0);
+    doc.setTextColor(0);
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(11);
+    return top + FISHBONE_HEIGHT * scale;
+};
+
+// Draws the run chart of an effectiveness check across the page: the
+// measurements before the change in grey and after it in indigo, with the
+// baseline and the target as dashed lines.
+const RUN_CHART_HEIGHT = 45;
+
+const drawRunChart = (doc, check, top) => {
+    const layout = layoutRunChart(check, { width: PDF_PAGE_WIDTH - PDF_MARGIN * 2, height: RUN_CHART_HEIGHT, pad: { top: 3, right: 2, bottom: 7, left: 24 } });
+    const { plot, points } = layout;
+    const px = (x) => PDF_MARGIN + x;
+    const py = (y) => top + y;
+    const dashed = (y, color, label) => {
+        doc.setDrawColor(...hexToRgb(color));
+        doc.setTextColor(...hexToRgb(color));
+        doc.setLineDashPattern([1.5, 1], 0);
+        doc.line(px(plot.left), py(y), px(plot.right), py(y));
+        doc.setLineDashPattern([], 0);
+        doc.text(label, px(plot.right), py(y) - 1, { align: 'right' });
+    };
+
+    doc.setDrawColor(120);
+    doc.setLineWidth(0.3);
+    doc.line(px(plot.left), py(plot.bottom), px(plot.right), py(plot.bottom));
+    doc.line(px(plot.left), py(plot.top), px(plot.left), py(plot.bottom));
+    doc.setFontSize(7);
+    doc.setTextColor(90);
+    doc.text(formatMetricValue(check, layout.max), px(plot.left) - 1.5, py(plot.top) + 2, { align: 'right' });
+    doc.text(formatMetricValue(check, layout.min), px(plot.left) - 1.5, py(plot.bottom), { align: 'right' });
+    if (layout.baseline !== null) dashed(layout.baseline, '#d97706', 'Línea base');
+    if (layout.target !== null) dashed(layout.target, '#16a34a', 'Objetivo');
+    if (layout.divider !== null) {
+        doc.setDrawColor(120);
+        doc.setTextColor(90);
+        doc.line(px(layout.divider), py(plot.top), px(layout.divider), py(plot.bottom));
+        doc.text('Antes', px(layout.divider) - 1.5, py(plot.bottom) + 4, { align: 'right' });
+        doc.text('Después', px(layout.divider) + 1.5, py(plot.bottom) + 4);
+    }
+
+    doc.setLineWidth(0.5);
+    points.forEach((point, i) => {
+        const color = hexToRgb(point.phase === 'before' ? '#6b7280' : '#4f46e5');
+        const previous = points[i - 1];
+        doc.setDrawColor(...color);
+        doc.setFillColor(...color);
+        if (previous && previous.phase === point.phase) doc.line(px(previous.x), py(previous.y), px(point.x), py(point.y));
+        doc.circle(px(point.x), py(point.y), 0.8, 'F');
+    });
+
+    doc.setDrawColor(0);
+    doc.setTextColor(0);
+    doc.setLineWidth(0.2);
+    doc.setFontSize(11);
+    return top + RUN_CHART_HEIGHT;
+};
+
+const actionRow = (a) => [
+    a.action,
+    a.responsible,
+    a.date,
+    a.status === 'verified' ? `${getActionStatusLabel(a.status)} (${a.verifiedAt})` : getActionStatusLabel(a.status),
+    a.evidence,
+];
+
+// Image formats jsPDF can embed; other images are only listed in the appendix.
+const PDF_IMAGE_FORMATS = { 'image/jpeg': 'JPEG', 'image/png': 'PNG', 'image/webp': 'WEBP' };
+
+// Draws an image scaled to fit a box, anchored to its right edge.
+const drawLogo = (doc, logo, image, right, top, maxWidth, maxHeight) => {
+    const scale = Math.min(maxWidth / image.width, maxHeight / image.height);
+    doc.addImage(image.dataUrl, PDF_IMAGE_FORMATS[logo.contentType], right - image.width * scale, top, image.width * scale, image.height * scale);
+};
+
+// `layout` comes from `resolveLayout` (src/outputFormats.js); `images` maps
+// attachment and logo ids to the data URLs loaded by `loadAttachmentImages`.
+const generatePdf = (report, layout, images = {}) => {
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF();
+    const reportNumber = report.reportNumber || report.id;
+    const team = report.d1_team || [];
+    const { sections } = layout;
+    const logoImage = layout.logo && PDF_IMAGE_FORMATS[layout.logo.contentType] ? images[layout.logo.id] : null;
 
-    // Title
-    doc.setFontSize(22);
-    doc.text("Informe 8D", 105, 20, { align: 'center' });
+    // Cover page
+    if (logoImage) drawLogo(doc, layout.logo, logoImage, PDF_PAGE_WIDTH - PDF_MARGIN, PDF_MARGIN, 60, 25);
+    doc.setFontSize(26);
+    doc.setFont(undefined, 'bold');
+    doc.text(layout.title, PDF_PAGE_WIDTH / 2, 60, { align: 'center' });
+    doc.setFont(undefined, 'normal');
     doc.setFontSize(16);
-    doc.text(report.title, 105, 30, { align: 'center' });
+    doc.text(doc.splitTextToSize(report.title || '', 170), PDF_PAGE_WIDTH / 2, 75, { align: 'center' });
+    doc.autoTable({
+        startY: 100,
+        body: layout.headerRows,
+        theme: 'grid',
+        columnStyles: { 0: { fontStyle: 'bold', cellWidth: 50 } },
+        margin: { left: 35, right: 35 }
+    });
+
+    doc.addPage();
+    let y = PDF_CONTENT_TOP;
 
-    let y = 45;
+    const ensureSpace = (height) => {
+        if (y + height > PDF_CONTENT_BOTTOM) { doc.addPage(); y = PDF_CONTENT_TOP; }
+    };
 
     const addSection = (title) => {
-        if (y > 250) { doc.addPage(); y = 20; }
+        ensureSpace(30);
         doc.setFontSize(14);
         doc.setFont(undefined, 'bold');
-        doc.text(title, 14, y);
+        doc.text(title, PDF_MARGIN, y);
         y += 7;
         doc.setFont(undefined, 'normal');
         doc.setFontSize(11);
     };
-    
+
+    const addTable = (options) => {
+        doc.autoTable({ startY: y, theme: 'grid', margin: { top: PDF_CONTENT_TOP, bottom: PDF_PAGE_HEIGHT - PDF_CONTENT_BOTTOM }, ...options });
+        y = doc.autoTable.previous.finalY + 10;
+    };
+
+    const addTextBlock = (label, text) => {
+        const lines = doc.splitTextToSize(text || '—', 180);
+        ensureSpace(lines.length * 5 + 8);
+        doc.setFont(undefined, 'bold');
+        doc.text(label, PDF_MARGIN, y);
+        y += 6;
+        doc.setFont(undefined, 'normal');
+        doc.text(lines, PDF_MARGIN + 2, y);
+        y += lines.length * 5 + 4;
+    };
+
+    // The plant's sub-steps of a discipline, after its content.
+    const addSubSteps = (disciplineId) => {
+        const steps = getDiscipline(report, disciplineId).steps;
+        if (steps.length === 0) return;
+        addTable({
+            head: [['Subpaso', 'Realizado']],
+            body: steps.map(step => [step.name, report.substeps[step.id] ? new Date(report.substeps[step.id].at).toLocaleDateString() : 'No']),
+        });
+    };
+
+    // D0: Symptom, emergency response and decision, for formats that print it
+    if (layout.includeD0) {
+        addSection(sections.D0);
+        addTextBlock("Síntoma:", report.d0_emergency.symptom);
+        addTable({ head: [['Acción de Respuesta de Emergencia', 'Responsable', 'Fecha', 'Estado', 'Evidencia']], body: report.d0_emergency_actions.map(actionRow) });
+        addTextBlock("¿Se requiere un 8D?", [
+            getD0DecisionLabel(report.d0_emergency.decision),
+            report.d0_emergency.decided_at ? `(${new Date(report.d0_emergency.decided_at).toLocaleDateString()})` : '',
+        ].filter(Boolean).join(' '));
+        if (report.d0_emergency.decision_reason) addTextBlock("Justificación:", report.d0_emergency.decision_reason);
+        addSubSteps('D0');
+    }
+
     // D1: Team
-    addSection("D1: Formar el Equipo");
-    doc.autoTable({
-        startY: y,
-        head: [['Nombre', 'Rol']],
-        body: report.d1_team.map(m => [m.name, m.role]),
-        theme: 'grid'
-    });
-    y = doc.autoTable.previous.finalY + 10;
+    addSection(sections.D1);
+    addTable({ head: [['Nombre', 'Rol']], body: team.map(m => [m.name, m.role]) });
+    addSubSteps('D1');
 
     // D2: Problem
-    addSection("D2: Describir el Problema (5W2H)");
-    const d2_body = Object.entries(report.d2_problem).map(([key, value]) => [key, value]);
-    doc.autoTable({ startY: y, head: [['Pregunta', 'Descripción']], body: d2_body, theme: 'grid' });
-    y = doc.autoTable.previous.finalY + 10;
+    addSection(sections.D2);
+    const identification = describeIdentification(report);
+    const impact = describeImpact(report, getSeverity(report.severity)?.label);
+    const labelColumn = { 0: { fontStyle: 'bold', cellWidth: 60 } };
+    if (identification.length > 0) addTable({ head: [['Identificación', '']], body: identification, columnStyles: labelColumn });
+    if (impact.length > 0) addTable({ head: [['Impacto', '']], body: impact, columnStyles: labelColumn });
+    if (hasIsIsNot(report.d2_problem)) {
+        addTable({
+            head: [['Dimensión', 'ES', 'NO ES']],
+            body: IS_IS_NOT_DIMENSIONS.map(d => [d.label, report.d2_problem.is_is_not[d.id].is, report.d2_problem.is_is_not[d.id].is_not]),
+            columnStyles: { 0: { fontStyle: 'bold', cellWidth: 25 } },
+        });
+    }
+    addTable({ head: [['Pregunta', 'Descripción']], body: W2H_QUESTIONS.map(q => [d2QuestionLabels[q.key], report.d2_problem[q.key]]) });
+    if (report.recurrenceLinks.length > 0) {
+        addTable({
+            head: [['Recurrencia', 'Informe 8D', 'Vinculado por']],
+            body: report.recurrenceLinks.map(l => [getRecurrenceRelationLabel(l.relation), l.title, `${l.linkedByName} (${new Date(l.linkedAt).toLocaleDateString()})`]),
+        });
+    }
+    addSubSteps('D2');
 
     // D3: Containment
-    addSection("D3: Acciones de Contención");
-    doc.autoTable({ startY: y, head: [['Acción', 'Responsable', 'Fecha']], body: report.d3_containment.map(a => [a.action, a.responsible, a.date]), theme: 'grid' });
-    y = doc.autoTable.previous.finalY + 10;
+    addSection(sections.D3);
+    addTable({ head: [['Acción', 'Responsable', 'Fecha', 'Estado', 'Evidencia']], body: (report.d3_containment || []).map(actionRow) });
+    addSubSteps('D3');
 
     // D4: Root Cause
-    addSection("D4: Análisis de Causa Raíz");
+    addSection(sections.D4);
+    const fishbone = report.d4_root_cause.fishbone;
+    const whyTree = report.d4_root_cause.why_tree;
     doc.setFont(undefined, 'bold');
-    doc.text("5 Porqués:", 14, y);
+    doc.text("5 Porqués:", PDF_MARGIN, y);
     y += 7;
-    doc.setFont(undefined, 'normal');
-    report.d4_root_cause.five_whys.forEach((why, i) => {
-        const splitWhy = doc.splitTextToSize(`${i+1}. ${why}`, 180);
-        doc.text(splitWhy, 16, y);
-        y += (splitWhy.length * 5) + 2;
+    WHY_CHAINS.forEach(chain => {
+        const nodes = flattenChain(whyTree, chain.id);
+        ensureSpace(12);
+        doc.setFont(undefined, 'bold');
+        doc.setFontSize(10);
+        doc.text(chain.label, 16, y);
+        y += 6;
+        doc.setFont(undefined, 'normal');
+        if (nodes.length === 0) {
+            doc.text('—', 20, y);
+            y += 6;
+        }
+        // Branches are indented under the why they answer.
+        nodes.forEach(({ node, number, depth }) => {
+            const isRootCause = node.isRootCause && isLeaf(whyTree, node.id);
+            const linkedCause = isRootCause && fishbone.causes.find(c => c.id === node.fishboneCauseId);
+            const x = 20 + depth * 6;
+            const lines = doc.splitTextToSize(`${number}. ${node.text || '—'}`, PDF_PAGE_WIDTH - PDF_MARGIN - x);
+            if (isRootCause) lines.push(`Causa raíz${linkedCause ? ` · Ishikawa: ${linkedCause.text}` : ''}`);
+            ensureSpace(lines.length * 5 + 2);
+            doc.setTextColor(...(isRootCause ? hexToRgb(ROOT_CAUSE_COLOR) : [0, 0, 0]));
+            doc.setFont(undefined, isRootCause ? 'bold' : 'normal');
+            doc.text(lines, x, y);
+            y += lines.length * 5 + 1;
+        });
+        doc.setTextColor(0);
+        doc.setFont(undefined, 'normal');
+        y += 3;
+    });
+    doc.setFontSize(11);
+
+    const rootCauses = getRootCauses(fishbone);
+    y += 4;
+    addTable({
+        head: [['Causa Raíz Verificada', 'Categoría', 'Evidencias']],
+        body: rootCauses.length > 0
+            ? rootCauses.map(c => [c.text, getCategoryName(fishbone, c.categoryId), c.evidence.map(l => `${l.label} (${l.url})`).join('\n')])
+            : [['—', '', '']],
     });
 
-    if (y > 250) { doc.addPage(); y = 20; }
-    y += 5;
+    ensureSpace(FISHBONE_HEIGHT * (PDF_PAGE_WIDTH - PDF_MARGIN * 2) / FISHBONE_WIDTH + 10);
     doc.setFont(undefined, 'bold');
-    doc.text("Diagrama de Ishikawa:", 14, y);
-    y += 7;
+    doc.text("Diagrama de Ishikawa:", PDF_MARGIN, y);
+    y += 4;
     doc.setFont(undefined, 'normal');
-    const fishbone_body = Object.entries(report.d4_root_cause.fishbone).map(([category, causes]) => [category, causes.join('\n')]);
-    doc.autoTable({ startY: y, head: [['Categoría', 'Causas Potenciales']], body: fishbone_body, theme: 'grid' });
-    y = doc.autoTable.previous.finalY + 10;
-    
-    // D5-D8 would be added here following the same pattern
+    y = drawFishbone(doc, fishbone, report.d2_problem?.what, y) + 10;
+    addSubSteps('D4');
+
+    // D5: Corrective Actions
+    addSection(sections.D5);
+    const rootCauseTexts = (a) => a.rootCauseIds.map(id => fishbone.causes.find(c => c.id === id)?.text).filter(Boolean).join('\n');
+    addTable({
+        head: [['Acción', 'Causa Raíz', 'Responsable', 'Fecha', 'Estado', 'Evidencia']],
+        body: report.d5_corrective_actions.map(a => { const [action, ...rest] = actionRow(a); return [action, rootCauseTexts(a), ...rest]; }),
+    });
+    addSubSteps('D5');
+
+    // D6: Implementation and Validation
+    addSection(sections.D6);
+    addTextBlock("Resumen de la Implementación:", report.d6_implementation?.summary);
+    addTextBlock("Resultados de la Validación:", report.d6_implementation?.validation_results);
+    const checks = report.d6_implementation.effectiveness_checks;
+    if (checks.length > 0) {
+        const actionText = (check) => report.d5_corrective_actions.find(a => a.id === check.actionId)?.action || '—';
+        addTable({
+            head: [['Acción', 'Métrica', 'Línea base', 'Objetivo', 'Después', 'Cambio', 'Resultado']],
+            body: checks.map(c => {
+                const result = evaluateCheck(c);
+                return [
+                    actionText(c),
+                    c.metric,
+                    formatMetricValue(c, result.baseline),
+                    formatMetricValue(c, c.target),
+                    formatMetricValue(c, result.after),
+                    formatChange(result.change),
+                    [getCheckStatus(result.status).label, result.reason].filter(Boolean).join('\n'),
+                ];
+            }),
+        });
+        checks.filter(c => getChartMeasurements(c).length > 0).forEach(check => {
+            ensureSpace(RUN_CHART_HEIGHT + 12);
+            doc.setFont(undefined, 'bold');
+            doc.text(`${check.metric || 'Métrica'} (${actionText(check)})`.slice(0, 90), PDF_MARGIN, y);
+            doc.setFont(undefined, 'normal');
+            y += 3;
+            y = drawRunChart(doc, check, y) + 8;
+        });
+    }
+    addSubSteps('D6');
+
+    // D7: Prevention
+    addSection(sections.D7);
+    const prevention = report.d7_prevention;
+    addTable({
+        head: [['Tipo', 'Documento', 'Nº', 'Rev. anterior', 'Rev. nueva', 'Responsable', 'Fecha límite', 'Estado']],
+        body: prevention.documents.length > 0
+            ? prevention.documents.map(d => [
+                getDocumentTypeLabel(d.type), d.title, d.number, d.revision_before, d.revision_after, d.responsible, d.due_date,
+                d.closedAt ? `${getDocumentStatus(d.status).label} (${d.closedAt})` : getDocumentStatus(d.status).label,
+            ])
+            : [['—', '', '', '', '', '', '', '']],
+        styles: { fontSize: 8 },
+    });
+    if (prevention.updated_docs) addTextBlock("Otros Documentos Actualizados:", prevention.updated_docs);
+    addTextBlock("Nuevos Estándares Creados:", prevention.new_standards);
+    const lessons = prevention.lessons_learned.filter(l => l.text.trim() !== '');
+    if (lessons.length > 0) {
+        addTable({
+            head: [['Lección aprendida', 'Confirmado']],
+            body: lessons.map(l => [l.text, l.confirmed ? `${l.confirmedByName} (${l.confirmedAt})` : 'No']),
+        });
+    }
+    if (prevention.read_across.length > 0) {
+        addTable({
+            head: [['Producto o línea', 'Acción aplicada', 'Confirmado']],
+            body: prevention.read_across.map(item => [item.target, item.action, item.confirmed ? `${item.confirmedByName} (${item.confirmedAt})` : 'No']),
+        });
+    }
+    addSubSteps('D7');
+
+    // D8: Recognition
+    addSection(sections.D8);
+    addTextBlock("Resumen del Reconocimiento:", report.d8_recognition?.summary);
+    addTextBlock("Fecha de Celebración:", report.d8_recognition?.celebration_date);
+    addSubSteps('D8');
+
+    // Appendix: every attachment, with the images that could be loaded embedded as figures
+    const attachments = collectAttachments(report);
+    if (attachments.length > 0) {
+        doc.addPage();
+        y = PDF_CONTENT_TOP;
+        addSection(sections.attachments);
+        const figures = attachments.filter(({ item }) => images[item.id] && PDF_IMAGE_FORMATS[item.contentType]);
+        const figureNumber = (item) => figures.findIndex(f => f.item.id === item.id) + 1;
+        addTable({
+            head: [['Disciplina', 'Acción', 'Archivo', 'Tamaño', 'Subido por', 'Fecha']],
+            body: attachments.map(({ item, discipline, action }) => [
+                discipline,
+                action || '—',
+                figureNumber(item) > 0 ? `${item.name} (Figura ${figureNumber(item)})` : item.name,
+                formatFileSize(item.size),
+                item.uploadedByName,
+                item.uploadedAt ? new Date(item.uploadedAt).toLocaleDateString() : '',
+            ]),
+        });
+        const maxWidth = PDF_PAGE_WIDTH - PDF_MARGIN * 2;
+        const maxHeight = 110;
+        figures.forEach(({ item, discipline, action }, index) => {
+            const { dataUrl, width, height } = images[item.id];
+            const scale = Math.min(maxWidth / width, maxHeight / height);
+            const caption = doc.splitTextToSize(`Figura ${index + 1}: ${item.name} · ${discipline}${action ? ` · ${action}` : ''}`, maxWidth);
+            ensureSpace(height * scale + caption.length * 5 + 6);
+            doc.addImage(dataUrl, PDF_IMAGE_FORMATS[item.contentType], PDF_MARGIN, y, width * scale, height * scale);
+            y += height * scale + 5;
+            doc.setFontSize(9);
+            doc.text(caption, PDF_MARGIN, y);
+            doc.setFontSize(11);
+            y += caption.length * 5 + 6;
+        });
+    }
+
+    // Approval page: the quality manager's decision on each discipline, then
+    // one sign-off block per D1 team member
+    doc.addPage();
+    y = PDF_CONTENT_TOP;
+    addSection(sections.approval);
+    addTable({
+        head: [['Disciplina', 'Aprobación de Calidad', 'Por', 'Fecha', 'Motivo']],
+        body: getDisciplineIds(report).map(id => {
+            const status = getDisciplineApprovalStatus(report, id);
+            const approval = status === 'approved' || status === 'rejected' ? report.approvals[id] : null;
+            return [
+                `${id}: ${getDiscipline(report, id).name}`,
+                getApprovalStatus(status).label,
+                approval?.byName || '',
+                approval ? new Date(approval.at).toLocaleDateString() : '',
+                approval?.reason || '',
+            ];
+        }),
+    });
+    doc.text("Los abajo firmantes confirman el contenido de este informe 8D.", PDF_MARGIN, y);
+    y += 10;
+    team.forEach(member => {
+        ensureSpace(32);
+        doc.setLineWidth(0.3);
+        doc.rect(PDF_MARGIN, y, PDF_PAGE_WIDTH - PDF_MARGIN * 2, 28);
+        doc.setFont(undefined, 'bold');
+        doc.text(member.name || '—', PDF_MARGIN + 3, y + 7);
+        doc.setFont(undefined, 'normal');
+        doc.text(member.role || '', PDF_MARGIN + 3, y + 13);
+        doc.text("Firma: ______________________________", PDF_MARGIN + 3, y + 23);
+        doc.text("Fecha: ______________", 130, y + 23);
+        y += 34;
+    });
+
+    // Headers and footers on every page after the cover
+    const pageCount = doc.internal.getNumberOfPages();
+    for (let i = 2; i <= pageCount; i++) {
+        doc.setPage(i);
+        doc.setFontSize(9);
+        doc.setTextColor(100);
+        doc.text(`${layout.title} · ${reportNumber}`, PDF_MARGIN, 12);
+        if (logoImage) {
+            drawLogo(doc, layout.logo, logoImage, PDF_PAGE_WIDTH - PDF_MARGIN, 5, 30, 8);
+        } else {
+            doc.text(doc.splitTextToSize(report.title || '', 90)[0], PDF_PAGE_WIDTH - PDF_MARGIN, 12, { align: 'right' });
+        }
+        doc.setDrawColor(180);
+        doc.setLineWidth(0.2);
+        doc.line(PDF_MARGIN, 15, PDF_PAGE_WIDTH - PDF_MARGIN, 15);
+        doc.line(PDF_MARGIN, PDF_PAGE_HEIGHT - 15, PDF_PAGE_WIDTH - PDF_MARGIN, PDF_PAGE_HEIGHT - 15);
+        doc.text(`Página ${i} de ${pageCount}`, PDF_PAGE_WIDTH / 2, PDF_PAGE_HEIGHT - 10, { align: 'center' });
+        doc.setTextColor(0);
+    }
     
-    doc.save(`Informe_8D_${report.id}.pdf`);
+    doc.save(layout.fileName);
 };
 
-// --- Workspace Component ---
-const Workspace = ({ report, reportId, db, onGoToDashboard, appId }) => {
-    const [activeDiscipline, setActiveDiscipline] = useState('D1');
-    const [isGeneratingPdf, setIsGeneratingPdf] = useState(false);
+// --- Workspace Component ---
+const Workspace = ({ report: remoteReport, hasPendingWrites, reportId, initialDiscipline, db, storage, userId, profile, profiles, customers, plantConfigs, defectCategories, scope, onInviteSupplier, onOpenReport, onGoToDashboard, onSaveAsTemplate, onError, appId }) => {
+    const [activeDiscipline, setActiveDiscipline] = useState('D1');
+    const [editingField, setEditingField] = useState('');
+    const reportDocPath = `artifacts/${appId}/public/data/8d-reports/${reportId}`;
+    const { report, status: syncStatus, conflicts, update, writeNow, resolveConflict } = useReportWriter({
+        db,
+        docPath: reportDocPath,
+        report: remoteReport,
+        hasPendingWrites,
+        author: profile,
+        onError,
+    });
+    const others = usePresence({ db, reportPath: reportDocPath, profile, discipline: activeDiscipline, field: editingField });
+    const fieldEditors = useMemo(() => groupByField(others), [others]);
+    const attachmentsContext = useMemo(() => ({ storage, folder: getAttachmentFolder(appId, reportId), author: profile, onError }), [storage, appId, reportId, profile, onError]);
+    const [isGeneratingPdf, setIsGeneratingPdf] = useState(false);
+    const [closeModalOpen, setCloseModalOpen] = useState(false);
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    const [isExportOpen, setIsExportOpen] = useState(false);
+    const [isSupplierDialogOpen, setIsSupplierDialogOpen] = useState(false);
+
+    // --- Recurrence ---
+    // Supplier contacts only see their own reports, so they get no suggestions.
+    const reportsCollectionPath = `artifacts/${appId}/public/data/8d-reports`;
+    const similar = useSimilarReports({ db, collectionPath: reportsCollectionPath, report, scope, enabled: activeDiscipline === 'D2' && profile.role !== 'supplier' });
+
+    // --- Review Comments ---
+    const comments = useComments({ db, reportPath: reportDocPath });
+    const threads = useMemo(() => groupThreads(comments), [comments]);
+    const [readMarkers, markRead] = useReadMarkers(userId, reportId);
+    const [commentsView, setCommentsView] = useState(null); // { target, readSince } while the panel is open
+    const disciplineThreads = useMemo(() => threads.filter(t => t.disciplineId === activeDiscipline), [threads, activeDiscipline]);
+
+    // Comments that arrive while the panel is open are read; the panel keeps
+    // highlighting what was new when it was opened.
+    useEffect(() => {
+        if (commentsView) markRead(activeDiscipline);
+    }, [commentsView, activeDiscipline, comments, markRead]);
+
+    const openComments = useCallback((target) => {
+        setCommentsView({ target, readSince: readMarkers[activeDiscipline] || 0 });
+    }, [readMarkers, activeDiscipline]);
+
+    const fieldComments = useMemo(() => ({
+        counts: countOpenThreads(disciplineThreads),
+        onOpen: (path, label) => openComments({ path, label }),
+    }), [disciplineThreads, openComments]);
+
+    // Open the report on the discipline the team is working on, or the one a
+    // notification points to; afterwards the user navigates freely.
+    useEffect(() => {
+        if (initialDiscipline && report && getDisciplineIds(report).includes(initialDiscipline)) {
+            setActiveDiscipline(initialDiscipline);
+        } else if(report?.currentDiscipline) {
+            setActiveDiscipline(report.currentDiscipline)
+        }
+    }, [report?.id, initialDiscipline]);
+    
+    // Edits are debounced by the writer; derived fields are added when they are written.
+    const handleUpdateFields = useCallback((fields) => {
+        try {
+            update(fields);
+        } catch (error) {
+            onError(`No se pudo guardar el cambio: ${error.message}`);
+        }
+    }, [update, onError]);
+
+    const handleDeepUpdate = useCallback((path, value) => handleUpdateFields({ [path]: value }), [handleUpdateFields]);
+
+    // The link is written on the other report first, so a report the user
+    // may not update is not left linked on one side only.
+    const handleLinkRecurrence = async (other) => {
+        const links = createRecurrenceLinks(report, other, profile);
+        try {
+            await updateLinkedReport(db, reportsCollectionPath, other.id, (list) => addRecurrenceLink(list, links.other), profile);
+            writeNow({ recurrenceLinks: addRecurrenceLink(report.recurrenceLinks, links.own) });
+        } catch (error) {
+            onError(`No se pudo vincular el informe: ${error.message}`);
+        }
+    };
+
+    const handleUnlinkRecurrence = async (link) => {
+        try {
+            await updateLinkedReport(db, reportsCollectionPath, link.reportId, (list) => removeRecurrenceLink(list, reportId), profile);
+            writeNow({ recurrenceLinks: removeRecurrenceLink(report.recurrenceLinks, link.reportId) });
+        } catch (error) {
+            onError(`No se pudo desvincular el informe: ${error.message}`);
+        }
+    };
+
+    const handleCompleteDiscipline = (disciplineId) => {
+        try {
+            const fields = completeDiscipline(report, disciplineId, userId);
+            writeNow(fields);
+            setActiveDiscipline(fields.currentDiscipline);
+        } catch (error) {
+            onError(error.message);
+        }
+    };
+
+    const handleReopenDiscipline = (disciplineId) => {
+        try {
+            writeNow(reopenDiscipline(report, disciplineId));
+        } catch (error) {
+            onError(error.message);
+        }
+    };
+
+    const handleCloseReport = () => {
+        setCloseModalOpen(false);
+        try {
+            writeNow(closeReport(report, userId));
+        } catch (error) {
+            onError(error.message);
+        }
+    };
+
+    const handleApplyPlantConfig = () => {
+        const disciplines = getPlantDisciplines(plantConfigs, report);
+        try {
+            writeNow({ disciplines, currentDiscipline: getCurrentDiscipline(report.completed, disciplines.map(d => d.id)) });
+        } catch (error) {
+            onError(`No se pudo aplicar la configuración de la planta: ${error.message}`);
+        }
+    };
+
+    const handleIssueSupplierRequest = ({ company, contact, deadlines }) => {
+        setIsSupplierDialogOpen(false);
+        try {
+            writeNow(issueSupplierRequest(report, { company, contact, deadlines, profile }));
+        } catch (error) {
+            onError(`No se pudo enviar la solicitud al proveedor: ${error.message}`);
+        }
+    };
+
+    // Return false so the review form keeps the comment when the write is rejected.
+    const handleSubmitDiscipline = (disciplineId, comment) => {
+        try {
+            writeNow(submitDiscipline(report, disciplineId, profile, comment));
+        } catch (error) {
+            onError(error.message);
+            return false;
+        }
+    };
+
+    const handleReviewDiscipline = (disciplineId, decision, comment) => {
+        try {
+            writeNow(reviewDiscipline(report, disciplineId, decision, profile, comment));
+        } catch (error) {
+            onError(error.message);
+            return false;
+        }
+    };
+
+    // Not awaited, like comments: offline, the notifications go out once the connection is back.
+    const notify = (notifications) => {
+        sendNotifications(db, appId, report, notifications, profile).catch((error) => {
+            onError(`No se pudo enviar la notificación: ${error.message}`);
+        });
+    };
 
-    useEffect(() => {
-        if(report?.currentDiscipline) {
-            setActiveDiscipline(report.currentDiscipline)
-        }
-    }, [report]);
-    
-    const handleUpdate = useCallback(async (field, value) => {
-        if (!db || !reportId) return;
-        const reportDocPath = `artifacts/${appId}/public/data/8d-reports/${reportId}`;
+    const handleAssignAction = (disciplineId, action) => notify(assignmentNotifications(report, disciplineId, action, profile));
+
+    const handleAddComment = ({ path, label, parentId, text }) => {
+        const candidates = getMentionCandidates(report.d1_team);
+        addComment(db, reportDocPath, { disciplineId: activeDiscipline, path, label, parentId, text, candidates, profile }).catch((error) => {
+            onError(`No se pudo guardar el comentario: ${error.message}`);
+        });
+        const thread = parentId ? threads.find(t => t.id === parentId) : null;
+        notify(commentNotifications(report, activeDiscipline, { text, mentions: extractMentions(text, candidates), thread }, profile));
+    };
+
+    const handleResolveThread = (thread, resolved) => {
+        setThreadResolved(db, reportDocPath, thread.id, resolved, profile).catch((error) => {
+            onError(`No se pudo ${resolved ? 'resolver' : 'reabrir'} el hilo: ${error.message}`);
+        });
+    };
+
+    const handleDecideDiscipline = (disciplineId, decision, reason) => {
         try {
-            await updateDoc(doc(db, reportDocPath), { [field]: value });
+            writeNow(decideDiscipline(report, disciplineId, decision, profile, reason));
+            notify(approvalNotifications(report, disciplineId, decision, reason, profile));
         } catch (error) {
-            console.error("Error updating document: ", error);
+            onError(error.message);
+            return false;
         }
-    }, [db, reportId, appId]);
+    };
 
-    const handleDeepUpdate = useCallback(async (path, value) => {
-         if (!db || !reportId) return;
-        const reportDocPath = `artifacts/${appId}/public/data/8d-reports/${reportId}`;
+    const handleRestore = (fields) => {
         try {
-            await updateDoc(doc(db, reportDocPath), { [path]: value });
+            writeNow(fields, 'restore');
         } catch (error) {
-            console.error("Error performing deep update:", error)
+            onError(`No se pudo restaurar: ${error.message}`);
         }
-    }, [db, reportId, appId]);
+    };
 
     const handleGeneratePdf = async () => {
         setIsGeneratingPdf(true);
@@ -404,10 +1918,11 @@ const Workspace = ({ report, reportId, db, onGoToDashboard, appId }) => {
                 loadScript('https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js'),
                 loadScript('https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.8.2/jspdf.plugin.autotable.min.js')
             ]);
-            generatePdf(report);
+            const layout = resolveLayout(report, customers);
+            const files = [...collectAttachments(report).map(({ item }) => item), ...(layout.logo ? [layout.logo] : [])];
+            generatePdf(report, layout, await loadAttachmentImages(files));
         } catch (error) {
-            console.error("Failed to load PDF generation scripts:", error);
-            // We avoid window.alert in this environment. A more robust solution would be a custom modal.
+            onError(`No se pudo generar el PDF: ${error.message}`);
         } finally {
             setIsGeneratingPdf(false);
         }
@@ -421,126 +1936,483 @@ const Workspace = ({ report, reportId, db, onGoToDashboard, appId }) => {
         );
     }
     
+    // Roles and members are derived from the team when it is written; checking
+    // here rejects a team without a champion before it is queued.
+    const handleTeamUpdate = (team) => {
+        try {
+            deriveAccess(team);
+            handleUpdateFields({ d1_team: team });
+        } catch (error) {
+            onError(error.message);
+        }
+    };
+
+    const readOnly = report.deleted || isClosed(report) || !can('edit', report, profile);
+    const canManageTeam = can('manageTeam', report, profile);
+    // The supplier contact edits D1 to add their own people, leaves D0 to the
+    // team and can't change a discipline while it is in review or accepted.
+    const canSubmit = can('submit', report, profile);
+    const disciplineReadOnly = readOnly
+        || (activeDiscipline === 'D1' && !canManageTeam && !canSubmit)
+        || (canSubmit && (activeDiscipline === 'D0' || isLockedForSupplier(report, activeDiscipline)));
+    const assignees = getAssignees(report.d1_team);
     const disciplineComponents = {
-        'D1': <D1_Team data={report.d1_team} onUpdate={(val) => handleDeepUpdate('d1_team', val)} />,
-        'D2': <D2_ProblemDescription data={report.d2_problem} onUpdate={handleDeepUpdate} />,
-        'D3': <D3_ContainmentActions data={report.d3_containment} onUpdate={(val) => handleDeepUpdate('d3_containment', val)} />,
-        'D4': <D4_RootCauseAnalysis data={report.d4_root_cause} onUpdate={handleDeepUpdate} />,
-        'D5': <D5_CorrectiveActions data={report.d5_corrective_actions} onUpdate={(val) => handleDeepUpdate('d5_corrective_actions', val)} />,
-        'D6': <D6_Implementation data={report.d6_implementation} onUpdate={(val) => handleDeepUpdate('d6_implementation', val)} />,
-        'D7': <D7_Prevention data={report.d7_prevention} onUpdate={(val) => handleDeepUpdate('d7_prevention', val)} />,
-        'D8': <D8_Recognition data={report.d8_recognition} onUpdate={(val) => handleDeepUpdate('d8_recognition', val)} />,
+        'D0': <D0_EmergencyResponse data={report.d0_emergency} actions={report.d0_emergency_actions} userId={userId} assignees={assignees} onAssign={(action) => handleAssignAction('D0', action)} onUpdate={handleDeepUpdate} onUpdateFields={handleUpdateFields} />,
+        'D1': <D1_Team data={report.d1_team} profiles={profiles} canManageAccess={canManageTeam} canManageChampion={can('manageChampion', report, profile)} canAddOnly={canSubmit && !canManageTeam} onUpdate={handleTeamUpdate} />,
+        'D2': <D2_ProblemDescription report={report} defectCategories={defectCategories} canEditReportFields={!canSubmit} onUpdate={handleDeepUpdate} />,
+        'D3': <D3_ContainmentActions data={report.d3_containment} userId={userId} assignees={assignees} onAssign={(action) => handleAssignAction('D3', action)} onUpdate={(val) => handleDeepUpdate('d3_containment', val)} />,
+        'D4': <D4_RootCauseAnalysis data={report.d4_root_cause} problem={report.d2_problem.what} title={report.title} readOnly={disciplineReadOnly} onUpdate={handleDeepUpdate} onError={onError} />,
+        'D5': <D5_CorrectiveActions data={report.d5_corrective_actions} rootCauses={getRootCauses(report.d4_root_cause.fishbone)} userId={userId} assignees={assignees} onAssign={(action) => handleAssignAction('D5', action)} onUpdate={(val) => handleDeepUpdate('d5_corrective_actions', val)} />,
+        'D6': <D6_Implementation report={report} onUpdate={handleDeepUpdate} />,
+        'D7': <D7_Prevention report={report} profile={profile} assignees={assignees} onAssign={(document) => handleAssignAction('D7', document)} onUpdate={handleDeepUpdate} />,
+        'D8': <D8_Recognition data={report.d8_recognition} onUpdate={handleDeepUpdate} />,
     };
 
     return (
-        <div>
-            <div className="flex justify-between items-center mb-6">
-                 <div className="flex items-center gap-4">
-                    <button onClick={onGoToDashboard} className="flex items-center gap-2 px-3 py-1.5 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-600 transition-all">
-                        <Home size={16} /> Panel
-                    </button>
-                    <h2 className="text-2xl font-bold text-white truncate">{report.title}</h2>
-                </div>
-                <button 
-                    onClick={handleGeneratePdf}
-                    disabled={isGeneratingPdf}
-                    className="flex items-center justify-center gap-2 px-4 py-2 w-40 bg-green-600 text-white font-semibold rounded-lg shadow-md hover:bg-green-500 transition-all disabled:bg-green-800 disabled:cursor-not-allowed"
+        // Named form fields report focus so other users see who is editing what.
+        <div onFocus={(e) => setEditingField(e.target.name || '')} onBlur={() => setEditingField('')}>
+            <FieldEditorsContext.Provider value={fieldEditors}>
+            <AttachmentsContext.Provider value={attachmentsContext}>
+                <ConfirmationModal
+                    isOpen={closeModalOpen}
+                    onClose={() => setCloseModalOpen(false)}
+                    onConfirm={handleCloseReport}
+                    title="Cerrar Informe"
                 >
-                    {isGeneratingPdf ? (
-                        <>
-                            <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                            </svg>
-                            <span>Generando...</span>
-                        </>
-                    ) : (
-                        <>
-                            <FileDown size={18} />
-                            <span>Exportar a PDF</span>
-                        </>
+                    <p>Al cerrar el informe quedará en modo de solo lectura. ¿Deseas continuar?</p>
+                </ConfirmationModal>
+
+                {isExportOpen && (
+                    <ExportDialog reports={[report]} fileName={`8d-${report.title}`} onClose={() => setIsExportOpen(false)} onError={onError} />
+                )}
+
+                {commentsView && (
+                    <CommentsPanel
+                        disciplineId={activeDiscipline}
+                        threads={disciplineThreads}
+                        target={commentsView.target}
+                        candidates={getMentionCandidates(report.d1_team)}
+                        readSince={commentsView.readSince}
+                        userId={userId}
+                        canResolve={(thread) => can('edit', report, profile) || thread.uid === userId}
+                        onAdd={handleAddComment}
+                        onResolve={handleResolveThread}
+                        onClearTarget={() => setCommentsView({ ...commentsView, target: null })}
+                        onClose={() => setCommentsView(null)}
+                    />
+                )}
+
+                {isSupplierDialogOpen && (
+                    <SupplierRequestDialog
+                        report={report}
+                        contacts={profiles.filter(p => p.role === 'supplier')}
+                        canInvite={can('inviteSupplier', null, profile)}
+                        onIssue={handleIssueSupplierRequest}
+                        onInvite={onInviteSupplier}
+                        onClose={() => setIsSupplierDialogOpen(false)}
+                    />
+                )}
+
+                {isHistoryOpen && (
+                    <HistoryPanel
+                        db={db}
+                        reportPath={reportDocPath}
+                        report={remoteReport}
+                        canRestore={(path) => !readOnly && (canManageTeam || !requiresTeamLead(path)) && (can('approve', report, profile) || !requiresQualityManager(path))}
+                        canRestoreReport={!readOnly && canManageTeam}
+                        onRestore={handleRestore}
+                        onClose={() => setIsHistoryOpen(false)}
+                        onError={onError}
+                    />
+                )}
+
+                {report.deleted && (
+                    <div className="mb-4 p-3 rounded-lg bg-red-900/40 border border-red-700 text-sm text-red-200 flex items-center gap-2">
+                        <Trash2 size={16} /> Este informe está en la papelera. Recupéralo desde la Papelera para poder editarlo.
+                    </div>
+                )}
+
+                <div className="flex justify-between items-center mb-6">
+                     <div className="flex items-center gap-4 min-w-0">
+                        <button onClick={onGoToDashboard} className="flex items-center gap-2 px-3 py-1.5 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-600 transition-all">
+                            <Home size={16} /> Panel
+                        </button>
+                        <h2 className="text-2xl font-bold text-white truncate">{report.title}</h2>
+                        <span className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold ${readOnly ? 'bg-gray-600 text-gray-200' : 'bg-indigo-900 text-indigo-200'}`}>
+                            {readOnly && <Lock size={12} />} {getStatusLabel(report.status)}
+                        </span>
+                        <SyncIndicator status={syncStatus} />
+                    </div>
+                    <PresenceAvatars others={others} />
+                    <div className="flex items-center gap-3">
+                    {!readOnly && canManageTeam && !isSupplierReport(report) && (
+                        <button onClick={() => setIsSupplierDialogOpen(true)} className="flex items-center gap-2 px-3 py-2 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-600 transition-all" title="Solicitar el 8D a un proveedor">
+                            <Truck size={16} />
+                        </button>
                     )}
-                </button>
-            </div>
+                    {can('create', null, profile) && (
+                        <button onClick={() => onSaveAsTemplate(report)} className="flex items-center gap-2 px-3 py-2 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-600 transition-all" title="Guardar como plantilla">
+                            <BookmarkPlus size={16} />
+                        </button>
+                    )}
+                    <button onClick={() => setIsExportOpen(true)} className="flex items-center gap-2 px-3 py-2 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-600 transition-all" title="Exportar a Excel, CSV o JSON">
+                        <Download size={16} />
+                    </button>
+                    <button onClick={() => setIsHistoryOpen(true)} className="flex items-center gap-2 px-4 py-2 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-600 transition-all">
+                        <History size={16} /> Historial
+                    </button>
+                    {!isClosed(report) && !report.deleted && can('close', report, profile) && (
+                        <button
+                            onClick={() => setCloseModalOpen(true)}
+                            disabled={!canClose(report)}
+                            title={canClose(report) ? 'Cerrar el informe' : 'Todas las disciplinas deben estar completas, o D0 debe concluir que no se requiere un 8D'}
+                            className="flex items-center gap-2 px-4 py-2 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            <Lock size={16} /> Cerrar Informe
+                        </button>
+                    )}
+                    <button 
+                        onClick={handleGeneratePdf}
+                        disabled={isGeneratingPdf}
+                        className="flex items-center justify-center gap-2 px-4 py-2 w-40 bg-green-600 text-white font-semibold rounded-lg shadow-md hover:bg-green-500 transition-all disabled:bg-green-800 disabled:cursor-not-allowed"
+                    >
+                        {isGeneratingPdf ? (
+                            <>
+                                <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                </svg>
+                                <span>Generando...</span>
+                            </>
+                        ) : (
+                            <>
+                                <FileDown size={18} />
+                                <span>Exportar a PDF</span>
+                            </>
+                        )}
+                    </button>
+                    </div>
+                </div>
             
-            <div className="flex flex-col lg:flex-row gap-8">
-                <DisciplineNav active={activeDiscipline} setActive={setActiveDiscipline} onUpdate={(val) => handleUpdate('currentDiscipline', val)} />
-                <div className="flex-1 bg-gray-800/50 p-6 rounded-2xl border border-gray-700">
-                   {disciplineComponents[activeDiscipline]}
+                {!readOnly && canManageTeam && !followsPlantConfig(report, plantConfigs) && (
+                    <div className="mb-4 p-3 rounded-lg bg-indigo-900/40 border border-indigo-700 text-sm text-indigo-200 flex items-center justify-between gap-4">
+                        <span className="flex items-center gap-2"><Factory size={16} /> Las disciplinas de este informe difieren de la configuración actual de su planta{report.plant ? ` (${report.plant})` : ''}.</span>
+                        <button onClick={handleApplyPlantConfig} className="px-3 py-1.5 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition flex-shrink-0">Aplicar configuración de la planta</button>
+                    </div>
+                )}
+
+                {isSupplierReport(report) && (
+                    <SupplierBanner report={report} canEdit={!readOnly && canManageTeam} onEdit={() => setIsSupplierDialogOpen(true)} />
+                )}
+
+                <fieldset disabled={readOnly || canSubmit}>
+                    <ReportDetails report={report} customers={customers} plants={plantConfigs} canManageTeam={canManageTeam} onUpdate={handleDeepUpdate} onUpdateFields={handleUpdateFields} />
+                </fieldset>
+
+                <div className="flex flex-col lg:flex-row gap-8">
+                    <DisciplineNav
+                        report={report}
+                        active={activeDiscipline}
+                        setActive={setActiveDiscipline}
+                        unread={Object.fromEntries(getDisciplineIds(report).map(id => [id, countUnread(comments, id, userId, readMarkers)]))}
+                    />
+                    <div className="flex-1 bg-gray-800/50 p-6 rounded-2xl border border-gray-700">
+                       <div className="flex justify-end mb-2">
+                           <button onClick={() => openComments(null)} className="flex items-center gap-2 px-3 py-1.5 bg-gray-700 text-white text-sm font-semibold rounded-lg hover:bg-gray-600 transition-all">
+                               <MessageSquare size={16} /> Comentarios{disciplineThreads.some(t => !t.resolved) && ` (${disciplineThreads.filter(t => !t.resolved).length} abiertos)`}
+                           </button>
+                       </div>
+                       <FieldCommentsContext.Provider value={fieldComments}>
+                       {/* A disabled fieldset makes every input and button of a closed report read-only. */}
+                       <fieldset disabled={disciplineReadOnly}>
+                           {disciplineComponents[activeDiscipline]}
+                           <SubSteps steps={getDiscipline(report, activeDiscipline).steps} done={report.substeps} userId={userId} onUpdate={(substeps) => handleDeepUpdate('substeps', substeps)} />
+                           <div className="mt-6 pt-4 border-t border-gray-700">
+                               <AttachmentList
+                                   key={activeDiscipline}
+                                   attachments={report.attachments[activeDiscipline]}
+                                   label={`Evidencias de ${activeDiscipline}`}
+                                   onChange={(list) => handleDeepUpdate(`attachments.${activeDiscipline}`, list)}
+                               />
+                           </div>
+                       </fieldset>
+                       </FieldCommentsContext.Provider>
+                       {activeDiscipline === 'D2' && profile.role !== 'supplier' && (
+                           <RecurrencePanel
+                               links={report.recurrenceLinks}
+                               suggestions={similar.suggestions}
+                               isLoading={similar.isLoading}
+                               error={similar.error}
+                               canLink={!readOnly}
+                               onLink={handleLinkRecurrence}
+                               onUnlink={handleUnlinkRecurrence}
+                               onOpen={onOpenReport}
+                           />
+                       )}
+                       {isSupplierReport(report) && activeDiscipline !== 'D0' && (
+                           <SupplierReview
+                               report={report}
+                               disciplineId={activeDiscipline}
+                               canSubmit={!readOnly && canSubmit}
+                               canReview={!report.deleted && !isClosed(report) && can('review', report, profile)}
+                               onSubmit={handleSubmitDiscipline}
+                               onReview={handleReviewDiscipline}
+                           />
+                       )}
+                       <DisciplineCompletion
+                           report={report}
+                           disciplineId={activeDiscipline}
+                           canComplete={!report.deleted && can('complete', report, profile)}
+                           onComplete={handleCompleteDiscipline}
+                           onReopen={handleReopenDiscipline}
+                       />
+                       <DisciplineApproval
+                           report={report}
+                           disciplineId={activeDiscipline}
+                           canApprove={!report.deleted && can('approve', report, profile)}
+                           onDecide={handleDecideDiscipline}
+                       />
+                    </div>
                 </div>
-            </div>
+
+                <ConflictNotices conflicts={conflicts} others={others} onResolve={resolveConflict} />
+            </AttachmentsContext.Provider>
+            </FieldEditorsContext.Provider>
         </div>
     );
 };
 
+// --- Presence ---
+const PresenceAvatars = ({ others }) => (
+    <div className="flex items-center -space-x-2 flex-shrink-0">
+        {others.map(entry => (
+            <div
+                key={entry.uid}
+                title={`${entry.displayName} · ${entry.discipline}`}
+                className="relative h-8 w-8 rounded-full border-2 border-gray-900 flex items-center justify-center text-xs font-bold text-white"
+                style={{ backgroundColor: getAvatarColor(entry.uid) }}
+            >
+                {getInitials(entry.displayName)}
+                <span className="absolute -bottom-1 -right-1 px-1 rounded bg-gray-900 text-[9px] leading-tight text-gray-200">{entry.discipline}</span>
+            </div>
+        ))}
+    </div>
+);
+
+// Non-blocking: the local edit is written unless the user takes the other version.
+const ConflictNotices = ({ conflicts, others, onResolve }) => conflicts.length > 0 && (
+    <div className="fixed bottom-4 right-4 z-40 w-full max-w-sm space-y-2">
+        {conflicts.map(({ path }) => {
+            const editors = others.filter(o => o.field === path || o.field.startsWith(`${path}.`)).map(o => o.displayName);
+            return (
+                <div key={path} role="status" className="bg-gray-800 border border-amber-500 rounded-lg shadow-xl p-4 text-sm">
+                    <p className="text-amber-200">
+                        {editors.length > 0 ? editors.join(', ') : 'Otro usuario'} ha cambiado {describeField(path)} mientras lo editabas. Tus cambios se guardarán sobre los suyos.
+                    </p>
+                    <div className="mt-3 flex justify-end gap-2">
+                        <button onClick={() => onResolve(path, false)} className="px-3 py-1 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">Usar su versión</button>
+                        <button onClick={() => onResolve(path, true)} className="px-3 py-1 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition">Mantener la mía</button>
+                    </div>
+                </div>
+            );
+        })}
+    </div>
+);
+
+// --- Sync Status ---
+const syncIcons = { saved: Cloud, pending: RefreshCw, offline: CloudOff, error: AlertTriangle };
+
+const SyncIndicator = ({ status }) => {
+    const Icon = syncIcons[status];
+    return (
+        <span className={`flex items-center gap-1 text-xs font-semibold whitespace-nowrap ${SYNC_STATES[status].className}`} title={SYNC_STATES[status].label}>
+            <Icon size={14} className={status === 'pending' ? 'animate-spin' : ''} /> {SYNC_STATES[status].label}
+        </span>
+    );
+};
+
+// --- General Report Data ---
+// Plant and visibility decide who can read the report, so only the team lead changes them.
+const ReportDetails = ({ report, customers, plants, canManageTeam, onUpdate, onUpdateFields }) => (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6 bg-gray-800/50 p-4 rounded-xl border border-gray-700">
+        <InputField label="Título del Informe" name="title" value={report.title} onChange={(e) => onUpdate('title', e.target.value)} />
+        <InputField label="Cliente" name="customer" value={report.customer} onChange={(e) => onUpdate('customer', e.target.value)} placeholder="Ej: Ford Motor Company" />
+        {plants.length > 0 ? (
+            <fieldset disabled={!canManageTeam} className="contents">
+                <SelectField
+                    label="Planta"
+                    name="plantId"
+                    value={report.plantId}
+                    onChange={(e) => onUpdateFields({
+                        plantId: e.target.value,
+                        plant: plants.find(p => p.id === e.target.value)?.name || '',
+                        ...(!e.target.value && report.visibility === 'plant' ? { visibility: 'organization' } : {}),
+                    })}
+                    placeholder={report.plant && !report.plantId ? `${report.plant} (sin configurar)` : 'Sin planta'}
+                    options={plants.map(p => ({ value: p.id, label: p.name }))}
+                />
+            </fieldset>
+        ) : (
+            <InputField label="Planta" name="plant" value={report.plant} onChange={(e) => onUpdate('plant', e.target.value)} placeholder="Ej: Planta Monterrey" />
+        )}
+        <fieldset disabled={!canManageTeam} className="contents">
+            <SelectField
+                label="Visibilidad"
+                name="visibility"
+                value={report.visibility}
+                onChange={(e) => onUpdate('visibility', e.target.value)}
+                options={VISIBILITY_LEVELS.filter(v => v.id !== 'plant' || report.plantId).map(v => ({ value: v.id, label: v.label }))}
+            />
+        </fieldset>
+        <SelectField
+            label="Formato de Salida (PDF)"
+            name="outputFormat"
+            value={report.outputFormat}
+            onChange={(e) => onUpdate('outputFormat', e.target.value)}
+            placeholder={`Según el cliente (${getOutputFormat(findCustomer(customers, report.customer)?.formatId).label})`}
+            options={OUTPUT_FORMATS.map(f => ({ value: f.id, label: f.label }))}
+        />
+    </div>
+);
+
 // --- Navigation for Disciplines ---
-const DisciplineNav = ({ active, setActive, onUpdate }) => {
-    const disciplines = [
-        { id: 'D1', name: 'Formar el Equipo', icon: Users },
-        { id: 'D2', name: 'Describir el Problema', icon: CheckCircle },
-        { id: 'D3', name: 'Acciones de Contención', icon: Shield },
-        { id: 'D4', name: 'Análisis de Causa Raíz', icon: BrainCircuit },
-        { id: 'D5', name: 'Acciones Correctivas', icon: Rocket },
-        { id: 'D6', name: 'Implementar y Validar', icon: Target },
-        { id: 'D7', name: 'Prevenir Recurrencia', icon: Repeat },
-        { id: 'D8', name: 'Reconocer al Equipo', icon: Award },
-    ];
-    
-    const handleSelect = (id) => {
-        setActive(id);
-        onUpdate(id);
-    }
+const disciplineStateIcons = {
+    complete: { icon: CheckCircle2, className: 'text-green-400', title: 'Completada' },
+    warning: { icon: AlertTriangle, className: 'text-yellow-400', title: 'Pendiente' },
+    locked: { icon: Lock, className: 'text-gray-500', title: 'Bloqueada hasta completar las disciplinas anteriores' },
+};
+
+const disciplineIcons = { D0: Siren, D1: Users, D2: CheckCircle, D3: Shield, D4: BrainCircuit, D5: Rocket, D6: Target, D7: Repeat, D8: Award };
 
+// Names and sub-steps come from the report's own discipline configuration.
+// `unread` holds the unread comments of each discipline (see src/comments.js).
+const DisciplineNav = ({ report, active, setActive, unread }) => {
     return (
         <nav className="w-full lg:w-64 flex-shrink-0">
             <ul className="space-y-2">
-                {disciplines.map(d => (
-                    <li key={d.id}>
-                        <button onClick={() => handleSelect(d.id)} className={`w-full flex items-center gap-3 p-3 rounded-lg text-left transition-all duration-200 ${active === d.id ? 'bg-indigo-600 text-white shadow-lg' : 'hover:bg-gray-700/70 text-gray-300'}`}>
-                            <d.icon size={20} />
-                            <span className="font-semibold">{d.id}: {d.name}</span>
-                        </button>
-                    </li>
-                ))}
+                {getDisciplineIds(report).map(id => {
+                    const d = getDiscipline(report, id);
+                    const Icon = disciplineIcons[id];
+                    const state = disciplineStateIcons[getDisciplineState(report, id)];
+                    const locked = state === disciplineStateIcons.locked;
+                    const doneSteps = d.steps.filter(step => report.substeps[step.id]).length;
+                    return (
+                        <li key={id}>
+                            <button onClick={() => setActive(id)} disabled={locked} className={`w-full flex items-center gap-3 p-3 rounded-lg text-left transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${active === id ? 'bg-indigo-600 text-white shadow-lg' : 'hover:bg-gray-700/70 text-gray-300'}`}>
+                                <Icon size={20} />
+                                <span className="font-semibold flex-1">
+                                    {id}: {d.name}
+                                    {d.steps.length > 0 && <span className="block text-xs font-normal opacity-75">{doneSteps}/{d.steps.length} subpasos</span>}
+                                </span>
+                                {unread[id].count > 0 && (
+                                    <span title={unread[id].mentioned ? 'Te han mencionado' : 'Comentarios sin leer'} className={`flex items-center gap-0.5 px-1.5 rounded-full text-xs font-bold ${unread[id].mentioned ? 'bg-amber-500 text-gray-900' : 'bg-indigo-400 text-gray-900'}`}>
+                                        {unread[id].mentioned ? <AtSign size={10} /> : <MessageSquare size={10} />} {unread[id].count}
+                                    </span>
+                                )}
+                                <span title={state.title}><state.icon size={16} className={state.className} /></span>
+                            </button>
+                        </li>
+                    );
+                })}
             </ul>
         </nav>
     );
 };
 
 
-// --- Individual Discipline Components ---
-const Section = ({ title, description, children }) => (
-    <div className="mb-8">
-        <h3 className="text-2xl font-bold text-indigo-300">{title}</h3>
-        <p className="text-gray-400 mt-1 mb-6">{description}</p>
-        <div className="space-y-4">
-            {children}
+// --- Completion Criteria for the Active Discipline ---
+const DisciplineCompletion = ({ report, disciplineId, canComplete, onComplete, onReopen }) => {
+    const { criteria, passed } = evaluateDiscipline(report, disciplineId);
+    const completion = report.completed[disciplineId];
+    const closed = isClosed(report);
+
+    return (
+        <div className="mt-6 pt-6 border-t border-gray-700">
+            <h4 className="font-semibold text-gray-200 mb-3">Criterios de finalización</h4>
+            <ul className="space-y-1 mb-4">
+                {criteria.map(c => (
+                    <li key={c.label} className={`flex items-center gap-2 text-sm ${c.passed ? 'text-green-400' : 'text-yellow-400'}`}>
+                        {c.passed ? <CheckCircle2 size={16} /> : <AlertTriangle size={16} />}
+                        {c.label}
+                    </li>
+                ))}
+            </ul>
+            {disciplineId === 'D0' && isEightDNotRequired(report) && (
+                <p className="text-sm text-gray-400 mb-4">D0 concluyó que no se requiere un 8D: el informe puede cerrarse sin completar D1 a D8.</p>
+            )}
+            {completion ? (
+                <div className="flex items-center gap-4">
+                    <p className="text-sm text-gray-400">Completada el {new Date(completion.at).toLocaleString()}</p>
+                    {!closed && canComplete && (
+                        <button onClick={() => onReopen(disciplineId)} className="text-sm text-indigo-400 hover:text-indigo-300 font-semibold">Reabrir disciplina</button>
+                    )}
+                </div>
+            ) : (
+                <button
+                    onClick={() => onComplete(disciplineId)}
+                    disabled={!passed || closed || !canComplete}
+                    className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-500 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    <CheckCircle2 size={18} /> Marcar {disciplineId} como completada
+                </button>
+            )}
         </div>
-    </div>
-);
+    );
+};
 
-const InputField = ({ label, value, onChange, placeholder, type = 'text' }) => (
-    <div>
-        <label className="block text-sm font-medium text-gray-300 mb-1">{label}</label>
-        <input
-            type={type}
-            value={value}
-            onChange={onChange}
-            placeholder={placeholder}
-            className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white focus:ring-indigo-500 focus:border-indigo-500 transition"
-        />
+
+// --- Plant Sub-Steps of the Active Discipline ---
+// Ticking a sub-step records who did it and when; it is one more completion criterion.
+const SubSteps = ({ steps, done, userId, onUpdate }) => steps.length > 0 && (
+    <div className="mt-6 pt-4 border-t border-gray-700">
+        <h4 className="font-semibold text-gray-200 mb-3 flex items-center gap-2"><ListChecks size={18} /> Subpasos de la planta</h4>
+        <ul className="space-y-2">
+            {steps.map(step => (
+                <li key={step.id} className="flex items-center gap-3 text-sm">
+                    <input
+                        type="checkbox"
+                        name={`substeps.${step.id}`}
+                        checked={Boolean(done[step.id])}
+                        onChange={(e) => onUpdate(e.target.checked
+                            ? { ...done, [step.id]: { at: new Date().toISOString(), by: userId } }
+                            : Object.fromEntries(Object.entries(done).filter(([id]) => id !== step.id)))}
+                        className="h-4 w-4 rounded bg-gray-700 border-gray-600 text-indigo-600"
+                    />
+                    <span className={done[step.id] ? 'text-gray-400 line-through' : 'text-gray-200'}>{step.name}</span>
+                    {done[step.id] && <span className="text-xs text-gray-500">{new Date(done[step.id].at).toLocaleDateString()}</span>}
+                </li>
+            ))}
+        </ul>
     </div>
 );
 
-const D1_Team = ({ data, onUpdate }) => {
+// --- Individual Discipline Components ---
+// Without `canManageAccess` (supplier contacts) people can be added and
+// described, but nobody is linked, unlinked or given other access.
+const D1_Team = ({ data, profiles, canManageAccess, canManageChampion, canAddOnly, onUpdate }) => {
+    const [newMember, setNewMember] = useState({ name: '', role: '' });
+
     const handleMemberChange = (index, field, value) => {
+        onUpdate(data.map((m, i) => i === index ? { ...m, [field]: value } : m));
+    };
+
+    // Linking a member to a user account grants that account access to the report.
+    const handleLinkUser = (index, uid) => {
+        const linked = profiles.find(p => p.uid === uid);
         const newData = [...data];
-        newData[index][field] = value;
+        newData[index] = { ...newData[index], uid, name: linked?.displayName || newData[index].name };
         onUpdate(newData);
     };
     
     const addMember = () => {
-        onUpdate([...data, { name: '', role: '' }]);
+        onUpdate([...data, createTeamMember()]);
+    };
+
+    // A supplier contact adds their people in one go; the rules keep the rows
+    // already saved as they are.
+    const addNamedMember = () => {
+        onUpdate([...data, { ...createTeamMember(), name: newMember.name.trim(), role: newMember.role.trim() }]);
+        setNewMember({ name: '', role: '' });
     };
     
     const removeMember = (index) => {
@@ -550,200 +2422,564 @@ const D1_Team = ({ data, onUpdate }) => {
     
     return (
         <Section title="D1: Formar el Equipo" description="Identifica a los miembros del equipo multifuncional que resolverán el problema.">
-            {data.map((member, index) => (
-                <div key={index} className="flex gap-4 items-center bg-gray-800 p-3 rounded-lg">
-                    <div className="flex-1"><InputField label="Nombre del Miembro" value={member.name} onChange={(e) => handleMemberChange(index, 'name', e.target.value)} placeholder="Ej: Juan Pérez"/></div>
-                    <div className="flex-1"><InputField label="Rol en el Equipo" value={member.role} onChange={(e) => handleMemberChange(index, 'role', e.target.value)} placeholder="Ej: Ingeniero de Calidad"/></div>
-                    <button onClick={() => removeMember(index)} className="text-gray-500 hover:text-red-400 mt-6"><Trash2 size={18}/></button>
+            {data.map((member, index) => {
+                // A team leader manages everyone but the champions.
+                const canManageMember = canManageAccess && (canManageChampion || member.access !== 'champion');
+                return (
+                    <fieldset key={member.id} disabled={canAddOnly} className="bg-gray-800 p-3 rounded-lg space-y-3">
+                        <div className="flex gap-4 items-center">
+                            <div className="flex-1"><InputField label="Nombre del Miembro" name={`d1_team.${member.id}.name`} value={member.name} onChange={(e) => handleMemberChange(index, 'name', e.target.value)} placeholder="Ej: Juan Pérez"/></div>
+                            <div className="flex-1"><InputField label="Rol en el Equipo" name={`d1_team.${member.id}.role`} value={member.role} onChange={(e) => handleMemberChange(index, 'role', e.target.value)} placeholder="Ej: Ingeniero de Calidad"/></div>
+                            {(canManageMember || !member.uid) && !canAddOnly
+                                ? <button onClick={() => removeMember(index)} className="text-gray-500 hover:text-red-400 mt-6"><Trash2 size={18}/></button>
+                                : <div className="w-[18px]" />}
+                        </div>
+                        <fieldset disabled={!canManageMember} className="flex gap-4 items-center">
+                            <div className="flex-1">
+                                <SelectField
+                                    label="Usuario vinculado"
+                                    name={`d1_team.${member.id}.uid`}
+                                    value={member.uid}
+                                    onChange={(e) => handleLinkUser(index, e.target.value)}
+                                    placeholder="Sin cuenta vinculada"
+                                    options={[
+                                        ...profiles.map(p => ({ value: p.uid, label: `${p.displayName}${p.department ? ` (${p.department})` : ''}` })),
+                                        // Members are not listed for supplier contacts.
+                                        ...(member.uid && !profiles.some(p => p.uid === member.uid) ? [{ value: member.uid, label: member.name }] : []),
+                                    ]}
+                                />
+                            </div>
+                            <div className="flex-1">
+                                <SelectField
+                                    label="Permiso en el informe"
+                                    name={`d1_team.${member.id}.access`}
+                                    value={member.access}
+                                    onChange={(e) => handleMemberChange(index, 'access', e.target.value)}
+                                    options={[...TEAM_ACCESS_IDS.filter(id => canManageChampion || id !== 'champion' || member.access === 'champion'), ...(member.access === 'supplier' ? ['supplier'] : [])].map(id => ({ value: id, label: getRoleLabel(id) }))}
+                                />
+                            </div>
+                            <div className="w-[18px]" />
+                        </fieldset>
+                    </fieldset>
+                );
+            })}
+            {data.length < MAX_TEAM_SIZE && (canAddOnly ? (
+                <div className="flex gap-4 items-end">
+                    <div className="flex-1"><InputField label="Nombre del Miembro" value={newMember.name} onChange={(e) => setNewMember({ ...newMember, name: e.target.value })} placeholder="Ej: Juan Pérez"/></div>
+                    <div className="flex-1"><InputField label="Rol en el Equipo" value={newMember.role} onChange={(e) => setNewMember({ ...newMember, role: e.target.value })} placeholder="Ej: Ingeniero de Calidad"/></div>
+                    <button onClick={addNamedMember} disabled={!newMember.name.trim()} className="text-indigo-400 hover:text-indigo-300 font-semibold disabled:text-gray-500 pb-2">+ Añadir miembro</button>
                 </div>
+            ) : (
+                <button onClick={addMember} className="mt-4 text-indigo-400 hover:text-indigo-300 font-semibold">+ Añadir miembro</button>
             ))}
-            <button onClick={addMember} className="mt-4 text-indigo-400 hover:text-indigo-300 font-semibold">+ Añadir miembro</button>
         </Section>
     );
 };
 
-const D2_ProblemDescription = ({ data, onUpdate }) => {
-    const fields = [
-        { key: 'what', label: '¿Qué está mal?' },
-        { key: 'where', label: '¿Dónde se observa?' },
-        { key: 'when', label: '¿Cuándo ocurre?' },
-        { key: 'who', label: '¿A quién afecta?' },
-        { key: 'why', label: '¿Por qué es un problema?' },
-        { key: 'how', label: '¿Cómo ocurre?' },
-        { key: 'how_many', label: '¿Cuántas unidades/instancias están afectadas?' },
-    ];
+// Lots are typed as a list; the report keeps them one by one.
+const LotNumbersField = ({ lots, onChange }) => {
+    const [text, setText] = useState(formatLotNumbers(lots));
+
+    useEffect(() => {
+        setText(current => (formatLotNumbers(parseLotNumbers(current)) === formatLotNumbers(lots) ? current : formatLotNumbers(lots)));
+    }, [lots]);
+
     return (
-        <Section title="D2: Describir el Problema" description="Utiliza el método 5W2H para detallar el problema con precisión.">
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                {fields.map(field => (
-                     <InputField 
-                        key={field.key}
-                        label={field.label}
-                        value={data[field.key] || ''}
-                        onChange={(e) => onUpdate(`d2_problem.${field.key}`, e.target.value)}
-                    />
-                ))}
+        <InputField
+            label="Números de lote"
+            name="d2_problem.lot_numbers"
+            value={text}
+            onChange={(e) => { setText(e.target.value); onChange(parseLotNumbers(e.target.value)); }}
+            placeholder="Separados por comas: L2405, L2406"
+        />
+    );
+};
+
+// Part number, severity and defect category live on the report itself, so
+// a supplier contact (`canEditReportFields` false) sees them read-only.
+const D2_ProblemDescription = ({ report, defectCategories, canEditReportFields, onUpdate }) => {
+    const data = report.d2_problem;
+    const rate = getDefectRate(data);
+    const warnings = getQuantityWarnings(data);
+
+    return (
+        <Section title="D2: Describir el Problema" description="Identifica la no conformidad, cuantifica su impacto y delimítala con el análisis ES / NO ES y el método 5W2H.">
+            <div className="space-y-8">
+                <div>
+                    <h4 className="text-sm font-semibold text-gray-200 mb-3 flex items-center gap-2"><ScanSearch size={16} /> Identificación</h4>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <InputField label="Referencia de reclamación" name="d2_problem.complaint_reference" value={data.complaint_reference} onChange={(e) => onUpdate('d2_problem.complaint_reference', e.target.value)} placeholder="Ej: QN-2024-0153" />
+                        <LotNumbersField lots={data.lot_numbers} onChange={(lots) => onUpdate('d2_problem.lot_numbers', lots)} />
+                        <fieldset disabled={!canEditReportFields} className="contents">
+                            <InputField label="Número de parte" name="partNumber" value={report.partNumber} onChange={(e) => onUpdate('partNumber', e.target.value)} placeholder="Ej: 4521-AB" />
+                            {defectCategories.length > 0 ? (
+                                <SelectField
+                                    label="Categoría de defecto"
+                                    name="defectCategory"
+                                    value={report.defectCategory}
+                                    onChange={(e) => onUpdate('defectCategory', e.target.value)}
+                                    placeholder="Sin definir"
+                                    options={getDefectCategoryOptions(defectCategories, report.defectCategory)}
+                                />
+                            ) : (
+                                <InputField label="Categoría de defecto" name="defectCategory" value={report.defectCategory} onChange={(e) => onUpdate('defectCategory', e.target.value)} placeholder="Ej: Fuga, Dimensional, Apariencia" />
+                            )}
+                        </fieldset>
+                    </div>
+                </div>
+
+                <div>
+                    <h4 className="text-sm font-semibold text-gray-200 mb-3 flex items-center gap-2"><Ruler size={16} /> Impacto</h4>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <fieldset disabled={!canEditReportFields} className="contents">
+                            <SelectField label="Severidad" name="severity" value={report.severity} onChange={(e) => onUpdate('severity', e.target.value)} placeholder="Sin definir" options={SEVERITIES.map(s => ({ value: s.id, label: s.label }))} />
+                        </fieldset>
+                        <QuantityField label="Cantidad afectada" name="d2_problem.quantity_affected" integer value={data.quantity_affected} onChange={(value) => onUpdate('d2_problem.quantity_affected', value)} placeholder="Piezas" />
+                        <QuantityField label="Cantidad inspeccionada" name="d2_problem.quantity_inspected" integer value={data.quantity_inspected} onChange={(value) => onUpdate('d2_problem.quantity_inspected', value)} placeholder="Piezas" />
+                        <QuantityField label="Coste de la no calidad" name="d2_problem.cost_of_poor_quality" value={data.cost_of_poor_quality} onChange={(value) => onUpdate('d2_problem.cost_of_poor_quality', value)} placeholder="Ej: 12500,50" />
+                        <SelectField label="Moneda" name="d2_problem.currency" value={data.currency} onChange={(e) => onUpdate('d2_problem.currency', e.target.value)} options={CURRENCIES.map(c => ({ value: c.id, label: c.label }))} />
+                        <div>
+                            <p className="block text-sm font-medium text-gray-300 mb-1">Tasa de defecto</p>
+                            <p className="px-3 py-2 text-white">{rate === null ? <span className="text-gray-500">Indica las cantidades afectada e inspeccionada</span> : formatDefectRate(rate)}</p>
+                        </div>
+                    </div>
+                    {warnings.map(warning => <p key={warning} className="text-xs text-yellow-400 mt-2 flex items-center gap-1"><AlertTriangle size={14} /> {warning}</p>)}
+                </div>
+
+                <div>
+                    <h4 className="text-sm font-semibold text-gray-200 mb-3">Análisis ES / NO ES</h4>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-400">
+                                    <th className="pb-2 pr-3 w-24">Dimensión</th>
+                                    <th className="pb-2 pr-3">ES</th>
+                                    <th className="pb-2">NO ES</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {IS_IS_NOT_DIMENSIONS.map(dimension => (
+                                    <tr key={dimension.id} className="align-top">
+                                        <td className="py-2 pr-3 font-semibold text-gray-200">{dimension.label}</td>
+                                        <td className="py-2 pr-3">
+                                            <TextAreaField name={`d2_problem.is_is_not.${dimension.id}.is`} value={data.is_is_not[dimension.id].is} onChange={(e) => onUpdate(`d2_problem.is_is_not.${dimension.id}.is`, e.target.value)} placeholder={dimension.is} rows={2} />
+                                        </td>
+                                        <td className="py-2">
+                                            <TextAreaField name={`d2_problem.is_is_not.${dimension.id}.is_not`} value={data.is_is_not[dimension.id].is_not} onChange={(e) => onUpdate(`d2_problem.is_is_not.${dimension.id}.is_not`, e.target.value)} placeholder={dimension.isNot} rows={2} />
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div>
+                    <h4 className="text-sm font-semibold text-gray-200 mb-3">5W2H</h4>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        {W2H_QUESTIONS.map(field => (
+                            <InputField
+                                key={field.key}
+                                label={field.label}
+                                name={`d2_problem.${field.key}`}
+                                value={data[field.key]}
+                                onChange={(e) => onUpdate(`d2_problem.${field.key}`, e.target.value)}
+                            />
+                        ))}
+                    </div>
+                </div>
             </div>
         </Section>
     );
 };
 
-const D3_ContainmentActions = ({data, onUpdate}) => {
+// Status, evidence and verification of a D3/D5 action. `name` identifies the
+// action for field presence, e.g. "d3_containment.<id>".
+const ActionStatusFields = ({ item, name, userId, onChange }) => {
+    const handleStatusChange = (status) => {
+        if (status === 'open') onChange(reopenAction(item));
+        else if (status === 'implemented') onChange(markImplemented(item, {}));
+        else onChange(markVerified(item, { verifiedAt: item.verifiedAt || todayIso() }, userId));
+    };
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <SelectField label="Estado" name={`${name}.status`} value={item.status} onChange={(e) => handleStatusChange(e.target.value)} options={ACTION_STATUSES.map(s => ({ value: s.id, label: s.label }))} />
+            {item.status === 'verified' && (
+                <InputField label="Fecha de Verificación" name={`${name}.verifiedAt`} type="date" value={item.verifiedAt} onChange={(e) => onChange({ ...item, verifiedAt: e.target.value })} />
+            )}
+            {item.status !== 'open' && (
+                <div className={item.status === 'verified' ? '' : 'md:col-span-2'}>
+                    <TextAreaField label="Evidencia" name={`${name}.evidence`} rows={1} value={item.evidence} onChange={(e) => onChange({ ...item, evidence: e.target.value })} placeholder="Registros, resultados de inspección..." />
+                </div>
+            )}
+        </div>
+    );
+};
+
+// The responsible is one of the team members linked to an account, who is
+// notified when assigned. Older actions may only have a name, and the
+// person may have left the team since; both stay until reassigned.
+const UNLINKED_RESPONSIBLE = '__unlinked__';
+
+const ResponsibleField = ({ item, name, assignees, onChange, onAssign }) => {
+    const value = item.responsibleUid || (item.responsible ? UNLINKED_RESPONSIBLE : '');
+    const former = item.responsibleUid
+        ? (assignees.some(a => a.uid === item.responsibleUid) ? [] : [{ value: item.responsibleUid, label: `${item.responsible} (fuera del equipo)` }])
+        : (item.responsible ? [{ value: UNLINKED_RESPONSIBLE, label: `${item.responsible} (sin cuenta)` }] : []);
+
+    const handleChange = (uid) => {
+        if (uid === value) return;
+        const assignee = assignees.find(a => a.uid === uid);
+        const updated = assignAction(item, assignee);
+        onChange(updated);
+        if (assignee) onAssign(updated);
+    };
+
+    return (
+        <SelectField
+            label="Responsable"
+            name={`${name}.responsible`}
+            value={value}
+            onChange={(e) => handleChange(e.target.value)}
+            placeholder={assignees.length === 0 ? 'Vincula miembros del equipo en D1' : 'Sin asignar'}
+            options={[...assignees.map(a => ({ value: a.uid, label: a.name })), ...former]}
+        />
+    );
+};
+
+// Containment actions of D3 and emergency response actions (ERA) of D0.
+const ContainmentActionList = ({ data, field, label, placeholder, userId, assignees, onAssign, onUpdate }) => {
      const handleActionChange = (index, field, value) => {
-        const newData = [...data];
-        newData[index][field] = value;
-        onUpdate(newData);
+        onUpdate(data.map((a, i) => i === index ? { ...a, [field]: value } : a));
     };
 
+    const replaceActionAt = (index, item) => onUpdate(data.map((a, i) => i === index ? item : a));
+
+    // By id: uploads can finish after the list has changed.
+    const setAttachments = (id, attachments) => onUpdate(data.map(a => a.id === id ? { ...a, attachments } : a));
+
     const addAction = () => {
-        onUpdate([...data, { action: '', responsible: '', date: '', verified: false }]);
+        onUpdate([...data, createAction()]);
     };
     
     const removeAction = (index) => {
         onUpdate(data.filter((_, i) => i !== index));
     }
 
-    return(
-        <Section title="D3: Implementar Acciones de Contención" description="Define y verifica acciones temporales para proteger al cliente mientras se encuentra la causa raíz.">
+    return (
+        <>
             {data.map((item, index) => (
-                <div key={index} className="bg-gray-800 p-4 rounded-lg space-y-3">
+                <div key={item.id} className="bg-gray-800 p-4 rounded-lg space-y-3">
                     <div className="flex justify-between items-start">
                         <div className="flex-1">
-                           <InputField label="Acción de contención" value={item.action} onChange={(e) => handleActionChange(index, 'action', e.target.value)} placeholder="Ej: Inspeccionar 100% del lote X"/>
+                           <InputField label={label} name={`${field}.${item.id}.action`} value={item.action} onChange={(e) => handleActionChange(index, 'action', e.target.value)} placeholder={placeholder}/>
+                        </div>
+                        <div className="ml-4 flex items-center gap-3">
+                            <CommentMarker name={`${field}.${item.id}`} label={item.action || label} always />
+                            <button onClick={() => removeAction(index)} className="text-gray-500 hover:text-red-400"><Trash2 size={18}/></button>
                         </div>
-                        <button onClick={() => removeAction(index)} className="ml-4 text-gray-500 hover:text-red-400 "><Trash2 size={18}/></button>
                     </div>
                     <div className="grid grid-cols-2 gap-4">
-                        <InputField label="Responsable" value={item.responsible} onChange={(e) => handleActionChange(index, 'responsible', e.target.value)} placeholder="Nombre"/>
-                        <InputField label="Fecha Límite" type="date" value={item.date} onChange={(e) => handleActionChange(index, 'date', e.target.value)}/>
+                        <ResponsibleField item={item} name={`${field}.${item.id}`} assignees={assignees} onChange={(updated) => replaceActionAt(index, updated)} onAssign={onAssign} />
+                        <InputField label="Fecha Límite" name={`${field}.${item.id}.date`} type="date" value={item.date} onChange={(e) => handleActionChange(index, 'date', e.target.value)}/>
                     </div>
+                    <ActionStatusFields item={item} name={`${field}.${item.id}`} userId={userId} onChange={(updated) => replaceActionAt(index, updated)} />
+                    <AttachmentList attachments={item.attachments} label="Evidencias de la acción" onChange={(attachments) => setAttachments(item.id, attachments)} />
                 </div>
             ))}
              <button onClick={addAction} className="mt-4 text-indigo-400 hover:text-indigo-300 font-semibold">+ Añadir acción</button>
+        </>
+    );
+};
+
+const D0_EmergencyResponse = ({ data, actions, userId, assignees, onAssign, onUpdate, onUpdateFields }) => {
+    // Whoever changes the decision signs it.
+    const handleDecision = (decision) => onUpdateFields({
+        'd0_emergency.decision': decision,
+        'd0_emergency.decided_by': decision ? userId : '',
+        'd0_emergency.decided_at': decision ? new Date().toISOString() : '',
+    });
+
+    return (
+        <Section title="D0: Respuesta de Emergencia" description="Protege al cliente de inmediato y decide si el problema requiere un 8D completo.">
+            <TextAreaField label="Síntoma" name="d0_emergency.symptom" value={data.symptom} onChange={(e) => onUpdate('d0_emergency.symptom', e.target.value)} placeholder="Lo que el cliente observa, en sus palabras" />
+            <h4 className="font-semibold text-gray-200 pt-2">Acciones de respuesta de emergencia (ERA)</h4>
+            <ContainmentActionList data={actions} field="d0_emergency_actions" label="Acción de emergencia" placeholder="Ej: Bloquear el stock en el almacén del cliente" userId={userId} assignees={assignees} onAssign={onAssign} onUpdate={(val) => onUpdate('d0_emergency_actions', val)} />
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-2">
+                <SelectField label="¿Se requiere un 8D?" name="d0_emergency.decision" value={data.decision} onChange={(e) => handleDecision(e.target.value)} placeholder="Sin decidir" options={D0_DECISIONS.map(d => ({ value: d.id, label: d.label }))} />
+                <TextAreaField label="Justificación" name="d0_emergency.decision_reason" rows={1} value={data.decision_reason} onChange={(e) => onUpdate('d0_emergency.decision_reason', e.target.value)} placeholder="Ej: Defecto aislado, sin riesgo de recurrencia" />
+            </div>
+            {data.decided_at && <p className="text-xs text-gray-500">Decidido el {new Date(data.decided_at).toLocaleString()}</p>}
         </Section>
-    )
+    );
 };
 
-const D4_RootCauseAnalysis = ({ data, onUpdate }) => {
-    // 5 Whys Logic
-    const handleWhyChange = (index, value) => {
-        const newWhys = [...data.five_whys];
-        newWhys[index] = value;
-        onUpdate('d4_root_cause.five_whys', newWhys);
-    };
-    const addWhy = () => {
-        onUpdate('d4_root_cause.five_whys', [...data.five_whys, '']);
-    };
+const D3_ContainmentActions = ({ data, userId, assignees, onAssign, onUpdate }) => (
+    <Section title="D3: Implementar Acciones de Contención" description="Define y verifica acciones temporales para proteger al cliente mientras se encuentra la causa raíz.">
+        <ContainmentActionList data={data} field="d3_containment" label="Acción de contención" placeholder="Ej: Inspeccionar 100% del lote X" userId={userId} assignees={assignees} onAssign={onAssign} onUpdate={onUpdate} />
+    </Section>
+);
 
-    // Fishbone Logic
-    const handleFishboneChange = (category, index, value) => {
-        const newFishbone = { ...data.fishbone };
-        newFishbone[category][index] = value;
-        onUpdate('d4_root_cause.fishbone', newFishbone);
-    };
-    const addFishboneCause = (category) => {
-        const newFishbone = { ...data.fishbone };
-        newFishbone[category].push('');
-        onUpdate('d4_root_cause.fishbone', newFishbone);
-    };
-     const removeFishboneCause = (category, index) => {
-        const newFishbone = { ...data.fishbone };
-        newFishbone[category] = newFishbone[category].filter((_, i) => i !== index);
-        onUpdate('d4_root_cause.fishbone', newFishbone);
-    };
-    
-    const fishboneCategories = {
-        Manpower: "Mano de Obra", Machine: "Maquinaria", Method: "Método",
-        Material: "Materiales", Measurement: "Medición", Environment: "Medio Ambiente"
-    };
+const D4_RootCauseAnalysis = ({ data, problem, title, readOnly, onUpdate, onError }) => {
+    const rootCauses = getRootCauses(data.fishbone);
 
     return (
         <Section title="D4: Identificar la Causa Raíz" description="Usa técnicas como '5 Porqués' y el Diagrama de Ishikawa para encontrar el origen del problema.">
             <div className="bg-gray-800 p-4 rounded-lg">
                 <h4 className="font-semibold text-lg text-gray-200 mb-3">Análisis de los 5 Porqués</h4>
-                <div className="space-y-3">
-                    {data.five_whys.map((why, index) => (
-                        <div key={index} className="flex items-center gap-3">
-                            <span className="text-indigo-400 font-bold">Porqué #{index + 1}:</span>
-                            <input type="text" value={why} onChange={(e) => handleWhyChange(index, e.target.value)} placeholder={index === 0 ? 'Describe el problema inicial...' : '¿Por qué ocurrió eso?'} className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white focus:ring-indigo-500 focus:border-indigo-500 transition"/>
-                        </div>
-                    ))}
-                </div>
-                <button onClick={addWhy} className="mt-4 text-indigo-400 hover:text-indigo-300 font-semibold">+ Añadir porqué</button>
+                <WhyTreeEditor tree={data.why_tree} fishbone={data.fishbone} onChange={(tree) => onUpdate('d4_root_cause.why_tree', tree)} />
             </div>
             
             <div className="bg-gray-800 p-4 rounded-lg mt-6">
                  <h4 className="font-semibold text-lg text-gray-200 mb-3">Diagrama de Ishikawa (Espina de Pescado)</h4>
-                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                    {Object.entries(fishboneCategories).map(([key, name]) => (
-                        <div key={key} className="bg-gray-900/70 p-3 rounded-md">
-                            <h5 className="font-bold text-indigo-400">{name}</h5>
-                            <div className="mt-2 space-y-2">
-                                {data.fishbone[key]?.map((cause, index) => (
-                                    <div key={index} className="flex items-center gap-2">
-                                        <input type="text" value={cause} onChange={e => handleFishboneChange(key, index, e.target.value)} placeholder="Causa potencial..." className="w-full bg-gray-700 border-gray-600 rounded px-2 py-1 text-sm"/>
-                                        <button onClick={() => removeFishboneCause(key, index)} className="text-gray-500 hover:text-red-400"><X size={16}/></button>
-                                    </div>
-                                ))}
-                            </div>
-                            <button onClick={() => addFishboneCause(key)} className="mt-2 text-xs text-indigo-400 hover:text-indigo-300">+ Añadir causa</button>
-                        </div>
-                    ))}
-                 </div>
+                 <FishboneDiagram
+                     fishbone={data.fishbone}
+                     problem={problem}
+                     title={title}
+                     readOnly={readOnly}
+                     onChange={(fishbone) => onUpdate('d4_root_cause.fishbone', fishbone)}
+                     onError={onError}
+                 />
+            </div>
+
+            <div className="bg-gray-800 p-4 rounded-lg mt-6">
+                <h4 className="font-semibold text-lg text-gray-200 mb-3">Causas Raíz Verificadas</h4>
+                {rootCauses.length === 0 ? (
+                    <p className="text-sm text-gray-400">Marca en el diagrama la causa o causas raíz verificadas; pasarán a D5 para asignarles acciones correctivas.</p>
+                ) : (
+                    <ul className="space-y-1">
+                        {rootCauses.map(c => (
+                            <li key={c.id} className="text-sm text-gray-200">
+                                <span className="font-semibold text-red-400">{getCategoryName(data.fishbone, c.categoryId)}:</span> {c.text || 'Causa sin describir'}
+                                {c.evidence.length > 0 && <span className="text-xs text-gray-500"> · {c.evidence.length} evidencia(s)</span>}
+                            </li>
+                        ))}
+                    </ul>
+                )}
             </div>
         </Section>
     );
 };
 
 // --- Other Discipline Components (similar structure to D3) ---
-const D5_CorrectiveActions = ({ data, onUpdate }) => {
+const D5_CorrectiveActions = ({ data, rootCauses, userId, assignees, onAssign, onUpdate }) => {
     const handleActionChange = (index, field, value) => {
-        const newData = [...data];
-        newData[index][field] = value;
-        onUpdate(newData);
+        onUpdate(data.map((a, i) => i === index ? { ...a, [field]: value } : a));
     };
 
+    const replaceActionAt = (index, item) => onUpdate(data.map((a, i) => i === index ? item : a));
+
+    // By id: uploads can finish after the list has changed.
+    const setAttachments = (id, attachments) => onUpdate(data.map(a => a.id === id ? { ...a, attachments } : a));
+
     const addAction = () => {
-        onUpdate([...data, { action: '', responsible: '', date: '', verified: false }]);
+        onUpdate([...data, createCorrectiveAction()]);
     };
     
     const removeAction = (index) => onUpdate(data.filter((_, i) => i !== index));
 
+    const toggleRootCause = (index, causeId) => {
+        const item = data[index];
+        const rootCauseIds = item.rootCauseIds.includes(causeId) ? item.rootCauseIds.filter(id => id !== causeId) : [...item.rootCauseIds, causeId];
+        replaceActionAt(index, { ...item, rootCauseIds });
+    };
+
+    const unaddressed = rootCauses.filter(c => !data.some(a => a.rootCauseIds.includes(c.id)));
+
     return (
         <Section title="D5: Desarrollar Acciones Correctivas Permanentes" description="Define acciones que eliminarán la causa raíz del problema.">
+            {rootCauses.length === 0 ? (
+                <p className="text-sm text-yellow-400">Aún no hay causas raíz verificadas en D4.</p>
+            ) : unaddressed.length > 0 && (
+                <p className="text-sm text-yellow-400">Causas raíz sin acción correctiva: {unaddressed.map(c => c.text || 'Causa sin describir').join(', ')}</p>
+            )}
             {data.map((item, index) => (
-                <div key={index} className="bg-gray-800 p-4 rounded-lg space-y-3">
+                <div key={item.id} className="bg-gray-800 p-4 rounded-lg space-y-3">
                      <div className="flex justify-between items-start">
                          <div className="flex-1">
-                             <InputField label="Acción Correctiva Permanente (PCA)" value={item.action} onChange={(e) => handleActionChange(index, 'action', e.target.value)} placeholder="Ej: Modificar el herramental de producción"/>
+                             <InputField label="Acción Correctiva Permanente (PCA)" name={`d5_corrective_actions.${item.id}.action`} value={item.action} onChange={(e) => handleActionChange(index, 'action', e.target.value)} placeholder="Ej: Modificar el herramental de producción"/>
                          </div>
-                        <button onClick={() => removeAction(index)} className="ml-4 text-gray-500 hover:text-red-400 "><Trash2 size={18}/></button>
+                        <div className="ml-4 flex items-center gap-3">
+                            <CommentMarker name={`d5_corrective_actions.${item.id}`} label={item.action || 'Acción correctiva'} always />
+                            <button onClick={() => removeAction(index)} className="text-gray-500 hover:text-red-400"><Trash2 size={18}/></button>
+                        </div>
                     </div>
                     <div className="grid grid-cols-2 gap-4">
-                        <InputField label="Responsable" value={item.responsible} onChange={(e) => handleActionChange(index, 'responsible', e.target.value)} placeholder="Nombre"/>
-                        <InputField label="Fecha de Implementación" type="date" value={item.date} onChange={(e) => handleActionChange(index, 'date', e.target.value)}/>
+                        <ResponsibleField item={item} name={`d5_corrective_actions.${item.id}`} assignees={assignees} onChange={(updated) => replaceActionAt(index, updated)} onAssign={onAssign} />
+                        <InputField label="Fecha de Implementación" name={`d5_corrective_actions.${item.id}.date`} type="date" value={item.date} onChange={(e) => handleActionChange(index, 'date', e.target.value)}/>
                     </div>
+                    {rootCauses.length > 0 && (
+                        <div>
+                            <p className="block text-sm font-medium text-gray-300 mb-1">Causas raíz que elimina</p>
+                            <div className="flex flex-wrap gap-2">
+                                {rootCauses.map(c => {
+                                    const isLinked = item.rootCauseIds.includes(c.id);
+                                    return (
+                                        <button
+                                            key={c.id}
+                                            type="button"
+                                            onClick={() => toggleRootCause(index, c.id)}
+                                            className={`px-2 py-1 rounded-full text-xs font-semibold border transition ${isLinked ? 'text-white border-transparent' : 'bg-gray-900 text-gray-300 border-gray-600 hover:border-gray-400'}`}
+                                            style={isLinked ? { backgroundColor: ROOT_CAUSE_COLOR } : undefined}
+                                        >
+                                            {c.text || 'Causa sin describir'}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    )}
+                    <ActionStatusFields item={item} name={`d5_corrective_actions.${item.id}`} userId={userId} onChange={(updated) => replaceActionAt(index, updated)} />
+                    <AttachmentList attachments={item.attachments} label="Evidencias de la acción" onChange={(attachments) => setAttachments(item.id, attachments)} />
                 </div>
             ))}
              <button onClick={addAction} className="mt-4 text-indigo-400 hover:text-indigo-300 font-semibold">+ Añadir acción</button>
         </Section>
     )
 };
-const D6_Implementation = ({ data, onUpdate }) => (
-    <Section title="D6: Implementar y Validar las Acciones" description="Ejecuta las PCAs y comprueba que son efectivas.">
-        <InputField label="Resumen de la Implementación" value={data.summary || ''} onChange={(e) => onUpdate('d6_implementation', { ...data, summary: e.target.value })} placeholder="Describe cómo se implementaron las acciones..."/>
-        <InputField label="Resultados de la Validación" value={data.validation_results || ''} onChange={(e) => onUpdate('d6_implementation', { ...data, validation_results: e.target.value })} placeholder="Muestra datos que confirmen la solución del problema..."/>
-    </Section>
+const D6_Implementation = ({ report, onUpdate }) => {
+    const data = report.d6_implementation;
+    return (
+        <Section title="D6: Implementar y Validar las Acciones" description="Ejecuta las PCAs y comprueba con datos que son eficaces.">
+            <InputField label="Resumen de la Implementación" name="d6_implementation.summary" value={data.summary} onChange={(e) => onUpdate('d6_implementation.summary', e.target.value)} placeholder="Describe cómo se implementaron las acciones..."/>
+            <InputField label="Resultados de la Validación" name="d6_implementation.validation_results" value={data.validation_results} onChange={(e) => onUpdate('d6_implementation.validation_results', e.target.value)} placeholder="Muestra datos que confirmen la solución del problema..."/>
+            <EffectivenessChecks report={report} onUpdate={(checks) => onUpdate('d6_implementation.effectiveness_checks', checks)} />
+        </Section>
+    );
+};
+const UnconfirmedCount = ({ count }) => (count > 0 ? <span className="text-xs font-normal text-yellow-400">{count} sin confirmar</span> : null);
+
+// Who confirmed a lesson or read-across line, and when.
+const LineConfirmation = ({ item, profile, onChange }) => (
+    <CheckboxField
+        label={item.confirmed ? `Confirmado por ${item.confirmedByName} (${item.confirmedAt})` : 'Confirmado'}
+        checked={item.confirmed}
+        onChange={(e) => onChange(e.target.checked ? confirmLine(item, profile, todayIso()) : unconfirmLine(item))}
+    />
 );
-const D7_Prevention = ({ data, onUpdate }) => (
-    <Section title="D7: Prevenir la Recurrencia" description="Modifica sistemas, políticas y procedimientos para evitar que el problema vuelva a ocurrir.">
-         <InputField label="Documentos Actualizados" value={data.updated_docs || ''} onChange={(e) => onUpdate('d7_prevention', { ...data, updated_docs: e.target.value })} placeholder="Ej: FMEA, Plan de Control, SOPs..."/>
-        <InputField label="Nuevos Estándares Creados" value={data.new_standards || ''} onChange={(e) => onUpdate('d7_prevention', { ...data, new_standards: e.target.value })} placeholder="Describe los nuevos estándares o prácticas..."/>
-    </Section>
+
+const D7_Prevention = ({ report, profile, assignees, onAssign, onUpdate }) => {
+    const data = report.d7_prevention;
+    return (
+        <Section title="D7: Prevenir la Recurrencia" description="Actualiza los documentos controlados, registra las lecciones aprendidas y extiéndelas a productos y líneas similares.">
+            <D7_Documents documents={data.documents} assignees={assignees} onAssign={onAssign} onUpdate={(documents) => onUpdate('d7_prevention.documents', documents)} />
+            <InputField label="Otros Documentos Actualizados" name="d7_prevention.updated_docs" value={data.updated_docs} onChange={(e) => onUpdate('d7_prevention.updated_docs', e.target.value)} placeholder="Cambios fuera de los documentos controlados de la lista..."/>
+            <InputField label="Nuevos Estándares Creados" name="d7_prevention.new_standards" value={data.new_standards} onChange={(e) => onUpdate('d7_prevention.new_standards', e.target.value)} placeholder="Describe los nuevos estándares o prácticas..."/>
+            <RowList
+                title={<>Lecciones aprendidas <UnconfirmedCount count={getUnconfirmedLessons(report).length} /></>}
+                rows={data.lessons_learned}
+                createRow={createLessonLearned}
+                onChange={(lessons) => onUpdate('d7_prevention.lessons_learned', lessons)}
+                addLabel="+ Añadir lección"
+                renderRow={(lesson, change) => (
+                    <div className="flex items-start gap-3">
+                        <div className="flex-1">
+                            <TextAreaField name={`d7_prevention.lessons_learned.${lesson.id}`} rows={2} value={lesson.text} onChange={(e) => change({ text: e.target.value })} placeholder="Ej: Validar el par de apriete en cada cambio de proveedor de juntas" />
+                        </div>
+                        <div className="pt-2 w-56 flex-shrink-0">
+                            <LineConfirmation item={lesson} profile={profile} onChange={change} />
+                        </div>
+                    </div>
+                )}
+            />
+            <D7_ReadAcross items={data.read_across} unconfirmed={getUnconfirmedReadAcross(report).length} profile={profile} onUpdate={(items) => onUpdate('d7_prevention.read_across', items)} />
+        </Section>
+    );
+};
+
+// Controlled documents changed by the corrective actions; the list usually
+// starts from the report's template. D7 is complete when all are closed
+// with their new revision.
+const D7_Documents = ({ documents, assignees, onAssign, onUpdate }) => {
+    const today = todayIso();
+    const replaceDocument = (updated) => onUpdate(documents.map(d => d.id === updated.id ? updated : d));
+    const closed = documents.filter(d => d.status === 'closed').length;
+
+    return (
+        <div className="space-y-3">
+            <p className="text-sm font-semibold text-gray-200 flex items-center gap-2">
+                <FileCheck2 size={16} /> Documentos controlados
+                {documents.length > 0 && <span className="text-xs font-normal text-gray-400">{closed} de {documents.length} cerrados</span>}
+            </p>
+            {documents.map(document => {
+                const name = `d7_prevention.documents.${document.id}`;
+                const change = (fields) => replaceDocument({ ...document, ...fields });
+                const problems = getDocumentProblems(document);
+                return (
+                    <div key={document.id} className="bg-gray-800 p-4 rounded-lg space-y-3">
+                        <div className="flex items-start gap-3">
+                            <div className="flex-1 grid grid-cols-1 md:grid-cols-3 gap-4">
+                                <SelectField label="Tipo" name={`${name}.type`} value={document.type} onChange={(e) => change({ type: e.target.value })} options={DOCUMENT_TYPES.map(t => ({ value: t.id, label: t.label }))} />
+                                <InputField label="Documento" name={`${name}.title`} value={document.title} onChange={(e) => change({ title: e.target.value })} placeholder="Ej: Plan de control línea 3" />
+                                <InputField label="Nº de Documento" name={`${name}.number`} value={document.number} onChange={(e) => change({ number: e.target.value })} placeholder="Ej: CP-0042" />
+                            </div>
+                            <div className="flex items-center gap-3 pt-7">
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getDocumentStatus(document.status).className}`}>{getDocumentStatus(document.status).label}</span>
+                                <CommentMarker name={name} label={describeDocument(document)} always />
+                                <button type="button" onClick={() => onUpdate(documents.filter(d => d.id !== document.id))} className="text-gray-500 hover:text-red-400" title="Quitar documento"><Trash2 size={18} /></button>
+                            </div>
+                        </div>
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                            <InputField label="Revisión Anterior" name={`${name}.revision_before`} value={document.revision_before} onChange={(e) => change({ revision_before: e.target.value })} placeholder="Ej: C" />
+                            <InputField label="Revisión Nueva" name={`${name}.revision_after`} value={document.revision_after} onChange={(e) => change({ revision_after: e.target.value })} placeholder="Ej: D" />
+                            <ResponsibleField item={document} name={name} assignees={assignees} onChange={replaceDocument} onAssign={(updated) => onAssign(toDocumentAssignment(updated))} />
+                            <InputField label="Fecha Límite" name={`${name}.due_date`} type="date" value={document.due_date} onChange={(e) => change({ due_date: e.target.value })} />
+                            <SelectField
+                                label="Estado"
+                                name={`${name}.status`}
+                                value={document.status}
+                                onChange={(e) => replaceDocument(setDocumentStatus(document, e.target.value, today))}
+                                options={DOCUMENT_STATUSES.map(st => ({ value: st.id, label: st.label }))}
+                            />
+                        </div>
+                        {(problems.length > 0 || isDocumentOverdue(document, today) || document.closedAt) && (
+                            <p className="text-xs">
+                                {document.closedAt && <span className="text-gray-400">Cerrado el {document.closedAt}. </span>}
+                                {isDocumentOverdue(document, today) && <span className="text-red-400">Fecha límite vencida. </span>}
+                                {problems.length > 0 && <span className="text-yellow-400">{problems.join(' ')}</span>}
+                            </p>
+                        )}
+                    </div>
+                );
+            })}
+            <button type="button" onClick={() => onUpdate([...documents, createDocumentUpdate()])} className="text-indigo-400 hover:text-indigo-300 font-semibold">+ Añadir documento</button>
+        </div>
+    );
+};
+
+// Similar products and lines the lessons are carried over to; each one is
+// confirmed by whoever checked it there.
+const D7_ReadAcross = ({ items, unconfirmed, profile, onUpdate }) => (
+    <div className="space-y-3">
+        <p className="text-sm font-semibold text-gray-200 flex items-center gap-2">
+            <Share2 size={16} /> Extensión a productos y líneas similares
+            <UnconfirmedCount count={unconfirmed} />
+        </p>
+        {items.map(item => {
+            const name = `d7_prevention.read_across.${item.id}`;
+            const replace = (updated) => onUpdate(items.map(i => i.id === item.id ? updated : i));
+            return (
+                <div key={item.id} className="flex items-start gap-3">
+                    <div className="flex-1 grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <InputField label="Producto o Línea" name={`${name}.target`} value={item.target} onChange={(e) => replace({ ...item, target: e.target.value })} placeholder="Ej: Línea 5 · 4522-AB" />
+                        <div className="md:col-span-2">
+                            <InputField label="Acción Aplicada" name={`${name}.action`} value={item.action} onChange={(e) => replace({ ...item, action: e.target.value })} placeholder="Ej: Mismo cambio de junta y de plan de control" />
+                        </div>
+                    </div>
+                    <div className="pt-8 w-56 flex-shrink-0">
+                        <LineConfirmation item={item} profile={profile} onChange={replace} />
+                    </div>
+                    <button type="button" onClick={() => onUpdate(items.filter(i => i.id !== item.id))} className="pt-8 text-gray-500 hover:text-red-400" title="Quitar"><Trash2 size={18} /></button>
+                </div>
+            );
+        })}
+        <button type="button" onClick={() => onUpdate([...items, createReadAcross()])} className="text-indigo-400 hover:text-indigo-300 font-semibold">+ Añadir producto o línea</button>
+    </div>
 );
 const D8_Recognition = ({ data, onUpdate }) => (
     <Section title="D8: Reconocer al Equipo" description="Felicita y reconoce el esfuerzo y éxito del equipo.">
-        <InputField label="Resumen del Reconocimiento" value={data.summary || ''} onChange={(e) => onUpdate('d8_recognition', { ...data, summary: e.target.value })} placeholder="Describe cómo se reconoció al equipo..."/>
-        <InputField label="Fecha de Celebración" type="date" value={data.celebration_date || ''} onChange={(e) => onUpdate('d8_recognition', { ...data, celebration_date: e.target.value })} />
+        <InputField label="Resumen del Reconocimiento" name="d8_recognition.summary" value={data.summary} onChange={(e) => onUpdate('d8_recognition.summary', e.target.value)} placeholder="Describe cómo se reconoció al equipo..."/>
+        <InputField label="Fecha de Celebración" type="date" name="d8_recognition.celebration_date" value={data.celebration_date} onChange={(e) => onUpdate('d8_recognition.celebration_date', e.target.value)} />
     </Section>
 );
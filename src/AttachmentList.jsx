@@ -0,0 +1,157 @@
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Paperclip, Upload, FileText, Trash2, X, ChevronLeft, ChevronRight, Download } from 'lucide-react';
+import { ConfirmationModal } from './ui';
+import { ACCEPTED_FILES, MAX_ATTACHMENT_BYTES, deleteAttachmentFile, formatFileSize, isImage, uploadAttachment, validateFile } from './attachments';
+
+// Provided by the workspace: { storage, folder, author, onError }.
+export const AttachmentsContext = createContext(null);
+
+// --- Lightbox ---
+// Rendered in a portal so it stays usable inside the disabled fieldset of a read-only report.
+const Lightbox = ({ images, index, onChange, onClose }) => {
+    const image = images[index];
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            if (e.key === 'ArrowLeft') onChange((index - 1 + images.length) % images.length);
+            if (e.key === 'ArrowRight') onChange((index + 1) % images.length);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [images.length, index, onChange, onClose]);
+
+    return createPortal(
+        <div className="fixed inset-0 bg-black bg-opacity-90 z-50 flex flex-col items-center justify-center p-4" onClick={onClose}>
+            <div className="absolute top-4 right-4 flex gap-4" onClick={(e) => e.stopPropagation()}>
+                <a href={image.url} target="_blank" rel="noreferrer" className="text-gray-300 hover:text-white" title="Abrir original"><Download size={22} /></a>
+                <button onClick={onClose} className="text-gray-300 hover:text-white" title="Cerrar"><X size={22} /></button>
+            </div>
+            {images.length > 1 && (
+                <>
+                    <button onClick={(e) => { e.stopPropagation(); onChange((index - 1 + images.length) % images.length); }} className="absolute left-4 text-gray-300 hover:text-white" title="Anterior"><ChevronLeft size={32} /></button>
+                    <button onClick={(e) => { e.stopPropagation(); onChange((index + 1) % images.length); }} className="absolute right-4 text-gray-300 hover:text-white" title="Siguiente"><ChevronRight size={32} /></button>
+                </>
+            )}
+            <img src={image.url} alt={image.name} className="max-h-[85vh] max-w-full object-contain" onClick={(e) => e.stopPropagation()} />
+            <p className="mt-3 text-sm text-gray-300">{image.name} · {image.uploadedByName} · {new Date(image.uploadedAt).toLocaleString()}</p>
+        </div>,
+        document.body
+    );
+};
+
+// --- Attachment List ---
+// Thumbnails and files of one discipline or action, with uploads in progress.
+const AttachmentList = ({ attachments, onChange, label = 'Evidencias' }) => {
+    const { storage, folder, author, onError } = useContext(AttachmentsContext);
+    const [uploads, setUploads] = useState([]); // [{ key, name, progress, cancel }]
+    const [lightboxIndex, setLightboxIndex] = useState(null);
+    const [toDelete, setToDelete] = useState(null);
+    const inputRef = useRef(null);
+
+    // Uploads finish after later edits; they are added to the latest list.
+    const latest = useRef({ attachments, onChange });
+    latest.current = { attachments, onChange };
+
+    const images = attachments.filter(isImage);
+    const files = attachments.filter(a => !isImage(a));
+
+    const handleFiles = (fileList) => {
+        [...fileList].forEach(file => {
+            const problem = validateFile(file);
+            if (problem) {
+                onError(problem);
+                return;
+            }
+            const key = `${file.name}-${Date.now()}-${Math.random()}`;
+            const setProgress = (progress) => setUploads(list => list.map(u => u.key === key ? { ...u, progress } : u));
+            const { cancel, done } = uploadAttachment({ storage, folder, file, author, onProgress: setProgress });
+            setUploads(list => [...list, { key, name: file.name, progress: 0, cancel }]);
+            done.then((attachment) => {
+                latest.current.onChange([...latest.current.attachments, attachment]);
+            }, (error) => {
+                if (error.code !== 'storage/canceled') onError(`No se pudo subir ${file.name}: ${error.message}`);
+            }).finally(() => {
+                setUploads(list => list.filter(u => u.key !== key));
+            });
+        });
+        inputRef.current.value = '';
+    };
+
+    const confirmDelete = async () => {
+        const attachment = toDelete;
+        setToDelete(null);
+        try {
+            await deleteAttachmentFile(storage, attachment);
+            latest.current.onChange(latest.current.attachments.filter(a => a.id !== attachment.id));
+        } catch (error) {
+            onError(`No se pudo eliminar ${attachment.name}: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <ConfirmationModal isOpen={Boolean(toDelete)} onClose={() => setToDelete(null)} onConfirm={confirmDelete} title="Eliminar adjunto">
+                <p>¿Eliminar «{toDelete?.name}»? El archivo se borrará definitivamente.</p>
+            </ConfirmationModal>
+            {lightboxIndex !== null && images[lightboxIndex] && (
+                <Lightbox images={images} index={lightboxIndex} onChange={setLightboxIndex} onClose={() => setLightboxIndex(null)} />
+            )}
+
+            <div className="flex items-center justify-between">
+                <p className="flex items-center gap-1 text-sm font-medium text-gray-300"><Paperclip size={14} /> {label} ({attachments.length})</p>
+                <label className="flex items-center gap-1 text-sm text-indigo-400 hover:text-indigo-300 font-semibold cursor-pointer">
+                    <Upload size={14} /> Adjuntar
+                    <input ref={inputRef} type="file" multiple accept={ACCEPTED_FILES} className="hidden" onChange={(e) => handleFiles(e.target.files)} />
+                </label>
+            </div>
+
+            {images.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {images.map((image, index) => (
+                        <div key={image.id} className="group relative">
+                            {/* A link rather than a button so read-only reports can still open it. */}
+                            <a href={image.url} onClick={(e) => { e.preventDefault(); setLightboxIndex(index); }} title={image.name}>
+                                <img src={image.url} alt={image.name} loading="lazy" className="h-20 w-20 object-cover rounded-md border border-gray-600 hover:border-indigo-400" />
+                            </a>
+                            <button onClick={() => setToDelete(image)} className="absolute top-1 right-1 p-0.5 rounded bg-gray-900/80 text-gray-300 hover:text-red-400 opacity-0 group-hover:opacity-100 disabled:hidden" title="Eliminar">
+                                <Trash2 size={14} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {files.map(file => (
+                <div key={file.id} className="flex items-center gap-2 text-sm">
+                    <FileText size={16} className="text-gray-400 flex-shrink-0" />
+                    <a href={file.url} target="_blank" rel="noreferrer" className="text-indigo-300 hover:text-indigo-200 truncate">{file.name}</a>
+                    <span className="text-xs text-gray-500 flex-shrink-0">{formatFileSize(file.size)} · {file.uploadedByName}</span>
+                    <button onClick={() => setToDelete(file)} className="ml-auto text-gray-500 hover:text-red-400 disabled:hidden" title="Eliminar"><Trash2 size={14} /></button>
+                </div>
+            ))}
+
+            {uploads.map(upload => (
+                <div key={upload.key} className="text-xs text-gray-400">
+                    <div className="flex items-center justify-between">
+                        <span className="truncate">{upload.name}</span>
+                        <span className="flex items-center gap-2">
+                            {Math.round(upload.progress * 100)}%
+                            <button onClick={upload.cancel} className="text-gray-500 hover:text-red-400" title="Cancelar"><X size={12} /></button>
+                        </span>
+                    </div>
+                    <div className="mt-1 h-1 rounded bg-gray-700">
+                        <div className="h-1 rounded bg-indigo-500 transition-all" style={{ width: `${upload.progress * 100}%` }} />
+                    </div>
+                </div>
+            ))}
+
+            {attachments.length === 0 && uploads.length === 0 && (
+                <p className="text-xs text-gray-500">Fotos, registros o documentos de hasta {formatFileSize(MAX_ATTACHMENT_BYTES)}.</p>
+            )}
+        </div>
+    );
+};
+
+export default AttachmentList;
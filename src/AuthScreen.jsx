@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { signInWithEmailAndPassword, createUserWithEmailAndPassword, sendPasswordResetEmail, signInWithPopup, GoogleAuthProvider, OAuthProvider } from 'firebase/auth';
+import { BrainCircuit } from 'lucide-react';
+import { ErrorBanner, InputField } from './ui';
+
+// --- SSO Providers ---
+const ssoProviders = [
+    { id: 'google', label: 'Continuar con Google', create: () => new GoogleAuthProvider() },
+    { id: 'microsoft', label: 'Continuar con Microsoft', create: () => new OAuthProvider('microsoft.com') },
+];
+
+const authErrorMessages = {
+    'auth/invalid-credential': 'Correo o contraseña incorrectos.',
+    'auth/invalid-email': 'El correo electrónico no es válido.',
+    'auth/email-already-in-use': 'Ya existe una cuenta con este correo.',
+    'auth/weak-password': 'La contraseña debe tener al menos 6 caracteres.',
+    'auth/popup-closed-by-user': 'Se cerró la ventana de inicio de sesión.',
+    'auth/account-exists-with-different-credential': 'Este correo ya está registrado con otro método de acceso.',
+};
+
+// --- Sign-in / Sign-up Screen ---
+const AuthScreen = ({ auth }) => {
+    const [mode, setMode] = useState('signIn'); // 'signIn' or 'signUp'
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const run = async (action) => {
+        setError(null);
+        setNotice(null);
+        setIsSubmitting(true);
+        try {
+            await action();
+        } catch (err) {
+            setError(authErrorMessages[err.code] || err.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        run(() => mode === 'signIn'
+            ? signInWithEmailAndPassword(auth, email, password)
+            : createUserWithEmailAndPassword(auth, email, password));
+    };
+
+    const handleResetPassword = () => {
+        if (!email) {
+            setError('Escribe tu correo para recibir el enlace de recuperación.');
+            return;
+        }
+        run(async () => {
+            await sendPasswordResetEmail(auth, email);
+            setNotice('Te enviamos un correo para restablecer la contraseña.');
+        });
+    };
+
+    return (
+        <div className="flex items-center justify-center min-h-screen bg-gray-900 text-gray-100 p-4">
+            <div className="w-full max-w-sm">
+                <div className="text-center mb-8">
+                    <BrainCircuit className="mx-auto h-12 w-12 text-indigo-400" />
+                    <h1 className="mt-4 text-2xl font-bold">Plataforma 8D Interactiva</h1>
+                    <p className="mt-1 text-gray-400">{mode === 'signIn' ? 'Inicia sesión para continuar' : 'Crea tu cuenta'}</p>
+                </div>
+                <ErrorBanner message={error} onDismiss={() => setError(null)} />
+                {notice && <p className="mb-4 text-sm text-green-400">{notice}</p>}
+                <form onSubmit={handleSubmit} className="space-y-4 bg-gray-800 p-6 rounded-xl border border-gray-700">
+                    <InputField label="Correo electrónico" type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="nombre@empresa.com" />
+                    <InputField label="Contraseña" type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+                    <button type="submit" disabled={isSubmitting} className="w-full px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-500 transition-all disabled:opacity-50">
+                        {mode === 'signIn' ? 'Iniciar sesión' : 'Crear cuenta'}
+                    </button>
+                    {mode === 'signIn' && (
+                        <button type="button" onClick={handleResetPassword} className="w-full text-sm text-indigo-400 hover:text-indigo-300">¿Olvidaste tu contraseña?</button>
+                    )}
+                </form>
+                <div className="mt-4 space-y-2">
+                    {ssoProviders.map(p => (
+                        <button key={p.id} onClick={() => run(() => signInWithPopup(auth, p.create()))} disabled={isSubmitting} className="w-full px-4 py-2 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-600 transition-all disabled:opacity-50">
+                            {p.label}
+                        </button>
+                    ))}
+                </div>
+                <p className="mt-6 text-center text-sm text-gray-400">
+                    {mode === 'signIn' ? '¿No tienes cuenta? ' : '¿Ya tienes cuenta? '}
+                    <button onClick={() => setMode(mode === 'signIn' ? 'signUp' : 'signIn')} className="text-indigo-400 hover:text-indigo-300 font-semibold">
+                        {mode === 'signIn' ? 'Regístrate' : 'Inicia sesión'}
+                    </button>
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default AuthScreen;
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { Building2, ImagePlus, PlusCircle, Pencil, Trash2, X } from 'lucide-react';
+import { ConfirmationModal, InputField, RowList, SelectField } from './ui';
+import { can } from './permissions';
+import { deleteAttachmentFile, formatFileSize, uploadAttachment } from './attachments';
+import { OUTPUT_FORMATS, SECTION_KEYS, createCustomer, getCustomerLogoFolder, getOutputFormat } from './outputFormats';
+
+// Logos are embedded in the PDF, so only formats jsPDF can draw are accepted.
+const LOGO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_LOGO_BYTES = 1024 * 1024;
+
+// --- Customer Editor ---
+// Logo files are uploaded right away; replaced ones are only deleted from
+// Storage once the profile is saved, and a new upload is discarded on cancel.
+const CustomerEditor = ({ customer, storage, appId, author, onSave, onCancel, onError }) => {
+    const [draft, setDraft] = useState(customer);
+    const [progress, setProgress] = useState(null);
+    const set = (field, value) => setDraft(d => ({ ...d, [field]: value }));
+    const format = getOutputFormat(draft.formatId);
+    const sectionKeys = SECTION_KEYS.filter(({ key }) => format.sections[key]);
+
+    const discardLogo = (logo) => {
+        if (logo && logo.id !== customer.logo?.id) deleteAttachmentFile(storage, logo).catch(() => {});
+    };
+
+    const handleLogo = async (file) => {
+        if (!file) return;
+        if (!LOGO_TYPES.includes(file.type)) {
+            onError(`${file.name}: el logotipo debe ser una imagen JPG, PNG o WEBP`);
+            return;
+        }
+        if (file.size > MAX_LOGO_BYTES) {
+            onError(`${file.name}: el logotipo supera el tamaño máximo de ${formatFileSize(MAX_LOGO_BYTES)}`);
+            return;
+        }
+        setProgress(0);
+        try {
+            const logo = await uploadAttachment({ storage, folder: getCustomerLogoFolder(appId, draft), file, author, onProgress: setProgress }).done;
+            discardLogo(draft.logo);
+            set('logo', logo);
+        } catch (error) {
+            onError(`No se pudo subir el logotipo: ${error.message}`);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!draft.name.trim()) return;
+        const sectionTitles = Object.fromEntries(Object.entries(draft.sectionTitles).map(([key, title]) => [key, title.trim()]).filter(([, title]) => title));
+        const replacedLogo = customer.logo && customer.logo.id !== draft.logo?.id ? customer.logo : null;
+        onSave({ ...draft, name: draft.name.trim(), sectionTitles }, replacedLogo);
+    };
+
+    const handleCancel = () => {
+        discardLogo(draft.logo);
+        onCancel();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-start overflow-y-auto py-8">
+            <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-3xl mx-4 space-y-6">
+                <h3 className="text-lg font-bold text-white flex items-center gap-2"><Building2 size={20} /> {customer.name ? `Formato de ${customer.name}` : 'Nuevo cliente'}</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <InputField label="Cliente" value={draft.name} onChange={(e) => set('name', e.target.value)} placeholder="Como se escribe en los informes, ej: Ford" />
+                    <SelectField label="Formato de salida" value={draft.formatId} onChange={(e) => set('formatId', e.target.value)} options={OUTPUT_FORMATS.map(f => ({ value: f.id, label: f.label }))} />
+                </div>
+                <p className="text-xs text-gray-500 -mt-4">{format.description}</p>
+
+                <div>
+                    <p className="text-sm font-semibold text-gray-200 mb-2">Logotipo</p>
+                    <div className="flex items-center gap-4">
+                        {draft.logo ? (
+                            <div className="relative bg-white rounded p-2">
+                                <img src={draft.logo.url} alt={draft.logo.name} className="h-12 max-w-[12rem] object-contain" />
+                                <button type="button" onClick={() => { discardLogo(draft.logo); set('logo', null); }} className="absolute -top-2 -right-2 bg-gray-700 rounded-full p-0.5 text-gray-300 hover:text-red-400" title="Quitar logotipo"><X size={14} /></button>
+                            </div>
+                        ) : (
+                            <p className="text-sm text-gray-500">Sin logotipo</p>
+                        )}
+                        <label className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-sm font-semibold bg-gray-700 text-white hover:bg-gray-600 ${progress !== null ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+                            <ImagePlus size={16} /> {progress !== null ? `Subiendo ${Math.round(progress * 100)}%` : 'Subir imagen'}
+                            <input type="file" accept={LOGO_TYPES.join(',')} className="hidden" onChange={(e) => { handleLogo(e.target.files[0]); e.target.value = ''; }} />
+                        </label>
+                    </div>
+                </div>
+
+                <RowList
+                    title="Campos de cabecera adicionales"
+                    rows={draft.headerFields}
+                    createRow={() => ({ label: '', value: '' })}
+                    onChange={(headerFields) => set('headerFields', headerFields)}
+                    addLabel="+ Añadir campo"
+                    renderRow={(field, change) => (
+                        <div className="grid grid-cols-2 gap-2">
+                            <InputField label="Campo" value={field.label} onChange={(e) => change({ label: e.target.value })} placeholder="Ej: Código de proveedor" />
+                            <InputField label="Valor" value={field.value} onChange={(e) => change({ value: e.target.value })} />
+                        </div>
+                    )}
+                />
+
+                <div>
+                    <p className="text-sm font-semibold text-gray-200 mb-1">Nombres de las secciones</p>
+                    <p className="text-xs text-gray-500 mb-3">Déjalos vacíos para usar los del formato {format.label}. Solo se aplican a los informes impresos en este formato.</p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        {sectionKeys.map(({ key, label }) => (
+                            <InputField
+                                key={key}
+                                label={label}
+                                value={draft.sectionTitles[key] || ''}
+                                onChange={(e) => set('sectionTitles', { ...draft.sectionTitles, [key]: e.target.value })}
+                                placeholder={format.sections[key]}
+                            />
+                        ))}
+                    </div>
+                </div>
+
+                <div className="flex justify-end gap-3">
+                    <button type="button" onClick={handleCancel} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">Cancelar</button>
+                    <button type="submit" disabled={!draft.name.trim() || progress !== null} className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50">Guardar</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// --- Customer Formats ---
+// Lists the available formats and the customer profiles that choose one.
+const CustomerFormats = ({ customers, profile, storage, appId, onSave, onDelete, onError }) => {
+    const [editing, setEditing] = useState(null);
+    const [toDelete, setToDelete] = useState(null);
+    const canManage = can('manageCustomers', null, profile);
+
+    const handleSave = (customer, replacedLogo) => {
+        onSave(customer, replacedLogo);
+        setEditing(null);
+    };
+
+    return (
+        <div>
+            {editing && (
+                <CustomerEditor customer={editing} storage={storage} appId={appId} author={profile} onSave={handleSave} onCancel={() => setEditing(null)} onError={onError} />
+            )}
+            <ConfirmationModal
+                isOpen={Boolean(toDelete)}
+                onClose={() => setToDelete(null)}
+                onConfirm={() => { onDelete(toDelete); setToDelete(null); }}
+                title="Eliminar cliente"
+            >
+                <p>¿Eliminar el formato de «{toDelete?.name}»? Sus informes se imprimirán en el formato genérico salvo que elijan otro.</p>
+            </ConfirmationModal>
+
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold text-white flex items-center gap-3"><Building2 size={28} /> Clientes y formatos</h2>
+                {canManage && (
+                    <button onClick={() => setEditing(createCustomer(profile.orgId))} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-500 transition-all">
+                        <PlusCircle size={20} /> Nuevo cliente
+                    </button>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+                {OUTPUT_FORMATS.map(format => (
+                    <div key={format.id} className="bg-gray-800/50 rounded-xl p-4 border border-gray-700">
+                        <h3 className="font-semibold text-gray-100">{format.label}</h3>
+                        <p className="text-sm text-gray-400 mt-1">{format.description}</p>
+                        <p className="text-xs text-gray-500 mt-2">{Object.keys(format.sections).filter(key => key.startsWith('D')).join(' · ')}</p>
+                    </div>
+                ))}
+            </div>
+
+            {customers.length === 0 ? (
+                <div className="text-center py-16 border-2 border-dashed border-gray-700 rounded-lg">
+                    <h3 className="text-xl font-semibold text-gray-300">No hay clientes configurados.</h3>
+                    <p className="text-gray-500 mt-2">Los informes se imprimen en el formato genérico salvo que elijan otro.</p>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {customers.map(customer => (
+                        <div key={customer.id} className="bg-gray-800 rounded-xl p-6 border border-gray-700 shadow-lg">
+                            <div className="flex justify-between items-start gap-2">
+                                <h3 className="font-bold text-lg text-indigo-300 truncate">{customer.name}</h3>
+                                {canManage && (
+                                    <div className="flex gap-2 flex-shrink-0">
+                                        <button onClick={() => setEditing(customer)} className="text-gray-400 hover:text-indigo-300" title="Editar"><Pencil size={16} /></button>
+                                        <button onClick={() => setToDelete(customer)} className="text-gray-400 hover:text-red-400" title="Eliminar"><Trash2 size={16} /></button>
+                                    </div>
+                                )}
+                            </div>
+                            {customer.logo && <img src={customer.logo.url} alt={customer.logo.name} className="h-10 max-w-[10rem] object-contain bg-white rounded p-1 mt-3" />}
+                            <p className="text-sm text-gray-400 mt-3">Formato: <span className="font-semibold text-gray-200">{getOutputFormat(customer.formatId).label}</span></p>
+                            <p className="text-xs text-gray-500 mt-2">
+                                {customer.headerFields.length} campo(s) de cabecera · {Object.keys(customer.sectionTitles).length} sección(es) renombrada(s)
+                            </p>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CustomerFormats;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { Tags, PlusCircle, Pencil, Trash2 } from 'lucide-react';
+import { ConfirmationModal, InputField, TextAreaField } from './ui';
+import { can } from './permissions';
+import { createDefectCategory, isDuplicateCategory } from './defectCategories';
+
+// --- Defect Category Editor ---
+const DefectCategoryEditor = ({ category, catalog, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(category);
+    const isDuplicate = isDuplicateCategory(catalog, draft);
+    const isRenamed = category.name !== '' && draft.name.trim() !== category.name;
+    const isValid = draft.name.trim() !== '' && !isDuplicate;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (isValid) onSave(draft);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+            <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-md mx-4 space-y-4">
+                <h3 className="text-lg font-bold text-white flex items-center gap-2"><Tags size={20} /> {category.name ? 'Editar categoría' : 'Nueva categoría de defecto'}</h3>
+                <InputField label="Nombre" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Ej: Dimensional" />
+                {isDuplicate && <p className="text-xs text-red-400">Ya existe una categoría con ese nombre.</p>}
+                {isRenamed && <p className="text-xs text-yellow-400">Los informes que ya usan «{category.name}» conservan ese nombre.</p>}
+                <TextAreaField label="Descripción" value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} rows={2} placeholder="Cuándo usar esta categoría" />
+                <div className="flex justify-end gap-3">
+                    <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">Cancelar</button>
+                    <button type="submit" disabled={!isValid} className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50">Guardar</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// --- Defect Category Catalog ---
+const DefectCatalog = ({ catalog, profile, onSave, onDelete }) => {
+    const [editing, setEditing] = useState(null);
+    const [toDelete, setToDelete] = useState(null);
+    const canManage = can('manageDefectCategories', null, profile);
+
+    const handleSave = (category) => {
+        onSave(category);
+        setEditing(null);
+    };
+
+    return (
+        <div>
+            {editing && <DefectCategoryEditor category={editing} catalog={catalog} onSave={handleSave} onCancel={() => setEditing(null)} />}
+            <ConfirmationModal
+                isOpen={Boolean(toDelete)}
+                onClose={() => setToDelete(null)}
+                onConfirm={() => { onDelete(toDelete.id); setToDelete(null); }}
+                title="Eliminar categoría"
+            >
+                <p>¿Eliminar «{toDelete?.name}» del catálogo? Los informes que ya la usan la conservan, pero no se podrá elegir en informes nuevos.</p>
+            </ConfirmationModal>
+
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold text-white flex items-center gap-3"><Tags size={28} /> Categorías de defecto</h2>
+                {canManage && (
+                    <button onClick={() => setEditing(createDefectCategory(profile.orgId))} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-500 transition-all">
+                        <PlusCircle size={20} /> Nueva categoría
+                    </button>
+                )}
+            </div>
+
+            {catalog.length === 0 ? (
+                <div className="text-center py-16 border-2 border-dashed border-gray-700 rounded-lg">
+                    <h3 className="text-xl font-semibold text-gray-300">El catálogo está vacío.</h3>
+                    <p className="text-gray-500 mt-2">Mientras no haya categorías, cada informe escribe la suya en D2.</p>
+                </div>
+            ) : (
+                <div className="bg-gray-800 rounded-xl border border-gray-700 divide-y divide-gray-700">
+                    {catalog.map(category => (
+                        <div key={category.id} className="flex items-start gap-4 p-4">
+                            <div className="flex-1 min-w-0">
+                                <p className="font-semibold text-gray-100">{category.name}</p>
+                                {category.description && <p className="text-sm text-gray-400 mt-1">{category.description}</p>}
+                            </div>
+                            {canManage && (
+                                <div className="flex gap-2 flex-shrink-0">
+                                    <button onClick={() => setEditing(category)} className="text-gray-400 hover:text-indigo-300" title="Editar"><Pencil size={16} /></button>
+                                    <button onClick={() => setToDelete(category)} className="text-gray-400 hover:text-red-400" title="Eliminar"><Trash2 size={16} /></button>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DefectCatalog;
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { LineChart, FileUp, Trash2, TrendingDown, TrendingUp } from 'lucide-react';
+import { InputField, SelectField, QuantityField, RowList, CommentMarker } from './ui';
+import { createEffectivenessCheck, createMeasurement } from './reportSchema';
+import { getDefectRate } from './problemDescription';
+import {
+    EFFECTIVENESS_DIRECTIONS, EFFECTIVENESS_KINDS, MEASUREMENT_PHASES, evaluateCheck, formatChange, formatMetricValue,
+    getCheckStatus, getOrphanChecks, layoutRunChart, parseMeasurementsCsv,
+} from './effectiveness';
+
+const CHART_WIDTH = 520;
+const CHART_HEIGHT = 180;
+const CHART_PAD = { top: 12, right: 12, bottom: 24, left: 64 };
+const BEFORE_COLOR = '#9ca3af';
+const AFTER_COLOR = '#818cf8';
+
+// --- Run Chart ---
+// The measurements in order, before and after the change, against the baseline and the target.
+export const RunChart = ({ check }) => {
+    const layout = layoutRunChart(check, { width: CHART_WIDTH, height: CHART_HEIGHT, pad: CHART_PAD });
+    const { plot, points } = layout;
+    if (points.length === 0) return <p className="text-sm text-gray-500">Añade mediciones para ver el gráfico.</p>;
+    const path = (phase) => points.filter(p => p.phase === phase).map((p, i) => `${i === 0 ? 'M' : 'L'}${p.x},${p.y}`).join(' ');
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full max-w-2xl" role="img" aria-label={`Gráfico de ${check.metric || 'la métrica'}`}>
+            <line x1={plot.left} y1={plot.bottom} x2={plot.right} y2={plot.bottom} stroke="#4b5563" />
+            <line x1={plot.left} y1={plot.top} x2={plot.left} y2={plot.bottom} stroke="#4b5563" />
+            <text x={plot.left - 6} y={plot.top + 4} textAnchor="end" fontSize="10" fill="#9ca3af">{formatMetricValue(check, layout.max)}</text>
+            <text x={plot.left - 6} y={plot.bottom} textAnchor="end" fontSize="10" fill="#9ca3af">{formatMetricValue(check, layout.min)}</text>
+            {layout.baseline !== null && (
+                <g>
+                    <line x1={plot.left} y1={layout.baseline} x2={plot.right} y2={layout.baseline} stroke="#f59e0b" strokeDasharray="4 3" />
+                    <text x={plot.right} y={layout.baseline - 3} textAnchor="end" fontSize="10" fill="#f59e0b">Línea base</text>
+                </g>
+            )}
+            {layout.target !== null && (
+                <g>
+                    <line x1={plot.left} y1={layout.target} x2={plot.right} y2={layout.target} stroke="#22c55e" strokeDasharray="4 3" />
+                    <text x={plot.right} y={layout.target - 3} textAnchor="end" fontSize="10" fill="#22c55e">Objetivo</text>
+                </g>
+            )}
+            {layout.divider !== null && (
+                <g>
+                    <line x1={layout.divider} y1={plot.top} x2={layout.divider} y2={plot.bottom} stroke="#6b7280" />
+                    <text x={layout.divider - 4} y={plot.bottom + 16} textAnchor="end" fontSize="10" fill={BEFORE_COLOR}>Antes</text>
+                    <text x={layout.divider + 4} y={plot.bottom + 16} fontSize="10" fill={AFTER_COLOR}>Después</text>
+                </g>
+            )}
+            <path d={path('before')} fill="none" stroke={BEFORE_COLOR} strokeWidth="2" />
+            <path d={path('after')} fill="none" stroke={AFTER_COLOR} strokeWidth="2" />
+            {points.map((p, i) => (
+                <circle key={i} cx={p.x} cy={p.y} r="3.5" fill={p.phase === 'before' ? BEFORE_COLOR : AFTER_COLOR}>
+                    <title>{`${p.label || 'Sin fecha'}: ${formatMetricValue(check, p.value)}`}</title>
+                </circle>
+            ))}
+        </svg>
+    );
+};
+
+export const CheckStatusBadge = ({ status }) => {
+    const { label, className } = getCheckStatus(status);
+    return <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${className}`}>{label}</span>;
+};
+
+// --- Measurements ---
+
+const MeasurementImport = ({ check, onImport }) => {
+    const [errors, setErrors] = useState([]);
+
+    const handleFile = async (file) => {
+        if (!file) return;
+        const result = parseMeasurementsCsv(await file.text(), check.kind);
+        setErrors(result.errors);
+        if (result.measurements.length > 0) onImport(result.measurements);
+    };
+
+    const columns = check.kind === 'value' ? 'fecha, fase, valor' : 'fecha, fase, defectos, muestra';
+    return (
+        <div>
+            <label className="inline-flex items-center gap-1 text-sm text-indigo-400 hover:text-indigo-300 font-semibold cursor-pointer" title={`Columnas: ${columns}. La fase es "antes" o "después".`}>
+                <FileUp size={14} /> Importar CSV
+                <input type="file" accept=".csv,.txt" className="hidden" onChange={(e) => { handleFile(e.target.files[0]); e.target.value = ''; }} />
+            </label>
+            {errors.length > 0 && (
+                <ul className="mt-1 text-xs text-red-400 space-y-0.5">{errors.map((error, i) => <li key={i}>{error}</li>)}</ul>
+            )}
+        </div>
+    );
+};
+
+const MeasurementRow = ({ check, measurement, name, onChange }) => (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <InputField label="Fecha" name={`${name}.date`} type="date" value={measurement.date} onChange={(e) => onChange({ date: e.target.value })} />
+        <SelectField label="Fase" name={`${name}.phase`} value={measurement.phase} onChange={(e) => onChange({ phase: e.target.value })} options={MEASUREMENT_PHASES.map(p => ({ value: p.id, label: p.label }))} />
+        {check.kind === 'value' ? (
+            <QuantityField label={`Valor${check.unit ? ` (${check.unit})` : ''}`} name={`${name}.value`} value={measurement.value} signed onChange={(value) => onChange({ value })} />
+        ) : (
+            <>
+                <QuantityField label="Defectos" name={`${name}.defects`} value={measurement.defects} integer onChange={(defects) => onChange({ defects })} />
+                <QuantityField label="Muestra" name={`${name}.sample_size`} value={measurement.sample_size} integer onChange={(sample_size) => onChange({ sample_size })} />
+            </>
+        )}
+    </div>
+);
+
+// --- Check Editor ---
+
+const CheckEditor = ({ check, d2Rate, onChange, onRemove }) => {
+    const name = `d6_implementation.effectiveness_checks.${check.id}`;
+    const result = evaluateCheck(check);
+    const change = (fields) => onChange({ ...check, ...fields });
+    const ChangeIcon = check.direction === 'increase' ? TrendingUp : TrendingDown;
+
+    return (
+        <div className="bg-gray-900/60 border border-gray-700 rounded-lg p-4 space-y-4">
+            <div className="flex items-start gap-3">
+                <div className="flex-1">
+                    <InputField label="Métrica" name={`${name}.metric`} value={check.metric} onChange={(e) => change({ metric: e.target.value })} placeholder="Ej: Fugas en prueba de estanqueidad" />
+                </div>
+                <div className="flex items-center gap-3 pt-7">
+                    <CheckStatusBadge status={result.status} />
+                    <CommentMarker name={name} label={check.metric || 'Verificación de eficacia'} always />
+                    <button type="button" onClick={onRemove} className="text-gray-500 hover:text-red-400" title="Quitar verificación"><Trash2 size={16} /></button>
+                </div>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                <SelectField label="Tipo" name={`${name}.kind`} value={check.kind} onChange={(e) => change({ kind: e.target.value })} options={EFFECTIVENESS_KINDS.map(k => ({ value: k.id, label: k.label }))} />
+                {check.kind === 'value' && (
+                    <InputField label="Unidad" name={`${name}.unit`} value={check.unit} onChange={(e) => change({ unit: e.target.value })} placeholder="Ej: mm, Cpk, %" />
+                )}
+                <SelectField label="Objetivo" name={`${name}.direction`} value={check.direction} onChange={(e) => change({ direction: e.target.value })} options={EFFECTIVENESS_DIRECTIONS.map(d => ({ value: d.id, label: d.label }))} />
+                <div>
+                    <QuantityField label="Línea base" name={`${name}.baseline`} value={check.baseline} signed={check.kind === 'value'} placeholder={result.before !== null ? `Antes: ${formatMetricValue(check, result.before)}` : ''} onChange={(baseline) => change({ baseline })} />
+                    {check.kind === 'ppm' && d2Rate !== null && (
+                        <button type="button" onClick={() => change({ baseline: Math.round(d2Rate * 1e6) })} className="mt-1 text-xs text-indigo-400 hover:text-indigo-300">
+                            Usar la tasa de D2 ({formatMetricValue(check, d2Rate * 1e6)})
+                        </button>
+                    )}
+                </div>
+                <QuantityField label={`Valor objetivo${check.kind === 'ppm' ? ' (ppm)' : ''}`} name={`${name}.target`} value={check.target} signed={check.kind === 'value'} onChange={(target) => change({ target })} />
+                <QuantityField
+                    label={check.kind === 'ppm' ? 'Muestra mínima (piezas)' : 'Mediciones mínimas'}
+                    name={`${name}.sample_size`}
+                    value={check.sample_size}
+                    integer
+                    onChange={(sample_size) => change({ sample_size })}
+                />
+            </div>
+
+            <RowList
+                title="Mediciones"
+                rows={check.measurements}
+                createRow={() => createMeasurement()}
+                onChange={(measurements) => change({ measurements })}
+                addLabel="+ Añadir medición"
+                renderRow={(measurement, changeRow) => <MeasurementRow check={check} measurement={measurement} name={`${name}.measurements.${measurement.id}`} onChange={changeRow} />}
+            />
+            <MeasurementImport check={check} onImport={(measurements) => change({ measurements: [...check.measurements, ...measurements] })} />
+
+            <RunChart check={check} />
+            <div className="flex flex-wrap items-center gap-x-6 gap-y-1 text-sm text-gray-300">
+                <span>Línea base: <strong>{formatMetricValue(check, result.baseline)}</strong></span>
+                <span>Después: <strong>{formatMetricValue(check, result.after)}</strong></span>
+                <span className="flex items-center gap-1"><ChangeIcon size={14} /> Cambio: <strong>{formatChange(result.change)}</strong></span>
+                {result.reason && <span className={result.status === 'failed' ? 'text-red-400' : 'text-yellow-400'}>{result.reason}</span>}
+            </div>
+        </div>
+    );
+};
+
+// --- Effectiveness Checks ---
+// D6 proof that each D5 corrective action works (see src/effectiveness.js).
+const EffectivenessChecks = ({ report, onUpdate }) => {
+    const checks = report.d6_implementation.effectiveness_checks;
+    const actions = report.d5_corrective_actions.filter(a => a.action.trim() !== '');
+    const orphans = getOrphanChecks(report);
+    const d2Rate = getDefectRate(report.d2_problem);
+
+    const replaceCheck = (updated) => onUpdate(checks.map(c => c.id === updated.id ? updated : c));
+    const removeCheck = (id) => onUpdate(checks.filter(c => c.id !== id));
+    const renderCheck = (check) => (
+        <CheckEditor key={check.id} check={check} d2Rate={d2Rate} onChange={replaceCheck} onRemove={() => removeCheck(check.id)} />
+    );
+
+    return (
+        <div className="space-y-6">
+            <h4 className="text-sm font-semibold text-gray-200 flex items-center gap-2"><LineChart size={16} /> Verificación de eficacia</h4>
+            {actions.length === 0 && <p className="text-sm text-yellow-400">Aún no hay acciones correctivas en D5.</p>}
+            {actions.map(action => {
+                const actionChecks = checks.filter(c => c.actionId === action.id);
+                return (
+                    <div key={action.id} className="space-y-3">
+                        <p className="text-sm font-semibold text-indigo-300">{action.action}</p>
+                        {actionChecks.length === 0 && <p className="text-sm text-gray-500">Sin verificación: la acción no se puede dar por eficaz.</p>}
+                        {actionChecks.map(renderCheck)}
+                        <button type="button" onClick={() => onUpdate([...checks, createEffectivenessCheck(action.id)])} className="text-sm text-indigo-400 hover:text-indigo-300 font-semibold">
+                            + Añadir verificación
+                        </button>
+                    </div>
+                );
+            })}
+            {orphans.length > 0 && (
+                <div className="space-y-3">
+                    <p className="text-sm font-semibold text-gray-400">Verificaciones de acciones eliminadas</p>
+                    {orphans.map(renderCheck)}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EffectivenessChecks;
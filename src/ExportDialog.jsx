@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { SelectField } from './ui';
+import { loadScript } from './loadScript';
+import { downloadBlob, toFileName } from './download';
+import { toCsv } from './analytics';
+import { SHEETJS_URL, buildSheets, buildWorkbook, toExchangeJson } from './reportExchange';
+
+const FORMATS = [
+    { id: 'xlsx', label: 'Excel (.xlsx)', description: 'Una hoja por disciplina, enlazadas por el ID del informe.' },
+    { id: 'csv', label: 'CSV', description: 'Una hoja del libro Excel, para ERP y portales de cliente.' },
+    { id: 'json', label: 'JSON', description: 'El informe completo en el formato documentado, importable en otra instalación.' },
+];
+
+// --- Export Dialog ---
+// Exports `reports` (already loaded and normalized) in the chosen format.
+const ExportDialog = ({ reports, fileName, onClose, onError }) => {
+    const [format, setFormat] = useState('xlsx');
+    const [sheetName, setSheetName] = useState('Informes');
+    const [isExporting, setIsExporting] = useState(false);
+    const baseName = toFileName(fileName, 'informes-8d');
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        try {
+            if (format === 'xlsx') {
+                await loadScript(SHEETJS_URL);
+                window.XLSX.writeFile(buildWorkbook(window.XLSX, reports), `${baseName}.xlsx`);
+            } else if (format === 'csv') {
+                const sheet = buildSheets(reports).find(s => s.name === sheetName);
+                downloadBlob(new Blob(['\uFEFF', toCsv(sheet.rows)], { type: 'text/csv;charset=utf-8' }), `${baseName}-${toFileName(sheetName)}.csv`);
+            } else {
+                downloadBlob(new Blob([toExchangeJson(reports)], { type: 'application/json' }), `${baseName}.json`);
+            }
+            onClose();
+        } catch (error) {
+            onError(`No se pudo exportar: ${error.message}`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+            <div className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-lg mx-4 space-y-4">
+                <h3 className="text-lg font-bold text-white flex items-center gap-2"><Download size={20} /> Exportar {reports.length === 1 ? 'informe' : `${reports.length} informes`}</h3>
+                <div className="space-y-2">
+                    {FORMATS.map(f => (
+                        <label key={f.id} className={`block p-3 rounded-md border cursor-pointer ${format === f.id ? 'border-indigo-500 bg-indigo-900/30' : 'border-gray-700 hover:bg-gray-700/50'}`}>
+                            <input type="radio" name="export-format" value={f.id} checked={format === f.id} onChange={() => setFormat(f.id)} className="mr-2" />
+                            <span className="font-semibold text-gray-100">{f.label}</span>
+                            <span className="block text-xs text-gray-400 mt-1 ml-5">{f.description}</span>
+                        </label>
+                    ))}
+                </div>
+                {format === 'csv' && (
+                    <SelectField label="Hoja" value={sheetName} onChange={(e) => setSheetName(e.target.value)} options={buildSheets([]).map(s => ({ value: s.name, label: s.name }))} />
+                )}
+                <div className="flex justify-end gap-3 pt-2">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">Cancelar</button>
+                    <button type="button" onClick={handleExport} disabled={isExporting || reports.length === 0} className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50">
+                        {isExporting ? 'Exportando...' : 'Exportar'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ExportDialog;
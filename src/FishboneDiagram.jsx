@@ -0,0 +1,362 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { Download, Trash2, Plus, X, Link as LinkIcon } from 'lucide-react';
+import { InputField, SelectField, CheckboxField } from './ui';
+import {
+    CAUSE_STATUSES, ROOT_CAUSE_COLOR, FISHBONE_WIDTH, FISHBONE_HEIGHT, getCauseStatus, getChildren, getCategoryName,
+    addCategory, renameCategory, removeCategory, addCause, updateCause, moveCause, removeCause, layoutFishbone, nearestBone,
+} from './fishbone';
+import { createId } from './reportSchema';
+import { downloadBlob, toFileName } from './download';
+
+const CAUSE_TICK = 110;
+const LABEL_LENGTH = 26;
+const DRAG_THRESHOLD = 4;
+
+const truncate = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+// Splits the problem statement into a few short lines for the fish head.
+const wrapText = (text, width, maxLines) => {
+    const lines = [];
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && `${last} ${word}`.length <= width) lines[lines.length - 1] = `${last} ${word}`;
+        else lines.push(word);
+    });
+    return lines.length > maxLines ? [...lines.slice(0, maxLines - 1), `${truncate(lines.slice(maxLines - 1).join(' '), width)}`] : lines;
+};
+
+// Sub-causes of a cause in reading order, with their nesting depth.
+const flattenChildren = (fishbone, parentId, depth = 1) => getChildren(fishbone, parentId)
+    .flatMap(child => [{ cause: child, depth }, ...flattenChildren(fishbone, child.id, depth + 1)]);
+
+// --- Export ---
+// The SVG only uses presentation attributes, so the serialized markup renders
+// the same outside the app.
+const serializeSvg = (svg) => {
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', FISHBONE_WIDTH);
+    clone.setAttribute('height', FISHBONE_HEIGHT);
+    return new XMLSerializer().serializeToString(clone);
+};
+
+const exportSvg = (svg, filename) => downloadBlob(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }), `${filename}.svg`);
+
+const exportPng = (svg, filename, scale = 2) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = FISHBONE_WIDTH * scale;
+        canvas.height = FISHBONE_HEIGHT * scale;
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0);
+        canvas.toBlob(blob => {
+            if (!blob) return reject(new Error('No se pudo generar la imagen.'));
+            downloadBlob(blob, `${filename}.png`);
+            resolve();
+        }, 'image/png');
+    };
+    image.onerror = () => reject(new Error('No se pudo generar la imagen.'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(serializeSvg(svg))}`;
+});
+
+// --- Diagram ---
+const FishboneSvg = ({ fishbone, problem, selection, readOnly, svgRef, onSelect, onMove }) => {
+    const [drag, setDrag] = useState(null); // { causeId, origin, point, moved }
+    const layout = useMemo(() => layoutFishbone(fishbone), [fishbone]);
+    const drop = drag?.moved ? nearestBone(layout, drag.point) : null;
+
+    const toSvgPoint = (event) => {
+        const svg = svgRef.current;
+        const point = svg.createSVGPoint();
+        point.x = event.clientX;
+        point.y = event.clientY;
+        return point.matrixTransform(svg.getScreenCTM().inverse());
+    };
+
+    const handlePointerDown = (event, cause) => {
+        event.stopPropagation();
+        onSelect({ type: 'cause', id: cause.id });
+        if (readOnly) return;
+        svgRef.current.setPointerCapture(event.pointerId);
+        const point = toSvgPoint(event);
+        setDrag({ causeId: cause.id, origin: point, point, moved: false });
+    };
+
+    const handlePointerMove = (event) => {
+        if (!drag) return;
+        const point = toSvgPoint(event);
+        const moved = drag.moved || Math.hypot(point.x - drag.origin.x, point.y - drag.origin.y) > DRAG_THRESHOLD;
+        setDrag({ ...drag, point, moved });
+    };
+
+    const handlePointerUp = () => {
+        if (drop) onMove(drag.causeId, drop.bone.category.id, drop.t);
+        setDrag(null);
+    };
+
+    const headLines = wrapText(problem || 'Problema', 22, 4);
+    const { spine, head } = layout;
+
+    return (
+        <svg
+            ref={svgRef}
+            viewBox={`0 0 ${FISHBONE_WIDTH} ${FISHBONE_HEIGHT}`}
+            className="w-full h-auto rounded-md select-none touch-none"
+            fontFamily="Helvetica, Arial, sans-serif"
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={() => setDrag(null)}
+            onPointerDown={() => onSelect(null)}
+        >
+            <rect x="0" y="0" width={FISHBONE_WIDTH} height={FISHBONE_HEIGHT} fill="#ffffff" />
+            <line x1={spine.start.x} y1={spine.start.y} x2={spine.end.x} y2={spine.end.y} stroke="#1f2937" strokeWidth="4" />
+            <rect x={head.x} y={head.y} width={head.width} height={head.height} rx="10" fill="#eef2ff" stroke="#1f2937" strokeWidth="2" />
+            <text x={head.x + head.width / 2} y={head.y + head.height / 2 - (headLines.length - 1) * 8} fontSize="13" fontWeight="bold" fill="#111827" textAnchor="middle" dominantBaseline="middle">
+                {headLines.map((line, i) => <tspan key={i} x={head.x + head.width / 2} dy={i === 0 ? 0 : 16}>{line}</tspan>)}
+            </text>
+
+            {layout.bones.map(bone => {
+                const isSelected = selection?.type === 'category' && selection.id === bone.category.id;
+                return (
+                    <g key={bone.category.id}>
+                        <line x1={bone.start.x} y1={bone.start.y} x2={bone.end.x} y2={bone.end.y} stroke="#374151" strokeWidth="2.5" />
+                        <text
+                            x={bone.start.x}
+                            y={bone.isTop ? bone.start.y - 12 : bone.start.y + 22}
+                            fontSize="15"
+                            fontWeight="bold"
+                            fill={isSelected ? '#4f46e5' : '#111827'}
+                            textAnchor="middle"
+                            className="cursor-pointer"
+                            onPointerDown={(e) => { e.stopPropagation(); onSelect({ type: 'category', id: bone.category.id }); }}
+                        >
+                            {truncate(bone.category.name || 'Sin nombre', 24)}
+                        </text>
+                        {bone.causes.map(({ cause, x, y }) => {
+                            const isDragged = drag?.moved && drag.causeId === cause.id;
+                            const isSelectedCause = selection?.type === 'cause' && selection.id === cause.id;
+                            const color = cause.isRootCause ? ROOT_CAUSE_COLOR : getCauseStatus(cause.status).color;
+                            const children = flattenChildren(fishbone, cause.id);
+                            return (
+                                <g key={cause.id} opacity={isDragged ? 0.35 : 1} className={readOnly ? 'cursor-pointer' : 'cursor-move'} onPointerDown={(e) => handlePointerDown(e, cause)}>
+                                    <title>{cause.text}</title>
+                                    <line x1={x - CAUSE_TICK} y1={y} x2={x} y2={y} stroke={color} strokeWidth={cause.isRootCause ? 2.5 : 1.5} />
+                                    <circle cx={x} cy={y} r={cause.isRootCause ? 7 : 5} fill={color} stroke={isSelectedCause ? '#4f46e5' : '#ffffff'} strokeWidth="2" />
+                                    <text x={x - 8} y={y - 5} fontSize="12" textAnchor="end" fill={color} fontWeight={cause.isRootCause || isSelectedCause ? 'bold' : 'normal'} textDecoration={cause.status === 'ruled_out' ? 'line-through' : undefined}>
+                                        {truncate(cause.text || 'Causa sin describir', LABEL_LENGTH)}
+                                    </text>
+                                    {children.map(({ cause: child, depth }, i) => (
+                                        <text
+                                            key={child.id}
+                                            x={x - 8}
+                                            y={y + 13 + i * 12}
+                                            fontSize="10"
+                                            textAnchor="end"
+                                            fill={child.isRootCause ? ROOT_CAUSE_COLOR : getCauseStatus(child.status).color}
+                                            fontWeight={child.isRootCause ? 'bold' : 'normal'}
+                                            textDecoration={child.status === 'ruled_out' ? 'line-through' : undefined}
+                                            onPointerDown={(e) => { e.stopPropagation(); onSelect({ type: 'cause', id: child.id }); }}
+                                        >
+                                            {`${'›'.repeat(depth)} ${truncate(child.text || 'Subcausa', LABEL_LENGTH - depth)}`}
+                                        </text>
+                                    ))}
+                                </g>
+                            );
+                        })}
+                    </g>
+                );
+            })}
+
+            {drop && (
+                <circle cx={drop.bone.start.x + (drop.bone.end.x - drop.bone.start.x) * drop.t} cy={drop.bone.start.y + (drop.bone.end.y - drop.bone.start.y) * drop.t} r="8" fill="none" stroke="#4f46e5" strokeWidth="2" strokeDasharray="3 2" />
+            )}
+        </svg>
+    );
+};
+
+// --- Side Panel: selected cause ---
+const CauseDetails = ({ fishbone, cause, onChange, onSelect }) => {
+    const [evidenceLabel, setEvidenceLabel] = useState('');
+    const [evidenceUrl, setEvidenceUrl] = useState('');
+    const children = getChildren(fishbone, cause.id);
+    const parent = fishbone.causes.find(c => c.id === cause.parentId);
+
+    const update = (changes) => onChange(updateCause(fishbone, cause.id, changes));
+
+    const handleAddEvidence = () => {
+        update({ evidence: [...cause.evidence, { id: createId(), label: evidenceLabel.trim() || evidenceUrl.trim(), url: evidenceUrl.trim() }] });
+        setEvidenceLabel('');
+        setEvidenceUrl('');
+    };
+
+    const handleAddSubCause = () => {
+        const { fishbone: updated, cause: child } = addCause(fishbone, cause.categoryId, cause.id);
+        onChange(updated);
+        onSelect({ type: 'cause', id: child.id });
+    };
+
+    const handleRemove = () => {
+        onChange(removeCause(fishbone, cause.id));
+        onSelect(parent ? { type: 'cause', id: parent.id } : null);
+    };
+
+    return (
+        <div className="space-y-3">
+            <p className="text-xs text-gray-400">
+                {getCategoryName(fishbone, cause.categoryId)}
+                {parent && <> · subcausa de <button type="button" onClick={() => onSelect({ type: 'cause', id: parent.id })} className="text-indigo-400 hover:text-indigo-300">{truncate(parent.text || 'Causa', 30)}</button></>}
+            </p>
+            <InputField label="Causa" value={cause.text} onChange={(e) => update({ text: e.target.value })} placeholder="Ej: Desgaste del troquel" />
+            <SelectField label="Estado" value={cause.status} onChange={(e) => update({ status: e.target.value })} options={CAUSE_STATUSES.map(s => ({ value: s.id, label: s.label }))} />
+            <CheckboxField label="Causa raíz verificada" checked={cause.isRootCause} onChange={(e) => update({ isRootCause: e.target.checked })} />
+
+            <div>
+                <p className="text-sm font-medium text-gray-300 mb-1">Evidencias</p>
+                <ul className="space-y-1 mb-2">
+                    {cause.evidence.map(link => (
+                        <li key={link.id} className="flex items-center gap-2 text-sm">
+                            <LinkIcon size={14} className="text-gray-500 flex-shrink-0" />
+                            <a href={link.url} target="_blank" rel="noreferrer" className="flex-1 truncate text-indigo-400 hover:text-indigo-300">{link.label}</a>
+                            <button type="button" onClick={() => update({ evidence: cause.evidence.filter(l => l.id !== link.id) })} className="text-gray-500 hover:text-red-400"><X size={14} /></button>
+                        </li>
+                    ))}
+                    {cause.evidence.length === 0 && <li className="text-xs text-gray-500">Sin evidencias enlazadas.</li>}
+                </ul>
+                <div className="grid grid-cols-2 gap-2">
+                    <input type="text" value={evidenceLabel} onChange={(e) => setEvidenceLabel(e.target.value)} placeholder="Descripción" className="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-sm text-white" />
+                    <input type="url" value={evidenceUrl} onChange={(e) => setEvidenceUrl(e.target.value)} placeholder="https://..." className="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-sm text-white" />
+                </div>
+                <button type="button" onClick={handleAddEvidence} disabled={!evidenceUrl.trim()} className="mt-2 text-xs text-indigo-400 hover:text-indigo-300 disabled:opacity-50">+ Enlazar evidencia</button>
+            </div>
+
+            <div>
+                <p className="text-sm font-medium text-gray-300 mb-1">Subcausas</p>
+                <ul className="space-y-1">
+                    {children.map(child => (
+                        <li key={child.id}>
+                            <button type="button" onClick={() => onSelect({ type: 'cause', id: child.id })} className="text-sm text-gray-300 hover:text-white">› {child.text || 'Subcausa sin describir'}</button>
+                        </li>
+                    ))}
+                </ul>
+                <button type="button" onClick={handleAddSubCause} className="mt-1 text-xs text-indigo-400 hover:text-indigo-300">+ Añadir subcausa</button>
+            </div>
+
+            <button type="button" onClick={handleRemove} className="flex items-center gap-1 text-sm text-red-400 hover:text-red-300">
+                <Trash2 size={14} /> Eliminar {children.length > 0 ? 'causa y subcausas' : 'causa'}
+            </button>
+        </div>
+    );
+};
+
+// --- Side Panel: selected category ---
+const CategoryDetails = ({ fishbone, category, onChange, onSelect, onError }) => {
+    const hasCauses = fishbone.causes.some(c => c.categoryId === category.id);
+
+    const handleAddCause = () => {
+        const { fishbone: updated, cause } = addCause(fishbone, category.id);
+        onChange(updated);
+        onSelect({ type: 'cause', id: cause.id });
+    };
+
+    const handleRemove = () => {
+        try {
+            onChange(removeCategory(fishbone, category.id));
+            onSelect(null);
+        } catch (error) {
+            onError(error.message);
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <InputField label="Categoría" value={category.name} onChange={(e) => onChange(renameCategory(fishbone, category.id, e.target.value))} />
+            <button type="button" onClick={handleAddCause} className="flex items-center gap-1 text-sm text-indigo-400 hover:text-indigo-300"><Plus size={14} /> Añadir causa</button>
+            <button
+                type="button"
+                onClick={handleRemove}
+                disabled={hasCauses}
+                title={hasCauses ? 'Elimina o mueve primero sus causas' : undefined}
+                className="flex items-center gap-1 text-sm text-red-400 hover:text-red-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                <Trash2 size={14} /> Eliminar categoría
+            </button>
+        </div>
+    );
+};
+
+// --- Ishikawa Editor ---
+// `readOnly` only stops dragging; form controls are disabled by the
+// surrounding fieldset of the discipline.
+const FishboneDiagram = ({ fishbone, problem, title, readOnly, onChange, onError }) => {
+    const [selection, setSelection] = useState(null); // { type: 'cause' | 'category', id }
+    const [newCategory, setNewCategory] = useState('');
+    const svgRef = useRef(null);
+
+    const selectedCause = selection?.type === 'cause' ? fishbone.causes.find(c => c.id === selection.id) : null;
+    const selectedCategory = selection?.type === 'category' ? fishbone.categories.find(c => c.id === selection.id) : null;
+    const filename = `ishikawa-${toFileName(title)}`;
+
+    const handleAddCategory = () => {
+        onChange(addCategory(fishbone, newCategory.trim()));
+        setNewCategory('');
+    };
+
+    const handleExportPng = async () => {
+        try {
+            await exportPng(svgRef.current, filename);
+        } catch (error) {
+            onError(error.message);
+        }
+    };
+
+    // Export links stay usable on closed reports, where the fieldset disables every button.
+    const exportLinkClass = 'flex items-center gap-1 px-3 py-1.5 bg-gray-700 text-white text-sm font-semibold rounded-lg hover:bg-gray-600 transition-all';
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                <div className="flex flex-wrap gap-3 text-xs">
+                    {CAUSE_STATUSES.map(s => <span key={s.id} className="flex items-center gap-1 text-gray-300"><span className="h-2.5 w-2.5 rounded-full" style={{ backgroundColor: s.color }} />{s.label}</span>)}
+                    <span className="flex items-center gap-1 text-gray-300"><span className="h-2.5 w-2.5 rounded-full" style={{ backgroundColor: ROOT_CAUSE_COLOR }} />Causa raíz</span>
+                </div>
+                <div className="flex gap-2">
+                    <a href="#" role="button" onClick={(e) => { e.preventDefault(); exportSvg(svgRef.current, filename); }} className={exportLinkClass}><Download size={14} /> SVG</a>
+                    <a href="#" role="button" onClick={(e) => { e.preventDefault(); handleExportPng(); }} className={exportLinkClass}><Download size={14} /> PNG</a>
+                </div>
+            </div>
+
+            <div className="flex flex-col xl:flex-row gap-4">
+                <div className="flex-1 min-w-0">
+                    <FishboneSvg
+                        fishbone={fishbone}
+                        problem={problem}
+                        selection={selection}
+                        readOnly={readOnly}
+                        svgRef={svgRef}
+                        onSelect={setSelection}
+                        onMove={(causeId, categoryId, offset) => onChange(moveCause(fishbone, causeId, categoryId, offset))}
+                    />
+                    <p className="mt-2 text-xs text-gray-500">Haz clic en una categoría para añadir causas o en una causa para editarla; arrastra las causas para moverlas a otra espina.</p>
+                </div>
+
+                <div className="xl:w-80 bg-gray-900/70 p-3 rounded-md">
+                    {selectedCause ? (
+                        <CauseDetails key={selectedCause.id} fishbone={fishbone} cause={selectedCause} onChange={onChange} onSelect={setSelection} />
+                    ) : selectedCategory ? (
+                        <CategoryDetails key={selectedCategory.id} fishbone={fishbone} category={selectedCategory} onChange={onChange} onSelect={setSelection} onError={onError} />
+                    ) : (
+                        <p className="text-sm text-gray-400">Selecciona una categoría o una causa del diagrama.</p>
+                    )}
+                    <div className="mt-4 pt-3 border-t border-gray-700 flex gap-2">
+                        <input type="text" value={newCategory} onChange={(e) => setNewCategory(e.target.value)} placeholder="Nueva categoría" className="flex-1 min-w-0 bg-gray-900 border border-gray-600 rounded px-2 py-1 text-sm text-white" />
+                        <button type="button" onClick={handleAddCategory} disabled={!newCategory.trim()} className="text-sm text-indigo-400 hover:text-indigo-300 disabled:opacity-50"><Plus size={16} /></button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default FishboneDiagram;
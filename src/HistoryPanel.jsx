@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { collection, query, orderBy, limit, onSnapshot } from 'firebase/firestore';
+import { History, X, GitCompare, Undo2, RotateCcw } from 'lucide-react';
+import { SelectField } from './ui';
+import { DISCIPLINE_IDS } from './reportSchema';
+import { describeField } from './reportSync';
+import { HISTORY_KINDS, HISTORY_PAGE_SIZE, diffVersions, getPathDiscipline, isRestorable, reconstructVersion, restorableFields } from './history';
+
+const CURRENT = 'current';
+
+const formatDate = (at) => at ? at.toDate().toLocaleString() : '';
+
+// Short preview of a recorded value.
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+    if (Array.isArray(value)) return `${value.length} elemento(s)`;
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+};
+
+// --- Version Diff ---
+const VersionDiff = ({ rows, leftLabel, rightLabel }) => rows.length === 0 ? (
+    <p className="text-sm text-gray-400">No hay diferencias entre las dos versiones.</p>
+) : (
+    <div className="overflow-x-auto">
+        <table className="w-full text-sm table-fixed">
+            <thead>
+                <tr className="text-left text-gray-400">
+                    <th className="w-1/4 py-1 pr-2 font-semibold">Campo</th>
+                    <th className="py-1 pr-2 font-semibold">{leftLabel}</th>
+                    <th className="py-1 font-semibold">{rightLabel}</th>
+                </tr>
+            </thead>
+            <tbody>
+                {rows.map(row => (
+                    <tr key={row.path} className="border-t border-gray-700 align-top">
+                        <td className="py-2 pr-2">
+                            <p className="text-gray-200">{describeField(row.path)}</p>
+                            <p className="font-mono text-[10px] text-gray-500 break-all">{row.path}</p>
+                        </td>
+                        <td className="py-2 pr-2 text-red-300 whitespace-pre-wrap break-words">{row.left}</td>
+                        <td className="py-2 text-green-300 whitespace-pre-wrap break-words">{row.right}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    </div>
+);
+
+// --- History Panel ---
+// Change log of one report, newest first. `report` is the report as last
+// received from Firestore: versions are rebuilt from it, so it must match
+// the entries in the history subcollection.
+const HistoryPanel = ({ db, reportPath, report, canRestore, canRestoreReport, onRestore, onClose, onError }) => {
+    const [entries, setEntries] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [pageCount, setPageCount] = useState(1);
+    const [discipline, setDiscipline] = useState('');
+    const [compare, setCompare] = useState(null); // { left, right }: entry index or CURRENT
+
+    useEffect(() => {
+        const q = query(collection(db, reportPath, 'history'), orderBy('at', 'desc'), limit(HISTORY_PAGE_SIZE * pageCount));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            // Entries written by this client carry an estimated time until the server confirms them.
+            setEntries(snapshot.docs.map(d => ({ id: d.id, ...d.data({ serverTimestamps: 'estimate' }) })));
+            setIsLoading(false);
+        }, (error) => {
+            onError(`Error al cargar el historial: ${error.message}`);
+            setIsLoading(false);
+        });
+        return () => unsubscribe();
+    }, [db, reportPath, pageCount, onError]);
+
+    const getVersion = (key) => key === CURRENT ? report : reconstructVersion(report, entries, key);
+    const versionLabel = (key) => key === CURRENT ? 'Versión actual' : `${formatDate(entries[key]?.at)} · ${entries[key]?.userName}`;
+
+    const diffRows = useMemo(() => {
+        if (!compare) return [];
+        const rows = diffVersions(getVersion(compare.left), getVersion(compare.right));
+        return discipline ? rows.filter(row => getPathDiscipline(row.path) === discipline) : rows;
+    }, [compare, entries, report, discipline]);
+
+    const versionOptions = [
+        { value: CURRENT, label: 'Versión actual' },
+        ...entries.map((entry, index) => ({ value: String(index), label: `${formatDate(entry.at)} · ${entry.userName} · ${describeField(entry.path)}` })),
+    ];
+    const parseVersion = (value) => value === CURRENT ? CURRENT : Number(value);
+
+    const handleRestoreVersion = () => {
+        const fields = restorableFields(report, getVersion(compare.left));
+        if (Object.keys(fields).length > 0) onRestore(fields);
+    };
+
+    const visible = entries
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ entry }) => !discipline || getPathDiscipline(entry.path) === discipline);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 z-40 flex justify-end" onClick={onClose}>
+            <div className="h-full w-full max-w-3xl bg-gray-900 border-l border-gray-700 shadow-xl overflow-y-auto p-6 space-y-6" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between">
+                    <h3 className="text-xl font-bold text-white flex items-center gap-2"><History size={22} /> Historial de cambios</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white" title="Cerrar"><X size={20} /></button>
+                </div>
+
+                <div className="max-w-xs">
+                    <SelectField
+                        label="Disciplina"
+                        value={discipline}
+                        onChange={(e) => setDiscipline(e.target.value)}
+                        placeholder="Todas"
+                        options={[...DISCIPLINE_IDS, 'General'].map(id => ({ value: id, label: id }))}
+                    />
+                </div>
+
+                {compare && (
+                    <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                            <SelectField label="Versión A" value={String(compare.left)} onChange={(e) => setCompare({ ...compare, left: parseVersion(e.target.value) })} options={versionOptions} />
+                            <SelectField label="Versión B" value={String(compare.right)} onChange={(e) => setCompare({ ...compare, right: parseVersion(e.target.value) })} options={versionOptions} />
+                        </div>
+                        <VersionDiff rows={diffRows} leftLabel={versionLabel(compare.left)} rightLabel={versionLabel(compare.right)} />
+                        <div className="flex justify-end gap-3">
+                            <button onClick={() => setCompare(null)} className="px-3 py-1.5 bg-gray-600 text-white text-sm font-semibold rounded-lg hover:bg-gray-500 transition-all">Cerrar comparación</button>
+                            {canRestoreReport && compare.left !== CURRENT && (
+                                <button onClick={handleRestoreVersion} className="flex items-center gap-2 px-3 py-1.5 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-500 transition-all">
+                                    <RotateCcw size={16} /> Restaurar informe a la versión A
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <p className="text-center text-gray-400">Cargando historial...</p>
+                ) : visible.length === 0 ? (
+                    <p className="text-center text-gray-400">No hay cambios registrados.</p>
+                ) : (
+                    <ol className="space-y-2">
+                        {visible.map(({ entry, index }) => (
+                            <li key={entry.id} className="bg-gray-800 rounded-lg p-3 text-sm">
+                                <div className="flex items-start justify-between gap-3">
+                                    <div className="min-w-0">
+                                        <p className="text-gray-200">
+                                            <span className="font-semibold">{entry.userName || 'Desconocido'}</span> · {describeField(entry.path)}
+                                            <span className="ml-2 px-1.5 py-0.5 rounded bg-gray-700 text-xs text-gray-300">{getPathDiscipline(entry.path)}</span>
+                                        </p>
+                                        <p className="text-xs text-gray-500">{formatDate(entry.at)} · {HISTORY_KINDS[entry.kind] || entry.kind}</p>
+                                        <p className="mt-1 text-xs break-words">
+                                            <span className="text-red-300">{formatValue(entry.before)}</span>
+                                            <span className="text-gray-500"> → </span>
+                                            <span className="text-green-300">{formatValue(entry.after)}</span>
+                                        </p>
+                                    </div>
+                                    <div className="flex gap-2 flex-shrink-0">
+                                        <button onClick={() => setCompare({ left: index, right: CURRENT })} className="text-gray-400 hover:text-indigo-300" title="Comparar esta versión con la actual">
+                                            <GitCompare size={16} />
+                                        </button>
+                                        {isRestorable(entry) && canRestore(entry.path) && (
+                                            <button onClick={() => onRestore({ [entry.path]: entry.before })} className="text-gray-400 hover:text-indigo-300" title="Restaurar valor anterior">
+                                                <Undo2 size={16} />
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+
+                {entries.length === HISTORY_PAGE_SIZE * pageCount && (
+                    <div className="text-center">
+                        <button onClick={() => setPageCount(pageCount + 1)} className="text-indigo-400 hover:text-indigo-300 font-semibold text-sm">Cargar más</button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default HistoryPanel;
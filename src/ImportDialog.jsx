@@ -0,0 +1,180 @@
+import React, { useEffect, useState } from 'react';
+import { Upload, AlertTriangle, CheckCircle2, Copy } from 'lucide-react';
+import { ErrorBanner, SelectField } from './ui';
+import { loadScript } from './loadScript';
+import { getStatusLabel } from './workflow';
+import { EXCEL_FIELDS, SHEETJS_URL, guessMapping, markDuplicates, parseExchangeJson, parseSpreadsheetRows } from './reportExchange';
+
+// --- Import Dialog ---
+// File -> column mapping (spreadsheets only) -> preview -> import. Nothing is
+// written until the user confirms the preview; `onImport(reports)` receives
+// the complete documents of the selected rows.
+const ImportDialog = ({ user, loadExistingReports, onImport, onClose }) => {
+    const [existing, setExisting] = useState(null);
+    const [workbook, setWorkbook] = useState(null);
+    const [sheetName, setSheetName] = useState('');
+    const [mapping, setMapping] = useState({});
+    const [rows, setRows] = useState(null);
+    const [error, setError] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+
+    // Duplicates are checked against every report, not only the loaded page.
+    useEffect(() => {
+        loadExistingReports()
+            .then(setExisting)
+            .catch((e) => setError(`No se pudieron cargar los informes existentes: ${e.message}`));
+    }, [loadExistingReports]);
+
+    const sheetRows = workbook && sheetName ? window.XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '' }) : [];
+    const headers = sheetRows.length > 0 ? Object.keys(sheetRows[0]) : [];
+
+    const selectSheet = (name, book = workbook) => {
+        setSheetName(name);
+        const firstRow = window.XLSX.utils.sheet_to_json(book.Sheets[name], { defval: '' })[0];
+        setMapping(guessMapping(firstRow ? Object.keys(firstRow) : []));
+    };
+
+    const handleFile = async (file) => {
+        if (!file) return;
+        setError(null);
+        setRows(null);
+        setWorkbook(null);
+        setIsBusy(true);
+        try {
+            if (file.name.toLowerCase().endsWith('.json')) {
+                setRows(markDuplicates(parseExchangeJson(await file.text(), user), existing));
+            } else {
+                await loadScript(SHEETJS_URL);
+                const book = window.XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+                setWorkbook(book);
+                selectSheet(book.SheetNames[0], book);
+            }
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handlePreview = () => {
+        setRows(markDuplicates(parseSpreadsheetRows(sheetRows, mapping, user), existing));
+    };
+
+    const setInclude = (key, include) => setRows(rows.map(r => r.key === key ? { ...r, include } : r));
+
+    const selected = rows ? rows.filter(r => r.include) : [];
+
+    const handleImport = async () => {
+        setIsBusy(true);
+        try {
+            await onImport(selected.map(r => r.report));
+            onClose();
+        } catch (e) {
+            setError(`No se pudo importar: ${e.message}`);
+            setIsBusy(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-start overflow-y-auto py-8">
+            <div className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-5xl mx-4 space-y-4">
+                <h3 className="text-lg font-bold text-white flex items-center gap-2"><Upload size={20} /> Importar informes</h3>
+                <ErrorBanner message={error} onDismiss={() => setError(null)} />
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Archivo JSON exportado desde la plataforma, o libro Excel / CSV</label>
+                    <input
+                        type="file"
+                        accept=".json,.xlsx,.xls,.csv"
+                        disabled={!existing || isBusy}
+                        onChange={(e) => handleFile(e.target.files[0])}
+                        className="block w-full text-sm text-gray-300 file:mr-3 file:px-3 file:py-1.5 file:rounded-md file:border-0 file:bg-gray-700 file:text-white hover:file:bg-gray-600"
+                    />
+                    {!existing && !error && <p className="text-xs text-gray-500 mt-1">Cargando informes existentes...</p>}
+                </div>
+
+                {workbook && (
+                    <div className="space-y-3 border-t border-gray-700 pt-4">
+                        <div className="flex items-end gap-4">
+                            {workbook.SheetNames.length > 1 && (
+                                <div className="w-64">
+                                    <SelectField label="Hoja" value={sheetName} onChange={(e) => { selectSheet(e.target.value); setRows(null); }} options={workbook.SheetNames.map(n => ({ value: n, label: n }))} />
+                                </div>
+                            )}
+                            <p className="text-sm text-gray-400 pb-2">{sheetRows.length} fila(s). Indica qué columna corresponde a cada campo.</p>
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                            {EXCEL_FIELDS.map(field => (
+                                <SelectField
+                                    key={field.key}
+                                    label={`${field.label}${field.required ? ' *' : ''}`}
+                                    value={mapping[field.key] || ''}
+                                    onChange={(e) => { setMapping({ ...mapping, [field.key]: e.target.value }); setRows(null); }}
+                                    placeholder="No importar"
+                                    options={headers.map(h => ({ value: h, label: h }))}
+                                />
+                            ))}
+                        </div>
+                        <button type="button" onClick={handlePreview} disabled={!mapping.title} className="px-4 py-2 bg-gray-700 text-white font-semibold rounded-md hover:bg-gray-600 transition disabled:opacity-50">
+                            Vista previa
+                        </button>
+                    </div>
+                )}
+
+                {rows && (
+                    <div className="border-t border-gray-700 pt-4">
+                        <p className="text-sm text-gray-400 mb-2">
+                            {rows.length} fila(s): {rows.filter(r => r.errors.length > 0).length} con errores, {rows.filter(r => r.duplicateOf).length} posible(s) duplicado(s). Se importarán {selected.length}.
+                        </p>
+                        <div className="max-h-96 overflow-y-auto">
+                            <table className="w-full text-sm">
+                                <thead className="text-left text-gray-400 sticky top-0 bg-gray-800">
+                                    <tr>
+                                        <th className="p-2 w-10"></th>
+                                        <th className="p-2">Origen</th>
+                                        <th className="p-2">Título</th>
+                                        <th className="p-2">Cliente · Nº de Parte</th>
+                                        <th className="p-2">Estado</th>
+                                        <th className="p-2">Validación</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rows.map(row => (
+                                        <tr key={row.key} className="border-t border-gray-700 align-top">
+                                            <td className="p-2">
+                                                <input type="checkbox" checked={row.include} disabled={row.errors.length > 0} onChange={(e) => setInclude(row.key, e.target.checked)} title={row.duplicateOf ? 'Importar igualmente' : 'Importar'} />
+                                            </td>
+                                            <td className="p-2 text-gray-400 whitespace-nowrap">{row.label}</td>
+                                            <td className="p-2 text-gray-100">{row.report?.title || '—'}</td>
+                                            <td className="p-2 text-gray-300">{row.report ? [row.report.customer, row.report.partNumber].filter(Boolean).join(' · ') : ''}</td>
+                                            <td className="p-2 text-gray-300">{row.report ? getStatusLabel(row.report.status) : ''}</td>
+                                            <td className="p-2">
+                                                {row.errors.length > 0 ? (
+                                                    <ul className="text-red-400 space-y-1">
+                                                        {row.errors.map((message, i) => <li key={i} className="flex gap-1"><AlertTriangle size={14} className="flex-shrink-0 mt-0.5" /> {message}</li>)}
+                                                    </ul>
+                                                ) : row.duplicateOf ? (
+                                                    <span className="flex gap-1 text-yellow-400"><Copy size={14} className="flex-shrink-0 mt-0.5" /> Duplicado de «{row.duplicateOf}»</span>
+                                                ) : (
+                                                    <span className="flex gap-1 text-green-400"><CheckCircle2 size={14} className="flex-shrink-0 mt-0.5" /> Correcto</span>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-3 pt-2">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">Cancelar</button>
+                    <button type="button" onClick={handleImport} disabled={isBusy || selected.length === 0} className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50">
+                        {isBusy ? 'Procesando...' : `Importar ${selected.length} informe(s)`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportDialog;
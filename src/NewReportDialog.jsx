@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { PlusCircle } from 'lucide-react';
+import { InputField, SelectField } from './ui';
+import { SEVERITIES } from './workflow';
+import { VISIBILITY_LEVELS } from './organizations';
+
+const SOURCES = [
+    { id: 'blank', label: 'En blanco' },
+    { id: 'template', label: 'Desde plantilla' },
+    { id: 'clone', label: 'Copiar un informe' },
+];
+
+// --- New Report Dialog ---
+// Calls `onCreate({ source, sourceId, title, customer, partNumber, severity, plantId, visibility })`.
+// `plants` are those of the active organization.
+const NewReportDialog = ({ templates, reports, plants, defaultPlantId, onCreate, onClose }) => {
+    const [source, setSource] = useState('blank');
+    const [sourceId, setSourceId] = useState('');
+    const [details, setDetails] = useState({
+        title: `Nuevo Informe 8D - ${new Date().toLocaleDateString()}`,
+        customer: '',
+        partNumber: '',
+        severity: '',
+        plantId: defaultPlantId,
+        visibility: 'organization',
+    });
+
+    const setDetail = (field, value) => setDetails(d => ({ ...d, [field]: value }));
+
+    // A report shared with its plant needs one.
+    const setPlant = (plantId) => setDetails(d => ({ ...d, plantId, visibility: !plantId && d.visibility === 'plant' ? 'organization' : d.visibility }));
+
+    // Picking a template or report fills in its customer, part and severity.
+    const handleSourceIdChange = (id) => {
+        setSourceId(id);
+        const origin = source === 'template' ? templates.find(t => t.id === id) : reports.find(r => r.id === id);
+        if (!origin) return;
+        setDetails(d => ({
+            ...d,
+            title: source === 'clone' ? `Copia de ${origin.title}` : d.title,
+            customer: origin.customer,
+            partNumber: origin.partNumber,
+            severity: origin.severity,
+        }));
+    };
+
+    const handleSourceChange = (id) => {
+        setSource(id);
+        setSourceId('');
+    };
+
+    const isValid = details.title.trim() !== '' && (source === 'blank' || sourceId !== '');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!isValid) return;
+        onCreate({ source, sourceId, ...details, title: details.title.trim() });
+    };
+
+    const sourceOptions = source === 'template'
+        ? templates.map(t => ({ value: t.id, label: t.name || 'Plantilla sin nombre' }))
+        : reports.map(r => ({ value: r.id, label: r.title }));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+            <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-lg mx-4 space-y-4">
+                <h3 className="text-lg font-bold text-white flex items-center gap-2"><PlusCircle size={20} /> Nuevo Informe 8D</h3>
+                <div className="flex gap-2">
+                    {SOURCES.map(s => (
+                        <button
+                            key={s.id}
+                            type="button"
+                            onClick={() => handleSourceChange(s.id)}
+                            className={`flex-1 px-3 py-2 rounded-md text-sm font-semibold transition ${source === s.id ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                        >
+                            {s.label}
+                        </button>
+                    ))}
+                </div>
+                {source !== 'blank' && (
+                    sourceOptions.length > 0 ? (
+                        <SelectField
+                            label={source === 'template' ? 'Plantilla' : 'Informe a copiar'}
+                            value={sourceId}
+                            onChange={(e) => handleSourceIdChange(e.target.value)}
+                            placeholder="Selecciona..."
+                            options={sourceOptions}
+                        />
+                    ) : (
+                        <p className="text-sm text-yellow-400">{source === 'template' ? 'Todavía no hay plantillas.' : 'No hay informes que copiar.'}</p>
+                    )
+                )}
+                <InputField label="Título" value={details.title} onChange={(e) => setDetail('title', e.target.value)} />
+                <div className="grid grid-cols-2 gap-4">
+                    <InputField label="Cliente" value={details.customer} onChange={(e) => setDetail('customer', e.target.value)} placeholder="Nombre del cliente" />
+                    <InputField label="Nº de Parte" value={details.partNumber} onChange={(e) => setDetail('partNumber', e.target.value)} placeholder="Ej: 12345-AB" />
+                </div>
+                <SelectField
+                    label="Severidad"
+                    value={details.severity}
+                    onChange={(e) => setDetail('severity', e.target.value)}
+                    placeholder="Sin definir"
+                    options={SEVERITIES.map(s => ({ value: s.id, label: s.label }))}
+                />
+                <div className="grid grid-cols-2 gap-4">
+                    <SelectField label="Planta" value={details.plantId} onChange={(e) => setPlant(e.target.value)} placeholder="Sin planta" options={plants.map(p => ({ value: p.id, label: p.name }))} />
+                    <SelectField label="Visibilidad" value={details.visibility} onChange={(e) => setDetail('visibility', e.target.value)} options={VISIBILITY_LEVELS.filter(v => v.id !== 'plant' || details.plantId).map(v => ({ value: v.id, label: v.label }))} />
+                </div>
+                <p className="text-xs text-gray-500 -mt-2">{VISIBILITY_LEVELS.find(v => v.id === details.visibility)?.description}</p>
+                <div className="flex justify-end gap-3 pt-2">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">Cancelar</button>
+                    <button type="submit" disabled={!isValid} className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50">Crear</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default NewReportDialog;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Bell, CheckCheck, UserCheck, CalendarClock, AlarmClock, MessageSquare, AtSign, ShieldCheck } from 'lucide-react';
+import { getNotificationKindLabel } from './notifications';
+
+const KIND_ICONS = {
+    assigned: <UserCheck size={16} className="text-indigo-400" />,
+    due_soon: <CalendarClock size={16} className="text-yellow-400" />,
+    overdue: <AlarmClock size={16} className="text-red-400" />,
+    comment: <MessageSquare size={16} className="text-gray-300" />,
+    mention: <AtSign size={16} className="text-amber-400" />,
+    approval: <ShieldCheck size={16} className="text-green-400" />,
+};
+
+// --- Notification Bell (header) ---
+export const NotificationCenter = ({ notifications, onOpen, onMarkAllRead }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const unread = notifications.filter(n => !n.read);
+
+    const open = (notification) => {
+        setIsOpen(false);
+        onOpen(notification);
+    };
+
+    return (
+        <div className="relative">
+            <button onClick={() => setIsOpen(!isOpen)} className="relative flex items-center text-gray-300 hover:text-white" title="Notificaciones">
+                <Bell size={18} />
+                {unread.length > 0 && (
+                    <span className="absolute -top-2 -right-2 min-w-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] font-bold text-center">{unread.length > 9 ? '9+' : unread.length}</span>
+                )}
+            </button>
+            {isOpen && (
+                <>
+                    <div className="fixed inset-0 z-30" onClick={() => setIsOpen(false)} />
+                    <div className="absolute right-0 mt-3 w-96 max-h-[70vh] flex flex-col bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-40">
+                        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+                            <h3 className="font-semibold text-white">Notificaciones</h3>
+                            {unread.length > 0 && (
+                                <button onClick={() => onMarkAllRead(unread.map(n => n.id))} className="flex items-center gap-1 text-xs text-indigo-400 hover:text-indigo-300 font-semibold">
+                                    <CheckCheck size={14} /> Marcar todas como leídas
+                                </button>
+                            )}
+                        </div>
+                        <ul className="flex-1 overflow-y-auto divide-y divide-gray-700">
+                            {notifications.length === 0 && <li className="px-4 py-6 text-sm text-gray-400 text-center">No tienes notificaciones.</li>}
+                            {notifications.map(n => (
+                                <li key={n.id}>
+                                    <button onClick={() => open(n)} className={`w-full flex items-start gap-3 px-4 py-3 text-left hover:bg-gray-700/60 ${n.read ? '' : 'bg-indigo-950/50'}`}>
+                                        <span className="mt-0.5 flex-shrink-0">{KIND_ICONS[n.kind] || <Bell size={16} className="text-gray-400" />}</span>
+                                        <span className="min-w-0">
+                                            <span className="block text-xs text-gray-400">
+                                                {getNotificationKindLabel(n.kind)} · {n.reportTitle}{n.disciplineId && ` · ${n.disciplineId}`}
+                                            </span>
+                                            <span className="block text-sm text-gray-200 break-words">{n.text}</span>
+                                            <span className="block text-xs text-gray-500 mt-0.5">{new Date(n.at).toLocaleString()}</span>
+                                        </span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
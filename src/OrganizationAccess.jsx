@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { Building, Mail, PlusCircle, Check, X, Send, MailWarning } from 'lucide-react';
+import { InputField, SelectField, CheckboxField } from './ui';
+import { PROFILE_ROLE_IDS, getRoleLabel } from './permissions';
+import { isValidEmail } from './organizations';
+
+// Plants a member or invitee works at; reports shared with a plant are visible to them.
+export const PlantPicker = ({ plants, value, onChange }) => (
+    plants.length === 0 ? (
+        <p className="text-xs text-gray-500">La organización aún no tiene plantas.</p>
+    ) : (
+        <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {plants.map(plant => (
+                <CheckboxField
+                    key={plant.id}
+                    label={plant.name}
+                    checked={value.includes(plant.id)}
+                    onChange={(e) => onChange(e.target.checked ? [...value, plant.id] : value.filter(id => id !== plant.id))}
+                />
+            ))}
+        </div>
+    )
+);
+
+// --- Organization Picker ---
+// Shown when the user belongs to no organization yet, and from the switcher
+// to create or join another one.
+export const OrganizationPicker = ({ invitations, emailVerified, onCreate, onAccept, onDecline, onSendVerification, onCancel }) => {
+    const [name, setName] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+    const [verificationSent, setVerificationSent] = useState(false);
+
+    const run = async (action) => {
+        setIsBusy(true);
+        try {
+            await action();
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        run(() => onCreate(name.trim()));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+            <div className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-lg mx-4 space-y-6">
+                <div className="flex items-center gap-3">
+                    <Building className="h-8 w-8 text-indigo-400" />
+                    <div>
+                        <h3 className="text-lg font-bold text-white">Organizaciones</h3>
+                        <p className="text-xs text-gray-400">Los informes de cada organización solo son visibles para sus miembros.</p>
+                    </div>
+                </div>
+
+                <div>
+                    <p className="text-sm font-semibold text-gray-200 mb-2 flex items-center gap-2"><Mail size={16} /> Invitaciones pendientes</p>
+                    {!emailVerified ? (
+                        <div className="p-3 rounded-lg bg-yellow-900/30 border border-yellow-700 text-sm text-yellow-200 space-y-2">
+                            <p className="flex items-center gap-2"><MailWarning size={16} /> Verifica tu correo para ver las invitaciones que te han enviado.</p>
+                            {verificationSent ? (
+                                <p>Te hemos enviado un correo. Abre el enlace y vuelve a cargar esta página.</p>
+                            ) : (
+                                <button type="button" onClick={() => run(async () => { await onSendVerification(); setVerificationSent(true); })} disabled={isBusy} className="text-indigo-300 hover:text-indigo-200 font-semibold disabled:opacity-50">Enviar correo de verificación</button>
+                            )}
+                        </div>
+                    ) : invitations.length === 0 ? (
+                        <p className="text-sm text-gray-500">No tienes invitaciones pendientes.</p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {invitations.map(inv => (
+                                <li key={inv.id} className="flex items-center gap-3 bg-gray-900/50 rounded-lg p-3">
+                                    <div className="flex-1 min-w-0">
+                                        <p className="font-semibold text-gray-100 truncate">{inv.orgName}</p>
+                                        <p className="text-xs text-gray-400">{getRoleLabel(inv.role)} · invitado por {inv.invitedByName}</p>
+                                    </div>
+                                    <button type="button" onClick={() => run(() => onAccept(inv))} disabled={isBusy} className="flex items-center gap-1 px-3 py-1.5 bg-indigo-600 text-white text-sm font-semibold rounded-md hover:bg-indigo-500 disabled:opacity-50"><Check size={14} /> Unirme</button>
+                                    <button type="button" onClick={() => run(() => onDecline(inv))} disabled={isBusy} className="text-gray-400 hover:text-red-400" title="Rechazar"><X size={18} /></button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                <form onSubmit={handleCreate} className="space-y-3 border-t border-gray-700 pt-4">
+                    <p className="text-sm font-semibold text-gray-200">Crear una organización</p>
+                    <InputField label="Nombre" value={name} onChange={(e) => setName(e.target.value)} placeholder="Ej: Autopartes del Norte" />
+                    <p className="text-xs text-gray-500">Serás su gerente de calidad y podrás invitar al resto del equipo.</p>
+                    <div className="flex justify-end gap-3">
+                        {onCancel && <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">Cancelar</button>}
+                        <button type="submit" disabled={isBusy || !name.trim()} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50"><PlusCircle size={16} /> Crear</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// --- Organization Switcher (header) ---
+const OTHER = '__other__';
+
+export const OrganizationSwitcher = ({ organizations, activeOrgId, pendingCount, onSwitch, onOpenPicker }) => (
+    <div className="flex items-center gap-2">
+        <Building size={18} className="text-gray-400" />
+        <select
+            value={activeOrgId}
+            onChange={(e) => (e.target.value === OTHER ? onOpenPicker() : onSwitch(e.target.value))}
+            className="bg-gray-900 border border-gray-600 rounded-md px-2 py-1 text-sm text-white max-w-[14rem]"
+            title="Organización activa"
+        >
+            {organizations.map(org => <option key={org.id} value={org.id}>{org.name}</option>)}
+            <option value={OTHER}>{pendingCount > 0 ? `Invitaciones (${pendingCount}) / nueva…` : 'Crear o unirse…'}</option>
+        </select>
+    </div>
+);
+
+// --- Data Created Before Organizations (platform administrators) ---
+export const UnassignedDataPanel = ({ organization, onAdopt }) => {
+    const [result, setResult] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+
+    const handleAdopt = async () => {
+        setIsBusy(true);
+        try {
+            setResult(await onAdopt());
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    return (
+        <div className="mt-8 p-4 rounded-xl border border-gray-700 bg-gray-800/50">
+            <h3 className="font-semibold text-gray-100">Datos sin organización</h3>
+            <p className="text-sm text-gray-400 mt-1">Los informes, plantillas, clientes y plantas creados antes de las organizaciones solo son visibles para los administradores de la plataforma hasta que se asignan a una.</p>
+            <div className="flex items-center gap-4 mt-3">
+                <button onClick={handleAdopt} disabled={isBusy} className="px-4 py-2 bg-gray-700 text-white font-semibold rounded-md hover:bg-gray-600 transition disabled:opacity-50">
+                    {isBusy ? 'Asignando...' : `Asignar a ${organization.name}`}
+                </button>
+                {result !== null && <span className="text-sm text-gray-400">{result} documento(s) asignado(s).</span>}
+            </div>
+        </div>
+    );
+};
+
+// --- Invitations (quality managers of the organization) ---
+export const InvitationManager = ({ invitations, plants, onInvite, onCancel }) => {
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('member');
+    const [plantIds, setPlantIds] = useState([]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!isValidEmail(email)) return;
+        onInvite({ email, role, plantIds });
+        setEmail('');
+        setPlantIds([]);
+    };
+
+    return (
+        <div className="mt-8">
+            <h3 className="text-xl font-bold text-white mb-4 flex items-center gap-2"><Mail size={20} /> Invitaciones</h3>
+            <form onSubmit={handleSubmit} className="bg-gray-800 rounded-xl border border-gray-700 p-4 space-y-3">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="md:col-span-2">
+                        <InputField label="Correo electrónico" type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="nombre@empresa.com" />
+                    </div>
+                    <SelectField label="Rol" value={role} onChange={(e) => setRole(e.target.value)} options={PROFILE_ROLE_IDS.map(id => ({ value: id, label: getRoleLabel(id) }))} />
+                </div>
+                <div>
+                    <p className="text-sm font-medium text-gray-300 mb-1">Plantas</p>
+                    <PlantPicker plants={plants} value={plantIds} onChange={setPlantIds} />
+                </div>
+                <div className="flex justify-end">
+                    <button type="submit" disabled={!isValidEmail(email)} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50"><Send size={16} /> Invitar</button>
+                </div>
+            </form>
+            {invitations.length > 0 && (
+                <div className="mt-4 bg-gray-800 rounded-xl border border-gray-700 divide-y divide-gray-700">
+                    {invitations.map(inv => (
+                        <div key={inv.id} className="flex items-center gap-4 p-4">
+                            <div className="flex-1 min-w-0">
+                                <p className="font-semibold text-gray-100 truncate">{inv.email}</p>
+                                <p className="text-xs text-gray-400 truncate">
+                                    {getRoleLabel(inv.role)}
+                                    {inv.plantIds.length > 0 && ` · ${inv.plantIds.map(id => plants.find(p => p.id === id)?.name || id).join(', ')}`}
+                                    {` · pendiente, enviada por ${inv.invitedByName}`}
+                                </p>
+                            </div>
+                            <button onClick={() => onCancel(inv.id)} className="text-gray-400 hover:text-red-400" title="Anular invitación"><X size={18} /></button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Factory, PlusCircle, Pencil, Trash2 } from 'lucide-react';
+import { CheckboxField, ConfirmationModal, InputField, RowList } from './ui';
+import { can } from './permissions';
+import { createId } from './reportSchema';
+import { createPlantConfig } from './disciplines';
+
+// Name and sub-steps of one discipline.
+const DisciplineEditor = ({ discipline, onChange }) => (
+    <div className="bg-gray-900/50 rounded-lg p-4 space-y-3">
+        <InputField label={discipline.id} value={discipline.name} onChange={(e) => onChange({ ...discipline, name: e.target.value })} />
+        <RowList
+            title="Subpasos"
+            rows={discipline.steps}
+            createRow={() => ({ id: createId(), name: '' })}
+            onChange={(steps) => onChange({ ...discipline, steps })}
+            addLabel="+ Añadir subpaso"
+            renderRow={(step, change) => <InputField label="Subpaso" value={step.name} onChange={(e) => change({ name: e.target.value })} placeholder="Ej: Notificar al cliente en 24 h" />}
+        />
+    </div>
+);
+
+// --- Plant Configuration Editor ---
+const PlantEditor = ({ config, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(config);
+    const setDiscipline = (updated) => setDraft(d => ({ ...d, disciplines: d.disciplines.map(x => x.id === updated.id ? updated : x) }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!draft.name.trim()) return;
+        onSave({ ...draft, name: draft.name.trim() });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-start overflow-y-auto py-8">
+            <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-3xl mx-4 space-y-6">
+                <h3 className="text-lg font-bold text-white flex items-center gap-2"><Factory size={20} /> {config.name ? `Disciplinas de ${config.name}` : 'Nueva planta'}</h3>
+                <InputField label="Planta" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Como se escribe en los informes y perfiles, ej: Planta Monterrey" />
+                <div className="space-y-3">
+                    <CheckboxField label="Incluir D0: respuesta de emergencia y decisión sobre el 8D (Global 8D)" checked={draft.includeD0} onChange={(e) => setDraft({ ...draft, includeD0: e.target.checked })} />
+                    {draft.includeD0 && <DisciplineEditor discipline={draft.d0} onChange={(d0) => setDraft({ ...draft, d0 })} />}
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {draft.disciplines.map(discipline => <DisciplineEditor key={discipline.id} discipline={discipline} onChange={setDiscipline} />)}
+                </div>
+                <p className="text-xs text-gray-500">Los informes nuevos de la planta copian esta configuración. Los informes abiertos la adoptan cuando su líder de equipo la aplica.</p>
+                <div className="flex justify-end gap-3">
+                    <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">Cancelar</button>
+                    <button type="submit" disabled={!draft.name.trim()} className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50">Guardar</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// --- Plant List ---
+const PlantSettings = ({ configs, profile, onSave, onDelete }) => {
+    const [editing, setEditing] = useState(null);
+    const [toDelete, setToDelete] = useState(null);
+    const canManage = can('managePlants', null, profile);
+
+    const handleSave = (config) => {
+        onSave(config);
+        setEditing(null);
+    };
+
+    return (
+        <div>
+            {editing && <PlantEditor config={editing} onSave={handleSave} onCancel={() => setEditing(null)} />}
+            <ConfirmationModal
+                isOpen={Boolean(toDelete)}
+                onClose={() => setToDelete(null)}
+                onConfirm={() => { onDelete(toDelete.id); setToDelete(null); }}
+                title="Eliminar configuración"
+            >
+                <p>¿Eliminar la configuración de «{toDelete?.name}»? Los informes nuevos de la planta usarán D1 a D8 sin subpasos; los existentes no cambian.</p>
+            </ConfirmationModal>
+
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold text-white flex items-center gap-3"><Factory size={28} /> Plantas y disciplinas</h2>
+                {canManage && (
+                    <button onClick={() => setEditing(createPlantConfig(profile.orgId))} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-500 transition-all">
+                        <PlusCircle size={20} /> Nueva planta
+                    </button>
+                )}
+            </div>
+
+            {configs.length === 0 ? (
+                <div className="text-center py-16 border-2 border-dashed border-gray-700 rounded-lg">
+                    <h3 className="text-xl font-semibold text-gray-300">No hay plantas configuradas.</h3>
+                    <p className="text-gray-500 mt-2">Todos los informes siguen las disciplinas D1 a D8 sin subpasos.</p>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {configs.map(config => (
+                        <div key={config.id} className="bg-gray-800 rounded-xl p-6 border border-gray-700 shadow-lg">
+                            <div className="flex justify-between items-start gap-2">
+                                <h3 className="font-bold text-lg text-indigo-300 truncate">{config.name}</h3>
+                                {canManage && (
+                                    <div className="flex gap-2 flex-shrink-0">
+                                        <button onClick={() => setEditing(config)} className="text-gray-400 hover:text-indigo-300" title="Editar"><Pencil size={16} /></button>
+                                        <button onClick={() => setToDelete(config)} className="text-gray-400 hover:text-red-400" title="Eliminar"><Trash2 size={16} /></button>
+                                    </div>
+                                )}
+                            </div>
+                            <ul className="mt-3 space-y-1 text-sm text-gray-300">
+                                {[...(config.includeD0 ? [config.d0] : []), ...config.disciplines].map(d => (
+                                    <li key={d.id}>
+                                        <span className="font-semibold">{d.id}:</span> {d.name}
+                                        {d.steps.length > 0 && <span className="text-xs text-gray-500"> · {d.steps.length} subpaso(s)</span>}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PlantSettings;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { Repeat2, Link2, Unlink, ExternalLink } from 'lucide-react';
+import { getStatusLabel } from './workflow';
+import { getActionStatusLabel } from './actions';
+import { getCorrectiveActions, getRecurrenceRelationLabel, getVerifiedRootCauses } from './recurrence';
+
+// --- Similar Report Card ---
+// What the earlier 8D found, so the team can start from it.
+const SimilarReportCard = ({ suggestion, canLink, onLink, onOpen }) => {
+    const { report, score, reasons } = suggestion;
+    const rootCauses = getVerifiedRootCauses(report);
+    const actions = getCorrectiveActions(report);
+
+    return (
+        <div className="bg-gray-900/60 border border-gray-700 rounded-lg p-4">
+            <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                    <p className="font-semibold text-indigo-300 truncate">{report.title || 'Sin título'}</p>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                        {getStatusLabel(report.status)}{report.partNumber && ` · ${report.partNumber}`}{report.customer && ` · ${report.customer}`}
+                    </p>
+                </div>
+                <span className="flex-shrink-0 px-2 py-0.5 rounded-full bg-indigo-900/60 text-indigo-300 text-xs font-semibold" title="Similitud">{Math.round(score * 100)} %</span>
+            </div>
+            {reasons.length > 0 && <p className="text-xs text-gray-400 mt-2">{reasons.join(' · ')}</p>}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-3 text-sm">
+                <div>
+                    <p className="text-xs font-semibold text-gray-400 uppercase mb-1">Causas raíz verificadas</p>
+                    {rootCauses.length === 0
+                        ? <p className="text-gray-500 italic">Ninguna todavía.</p>
+                        : <ul className="list-disc list-inside text-gray-300 space-y-0.5">{rootCauses.map((text, i) => <li key={i}>{text}</li>)}</ul>}
+                </div>
+                <div>
+                    <p className="text-xs font-semibold text-gray-400 uppercase mb-1">Acciones correctivas</p>
+                    {actions.length === 0
+                        ? <p className="text-gray-500 italic">Ninguna todavía.</p>
+                        : (
+                            <ul className="text-gray-300 space-y-0.5">
+                                {actions.map(a => <li key={a.id}>{a.action} <span className="text-xs text-gray-500">({getActionStatusLabel(a.status)})</span></li>)}
+                            </ul>
+                        )}
+                </div>
+            </div>
+            <div className="flex justify-end gap-2 mt-3">
+                <button type="button" onClick={() => onOpen(report.id)} className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-300 hover:text-white">
+                    <ExternalLink size={14} /> Abrir
+                </button>
+                {canLink && (
+                    <button type="button" onClick={() => onLink(report)} className="flex items-center gap-1 px-3 py-1.5 bg-indigo-600 text-white text-sm font-semibold rounded-md hover:bg-indigo-500 transition">
+                        <Link2 size={14} /> Vincular como recurrencia
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Recurrence Panel ---
+// Linked recurrences and the suggestions of `useSimilarReports` (src/recurrence.js).
+const RecurrencePanel = ({ links, suggestions, isLoading, error, canLink, onLink, onUnlink, onOpen }) => (
+    <div className="mt-8 pt-6 border-t border-gray-700 space-y-4">
+        <h4 className="text-sm font-semibold text-gray-200 flex items-center gap-2"><Repeat2 size={16} /> ¿Ha ocurrido antes?</h4>
+
+        {links.length > 0 && (
+            <div className="space-y-2">
+                <p className="text-xs font-semibold text-gray-400 uppercase">Recurrencias vinculadas</p>
+                {links.map(link => (
+                    <div key={link.reportId} className="flex items-center gap-3 bg-gray-900/60 border border-gray-700 rounded-lg px-3 py-2 text-sm">
+                        <span className="text-gray-400 flex-shrink-0">{getRecurrenceRelationLabel(link.relation)}</span>
+                        <button type="button" onClick={() => onOpen(link.reportId)} className="font-semibold text-indigo-300 hover:text-indigo-200 truncate text-left">{link.title || link.reportId}</button>
+                        <span className="text-xs text-gray-500 ml-auto flex-shrink-0">{link.linkedByName} · {new Date(link.linkedAt).toLocaleDateString()}</span>
+                        {canLink && (
+                            <button type="button" onClick={() => onUnlink(link)} className="text-gray-500 hover:text-red-400 flex-shrink-0" title="Desvincular">
+                                <Unlink size={14} />
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+        )}
+
+        <div className="space-y-3">
+            <p className="text-xs font-semibold text-gray-400 uppercase">8D similares</p>
+            {error ? (
+                <p className="text-sm text-red-400">No se pudieron buscar informes similares: {error}</p>
+            ) : isLoading ? (
+                <p className="text-sm text-gray-400">Buscando informes similares...</p>
+            ) : suggestions.length === 0 ? (
+                <p className="text-sm text-gray-500">Ningún informe parecido por nº de parte, categoría de defecto, cliente o descripción del problema.</p>
+            ) : (
+                suggestions.map(suggestion => (
+                    <SimilarReportCard key={suggestion.report.id} suggestion={suggestion} canLink={canLink} onLink={onLink} onOpen={onOpen} />
+                ))
+            )}
+        </div>
+    </div>
+);
+
+export default RecurrencePanel;
@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import { MessageSquare, X, CheckCircle2, XCircle, RotateCcw, ShieldCheck, AtSign } from 'lucide-react';
+import { TextAreaField } from './ui';
+import { splitMentions } from './comments';
+import { getApprovalStatus, getDisciplineApprovalStatus, summarizeApprovals } from './approvals';
+
+const formatDate = (millis) => new Date(millis).toLocaleString();
+
+// --- Comment Composer ---
+// Typing `@` suggests the team members linked to an account.
+const CommentComposer = ({ candidates, placeholder, submitLabel, onSubmit }) => {
+    const [text, setText] = useState('');
+    const [mentionQuery, setMentionQuery] = useState(null); // { start, query } while typing a mention
+
+    const handleChange = (e) => {
+        const value = e.target.value;
+        setText(value);
+        const match = /(^|\s)@([^@\n]{0,30})$/.exec(value.slice(0, e.target.selectionStart));
+        setMentionQuery(match ? { start: match.index + match[1].length, query: match[2] } : null);
+    };
+
+    const suggestions = mentionQuery
+        ? candidates.filter(c => c.name.toLowerCase().startsWith(mentionQuery.query.toLowerCase())).slice(0, 5)
+        : [];
+
+    const insertMention = (candidate) => {
+        const end = mentionQuery.start + 1 + mentionQuery.query.length;
+        setText(`${text.slice(0, mentionQuery.start)}@${candidate.name} ${text.slice(end)}`);
+        setMentionQuery(null);
+    };
+
+    // Not awaited: offline, the comment is written once the connection is back.
+    const handleSubmit = () => {
+        onSubmit(text);
+        setText('');
+        setMentionQuery(null);
+    };
+
+    return (
+        <div className="space-y-2">
+            <textarea
+                value={text}
+                onChange={handleChange}
+                placeholder={placeholder}
+                rows={2}
+                className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-sm text-white focus:ring-indigo-500 focus:border-indigo-500 transition"
+            />
+            {suggestions.length > 0 && (
+                <ul className="bg-gray-900 border border-gray-600 rounded-md shadow-lg">
+                    {suggestions.map(c => (
+                        <li key={c.uid}>
+                            <button type="button" onClick={() => insertMention(c)} className="w-full flex items-center gap-2 px-3 py-1.5 text-left text-sm text-gray-200 hover:bg-gray-700">
+                                <AtSign size={12} /> {c.name}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex justify-end">
+                <button type="button" onClick={handleSubmit} disabled={!text.trim()} className="px-3 py-1.5 bg-indigo-600 text-white text-sm font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50">
+                    {submitLabel}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const CommentText = ({ text, candidates }) => (
+    <p className="text-sm text-gray-200 whitespace-pre-wrap break-words">
+        {splitMentions(text, candidates).map((part, i) => part.mention
+            ? <span key={i} className="font-semibold text-indigo-300">{part.text}</span>
+            : <React.Fragment key={i}>{part.text}</React.Fragment>)}
+    </p>
+);
+
+const Comment = ({ comment, candidates, isUnread }) => (
+    <div className={`rounded-md p-2 ${isUnread ? 'bg-indigo-950/60' : ''}`}>
+        <p className="text-xs text-gray-400 mb-1"><span className="font-semibold text-gray-300">{comment.userName}</span> · {formatDate(comment.at)}</p>
+        <CommentText text={comment.text} candidates={candidates} />
+    </div>
+);
+
+const Thread = ({ thread, candidates, readSince, userId, canResolve, onReply, onResolve }) => {
+    const [isReplying, setIsReplying] = useState(false);
+    const isUnread = (c) => c.uid !== userId && c.at > readSince;
+
+    return (
+        <li className={`bg-gray-800 rounded-lg border ${thread.resolved ? 'border-gray-700 opacity-70' : 'border-gray-600'} p-3 space-y-2`}>
+            <div className="flex items-center justify-between gap-2">
+                <span className="text-xs font-semibold text-indigo-300 truncate">{thread.label || 'Disciplina'}</span>
+                {canResolve(thread) && (
+                    <button type="button" onClick={() => onResolve(thread, !thread.resolved)} className="flex items-center gap-1 text-xs text-gray-400 hover:text-white flex-shrink-0">
+                        {thread.resolved ? <><RotateCcw size={12} /> Reabrir</> : <><CheckCircle2 size={12} /> Resolver</>}
+                    </button>
+                )}
+            </div>
+            <Comment comment={thread} candidates={candidates} isUnread={isUnread(thread)} />
+            {thread.replies.length > 0 && (
+                <div className="pl-3 border-l border-gray-700 space-y-1">
+                    {thread.replies.map(reply => <Comment key={reply.id} comment={reply} candidates={candidates} isUnread={isUnread(reply)} />)}
+                </div>
+            )}
+            {thread.resolved && <p className="text-xs text-gray-500">Resuelto por {thread.resolvedByName} el {new Date(thread.resolvedAt).toLocaleString()}</p>}
+            {!thread.resolved && (isReplying ? (
+                <CommentComposer candidates={candidates} placeholder="Responder… (@ para mencionar)" submitLabel="Responder" onSubmit={(text) => { onReply(thread, text); setIsReplying(false); }} />
+            ) : (
+                <button type="button" onClick={() => setIsReplying(true)} className="text-xs text-indigo-400 hover:text-indigo-300 font-semibold">Responder</button>
+            ))}
+        </li>
+    );
+};
+
+// --- Comments Panel ---
+// Threads of one discipline. With a `target` (a field or action) it only
+// shows the threads on it and new threads are attached to it.
+export const CommentsPanel = ({ disciplineId, threads, target, candidates, readSince, userId, canResolve, onAdd, onResolve, onClearTarget, onClose }) => {
+    const [showResolved, setShowResolved] = useState(false);
+    const inTarget = target ? threads.filter(t => t.path === target.path) : threads;
+    const resolvedCount = inTarget.filter(t => t.resolved).length;
+    const visible = inTarget.filter(t => showResolved || !t.resolved);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 z-40 flex justify-end" onClick={onClose}>
+            <aside className="w-full max-w-md h-full bg-gray-900 border-l border-gray-700 flex flex-col" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between p-4 border-b border-gray-700">
+                    <h3 className="text-lg font-bold text-white flex items-center gap-2"><MessageSquare size={18} /> Comentarios de {disciplineId}</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white"><X size={20} /></button>
+                </div>
+                {target && (
+                    <div className="px-4 py-2 bg-gray-800 border-b border-gray-700 flex items-center justify-between gap-2 text-sm">
+                        <span className="text-gray-300 truncate">Sobre: <span className="font-semibold text-indigo-300">{target.label || target.path}</span></span>
+                        <button onClick={onClearTarget} className="text-xs text-indigo-400 hover:text-indigo-300 font-semibold flex-shrink-0">Ver toda la disciplina</button>
+                    </div>
+                )}
+                <div className="flex-1 overflow-y-auto p-4 space-y-3">
+                    {visible.length === 0 && <p className="text-sm text-gray-400">{resolvedCount > 0 ? 'Todos los hilos están resueltos.' : 'Todavía no hay comentarios.'}</p>}
+                    <ul className="space-y-3">
+                        {visible.map(thread => (
+                            <Thread
+                                key={thread.id}
+                                thread={thread}
+                                candidates={candidates}
+                                readSince={readSince}
+                                userId={userId}
+                                canResolve={canResolve}
+                                onReply={(root, text) => onAdd({ path: root.path, label: root.label, parentId: root.id, text })}
+                                onResolve={onResolve}
+                            />
+                        ))}
+                    </ul>
+                    {resolvedCount > 0 && (
+                        <button onClick={() => setShowResolved(!showResolved)} className="text-xs text-gray-400 hover:text-white font-semibold">
+                            {showResolved ? 'Ocultar resueltos' : `Mostrar ${resolvedCount} hilo(s) resuelto(s)`}
+                        </button>
+                    )}
+                </div>
+                <div className="p-4 border-t border-gray-700">
+                    <CommentComposer
+                        candidates={candidates}
+                        placeholder={`Nuevo comentario sobre ${target ? target.label || target.path : disciplineId}… (@ para mencionar)`}
+                        submitLabel="Comentar"
+                        onSubmit={(text) => onAdd({ path: target?.path || '', label: target?.label || '', parentId: '', text })}
+                    />
+                </div>
+            </aside>
+        </div>
+    );
+};
+
+// --- Quality Manager Approval of a Discipline ---
+export const DisciplineApproval = ({ report, disciplineId, canApprove, onDecide }) => {
+    const [reason, setReason] = useState('');
+    const status = getDisciplineApprovalStatus(report, disciplineId);
+    const approval = report.approvals[disciplineId];
+    const isCompleted = Boolean(report.completed[disciplineId]);
+
+    const decide = (decision) => {
+        if (onDecide(disciplineId, decision, reason) !== false) setReason('');
+    };
+
+    return (
+        <div className="mt-6 pt-6 border-t border-gray-700 space-y-3">
+            <div className="flex items-center gap-3">
+                <h4 className="font-semibold text-gray-200 flex items-center gap-2"><ShieldCheck size={16} /> Aprobación de Calidad</h4>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getApprovalStatus(status).className}`}>{getApprovalStatus(status).label}</span>
+            </div>
+            {approval && (
+                <p className="text-sm text-gray-400">
+                    {approval.decision === 'approved' ? 'Aprobada' : 'Rechazada'} por <span className="font-semibold text-gray-300">{approval.byName}</span> el {new Date(approval.at).toLocaleString()}
+                    {approval.reason && <>: <span className="text-gray-300">{approval.reason}</span></>}
+                    {status === 'pending' && ' · la disciplina se ha completado de nuevo desde entonces.'}
+                </p>
+            )}
+            {canApprove && isCompleted && (
+                <div className="space-y-2">
+                    <TextAreaField label="Motivo (obligatorio para rechazar)" value={reason} onChange={(e) => setReason(e.target.value)} rows={2} />
+                    <div className="flex gap-3">
+                        <button onClick={() => decide('approved')} disabled={status === 'approved'} className="flex items-center gap-2 px-4 py-2 bg-green-700 text-white font-semibold rounded-lg hover:bg-green-600 transition-all disabled:opacity-50">
+                            <CheckCircle2 size={16} /> Aprobar
+                        </button>
+                        <button onClick={() => decide('rejected')} disabled={!reason.trim() || status === 'rejected'} className="flex items-center gap-2 px-4 py-2 bg-red-800 text-white font-semibold rounded-lg hover:bg-red-700 transition-all disabled:opacity-50">
+                            <XCircle size={16} /> Rechazar
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Approval Summary (dashboard card) ---
+const SUMMARY_LABELS = { approved: 'aprobada(s)', pending: 'pendiente(s) de aprobar', rejected: 'rechazada(s)' };
+
+export const ApprovalSummary = ({ report }) => {
+    const counts = summarizeApprovals(report);
+    if (counts.approved + counts.rejected + counts.pending === 0) return null;
+    return (
+        <p className="flex flex-wrap items-center gap-1 mt-2 text-xs">
+            <ShieldCheck size={12} className="text-gray-400" />
+            {['approved', 'pending', 'rejected'].filter(id => counts[id] > 0).map(id => (
+                <span key={id} className={`px-2 py-0.5 rounded-full font-semibold ${getApprovalStatus(id).className}`}>{counts[id]} {SUMMARY_LABELS[id]}</span>
+            ))}
+        </p>
+    );
+};
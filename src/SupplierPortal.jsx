@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { Truck, Send, CheckCircle2, XCircle, Clock, MessageSquare, UserPlus } from 'lucide-react';
+import { InputField, SelectField, TextAreaField } from './ui';
+import { isValidEmail } from './organizations';
+import { getDisciplineIds } from './disciplines';
+import { SUPPLIER_DEADLINES, formatTimeLeft, getDeadlines, getDefaultDeadlines, getDisciplineLog, getDisciplineSupplierStatus, getOpenDeadlines, getSupplierStatus, isSupplierReport } from './supplier';
+
+// datetime-local inputs work in local time without a zone.
+const toLocalInput = (iso) => {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+const DEADLINE_STATES = {
+    open: { label: 'Pendiente', className: 'bg-gray-700 text-gray-200' },
+    overdue: { label: 'Vencido', className: 'bg-red-900/60 text-red-300' },
+    met: { label: 'Cumplido', className: 'bg-green-900/60 text-green-300' },
+    late: { label: 'Entregado tarde', className: 'bg-orange-900/60 text-orange-300' },
+};
+
+const StatusBadge = ({ status }) => (
+    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getSupplierStatus(status).className}`}>{getSupplierStatus(status).label}</span>
+);
+
+// --- Issuing a Report to a Supplier ---
+// `contacts` are the organization's members with the supplier role. A
+// contact who has no account yet is invited first and picked once they join.
+export const SupplierRequestDialog = ({ report, contacts, canInvite, onIssue, onInvite, onClose }) => {
+    const request = report.supplierRequest;
+    const [company, setCompany] = useState(request.company);
+    const [contactUid, setContactUid] = useState(request.contactUid);
+    const [deadlines, setDeadlines] = useState(isSupplierReport(report) ? request.deadlines : getDefaultDeadlines());
+    const [email, setEmail] = useState('');
+    const [invited, setInvited] = useState('');
+    const disciplineIds = getDisciplineIds(report);
+
+    const contact = contacts.find(c => c.uid === contactUid);
+    const isValid = company.trim() !== '' && Boolean(contact);
+
+    const handleInvite = async () => {
+        await onInvite(email);
+        setInvited(email);
+        setEmail('');
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!isValid) return;
+        onIssue({ company: company.trim(), contact, deadlines: Object.fromEntries(Object.entries(deadlines).filter(([, due]) => due)) });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+            <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-lg mx-4 space-y-4">
+                <h3 className="text-lg font-bold text-white flex items-center gap-2"><Truck size={20} /> Solicitar el 8D a un proveedor</h3>
+                <p className="text-xs text-gray-400">El contacto del proveedor solo verá este informe. Completa las disciplinas y envía cada una para vuestra revisión.</p>
+                <InputField label="Proveedor" value={company} onChange={(e) => setCompany(e.target.value)} placeholder="Ej: Fundiciones del Bajío" />
+                <SelectField
+                    label="Contacto"
+                    value={contactUid}
+                    onChange={(e) => setContactUid(e.target.value)}
+                    placeholder={contacts.length === 0 ? 'Ningún contacto de proveedor se ha unido todavía' : 'Selecciona un contacto'}
+                    options={contacts.map(c => ({ value: c.uid, label: `${c.displayName}${c.email ? ` (${c.email})` : ''}` }))}
+                />
+                {canInvite && (
+                    <div>
+                        <div className="flex items-end gap-2">
+                            <div className="flex-1">
+                                <InputField label="Invitar a un contacto nuevo" type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="calidad@proveedor.com" />
+                            </div>
+                            <button type="button" onClick={handleInvite} disabled={!isValidEmail(email)} className="flex items-center gap-2 px-3 py-2 bg-gray-700 text-white font-semibold rounded-md hover:bg-gray-600 transition disabled:opacity-50"><UserPlus size={16} /> Invitar</button>
+                        </div>
+                        {invited && <p className="text-xs text-gray-400 mt-1">Invitación enviada a {invited}. Podrás elegirle como contacto cuando la acepte.</p>}
+                    </div>
+                )}
+                <div className="space-y-2">
+                    <p className="text-sm font-medium text-gray-300">Plazos de respuesta</p>
+                    {SUPPLIER_DEADLINES.filter(d => disciplineIds.includes(d.disciplineId)).map(d => (
+                        <InputField
+                            key={d.disciplineId}
+                            label={`${d.disciplineId} (${d.label.toLowerCase()})`}
+                            type="datetime-local"
+                            value={toLocalInput(deadlines[d.disciplineId])}
+                            onChange={(e) => setDeadlines({ ...deadlines, [d.disciplineId]: e.target.value ? new Date(e.target.value).toISOString() : '' })}
+                        />
+                    ))}
+                </div>
+                <div className="flex justify-end gap-3 pt-2">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">Cancelar</button>
+                    <button type="submit" disabled={!isValid} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50"><Send size={16} /> {isSupplierReport(report) ? 'Guardar' : 'Enviar solicitud'}</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// --- Supplier Summary (workspace) ---
+export const SupplierBanner = ({ report, canEdit, onEdit }) => {
+    const request = report.supplierRequest;
+    return (
+        <div className="mb-4 p-4 rounded-lg bg-gray-800/50 border border-gray-700 text-sm space-y-3">
+            <div className="flex items-center justify-between gap-4">
+                <p className="flex items-center gap-2 text-gray-200">
+                    <Truck size={16} className="text-indigo-400" />
+                    <span>8D a cargo de <span className="font-semibold">{request.company}</span> · contacto {request.contactName} · solicitado por {request.issuedByName} el {formatDateTime(request.issuedAt)}</span>
+                </p>
+                {canEdit && <button onClick={onEdit} className="text-indigo-400 hover:text-indigo-300 font-semibold flex-shrink-0">Editar solicitud</button>}
+            </div>
+            <div className="flex flex-wrap gap-2">
+                {getDeadlines(report).map(d => (
+                    <span key={d.disciplineId} className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold ${DEADLINE_STATES[d.state].className}`} title={`Plazo: ${formatDateTime(d.due)}`}>
+                        <Clock size={12} /> {d.disciplineId}: {DEADLINE_STATES[d.state].label}
+                        {d.state === 'open' || d.state === 'overdue' ? ` · ${formatTimeLeft(d.due)}` : ` · ${formatDateTime(d.at)}`}
+                    </span>
+                ))}
+            </div>
+            <div className="flex flex-wrap gap-3 text-xs text-gray-400">
+                {getDisciplineIds(report).filter(id => id !== 'D0').map(id => (
+                    <span key={id} className="flex items-center gap-1">{id} <StatusBadge status={getDisciplineSupplierStatus(report, id)} /></span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Shown on the dashboard card: the supplier and its most urgent deadline.
+export const SupplierCardBadge = ({ report }) => {
+    const [next] = getOpenDeadlines(report);
+    return (
+        <p className={`inline-flex items-center gap-1 mt-2 px-2 py-0.5 rounded-full text-xs font-semibold ${next?.state === 'overdue' ? 'bg-red-900/60 text-red-300' : 'bg-gray-700 text-gray-200'}`}>
+            <Truck size={12} /> {report.supplierRequest.company}{next && ` · ${next.disciplineId} ${formatTimeLeft(next.due)}`}
+        </p>
+    );
+};
+
+// --- Submission and Review of One Discipline ---
+export const SupplierReview = ({ report, disciplineId, canSubmit, canReview, onSubmit, onReview }) => {
+    const [comment, setComment] = useState('');
+    const status = getDisciplineSupplierStatus(report, disciplineId);
+    const log = getDisciplineLog(report, disciplineId);
+
+    const run = (action) => {
+        if (action() !== false) setComment('');
+    };
+
+    return (
+        <div className="mt-6 pt-6 border-t border-gray-700 space-y-3">
+            <div className="flex items-center gap-3">
+                <h4 className="font-semibold text-gray-200 flex items-center gap-2"><Truck size={16} /> Revisión del proveedor</h4>
+                <StatusBadge status={status} />
+            </div>
+            {log.length > 0 && (
+                <ul className="space-y-2">
+                    {log.map(entry => (
+                        <li key={entry.id} className="text-sm bg-gray-900/50 rounded-lg p-3">
+                            <p className="flex items-center gap-2 text-gray-300">
+                                {entry.kind === 'submitted' ? <Send size={14} className="text-blue-400" /> : entry.kind === 'accepted' ? <CheckCircle2 size={14} className="text-green-400" /> : <XCircle size={14} className="text-red-400" />}
+                                <span className="font-semibold">{entry.byName}</span>
+                                <span className="text-gray-500">{entry.kind === 'submitted' ? 'envió' : entry.kind === 'accepted' ? 'aceptó' : 'rechazó'} {disciplineId} · {formatDateTime(entry.at)}</span>
+                            </p>
+                            {entry.comment && <p className="mt-1 text-gray-400 flex items-start gap-2"><MessageSquare size={14} className="mt-0.5 flex-shrink-0" /> {entry.comment}</p>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {canSubmit && (status === 'pending' || status === 'rejected') && (
+                <div className="space-y-2">
+                    <TextAreaField label="Nota para el cliente (opcional)" value={comment} onChange={(e) => setComment(e.target.value)} rows={2} />
+                    <button onClick={() => run(() => onSubmit(disciplineId, comment))} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-500 transition-all">
+                        <Send size={16} /> Enviar {disciplineId} para revisión
+                    </button>
+                </div>
+            )}
+            {canSubmit && status === 'submitted' && <p className="text-sm text-gray-400">{disciplineId} está en revisión; podrás editarla de nuevo si se rechaza.</p>}
+            {canReview && status === 'submitted' && (
+                <div className="space-y-2">
+                    <TextAreaField label="Comentario (obligatorio para rechazar)" value={comment} onChange={(e) => setComment(e.target.value)} rows={2} />
+                    <div className="flex gap-3">
+                        <button onClick={() => run(() => onReview(disciplineId, 'accepted', comment))} className="flex items-center gap-2 px-4 py-2 bg-green-700 text-white font-semibold rounded-lg hover:bg-green-600 transition-all">
+                            <CheckCircle2 size={16} /> Aceptar
+                        </button>
+                        <button onClick={() => run(() => onReview(disciplineId, 'rejected', comment))} disabled={!comment.trim()} className="flex items-center gap-2 px-4 py-2 bg-red-800 text-white font-semibold rounded-lg hover:bg-red-700 transition-all disabled:opacity-50">
+                            <XCircle size={16} /> Rechazar
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
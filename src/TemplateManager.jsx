@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { LayoutTemplate, PlusCircle, Pencil, Trash2 } from 'lucide-react';
+import { ConfirmationModal, InputField, RowList, SelectField, TextAreaField } from './ui';
+import { createId } from './reportSchema';
+import { TEAM_ACCESS_IDS, can, getRoleLabel } from './permissions';
+import { SEVERITIES, getSeverity } from './workflow';
+import { createTemplate } from './templates';
+import { DOCUMENT_TYPES } from './prevention';
+
+// --- Template Editor ---
+export const TemplateEditor = ({ template, profiles, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(template);
+    const set = (field, value) => setDraft(d => ({ ...d, [field]: value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!draft.name.trim()) return;
+        onSave({ ...draft, name: draft.name.trim(), d7Documents: draft.d7Documents.filter(d => d.title.trim() || d.number.trim() || d.type !== 'other') });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-start overflow-y-auto py-8">
+            <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-3xl mx-4 space-y-6">
+                <h3 className="text-lg font-bold text-white flex items-center gap-2"><LayoutTemplate size={20} /> {template.id ? 'Editar plantilla' : 'Nueva plantilla'}</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <InputField label="Nombre" value={draft.name} onChange={(e) => set('name', e.target.value)} placeholder="Ej: Cliente X · Línea de inyección" />
+                    <SelectField label="Severidad por defecto" value={draft.severity} onChange={(e) => set('severity', e.target.value)} placeholder="Sin definir" options={SEVERITIES.map(s => ({ value: s.id, label: s.label }))} />
+                    <InputField label="Cliente" value={draft.customer} onChange={(e) => set('customer', e.target.value)} />
+                    <InputField label="Nº de Parte" value={draft.partNumber} onChange={(e) => set('partNumber', e.target.value)} />
+                </div>
+                <TextAreaField label="Descripción" rows={2} value={draft.description} onChange={(e) => set('description', e.target.value)} placeholder="Cuándo usar esta plantilla" />
+
+                <RowList
+                    title="Equipo por defecto (D1)"
+                    rows={draft.team}
+                    createRow={() => ({ name: '', role: '', uid: '', access: 'member' })}
+                    onChange={(team) => set('team', team)}
+                    addLabel="+ Añadir miembro"
+                    renderRow={(member, change) => (
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                            <InputField label="Nombre" value={member.name} onChange={(e) => change({ name: e.target.value })} />
+                            <InputField label="Rol" value={member.role} onChange={(e) => change({ role: e.target.value })} />
+                            <SelectField
+                                label="Usuario"
+                                value={member.uid}
+                                onChange={(e) => change({ uid: e.target.value, name: profiles.find(p => p.uid === e.target.value)?.displayName || member.name })}
+                                placeholder="Sin vincular"
+                                options={profiles.map(p => ({ value: p.uid, label: p.displayName }))}
+                            />
+                            <SelectField label="Acceso" value={member.access} onChange={(e) => change({ access: e.target.value })} options={TEAM_ACCESS_IDS.map(id => ({ value: id, label: getRoleLabel(id) }))} />
+                        </div>
+                    )}
+                />
+
+                <RowList
+                    title="Acciones de contención estándar (D3)"
+                    rows={draft.containment}
+                    createRow={() => ({ action: '', responsible: '' })}
+                    onChange={(containment) => set('containment', containment)}
+                    addLabel="+ Añadir acción"
+                    renderRow={(item, change) => (
+                        <div className="grid grid-cols-3 gap-2">
+                            <div className="col-span-2"><InputField label="Acción" value={item.action} onChange={(e) => change({ action: e.target.value })} /></div>
+                            <InputField label="Responsable" value={item.responsible} onChange={(e) => change({ responsible: e.target.value })} />
+                        </div>
+                    )}
+                />
+
+                <RowList
+                    title="Categorías del diagrama de Ishikawa (D4)"
+                    rows={draft.fishboneCategories}
+                    createRow={() => ({ id: createId(), name: '' })}
+                    onChange={(categories) => set('fishboneCategories', categories)}
+                    addLabel="+ Añadir categoría"
+                    renderRow={(category, change) => <InputField label="Categoría" value={category.name} onChange={(e) => change({ name: e.target.value })} />}
+                />
+
+                <RowList
+                    title="Documentos a actualizar (D7)"
+                    rows={draft.d7Documents}
+                    createRow={() => ({ type: 'pfmea', title: '', number: '' })}
+                    onChange={(documents) => set('d7Documents', documents)}
+                    addLabel="+ Añadir documento"
+                    renderRow={(item, change) => (
+                        <div className="grid grid-cols-3 gap-2">
+                            <SelectField label="Tipo" value={item.type} onChange={(e) => change({ type: e.target.value })} options={DOCUMENT_TYPES.map(t => ({ value: t.id, label: t.label }))} />
+                            <InputField label="Documento" value={item.title} onChange={(e) => change({ title: e.target.value })} placeholder="Ej: Plan de control línea 3" />
+                            <InputField label="Nº de Documento" value={item.number} onChange={(e) => change({ number: e.target.value })} placeholder="Ej: CP-0042" />
+                        </div>
+                    )}
+                />
+
+                <div className="flex justify-end gap-3">
+                    <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">Cancelar</button>
+                    <button type="submit" disabled={!draft.name.trim()} className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50">Guardar plantilla</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// --- Template List ---
+const TemplateManager = ({ templates, profile, profiles, onSave, onDelete }) => {
+    const [editing, setEditing] = useState(null);
+    const [toDelete, setToDelete] = useState(null);
+
+    const handleSave = (template) => {
+        onSave(template);
+        setEditing(null);
+    };
+
+    return (
+        <div>
+            {editing && <TemplateEditor template={editing} profiles={profiles} onSave={handleSave} onCancel={() => setEditing(null)} />}
+            <ConfirmationModal
+                isOpen={Boolean(toDelete)}
+                onClose={() => setToDelete(null)}
+                onConfirm={() => { onDelete(toDelete.id); setToDelete(null); }}
+                title="Eliminar plantilla"
+            >
+                <p>¿Eliminar la plantilla «{toDelete?.name}»? Los informes creados con ella no cambian.</p>
+            </ConfirmationModal>
+
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold text-white flex items-center gap-3"><LayoutTemplate size={28} /> Plantillas</h2>
+                {can('create', null, profile) && (
+                    <button onClick={() => setEditing(createTemplate({ orgId: profile.orgId, userId: profile.uid, userName: profile.displayName }))} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-500 transition-all">
+                        <PlusCircle size={20} /> Nueva plantilla
+                    </button>
+                )}
+            </div>
+
+            {templates.length === 0 ? (
+                <div className="text-center py-16 border-2 border-dashed border-gray-700 rounded-lg">
+                    <h3 className="text-xl font-semibold text-gray-300">No hay plantillas todavía.</h3>
+                    <p className="text-gray-500 mt-2">Crea una aquí o guarda un informe como plantilla desde su espacio de trabajo.</p>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {templates.map(template => (
+                        <div key={template.id} className="bg-gray-800 rounded-xl p-6 border border-gray-700 shadow-lg">
+                            <div className="flex justify-between items-start gap-2">
+                                <h3 className="font-bold text-lg text-indigo-300 truncate">{template.name || 'Plantilla sin nombre'}</h3>
+                                {can('editTemplate', template, profile) && (
+                                    <div className="flex gap-2 flex-shrink-0">
+                                        <button onClick={() => setEditing(template)} className="text-gray-400 hover:text-indigo-300" title="Editar"><Pencil size={16} /></button>
+                                        <button onClick={() => setToDelete(template)} className="text-gray-400 hover:text-red-400" title="Eliminar"><Trash2 size={16} /></button>
+                                    </div>
+                                )}
+                            </div>
+                            {template.description && <p className="text-sm text-gray-400 mt-1">{template.description}</p>}
+                            <p className="text-sm text-gray-400 mt-3">
+                                {[template.customer, template.partNumber, getSeverity(template.severity)?.label].filter(Boolean).join(' · ') || 'Sin cliente ni pieza'}
+                            </p>
+                            <p className="text-xs text-gray-500 mt-2">
+                                {template.team.length} miembro(s) · {template.containment.length} acción(es) de contención · {template.fishboneCategories.length} categoría(s) · {template.d7Documents.length} documento(s)
+                            </p>
+                            <p className="text-xs text-gray-500 mt-2">Creada por: {template.createdByName || 'Desconocido'}</p>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TemplateManager;
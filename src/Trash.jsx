@@ -0,0 +1,49 @@
+import React from 'react';
+import { Trash2, ArchiveRestore } from 'lucide-react';
+import { can } from './permissions';
+import { getStatusLabel } from './workflow';
+
+// --- Trash ---
+// Reports sent to the trash keep all their data and history; their champion
+// (or a quality manager) can bring them back to the dashboard.
+const Trash = ({ reports, profile, profiles, isLoading, onSelectReport, onRestoreReport }) => {
+    const getUserName = (uid) => profiles.find(p => p.uid === uid)?.displayName || 'Desconocido';
+
+    return (
+        <div>
+            <div className="mb-6">
+                <h2 className="text-3xl font-bold text-white flex items-center gap-3"><Trash2 size={28} /> Papelera</h2>
+                <p className="mt-1 text-sm text-gray-400">Los informes eliminados se pueden consultar y recuperar desde aquí.</p>
+            </div>
+
+            {isLoading ? (
+                <p className="text-center text-gray-400">Cargando papelera...</p>
+            ) : reports.length === 0 ? (
+                <div className="text-center py-16 border-2 border-dashed border-gray-700 rounded-lg">
+                    <h3 className="text-xl font-semibold text-gray-300">La papelera está vacía.</h3>
+                </div>
+            ) : (
+                <div className="space-y-2">
+                    {reports.map(report => (
+                        <div key={report.id} className="bg-gray-800 rounded-lg p-4 flex flex-col md:flex-row md:items-center gap-4">
+                            <button onClick={() => onSelectReport(report.id)} className="flex-1 min-w-0 text-left">
+                                <p className="font-semibold text-indigo-300 truncate">{report.title}</p>
+                                <p className="mt-1 text-xs text-gray-400">
+                                    {getStatusLabel(report.status)} · Eliminado por {getUserName(report.deletedBy)}
+                                    {report.deletedAt && ` el ${new Date(report.deletedAt).toLocaleString()}`}
+                                </p>
+                            </button>
+                            {can('delete', report, profile) && (
+                                <button onClick={() => onRestoreReport(report)} className="flex items-center gap-2 px-3 py-1.5 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-500 transition-all">
+                                    <ArchiveRestore size={16} /> Recuperar
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Trash;
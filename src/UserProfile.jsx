@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { UserCircle, UserMinus } from 'lucide-react';
+import { InputField, SelectField, CheckboxField } from './ui';
+import { PROFILE_ROLE_IDS, getRoleLabel } from './permissions';
+import { PlantPicker } from './OrganizationAccess';
+
+// --- Profile Form (first sign-in and later edits) ---
+export const ProfileForm = ({ profile, email, onSave, onCancel }) => {
+    const [displayName, setDisplayName] = useState(profile?.displayName || '');
+    const [department, setDepartment] = useState(profile?.department || '');
+    const [plant, setPlant] = useState(profile?.plant || '');
+    // In-app notifications are always on; email can be turned off.
+    const [emailNotifications, setEmailNotifications] = useState(profile?.emailNotifications !== false);
+
+    const isValid = displayName.trim() !== '';
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!isValid) return;
+        onSave({ displayName: displayName.trim(), department: department.trim(), plant: plant.trim(), emailNotifications });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+            <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-md mx-4 space-y-4">
+                <div className="flex items-center gap-3">
+                    <UserCircle className="h-8 w-8 text-indigo-400" />
+                    <div>
+                        <h3 className="text-lg font-bold text-white">{profile ? 'Mi Perfil' : 'Completa tu perfil'}</h3>
+                        <p className="text-xs text-gray-400">{email}{profile && ` · ${getRoleLabel(profile.role)}`}</p>
+                    </div>
+                </div>
+                <InputField label="Nombre para mostrar" value={displayName} onChange={(e) => setDisplayName(e.target.value)} placeholder="Ej: Juan Pérez" />
+                <InputField label="Departamento" value={department} onChange={(e) => setDepartment(e.target.value)} placeholder="Ej: Calidad" />
+                <InputField label="Planta" value={plant} onChange={(e) => setPlant(e.target.value)} placeholder="Ej: Planta Monterrey" />
+                <CheckboxField label="Recibir también por correo las asignaciones, plazos, comentarios y aprobaciones" checked={emailNotifications} onChange={(e) => setEmailNotifications(e.target.checked)} />
+                <div className="flex justify-end gap-3 pt-2">
+                    {onCancel && (
+                        <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">
+                            Cancelar
+                        </button>
+                    )}
+                    <button type="submit" disabled={!isValid} className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-500 transition disabled:opacity-50">
+                        Guardar
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// --- Members of the Organization (quality managers only) ---
+export const UserAdmin = ({ organization, members, plants, currentUserId, onChangeMember, onRemoveMember, children }) => (
+    <div>
+        <h2 className="text-3xl font-bold text-white mb-1">Usuarios</h2>
+        <p className="text-sm text-gray-400 mb-6">Miembros de {organization.name}. El rol y las plantas solo valen dentro de esta organización.</p>
+        <div className="bg-gray-800 rounded-xl border border-gray-700 divide-y divide-gray-700">
+            {members.map(m => (
+                <div key={m.uid} className="flex flex-col md:flex-row md:items-center gap-4 p-4">
+                    <div className="flex-1 min-w-0">
+                        <p className="font-semibold text-gray-100 truncate">{m.displayName}{m.uid === currentUserId && <span className="text-xs text-gray-500"> (tú)</span>}</p>
+                        <p className="text-xs text-gray-400 truncate">{[m.email, m.department].filter(Boolean).join(' · ')}</p>
+                        <div className="mt-2">
+                            <PlantPicker plants={plants} value={m.plantIds} onChange={(plantIds) => onChangeMember(m.uid, { plantIds })} />
+                        </div>
+                    </div>
+                    <div className="w-56">
+                        {/* Nobody demotes themselves, so the organization always keeps a quality manager. */}
+                        <SelectField
+                            value={m.role}
+                            onChange={(e) => onChangeMember(m.uid, { role: e.target.value })}
+                            options={PROFILE_ROLE_IDS.filter(id => m.uid !== currentUserId || id === m.role).map(id => ({ value: id, label: getRoleLabel(id) }))}
+                        />
+                    </div>
+                    {m.uid !== currentUserId && (
+                        <button onClick={() => onRemoveMember(m.uid)} className="text-gray-400 hover:text-red-400" title="Quitar de la organización"><UserMinus size={18} /></button>
+                    )}
+                </div>
+            ))}
+        </div>
+        {children}
+    </div>
+);
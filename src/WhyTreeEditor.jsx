@@ -0,0 +1,85 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, GitBranch, Trash2 } from 'lucide-react';
+import { CheckboxField } from './ui';
+import { WHY_CHAINS, getWhyChildren, isLeaf, addWhy, updateWhy, removeWhy, moveWhy } from './whyTree';
+import { getCategoryName } from './fishbone';
+
+const iconButtonClass = 'p-1 text-gray-500 hover:text-indigo-300 disabled:opacity-30 disabled:cursor-not-allowed';
+
+// --- One "why" and its branches ---
+const WhyNode = ({ tree, node, number, siblings, fishbone, onChange }) => {
+    const children = getWhyChildren(tree, node.id, node.chain);
+    const leaf = isLeaf(tree, node.id);
+    const position = siblings.indexOf(node);
+    const linkableCauses = fishbone.causes.filter(c => c.text.trim() !== '' && c.status !== 'ruled_out');
+
+    return (
+        <li>
+            <div className={`flex items-start gap-2 p-2 rounded-md ${node.isRootCause && leaf ? 'bg-red-900/30 border border-red-700' : 'bg-gray-900/70'}`}>
+                <span className="mt-2 text-xs font-bold text-indigo-400 whitespace-nowrap">Porqué {number}</span>
+                <div className="flex-1 min-w-0 space-y-2">
+                    <input
+                        type="text"
+                        value={node.text}
+                        onChange={(e) => onChange(updateWhy(tree, node.id, { text: e.target.value }))}
+                        placeholder="¿Por qué?"
+                        className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-1.5 text-sm text-white focus:ring-indigo-500 focus:border-indigo-500 transition"
+                    />
+                    {leaf && (
+                        <div className="flex flex-wrap items-center gap-3">
+                            <CheckboxField label="Causa raíz" checked={node.isRootCause} onChange={(e) => onChange(updateWhy(tree, node.id, { isRootCause: e.target.checked }))} />
+                            {node.isRootCause && (
+                                <select
+                                    value={node.fishboneCauseId}
+                                    onChange={(e) => onChange(updateWhy(tree, node.id, { fishboneCauseId: e.target.value }))}
+                                    className="flex-1 min-w-0 bg-gray-900 border border-gray-600 rounded px-2 py-1 text-xs text-white"
+                                >
+                                    <option value="">Sin vincular al diagrama de Ishikawa</option>
+                                    {linkableCauses.map(c => <option key={c.id} value={c.id}>{getCategoryName(fishbone, c.categoryId)}: {c.text}</option>)}
+                                </select>
+                            )}
+                        </div>
+                    )}
+                </div>
+                <div className="flex items-center">
+                    <button type="button" onClick={() => onChange(moveWhy(tree, node.id, -1))} disabled={position === 0} title="Subir" className={iconButtonClass}><ArrowUp size={14} /></button>
+                    <button type="button" onClick={() => onChange(moveWhy(tree, node.id, 1))} disabled={position === siblings.length - 1} title="Bajar" className={iconButtonClass}><ArrowDown size={14} /></button>
+                    <button type="button" onClick={() => onChange(addWhy(tree, node.chain, node.id).tree)} title={children.length > 0 ? 'Añadir otra rama' : 'Preguntar ¿por qué?'} className={iconButtonClass}><GitBranch size={14} /></button>
+                    <button type="button" onClick={() => onChange(removeWhy(tree, node.id))} title="Eliminar con sus ramas" className="p-1 text-gray-500 hover:text-red-400"><Trash2 size={14} /></button>
+                </div>
+            </div>
+            {children.length > 0 && (
+                <ul className="mt-2 ml-4 pl-3 border-l border-gray-600 space-y-2">
+                    {children.map((child, i) => (
+                        <WhyNode key={child.id} tree={tree} node={child} number={`${number}.${i + 1}`} siblings={children} fishbone={fishbone} onChange={onChange} />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+};
+
+// --- 5-Whys Tree Editor (three chains) ---
+const WhyTreeEditor = ({ tree, fishbone, onChange }) => (
+    <div className="space-y-6">
+        {WHY_CHAINS.map(chain => {
+            const roots = getWhyChildren(tree, '', chain.id);
+            return (
+                <div key={chain.id}>
+                    <h5 className="font-bold text-indigo-400">{chain.label}</h5>
+                    <p className="text-xs text-gray-400 mb-2">{chain.description}</p>
+                    <ul className="space-y-2">
+                        {roots.map((node, i) => (
+                            <WhyNode key={node.id} tree={tree} node={node} number={`${i + 1}`} siblings={roots} fishbone={fishbone} onChange={onChange} />
+                        ))}
+                    </ul>
+                    <button type="button" onClick={() => onChange(addWhy(tree, chain.id).tree)} className="mt-2 text-sm text-indigo-400 hover:text-indigo-300 font-semibold">
+                        + Añadir porqué
+                    </button>
+                </div>
+            );
+        })}
+    </div>
+);
+
+export default WhyTreeEditor;
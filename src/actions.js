@@ -0,0 +1,103 @@
+// --- Action Items ---
+// Emergency response (D0), containment (D3) and corrective (D5) actions
+// share one shape and one lifecycle: open -> implemented -> verified.
+
+export const ACTION_STATUSES = [
+    { id: 'open', label: 'Abierta' },
+    { id: 'implemented', label: 'Implementada' },
+    { id: 'verified', label: 'Verificada' },
+];
+
+export const getActionStatusLabel = (status) => ACTION_STATUSES.find(s => s.id === status)?.label || 'Abierta';
+
+// Where each kind of action lives in the report.
+export const ACTION_FIELDS = [
+    { field: 'd0_emergency_actions', discipline: 'D0', label: 'Emergencia' },
+    { field: 'd3_containment', discipline: 'D3', label: 'Contención' },
+    { field: 'd5_corrective_actions', discipline: 'D5', label: 'Correctiva' },
+];
+
+export const DUE_SOON_DAYS = 3;
+
+export const DUE_STATES = {
+    done: { label: 'Verificada', className: 'text-green-400' },
+    overdue: { label: 'Vencida', className: 'text-red-400' },
+    due_soon: { label: 'Vence pronto', className: 'text-yellow-400' },
+    on_track: { label: 'En plazo', className: 'text-gray-300' },
+    no_date: { label: 'Sin fecha', className: 'text-gray-500' },
+};
+
+// Days are counted in UTC, as the reminders in functions/reminders.js count
+// them; parsing a day as local time would shift it east of Greenwich.
+export const todayIso = () => new Date().toISOString().slice(0, 10);
+
+const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+export const getDueState = (action, today = todayIso()) => {
+    if (action.status === 'verified') return 'done';
+    if (!action.date) return 'no_date';
+    if (action.date < today) return 'overdue';
+    if (action.date <= addDays(today, DUE_SOON_DAYS)) return 'due_soon';
+    return 'on_track';
+};
+
+export const countOverdueActions = (report, today = todayIso()) => ACTION_FIELDS
+    .flatMap(({ field }) => report[field])
+    .filter(a => getDueState(a, today) === 'overdue').length;
+
+// Flattens every action of every report into one list of entries for the
+// tracker; `item` is the action exactly as stored in the report.
+export const collectActions = (reports) => reports.flatMap(report => ACTION_FIELDS.flatMap(({ field, discipline, label }) =>
+    report[field]
+        .filter(a => a.action.trim() !== '')
+        .map(a => ({ item: a, report, field, discipline, kind: label }))
+));
+
+// --- Responsible ---
+// Actions are assigned to D1 team members linked to an account. Actions
+// from before that only have a name, matched against the user's own.
+
+export const getAssignees = (team) => team
+    .filter(m => m.uid && m.name.trim())
+    .filter((m, index, all) => all.findIndex(other => other.uid === m.uid) === index)
+    .map(m => ({ uid: m.uid, name: m.name.trim() }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+export const assignAction = (action, assignee) => ({
+    ...action,
+    responsible: assignee ? assignee.name : '',
+    responsibleUid: assignee ? assignee.uid : '',
+});
+
+export const isActionOwner = (action, profile) => {
+    if (action.responsibleUid) return action.responsibleUid === profile?.uid;
+    return Boolean(profile?.displayName)
+        && action.responsible.trim().toLowerCase() === profile.displayName.trim().toLowerCase();
+};
+
+// --- Status Transitions ---
+
+export const markImplemented = (action, { evidence }) => ({
+    ...action,
+    status: 'implemented',
+    evidence: evidence ?? action.evidence,
+    implementedAt: todayIso(),
+});
+
+export const markVerified = (action, { evidence, verifiedAt }, userId) => ({
+    ...action,
+    status: 'verified',
+    evidence: evidence ?? action.evidence,
+    implementedAt: action.implementedAt || verifiedAt,
+    verifiedAt,
+    verifiedBy: userId,
+});
+
+export const reopenAction = (action) => ({ ...action, status: 'open', verifiedAt: '', verifiedBy: '' });
+
+// Replaces one action (by id) in a report's action list.
+export const replaceAction = (actions, updated) => actions.map(a => a.id === updated.id ? updated : a);
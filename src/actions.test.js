@@ -0,0 +1,13 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getDueState } from './actions';
+
+describe('getDueState', () => {
+    afterEach(() => vi.unstubAllEnvs());
+
+    it('counts the days in UTC whatever the time zone', () => {
+        vi.stubEnv('TZ', 'Europe/Madrid');
+        const action = { status: 'open', date: '2026-10-22' };
+        expect(getDueState(action, '2026-10-19')).toBe('due_soon');
+        expect(getDueState({ ...action, date: '2026-10-18' }, '2026-10-19')).toBe('overdue');
+    });
+});
@@ -0,0 +1,217 @@
+// --- 8D Analytics ---
+// KPIs computed on the client from the reports of a date range. All
+// durations are calendar days from the report's creation.
+
+import { DISCIPLINE_IDS } from './reportSchema';
+import { ACTION_FIELDS, getDueState } from './actions';
+import { getCategoryName, getRootCauses } from './fishbone';
+import { getStatusLabel, getSeverity } from './workflow';
+import { formatLotNumbers, getDefectRate } from './problemDescription';
+import { isRecurrence } from './recurrence';
+
+export const NOT_SPECIFIED = '(sin especificar)';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (value.toDate) return value.toDate();
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const daysBetween = (from, to) => {
+    const start = toDate(from);
+    const end = toDate(to);
+    return start && end ? Math.max(0, (end - start) / DAY_MS) : null;
+};
+
+export const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+export const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// --- Filters ---
+
+export const getPlants = (reports) => [...new Set(reports.map(r => r.plant.trim()).filter(Boolean))].sort();
+
+export const filterByPlant = (reports, plant) => plant ? reports.filter(r => r.plant.trim() === plant) : reports;
+
+// --- Per-Report Figures ---
+
+// Days from creation to the completion of each discipline and to closure.
+export const getReportDurations = (report) => ({
+    ...Object.fromEntries(DISCIPLINE_IDS.map(d => [d, daysBetween(report.createdAt, report.completed[d]?.at)])),
+    closure: report.status === 'closed' ? daysBetween(report.createdAt, report.closedAt) : null,
+});
+
+// An action counts as on time when it was implemented by its due date; open
+// actions past their date count as late. Actions without a date are left out.
+const getActionTiming = (action) => {
+    if (!action.date) return null;
+    const doneAt = action.implementedAt || action.verifiedAt;
+    if (doneAt) return doneAt <= action.date ? 'on_time' : 'late';
+    return getDueState(action) === 'overdue' ? 'late' : null;
+};
+
+const getReportActions = (report) => ACTION_FIELDS.flatMap(({ field }) => report[field]).filter(a => a.action.trim() !== '');
+
+// A report recurs when an earlier report of the range has the same part
+// number and defect category, or when it has been linked as the recurrence
+// of another report (see src/recurrence.js).
+const recurrenceKey = (report) => report.partNumber.trim() && report.defectCategory.trim()
+    ? `${report.partNumber.trim().toLowerCase()}|${report.defectCategory.trim().toLowerCase()}`
+    : null;
+
+export const findRecurrences = (reports) => {
+    const seen = new Set();
+    const recurring = new Set();
+    [...reports]
+        .sort((a, b) => (toDate(a.createdAt) || 0) - (toDate(b.createdAt) || 0))
+        .forEach(report => {
+            if (isRecurrence(report)) recurring.add(report.id);
+            const key = recurrenceKey(report);
+            if (!key) return;
+            if (seen.has(key)) recurring.add(report.id);
+            seen.add(key);
+        });
+    return recurring;
+};
+
+// --- Aggregates ---
+
+const countBy = (reports, getKey) => {
+    const counts = reports.reduce((map, report) => {
+        const key = getKey(report).trim() || NOT_SPECIFIED;
+        map.set(key, (map.get(key) || 0) + 1);
+        return map;
+    }, new Map());
+    return [...counts.entries()].map(([label, count]) => ({ label, count })).sort((a, b) => b.count - a.count);
+};
+
+// Root causes grouped by fishbone category name, largest first, with the
+// cumulative share of all root causes.
+export const buildPareto = (reports) => {
+    const counts = countBy(
+        reports.flatMap(report => getRootCauses(report.d4_root_cause.fishbone).map(cause => ({ category: getCategoryName(report.d4_root_cause.fishbone, cause.categoryId) }))),
+        (entry) => entry.category,
+    );
+    const total = counts.reduce((sum, c) => sum + c.count, 0);
+    let cumulative = 0;
+    return counts.map(c => {
+        cumulative += c.count;
+        return { ...c, cumulativeShare: cumulative / total };
+    });
+};
+
+// [{ label, currency, count }] with `count` holding the amount, largest first.
+const sumCosts = (reports, getKey) => {
+    const totals = reports.reduce((map, report) => {
+        const { cost_of_poor_quality: amount, currency } = report.d2_problem;
+        if (amount === null) return map;
+        const label = getKey(report).trim() || NOT_SPECIFIED;
+        const key = `${label}|${currency}`;
+        map.set(key, { label, currency, count: (map.get(key)?.count || 0) + amount });
+        return map;
+    }, new Map());
+    return [...totals.values()].sort((a, b) => b.count - a.count);
+};
+
+// Quantities and cost of poor quality from D2. The defect rate only counts
+// reports that give both quantities; costs are summed per currency.
+const sumImpact = (reports) => {
+    const problems = reports.map(r => r.d2_problem);
+    const measured = problems.filter(p => getDefectRate(p) !== null);
+    const affected = measured.reduce((sum, p) => sum + p.quantity_affected, 0);
+    const inspected = measured.reduce((sum, p) => sum + p.quantity_inspected, 0);
+    return {
+        affected: problems.reduce((sum, p) => sum + (p.quantity_affected || 0), 0),
+        defectRate: inspected > 0 ? affected / inspected : null,
+        measured: measured.length,
+        costs: sumCosts(reports, () => ''),
+    };
+};
+
+const summarize = (values) => ({ average: average(values), median: median(values), count: values.length });
+
+export const computeMetrics = (reports) => {
+    const durations = reports.map(getReportDurations);
+    const timings = reports.flatMap(getReportActions).map(getActionTiming).filter(Boolean);
+    const onTime = timings.filter(t => t === 'on_time').length;
+    const recurring = findRecurrences(reports);
+
+    return {
+        total: reports.length,
+        open: reports.filter(r => r.status !== 'closed').length,
+        closed: reports.filter(r => r.status === 'closed').length,
+        durations: [
+            // D0 only appears when some report of the range uses it.
+            ...DISCIPLINE_IDS.map(d => ({ label: d, ...summarize(durations.map(x => x[d]).filter(v => v !== null)) })).filter(d => d.label !== 'D0' || d.count > 0),
+            { label: 'Cierre', ...summarize(durations.map(x => x.closure).filter(v => v !== null)) },
+        ],
+        byCustomer: countBy(reports, r => r.customer),
+        byProduct: countBy(reports, r => r.partNumber),
+        byDefectCategory: countBy(reports, r => r.defectCategory),
+        bySeverity: countBy(reports, r => getSeverity(r.severity)?.label || ''),
+        costByDefectCategory: sumCosts(reports, r => r.defectCategory),
+        impact: sumImpact(reports),
+        pareto: buildPareto(reports),
+        actions: { onTime, measured: timings.length, rate: timings.length > 0 ? onTime / timings.length : null },
+        recurrence: { count: recurring.size, rate: reports.length > 0 ? recurring.size / reports.length : null },
+    };
+};
+
+// --- Export ---
+
+const formatDays = (days) => days === null ? '' : days.toFixed(1);
+
+// One row per report with the figures behind every chart.
+export const buildAnalyticsRows = (reports) => {
+    const recurring = findRecurrences(reports);
+    return reports.map(report => {
+        const durations = getReportDurations(report);
+        const timings = getReportActions(report).map(getActionTiming).filter(Boolean);
+        const fishbone = report.d4_root_cause.fishbone;
+        return {
+            id: report.id,
+            titulo: report.title,
+            estado: getStatusLabel(report.status),
+            creado: toDate(report.createdAt)?.toISOString().slice(0, 10) || '',
+            cerrado: report.closedAt ? report.closedAt.slice(0, 10) : '',
+            planta: report.plant,
+            cliente: report.customer,
+            numero_parte: report.partNumber,
+            categoria_defecto: report.defectCategory,
+            severidad: getSeverity(report.severity)?.label || '',
+            referencia_reclamacion: report.d2_problem.complaint_reference,
+            lotes: formatLotNumbers(report.d2_problem.lot_numbers),
+            cantidad_afectada: report.d2_problem.quantity_affected ?? '',
+            cantidad_inspeccionada: report.d2_problem.quantity_inspected ?? '',
+            tasa_defecto_ppm: getDefectRate(report.d2_problem) === null ? '' : Math.round(getDefectRate(report.d2_problem) * 1e6),
+            coste_no_calidad: report.d2_problem.cost_of_poor_quality ?? '',
+            moneda: report.d2_problem.cost_of_poor_quality === null ? '' : report.d2_problem.currency,
+            ...Object.fromEntries(DISCIPLINE_IDS.map(d => [`dias_${d}`, formatDays(durations[d])])),
+            dias_cierre: formatDays(durations.closure),
+            acciones_medidas: timings.length,
+            acciones_a_tiempo: timings.filter(t => t === 'on_time').length,
+            recurrente: recurring.has(report.id) ? 'Sí' : 'No',
+            recurrencia_de: report.recurrenceLinks.filter(l => l.relation === 'recurrence_of').map(l => l.reportId).join('; '),
+            categorias_causa_raiz: getRootCauses(fishbone).map(c => getCategoryName(fishbone, c.categoryId)).join('; '),
+        };
+    });
+};
+
+const csvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => {
+    if (rows.length === 0) return '';
+    const headers = Object.keys(rows[0]);
+    return [headers, ...rows.map(row => headers.map(h => row[h]))].map(cells => cells.map(csvCell).join(',')).join('\n');
+};
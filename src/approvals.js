@@ -0,0 +1,43 @@
+// --- Discipline Approvals ---
+// Completing a discipline is the team's call; a quality manager then
+// formally approves or rejects it, and a rejection says why. The report keeps
+// the latest decision on each discipline (`approvals`); earlier decisions are
+// in the audit history. Only quality managers write them (see firestore.rules).
+//
+//   approvals   { D2: { decision: 'approved' | 'rejected', at, by, byName, reason }, ... }
+
+import { getDisciplineIds } from './disciplines';
+
+export const APPROVAL_STATUSES = [
+    { id: 'none', label: 'Sin completar', className: 'bg-gray-800 text-gray-400' },
+    { id: 'pending', label: 'Pendiente de aprobación', className: 'bg-yellow-900/60 text-yellow-300' },
+    { id: 'approved', label: 'Aprobada', className: 'bg-green-900/60 text-green-300' },
+    { id: 'rejected', label: 'Rechazada', className: 'bg-red-900/60 text-red-300' },
+];
+
+export const getApprovalStatus = (status) => APPROVAL_STATUSES.find(s => s.id === status) || APPROVAL_STATUSES[0];
+
+// A decision taken before the discipline was last completed no longer
+// applies. A rejected discipline stays rejected while the team reworks it.
+export const getDisciplineApprovalStatus = (report, disciplineId) => {
+    const approval = report.approvals[disciplineId];
+    const completion = report.completed[disciplineId];
+    if (!completion) return approval?.decision === 'rejected' ? 'rejected' : 'none';
+    return approval && approval.at >= completion.at ? approval.decision : 'pending';
+};
+
+// Writes only the decided discipline, so two quality managers deciding on
+// different disciplines at once don't undo each other.
+export const decideDiscipline = (report, disciplineId, decision, profile, reason = '', now = new Date()) => {
+    if (!report.completed[disciplineId]) throw new Error(`${disciplineId} tiene que estar completada antes de aprobarla o rechazarla.`);
+    if (decision === 'rejected' && !reason.trim()) throw new Error('Indica el motivo del rechazo.');
+    return {
+        [`approvals.${disciplineId}`]: { decision, at: now.toISOString(), by: profile.uid, byName: profile.displayName, reason: reason.trim() },
+    };
+};
+
+// How many disciplines of the report are in each status, for the dashboard cards.
+export const summarizeApprovals = (report) => getDisciplineIds(report).reduce((counts, disciplineId) => {
+    const status = getDisciplineApprovalStatus(report, disciplineId);
+    return { ...counts, [status]: counts[status] + 1 };
+}, Object.fromEntries(APPROVAL_STATUSES.map(s => [s.id, 0])));
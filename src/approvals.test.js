@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { decideDiscipline } from './approvals';
+
+describe('decideDiscipline', () => {
+    const report = {
+        completed: { D2: { at: '2026-10-01T08:00:00.000Z', by: 'u1' } },
+        approvals: { D1: { decision: 'approved', at: '2026-09-30T08:00:00.000Z', by: 'qm', byName: 'Calidad', reason: '' } },
+    };
+    const profile = { uid: 'qm', displayName: 'Calidad' };
+
+    it('writes only the decided discipline', () => {
+        const fields = decideDiscipline(report, 'D2', 'approved', profile, '', new Date('2026-10-02T08:00:00.000Z'));
+        expect(fields).toEqual({ 'approvals.D2': { decision: 'approved', at: '2026-10-02T08:00:00.000Z', by: 'qm', byName: 'Calidad', reason: '' } });
+    });
+
+    it('needs a reason to reject', () => {
+        expect(() => decideDiscipline(report, 'D2', 'rejected', profile, ' ')).toThrow('Indica el motivo del rechazo.');
+    });
+});
@@ -0,0 +1,125 @@
+// --- Evidence Attachments ---
+// Files are uploaded to Firebase Storage under the report's folder; the
+// report only stores their metadata and download URL. storage.rules applies
+// the same size and type limits.
+
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import { createAttachment, createId } from './reportSchema';
+import { ACTION_FIELDS } from './actions';
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Browsers leave `file.type` empty for some formats, so the extension is checked too.
+const ALLOWED_TYPES = [
+    { type: 'image/jpeg', extensions: ['jpg', 'jpeg'] },
+    { type: 'image/png', extensions: ['png'] },
+    { type: 'image/webp', extensions: ['webp'] },
+    { type: 'image/gif', extensions: ['gif'] },
+    { type: 'application/pdf', extensions: ['pdf'] },
+    { type: 'text/csv', extensions: ['csv'] },
+    { type: 'text/plain', extensions: ['txt'] },
+    { type: 'application/vnd.ms-excel', extensions: ['xls'] },
+    { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['xlsx'] },
+    { type: 'application/msword', extensions: ['doc'] },
+    { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['docx'] },
+];
+
+export const ACCEPTED_FILES = ALLOWED_TYPES.flatMap(t => [t.type, ...t.extensions.map(e => `.${e}`)]).join(',');
+
+const getExtension = (name) => (name.split('.').pop() || '').toLowerCase();
+
+// The MIME type stored with the file; Storage rules only accept these.
+export const getContentType = (file) => ALLOWED_TYPES.find(t => t.type === file.type)?.type
+    || ALLOWED_TYPES.find(t => t.extensions.includes(getExtension(file.name)))?.type
+    || '';
+
+// Returns the reason a file cannot be attached, or null.
+export const validateFile = (file) => {
+    if (!getContentType(file)) return `${file.name}: tipo de archivo no permitido`;
+    if (file.size > MAX_ATTACHMENT_BYTES) return `${file.name}: supera el tamaño máximo de ${formatFileSize(MAX_ATTACHMENT_BYTES)}`;
+    return null;
+};
+
+export const isImage = (attachment) => attachment.contentType.startsWith('image/');
+
+export const formatFileSize = (bytes) => {
+    if (!Number.isFinite(bytes)) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Storage path of a report's files, e.g. artifacts/app/8d-reports/abc/attachments.
+export const getAttachmentFolder = (appId, reportId) => `artifacts/${appId}/8d-reports/${reportId}/attachments`;
+
+// Starts an upload; `done` resolves with the attachment to store in the report.
+export const uploadAttachment = ({ storage, folder, file, author, onProgress }) => {
+    const id = createId();
+    const contentType = getContentType(file);
+    const storagePath = `${folder}/${id}-${file.name.replace(/[^\w.-]+/g, '_')}`;
+    const task = uploadBytesResumable(ref(storage, storagePath), file, { contentType });
+    const done = new Promise((resolve, reject) => {
+        task.on('state_changed', (snapshot) => {
+            onProgress(snapshot.bytesTransferred / snapshot.totalBytes);
+        }, reject, async () => {
+            try {
+                resolve(createAttachment({
+                    id,
+                    name: file.name,
+                    storagePath,
+                    url: await getDownloadURL(task.snapshot.ref),
+                    contentType,
+                    size: file.size,
+                    uploadedBy: author.uid,
+                    uploadedByName: author.displayName || '',
+                    uploadedAt: new Date().toISOString(),
+                }));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+    return { cancel: () => task.cancel(), done };
+};
+
+// A file already missing from Storage counts as deleted.
+export const deleteAttachmentFile = (storage, attachment) => deleteObject(ref(storage, attachment.storagePath))
+    .catch((error) => {
+        if (error.code !== 'storage/object-not-found') throw error;
+    });
+
+// --- Collecting ---
+// Every attachment of a report with where it belongs, in discipline order.
+export const collectAttachments = (report) => Object.keys(report.attachments).sort().flatMap(discipline => [
+    ...report.attachments[discipline].map(item => ({ item, discipline, action: '' })),
+    ...ACTION_FIELDS
+        .filter(f => f.discipline === discipline)
+        .flatMap(({ field }) => report[field].flatMap(a => a.attachments.map(item => ({ item, discipline, action: a.action })))),
+]);
+
+// Loads images as data URLs for the PDF; images that cannot be fetched are skipped.
+export const loadAttachmentImages = async (attachments) => {
+    const loaded = await Promise.all(attachments.filter(isImage).map(async (attachment) => {
+        try {
+            const response = await fetch(attachment.url);
+            if (!response.ok) return null;
+            const blob = await response.blob();
+            const dataUrl = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+            const { width, height } = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+                image.onerror = reject;
+                image.src = dataUrl;
+            });
+            return [attachment.id, { dataUrl, width, height }];
+        } catch (error) {
+            return null;
+        }
+    }));
+    return Object.fromEntries(loaded.filter(Boolean));
+};
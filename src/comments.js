@@ -0,0 +1,159 @@
+// --- Review Comments ---
+// Threads of comments on a discipline, one of its fields or one of its
+// actions, in the report's `comments` subcollection. A thread is its first
+// comment plus the replies that point to it (`parentId`); resolving and
+// reopening is done on the first comment. Comments are never edited or
+// deleted (see firestore.rules).
+//
+//   { disciplineId, path, label, parentId, text, mentions: [uid], uid, userName, createdAt,
+//     resolved, resolvedBy, resolvedByName, resolvedAt }
+//
+// `path` is '' for the discipline itself, the `name` of a form field
+// ('d2_problem.what') or the path of an action ('d5_corrective_actions.<id>').
+// Which comments a user has read is remembered per browser.
+
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { collection, doc, addDoc, updateDoc, onSnapshot, query, orderBy, serverTimestamp } from 'firebase/firestore';
+
+const COMMENTS = 'comments';
+
+// A pending server timestamp is null on the writing client: it counts as now.
+export const normalizeComment = ({ createdAt, ...data }) => ({
+    disciplineId: '',
+    path: '',
+    label: '',
+    parentId: '',
+    text: '',
+    mentions: [],
+    uid: '',
+    userName: '',
+    resolved: false,
+    resolvedBy: '',
+    resolvedByName: '',
+    resolvedAt: '',
+    ...data,
+    at: createdAt ? createdAt.toMillis() : Date.now(),
+});
+
+export const useComments = ({ db, reportPath }) => {
+    const [comments, setComments] = useState([]);
+
+    useEffect(() => {
+        if (!db || !reportPath) return undefined;
+        const q = query(collection(db, reportPath, COMMENTS), orderBy('createdAt'));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setComments(snapshot.docs.map(d => normalizeComment({ id: d.id, ...d.data({ serverTimestamps: 'estimate' }) })));
+        }, () => setComments([]));
+        return () => unsubscribe();
+    }, [db, reportPath]);
+
+    return comments;
+};
+
+// --- Threads ---
+
+// First comments with their replies, oldest first.
+export const groupThreads = (comments) => comments
+    .filter(c => !c.parentId)
+    .map(root => ({ ...root, replies: comments.filter(c => c.parentId === root.id) }));
+
+// Open threads per path, for the markers next to fields and actions.
+export const countOpenThreads = (threads) => threads.reduce((counts, thread) => {
+    if (!thread.resolved) counts[thread.path] = (counts[thread.path] || 0) + 1;
+    return counts;
+}, {});
+
+// --- Mentions ---
+// `@Name` of a D1 team member linked to an account; the longest name wins
+// when one is the start of another.
+
+export const getMentionCandidates = (team) => team
+    .filter(m => m.uid && m.name.trim())
+    .map(m => ({ uid: m.uid, name: m.name.trim() }))
+    .filter((m, index, all) => all.findIndex(other => other.uid === m.uid) === index)
+    .sort((a, b) => b.name.length - a.name.length);
+
+export const extractMentions = (text, candidates) => [...new Set(candidates.filter(c => text.includes(`@${c.name}`)).map(c => c.uid))];
+
+// Splits a comment into text and mention parts for display.
+export const splitMentions = (text, candidates) => {
+    if (candidates.length === 0) return [{ text, mention: false }];
+    const escaped = candidates.map(c => `@${c.name}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return text.split(new RegExp(`(${escaped.join('|')})`)).filter(Boolean).map(part => ({ text: part, mention: candidates.some(c => part === `@${c.name}`) }));
+};
+
+// --- Writing ---
+
+export const addComment = (db, reportPath, { disciplineId, path = '', label = '', parentId = '', text, candidates, profile }) => addDoc(collection(db, reportPath, COMMENTS), {
+    disciplineId,
+    path,
+    label,
+    parentId,
+    text: text.trim(),
+    mentions: extractMentions(text, candidates),
+    uid: profile.uid,
+    userName: profile.displayName,
+    resolved: false,
+    resolvedBy: '',
+    resolvedByName: '',
+    resolvedAt: '',
+    createdAt: serverTimestamp(),
+});
+
+export const setThreadResolved = (db, reportPath, threadId, resolved, profile, now = new Date()) => updateDoc(doc(db, reportPath, COMMENTS, threadId), resolved
+    ? { resolved: true, resolvedBy: profile.uid, resolvedByName: profile.displayName, resolvedAt: now.toISOString() }
+    : { resolved: false, resolvedBy: '', resolvedByName: '', resolvedAt: '' });
+
+// --- Unread ---
+// The last time the user looked at the comments of each discipline, by report.
+
+const readMarkersKey = (uid, reportId) => `8d-comments-read:${uid}:${reportId}`;
+
+const readMarkers = (uid, reportId) => {
+    try {
+        return JSON.parse(window.localStorage.getItem(readMarkersKey(uid, reportId))) || {};
+    } catch {
+        return {};
+    }
+};
+
+// Returns the markers and a function that marks a discipline as read now.
+export const useReadMarkers = (uid, reportId) => {
+    const [markers, setMarkers] = useState(() => readMarkers(uid, reportId));
+
+    useEffect(() => {
+        setMarkers(readMarkers(uid, reportId));
+    }, [uid, reportId]);
+
+    const markRead = useCallback((disciplineId) => {
+        setMarkers(current => {
+            const next = { ...current, [disciplineId]: Date.now() };
+            try {
+                window.localStorage.setItem(readMarkersKey(uid, reportId), JSON.stringify(next));
+            } catch {
+                // Private browsing: the markers last for the session only.
+            }
+            return next;
+        });
+    }, [uid, reportId]);
+
+    return [markers, markRead];
+};
+
+// Comments by others since the discipline was last read, and whether one mentions the user.
+export const countUnread = (comments, disciplineId, uid, markers) => {
+    const unread = comments.filter(c => c.disciplineId === disciplineId && c.uid !== uid && c.at > (markers[disciplineId] || 0));
+    return { count: unread.length, mentioned: unread.some(c => c.mentions.includes(uid)) };
+};
+
+// --- Field Comments ---
+// Inside a discipline, named fields and actions show how many open threads
+// they have and open the comments on themselves.
+
+export const FieldCommentsContext = createContext(null);
+
+export const useFieldComments = (path) => {
+    const context = useContext(FieldCommentsContext);
+    if (!context || !path) return null;
+    return { count: context.counts[path] || 0, open: (label) => context.onOpen(path, label) };
+};
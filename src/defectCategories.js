@@ -0,0 +1,40 @@
+// --- Defect Category Catalog ---
+// The defect categories of an organization, maintained by its quality
+// managers in `8d-defect-categories`. Reports keep the category's name in
+// `defectCategory`, which the dashboard filter and the analytics group by,
+// so renaming a category does not change the reports that already use it.
+//
+//   { orgId, name, description }
+
+import { createId, tokenize } from './reportSchema';
+
+const text = (value) => typeof value === 'string' ? value : '';
+
+export const getDefectCategoriesPath = (appId) => `artifacts/${appId}/public/data/8d-defect-categories`;
+
+export const normalizeDefectCategory = ({ id, ...data }) => ({
+    id,
+    orgId: text(data.orgId),
+    name: text(data.name),
+    description: text(data.description),
+});
+
+export const createDefectCategory = (orgId, name = '') => ({ ...normalizeDefectCategory({ id: createId() }), orgId, name });
+
+export const toDefectCategoryDocument = ({ id, ...category }) => ({
+    orgId: category.orgId,
+    name: category.name.trim(),
+    description: category.description.trim(),
+});
+
+// Names are compared ignoring case and accents ("Fuga" = "FUGA").
+const categoryKey = (name) => tokenize(name).join(' ');
+
+export const isDuplicateCategory = (catalog, category) => catalog.some(c => c.id !== category.id && categoryKey(c.name) === categoryKey(category.name));
+
+// Options for a report: the catalog, plus the report's current category
+// when it was typed before the catalog existed or has been removed from it.
+export const getDefectCategoryOptions = (catalog, current) => [
+    ...catalog.map(c => ({ value: c.name, label: c.name })),
+    ...(current && !catalog.some(c => c.name === current) ? [{ value: current, label: `${current} (fuera del catálogo)` }] : []),
+];
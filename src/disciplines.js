@@ -0,0 +1,91 @@
+// --- Discipline Configuration ---
+// Which disciplines a report goes through, under which names and with which
+// sub-steps. Each plant keeps its configuration in the `8d-plants`
+// collection; a new report copies the configuration of its plant into its
+// `disciplines` field and keeps no link to it, so editing a plant does not
+// change running reports until a team lead applies the new configuration.
+
+import { D0_DISCIPLINE, DEFAULT_DISCIPLINES, createId, tokenize } from './reportSchema';
+
+export const D0_DECISIONS = [
+    { id: 'proceed', label: 'Se requiere un 8D completo' },
+    { id: 'not_required', label: 'No se requiere un 8D' },
+];
+
+export const getD0DecisionLabel = (decision) => D0_DECISIONS.find(d => d.id === decision)?.label || 'Sin decidir';
+
+const defaultName = (id) => [D0_DISCIPLINE, ...DEFAULT_DISCIPLINES].find(d => d.id === id)?.name || id;
+
+export const getDefaultDisciplines = () => DEFAULT_DISCIPLINES.map(d => ({ ...d, steps: [] }));
+
+// --- Reading a Report's Configuration ---
+
+export const getDisciplineIds = (report) => (report.disciplines?.length ? report.disciplines : DEFAULT_DISCIPLINES).map(d => d.id);
+
+export const getDiscipline = (report, id) => report.disciplines?.find(d => d.id === id) || { id, name: defaultName(id), steps: [] };
+
+export const hasD0 = (report) => getDisciplineIds(report).includes('D0');
+
+// A plant's name differs from the default; the PDF prints it instead of the format's heading.
+export const isRenamed = (discipline) => discipline.name.trim() !== '' && discipline.name.trim() !== defaultName(discipline.id);
+
+// --- Plant Configurations ---
+
+const text = (value) => typeof value === 'string' ? value : '';
+const list = (value) => Array.isArray(value) ? value : [];
+
+// Fills in missing fields; D1-D8 are always present and in order.
+export const normalizePlantConfig = ({ id, ...data }) => {
+    const stored = list(data.disciplines);
+    const configOf = (discipline) => {
+        const saved = stored.find(d => d?.id === discipline.id) || {};
+        return {
+            id: discipline.id,
+            name: text(saved.name) || discipline.name,
+            steps: list(saved.steps).map(step => ({ id: text(step.id) || createId(), name: text(step.name) })),
+        };
+    };
+    return {
+        id,
+        orgId: text(data.orgId),
+        name: text(data.name),
+        includeD0: Boolean(data.includeD0),
+        d0: configOf(D0_DISCIPLINE),
+        disciplines: DEFAULT_DISCIPLINES.map(configOf),
+    };
+};
+
+export const createPlantConfig = (orgId, name = '') => ({ ...normalizePlantConfig({}), orgId, name });
+
+// The configuration to store: D0 is kept while disabled so its name and sub-steps are not lost.
+export const toPlantDocument = ({ id, ...config }) => ({
+    orgId: config.orgId,
+    name: config.name,
+    includeD0: config.includeD0,
+    disciplines: [config.d0, ...config.disciplines].map(d => ({
+        id: d.id,
+        name: d.name.trim() || defaultName(d.id),
+        steps: d.steps.filter(step => step.name.trim() !== '').map(step => ({ ...step, name: step.name.trim() })),
+    })),
+});
+
+// Reports point at their plant by id; older ones and imported rows only
+// have its name, matched ignoring case and accents.
+const plantKey = (name) => tokenize(name).join(' ');
+
+export const findPlantConfig = (configs, { plantId, plant }) => {
+    const key = plantKey(plant);
+    return configs.find(c => plantId && c.id === plantId) || (key ? configs.find(c => plantKey(c.name) === key) : null) || null;
+};
+
+// The discipline list a report of this plant goes through.
+export const getPlantDisciplines = (configs, report) => {
+    const config = findPlantConfig(configs, report);
+    if (!config) return getDefaultDisciplines();
+    return [...(config.includeD0 ? [config.d0] : []), ...config.disciplines].map(d => ({ ...d, steps: d.steps.map(step => ({ ...step })) }));
+};
+
+// Whether the report still follows its plant's current configuration.
+const signature = (disciplines) => JSON.stringify(disciplines.map(d => [d.id, d.name, d.steps.map(step => [step.id, step.name])]));
+
+export const followsPlantConfig = (report, configs) => signature(report.disciplines) === signature(getPlantDisciplines(configs, report));
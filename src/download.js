@@ -0,0 +1,18 @@
+// --- File Downloads ---
+// Saves generated content (exports, diagrams) through a temporary link.
+
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Lower-case, dash separated name for exported files, e.g. "8d-fuga-de-aceite".
+export const toFileName = (text, fallback = 'informe') => (text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || fallback;
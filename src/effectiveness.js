@@ -0,0 +1,225 @@
+// --- D6: Effectiveness Checks ---
+// Each corrective action of D5 is proven effective with a measurable check:
+// a metric with its baseline and target and the values measured before and
+// after the change. A `ppm` check records defects out of a sample, so its
+// values are defect rates in parts per million; a `value` check records the
+// measured value itself. A check passes when the result after the change
+// reaches the target on at least the planned sample.
+//
+//   { actionId, metric, kind, unit, direction, baseline, target, sample_size,
+//     measurements: [{ date, phase, value, defects, sample_size }] }
+
+import { createMeasurement, tokenize } from './reportSchema';
+import { parseQuantity } from './problemDescription';
+
+export const EFFECTIVENESS_KINDS = [
+    { id: 'ppm', label: 'Tasa de defecto (ppm)' },
+    { id: 'value', label: 'Valor medido' },
+];
+
+export const EFFECTIVENESS_DIRECTIONS = [
+    { id: 'decrease', label: 'Reducir' },
+    { id: 'increase', label: 'Aumentar' },
+];
+
+export const MEASUREMENT_PHASES = [
+    { id: 'before', label: 'Antes' },
+    { id: 'after', label: 'Después' },
+];
+
+export const CHECK_STATUSES = [
+    { id: 'pending', label: 'Sin concluir', className: 'bg-gray-700 text-gray-300' },
+    { id: 'passed', label: 'Eficaz', className: 'bg-green-900/60 text-green-300' },
+    { id: 'failed', label: 'No eficaz', className: 'bg-red-900/60 text-red-300' },
+];
+
+export const getCheckStatus = (status) => CHECK_STATUSES.find(s => s.id === status) || CHECK_STATUSES[0];
+
+export const getEffectivenessKindLabel = (kind) => EFFECTIVENESS_KINDS.find(k => k.id === kind)?.label || kind;
+
+export const getMeasurementPhaseLabel = (phase) => MEASUREMENT_PHASES.find(p => p.id === phase)?.label || phase;
+
+// --- Results ---
+
+// The value of one measurement, or null when it is incomplete.
+export const getMeasurementValue = (check, measurement) => {
+    if (check.kind === 'value') return measurement.value;
+    return measurement.defects !== null && measurement.sample_size ? (measurement.defects / measurement.sample_size) * 1e6 : null;
+};
+
+// Measurements with a value, oldest first.
+export const getChartMeasurements = (check) => check.measurements
+    .map(m => ({ ...m, plotted: getMeasurementValue(check, m) }))
+    .filter(m => m.plotted !== null)
+    .sort((a, b) => (a.phase === b.phase ? a.date.localeCompare(b.date) : a.phase === 'before' ? -1 : 1));
+
+// Result of a phase: pooled defects over the pooled sample for `ppm`, the
+// average for `value`. `sample` is the inspected units or the number of values.
+const summarizePhase = (check, phase) => {
+    const measurements = check.measurements.filter(m => m.phase === phase && getMeasurementValue(check, m) !== null);
+    if (measurements.length === 0) return { result: null, sample: 0 };
+    if (check.kind === 'value') {
+        return { result: measurements.reduce((sum, m) => sum + m.value, 0) / measurements.length, sample: measurements.length };
+    }
+    const defects = measurements.reduce((sum, m) => sum + m.defects, 0);
+    const sample = measurements.reduce((sum, m) => sum + m.sample_size, 0);
+    return { result: (defects / sample) * 1e6, sample };
+};
+
+// { before, after, sample, baseline, change, status, reason }. The baseline
+// is the one typed in, or else the result before the change; `change` is
+// the relative change from it (-0.8 is an 80 % reduction).
+export const evaluateCheck = (check) => {
+    const before = summarizePhase(check, 'before');
+    const after = summarizePhase(check, 'after');
+    const baseline = check.baseline ?? before.result;
+    const change = baseline && after.result !== null ? (after.result - baseline) / baseline : null;
+    const summary = { before: before.result, after: after.result, sample: after.sample, baseline, change };
+
+    if (check.target === null) return { ...summary, status: 'pending', reason: 'Falta el objetivo.' };
+    if (after.result === null) return { ...summary, status: 'pending', reason: 'Faltan mediciones después del cambio.' };
+    if (check.sample_size !== null && after.sample < check.sample_size) {
+        return { ...summary, status: 'pending', reason: `Muestra insuficiente: ${after.sample} de ${check.sample_size}.` };
+    }
+    const reached = check.direction === 'increase' ? after.result >= check.target : after.result <= check.target;
+    return { ...summary, status: reached ? 'passed' : 'failed', reason: reached ? '' : 'El resultado no alcanza el objetivo.' };
+};
+
+export const formatMetricValue = (check, value) => {
+    if (value === null || value === undefined) return '—';
+    if (check.kind === 'ppm') return `${Math.round(value).toLocaleString('es')} ppm`;
+    return `${value.toLocaleString('es', { maximumFractionDigits: 3 })}${check.unit ? ` ${check.unit}` : ''}`;
+};
+
+export const formatChange = (change) => (change === null ? '—' : `${change > 0 ? '+' : ''}${(change * 100).toLocaleString('es', { maximumFractionDigits: 1 })} %`);
+
+// --- Completion ---
+
+const isCorrectiveAction = (action) => action.action.trim() !== '';
+
+export const getActionChecks = (report, actionId) => report.d6_implementation.effectiveness_checks.filter(c => c.actionId === actionId);
+
+export const isActionEffective = (report, actionId) => getActionChecks(report, actionId).some(c => evaluateCheck(c).status === 'passed');
+
+// Corrective actions still waiting for a passing check; D6 is not complete until there are none.
+export const getUnprovenActions = (report) => report.d5_corrective_actions.filter(a => isCorrectiveAction(a) && !isActionEffective(report, a.id));
+
+// Checks whose action has been removed from D5.
+export const getOrphanChecks = (report) => report.d6_implementation.effectiveness_checks
+    .filter(c => !report.d5_corrective_actions.some(a => a.id === c.actionId));
+
+// --- CSV Import ---
+// One measurement per row. Headers are matched like the Excel import, and
+// both ";" (Spanish Excel) and "," separate columns. Without a phase column
+// every row counts as measured after the change.
+
+const CSV_COLUMNS = {
+    date: ['fecha', 'date', 'dia'],
+    phase: ['fase', 'phase', 'periodo', 'etapa'],
+    value: ['valor', 'value', 'medicion', 'resultado'],
+    defects: ['defectos', 'defectuosas', 'rechazos', 'defects', 'no conformes'],
+    sample_size: ['muestra', 'tamano de muestra', 'inspeccionadas', 'sample', 'sample size', 'n'],
+};
+
+const BEFORE_WORDS = ['antes', 'before', 'base', 'linea base', 'baseline', 'pre'];
+
+const splitCsvLine = (line, delimiter) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i += 1) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') { cell += '"'; i += 1; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') quoted = true;
+        else if (char === delimiter) { cells.push(cell); cell = ''; }
+        else cell += char;
+    }
+    return [...cells, cell].map(c => c.trim());
+};
+
+// "2024-03-05", or day first as Spanish spreadsheets write it: "05/03/2024".
+const toIsoDay = (text) => {
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : dayFirst ? [dayFirst[3], dayFirst[2], dayFirst[1]] : [];
+    const date = year ? new Date(Number(year), Number(month) - 1, Number(day)) : null;
+    if (!date || date.getMonth() !== Number(month) - 1) return null;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+// Returns { measurements, errors }; rows with errors are left out.
+export const parseMeasurementsCsv = (text, kind) => {
+    const lines = text.replace(/^﻿/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) return { measurements: [], errors: ['El archivo no tiene filas de datos.'] };
+    const delimiter = [';', '\t', ','].find(d => lines[0].includes(d)) || ',';
+    const headers = splitCsvLine(lines[0], delimiter).map(h => tokenize(h).join(' '));
+    const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, aliases]) => [key, headers.findIndex(h => aliases.includes(h))]));
+    const needed = kind === 'value' ? ['value'] : ['defects', 'sample_size'];
+    const missing = needed.filter(key => columns[key] === -1);
+    if (missing.length > 0) {
+        return { measurements: [], errors: [`Faltan las columnas: ${missing.map(key => CSV_COLUMNS[key][0]).join(', ')}.`] };
+    }
+
+    const measurements = [];
+    const errors = [];
+    lines.slice(1).forEach((line, index) => {
+        const cells = splitCsvLine(line, delimiter);
+        const cell = (key) => (columns[key] === -1 ? '' : cells[columns[key]] || '');
+        const rowErrors = [];
+        const number = (key, options) => {
+            const parsed = parseQuantity(cell(key), options);
+            if (parsed.error) rowErrors.push(`${CSV_COLUMNS[key][0]}: ${parsed.error}`);
+            else if (parsed.value === null) rowErrors.push(`falta ${CSV_COLUMNS[key][0]}`);
+            return parsed.value;
+        };
+        const date = cell('date') ? toIsoDay(cell('date')) : '';
+        if (date === null) rowErrors.push(`fecha no válida "${cell('date')}"`);
+        const fields = {
+            date: date || '',
+            phase: BEFORE_WORDS.includes(tokenize(cell('phase')).join(' ')) ? 'before' : 'after',
+            value: kind === 'value' ? number('value', { signed: true }) : null,
+            defects: kind === 'ppm' ? number('defects', { integer: true }) : null,
+            sample_size: kind === 'ppm' ? number('sample_size', { integer: true }) : null,
+        };
+        if (fields.sample_size !== null && fields.defects > fields.sample_size) rowErrors.push('más defectos que piezas en la muestra');
+        if (rowErrors.length > 0) errors.push(`Fila ${index + 2}: ${rowErrors.join('; ')}`);
+        else measurements.push(createMeasurement(fields));
+    });
+    return { measurements, errors };
+};
+
+// --- Run Chart ---
+// Geometry shared by the SVG chart and the PDF: one point per measurement in
+// order, the before and after phases split by a vertical line, and the
+// baseline and target as horizontal lines.
+export const layoutRunChart = (check, { width, height, pad }) => {
+    const measurements = getChartMeasurements(check);
+    const { baseline } = evaluateCheck(check);
+    const values = [...measurements.map(m => m.plotted), baseline, check.target].filter(v => v !== null && v !== undefined);
+    // Rates start at zero; measured values keep a margin around their range.
+    const low = values.length > 0 ? Math.min(...values) : 0;
+    const high = values.length > 0 ? Math.max(...values) : 1;
+    const margin = (high - low) * 0.1 || Math.abs(high) * 0.1 || 1;
+    const min = check.kind === 'ppm' ? Math.min(0, low) : low - margin;
+    const max = high + margin;
+    const span = max - min;
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const step = measurements.length > 1 ? plotWidth / (measurements.length - 1) : 0;
+    const x = (i) => pad.left + (measurements.length > 1 ? step * i : plotWidth / 2);
+    const y = (value) => pad.top + plotHeight - ((value - min) / span) * plotHeight;
+    const firstAfter = measurements.findIndex(m => m.phase === 'after');
+
+    return {
+        plot: { left: pad.left, top: pad.top, right: pad.left + plotWidth, bottom: pad.top + plotHeight },
+        min,
+        max,
+        points: measurements.map((m, i) => ({ x: x(i), y: y(m.plotted), phase: m.phase, value: m.plotted, label: m.date })),
+        divider: firstAfter > 0 ? (x(firstAfter - 1) + x(firstAfter)) / 2 : null,
+        baseline: baseline !== null && baseline !== undefined ? y(baseline) : null,
+        target: check.target !== null ? y(check.target) : null,
+    };
+};
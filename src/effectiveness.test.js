@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateCheck, getUnprovenActions, parseMeasurementsCsv } from './effectiveness';
+import { createCorrectiveAction, createEffectivenessCheck, createMeasurement } from './reportSchema';
+
+const checkOf = (fields, measurements) => ({
+    ...createEffectivenessCheck('a1'),
+    kind: 'ppm',
+    ...fields,
+    measurements: measurements.map(m => createMeasurement(m)),
+});
+
+describe('evaluateCheck', () => {
+    it('pools the defects of each phase over its sample', () => {
+        const check = checkOf({ target: 500 }, [
+            { phase: 'before', defects: 6, sample_size: 1000 },
+            { phase: 'before', defects: 4, sample_size: 1000 },
+            { phase: 'after', defects: 1, sample_size: 2000 },
+        ]);
+        expect(evaluateCheck(check)).toMatchObject({ before: 5000, after: 500, baseline: 5000, change: -0.9, status: 'passed' });
+    });
+
+    it('waits for the planned sample after the change', () => {
+        const check = checkOf({ target: 500, sample_size: 5000 }, [{ phase: 'after', defects: 0, sample_size: 2000 }]);
+        expect(evaluateCheck(check)).toMatchObject({ status: 'pending', reason: 'Muestra insuficiente: 2000 de 5000.' });
+    });
+
+    it('fails a value check that does not reach its target', () => {
+        const check = checkOf({ kind: 'value', direction: 'increase', target: 1.33, baseline: 0.9 }, [
+            { phase: 'after', value: 1.1 },
+            { phase: 'after', value: 1.3 },
+        ]);
+        expect(evaluateCheck(check)).toMatchObject({ after: expect.closeTo(1.2), status: 'failed', reason: 'El resultado no alcanza el objetivo.' });
+    });
+
+    it('stays pending without a target or measurements after the change', () => {
+        expect(evaluateCheck(checkOf({}, [])).reason).toBe('Falta el objetivo.');
+        expect(evaluateCheck(checkOf({ target: 500 }, [{ phase: 'before', defects: 1, sample_size: 100 }])).reason).toBe('Faltan mediciones después del cambio.');
+    });
+});
+
+describe('getUnprovenActions', () => {
+    it('lists the corrective actions without a passing check', () => {
+        const action = (id) => ({ ...createCorrectiveAction(), id, action: `Acción ${id}` });
+        const report = {
+            d5_corrective_actions: [action('a1'), action('a2'), { ...action('a3'), action: ' ' }],
+            d6_implementation: { effectiveness_checks: [checkOf({ target: 500 }, [{ phase: 'after', defects: 0, sample_size: 100 }])] },
+        };
+        expect(getUnprovenActions(report).map(a => a.id)).toEqual(['a2']);
+    });
+});
+
+describe('parseMeasurementsCsv', () => {
+    it('reads Spanish spreadsheets and reports bad rows', () => {
+        const csv = 'Fecha;Fase;Defectos;Muestra\n05/03/2026;Antes;12;1.000\n2026-03-20;Después;2;1000\n31/02/2026;Después;3;10\n2026-03-21;;30;20';
+        const { measurements, errors } = parseMeasurementsCsv(csv, 'ppm');
+        expect(measurements.map(({ date, phase, defects, sample_size }) => ({ date, phase, defects, sample_size }))).toEqual([
+            { date: '2026-03-05', phase: 'before', defects: 12, sample_size: 1000 },
+            { date: '2026-03-20', phase: 'after', defects: 2, sample_size: 1000 },
+        ]);
+        expect(errors).toEqual(['Fila 4: fecha no válida "31/02/2026"', 'Fila 5: más defectos que piezas en la muestra']);
+    });
+
+    it('names the missing columns', () => {
+        expect(parseMeasurementsCsv('Fecha,Valor\n2026-03-05,1', 'ppm').errors).toEqual(['Faltan las columnas: defectos, muestra.']);
+    });
+});
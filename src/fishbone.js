@@ -0,0 +1,136 @@
+// --- Ishikawa (Fishbone) Model ---
+// Pure helpers over `d4_root_cause.fishbone`: { categories, causes }.
+// Causes reference their category and, for sub-causes, their parent cause.
+// The layout is shared by the SVG editor and the PDF export.
+
+import { createId } from './reportSchema';
+
+export const CAUSE_STATUSES = [
+    { id: 'suspected', label: 'Sospechosa', color: '#b45309' },
+    { id: 'verified', label: 'Verificada', color: '#15803d' },
+    { id: 'ruled_out', label: 'Descartada', color: '#6b7280' },
+];
+
+export const getCauseStatus = (status) => CAUSE_STATUSES.find(s => s.id === status) || CAUSE_STATUSES[0];
+
+export const ROOT_CAUSE_COLOR = '#b91c1c';
+
+export const getRootCauses = (fishbone) => fishbone.causes.filter(c => c.isRootCause);
+
+export const getChildren = (fishbone, parentId) => fishbone.causes.filter(c => c.parentId === parentId);
+
+export const getCategoryCauses = (fishbone, categoryId) => fishbone.causes.filter(c => c.categoryId === categoryId && !c.parentId);
+
+export const getCategoryName = (fishbone, categoryId) => fishbone.categories.find(c => c.id === categoryId)?.name || '';
+
+// --- Updates (each returns a new fishbone) ---
+
+export const addCategory = (fishbone, name) => ({
+    ...fishbone,
+    categories: [...fishbone.categories, { id: createId(), name }],
+});
+
+export const renameCategory = (fishbone, categoryId, name) => ({
+    ...fishbone,
+    categories: fishbone.categories.map(c => c.id === categoryId ? { ...c, name } : c),
+});
+
+export const removeCategory = (fishbone, categoryId) => {
+    if (fishbone.causes.some(c => c.categoryId === categoryId)) {
+        throw new Error('Solo se pueden eliminar categorías sin causas.');
+    }
+    return { ...fishbone, categories: fishbone.categories.filter(c => c.id !== categoryId) };
+};
+
+export const addCause = (fishbone, categoryId, parentId = '') => {
+    const cause = { id: createId(), categoryId, parentId, text: '', status: 'suspected', evidence: [], offset: null, isRootCause: false };
+    return { fishbone: { ...fishbone, causes: [...fishbone.causes, cause] }, cause };
+};
+
+export const updateCause = (fishbone, causeId, changes) => ({
+    ...fishbone,
+    causes: fishbone.causes.map(c => {
+        if (c.id !== causeId) return c;
+        const updated = { ...c, ...changes };
+        // A root cause is by definition verified; ruling it out unselects it.
+        if (changes.isRootCause) updated.status = 'verified';
+        if (changes.status && changes.status !== 'verified') updated.isRootCause = false;
+        return updated;
+    }),
+});
+
+// Moving a cause to another category takes its sub-causes along.
+export const moveCause = (fishbone, causeId, categoryId, offset) => {
+    const subtree = new Set(collectSubtree(fishbone, causeId));
+    return {
+        ...fishbone,
+        causes: fishbone.causes.map(c => {
+            if (c.id === causeId) return { ...c, categoryId, offset };
+            if (subtree.has(c.id)) return { ...c, categoryId };
+            return c;
+        }),
+    };
+};
+
+const collectSubtree = (fishbone, causeId) => getChildren(fishbone, causeId)
+    .flatMap(child => [child.id, ...collectSubtree(fishbone, child.id)]);
+
+export const removeCause = (fishbone, causeId) => {
+    const removed = new Set([causeId, ...collectSubtree(fishbone, causeId)]);
+    return { ...fishbone, causes: fishbone.causes.filter(c => !removed.has(c.id)) };
+};
+
+// --- Layout ---
+// Coordinates in an abstract width x height box: the spine runs left to
+// right into the head; bones alternate above and below the spine.
+
+export const FISHBONE_WIDTH = 1000;
+export const FISHBONE_HEIGHT = 520;
+const HEAD_WIDTH = 160;
+const SPINE_START = 30;
+const BONE_RISE = 200;
+const BONE_RUN = 130;
+const MIN_OFFSET = 0.15;
+const MAX_OFFSET = 0.92;
+
+export const clampOffset = (offset) => Math.min(MAX_OFFSET, Math.max(MIN_OFFSET, offset));
+
+export const layoutFishbone = (fishbone) => {
+    const spineY = FISHBONE_HEIGHT / 2;
+    const spineEnd = FISHBONE_WIDTH - HEAD_WIDTH;
+    const columns = Math.max(1, Math.ceil(fishbone.categories.length / 2));
+    const columnWidth = (spineEnd - SPINE_START) / columns;
+
+    const bones = fishbone.categories.map((category, i) => {
+        const isTop = i % 2 === 0;
+        const end = { x: SPINE_START + columnWidth * (Math.floor(i / 2) + 1) - 10, y: spineY };
+        const start = { x: end.x - BONE_RUN, y: isTop ? spineY - BONE_RISE : spineY + BONE_RISE };
+        const causes = getCategoryCauses(fishbone, category.id);
+        const placed = causes.map((cause, j) => {
+            const t = cause.offset ?? clampOffset((j + 1) / (causes.length + 1));
+            return { cause, x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t, t };
+        });
+        return { category, isTop, start, end, causes: placed };
+    });
+
+    return {
+        spine: { start: { x: SPINE_START, y: spineY }, end: { x: spineEnd, y: spineY } },
+        head: { x: spineEnd, y: spineY - 45, width: HEAD_WIDTH - 10, height: 90 },
+        bones,
+    };
+};
+
+// Projects a point onto the nearest bone; used when dropping a dragged cause.
+export const nearestBone = (layout, point) => {
+    let best = null;
+    layout.bones.forEach(bone => {
+        const dx = bone.end.x - bone.start.x;
+        const dy = bone.end.y - bone.start.y;
+        const t = clampOffset(((point.x - bone.start.x) * dx + (point.y - bone.start.y) * dy) / (dx * dx + dy * dy));
+        const x = bone.start.x + dx * t;
+        const y = bone.start.y + dy * t;
+        const distance = Math.hypot(point.x - x, point.y - y);
+        if (!best || distance < best.distance) best = { bone, t, distance };
+    });
+    return best;
+};
@@ -0,0 +1,128 @@
+// --- Audit History ---
+// Every write to a report also appends one entry per changed field to the
+// report's `history` subcollection, in the same batch: who, when, the field
+// path and its value before and after. The security rules make the
+// subcollection append-only.
+//
+// A "version" is the report right after a history entry. It is rebuilt from
+// the current report by undoing, newest first, every later entry.
+
+import { collection, doc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { applyFieldUpdates, getPath } from './reportSchema';
+
+export const HISTORY_PAGE_SIZE = 100;
+
+export const HISTORY_KINDS = {
+    edit: 'Edición',
+    restore: 'Restauración',
+    delete: 'Enviado a la papelera',
+    undelete: 'Recuperado de la papelera',
+    migration: 'Actualización de formato',
+    import: 'Importación',
+};
+
+// Recomputed from other fields on every write, so not worth recording.
+const DERIVED_PATHS = ['searchTokens', 'roles', 'members', 'supplierStatus'];
+
+// Firestore rejects `undefined`.
+const storable = (value) => value === undefined ? null : value;
+
+export const buildHistoryEntries = (report, fields, author, kind = 'edit') => Object.entries(fields)
+    .filter(([path]) => !DERIVED_PATHS.includes(path))
+    .map(([path, value]) => ({
+        path,
+        before: storable(getPath(report, path)),
+        after: storable(value),
+        kind,
+        uid: author.uid,
+        userName: author.displayName || '',
+        at: serverTimestamp(),
+    }));
+
+const commitWithEntries = (batch, db, reportPath, report, fields, author, kind) => {
+    buildHistoryEntries(report, fields, author, kind).forEach(entry => {
+        batch.set(doc(collection(db, reportPath, 'history')), entry);
+    });
+    return batch.commit();
+};
+
+// `data` is what is written to the report (fields plus derived fields);
+// `fields` are the user changes recorded in the history.
+export const writeWithHistory = (db, reportPath, report, data, author, kind, fields = data) => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, reportPath), data);
+    return commitWithEntries(batch, db, reportPath, report, fields, author, kind);
+};
+
+// A report written for the first time (an import): every field but the
+// empty ones is recorded as new.
+export const createWithHistory = (db, reportPath, data, author, kind) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, reportPath), data);
+    return commitWithEntries(batch, db, reportPath, {}, Object.fromEntries(Object.entries(data).filter(([, value]) => value !== null)), author, kind);
+};
+
+const DISCIPLINE_PREFIXES = [
+    ['d0_', 'D0'], ['d1_', 'D1'], ['d2_', 'D2'], ['d3_', 'D3'], ['d4_', 'D4'],
+    ['d5_', 'D5'], ['d6_', 'D6'], ['d7_', 'D7'], ['d8_', 'D8'],
+];
+
+// Fields outside the disciplines (title, status, ...) belong to "General";
+// attachments belong to the discipline they are filed under.
+export const getPathDiscipline = (path) => path.match(/^attachments[.[](D\d)/)?.[1]
+    || DISCIPLINE_PREFIXES.find(([prefix]) => path.startsWith(prefix))?.[1]
+    || 'General';
+
+// `entries` are newest first; returns the report as it was right after entries[index].
+export const reconstructVersion = (report, entries, index) => entries
+    .slice(0, index)
+    .reduce((version, entry) => applyFieldUpdates(version, { [entry.path]: entry.before }), report);
+
+// --- Diff ---
+// Flattens a value into leaf paths; list items with ids are keyed by id so an
+// insertion does not show every following item as changed.
+const flatten = (value, prefix, leaves) => {
+    if (Array.isArray(value)) {
+        if (value.length === 0) leaves[prefix] = '';
+        value.forEach((item, i) => flatten(item, `${prefix}[${item?.id ?? i}]`, leaves));
+    } else if (value && typeof value === 'object' && !value.toDate) {
+        Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, leaves));
+    } else {
+        leaves[prefix] = value?.toDate ? value.toDate().toLocaleString() : value;
+    }
+    return leaves;
+};
+
+const formatLeaf = (value) => value === undefined || value === null || value === '' ? '—' : String(value);
+
+// Leaves that differ between two versions, e.g. [{ path: 'd2_problem.what', left, right }].
+export const diffVersions = (left, right, { ignore = DERIVED_PATHS } = {}) => {
+    const leftLeaves = flatten(left, '', {});
+    const rightLeaves = flatten(right, '', {});
+    return [...new Set([...Object.keys(leftLeaves), ...Object.keys(rightLeaves)])]
+        .filter(path => !ignore.some(p => path === p || path.startsWith(`${p}.`) || path.startsWith(`${p}[`)))
+        .filter(path => formatLeaf(leftLeaves[path]) !== formatLeaf(rightLeaves[path]))
+        .map(path => ({ path, left: formatLeaf(leftLeaves[path]), right: formatLeaf(rightLeaves[path]) }));
+};
+
+// --- Restore ---
+// Only user edits can be undone; trash moves are undone from the trash.
+export const isRestorable = (entry) => entry.kind === 'edit' || entry.kind === 'restore';
+
+// Fields reserved to the champion and team leader, as in the workflow.
+const TEAM_LEAD_PATHS = ['d1_team', 'visibility', 'plantId', 'supplierRequest', 'disciplines', 'completed', 'currentDiscipline', 'status', 'closedAt', 'closedBy'];
+
+export const requiresTeamLead = (path) => TEAM_LEAD_PATHS.some(p => path === p || path.startsWith(`${p}.`));
+
+// Approvals are only changed by quality managers.
+export const requiresQualityManager = (path) => path === 'approvals' || path.startsWith('approvals.');
+
+// Top-level fields written when a whole version is restored; identity,
+// access, deletion state, the append-only supplier log and the quality
+// manager's approvals stay as they are now.
+const NOT_RESTORED = ['id', 'schemaVersion', 'orgId', 'createdBy', 'createdByName', 'createdAt', 'deleted', 'deletedAt', 'deletedBy', 'supplierLog', 'approvals', ...DERIVED_PATHS];
+
+export const restorableFields = (current, version) => Object.fromEntries(Object.keys(version)
+    .filter(key => !NOT_RESTORED.includes(key))
+    .filter(key => diffVersions({ [key]: current[key] }, { [key]: version[key] }).length > 0)
+    .map(key => [key, version[key]]));
@@ -0,0 +1,18 @@
+// --- Script Loader Utility ---
+// Libraries only some users need (PDF, spreadsheets) are loaded from a CDN on first use.
+const loadedScripts = new Set();
+export const loadScript = (src) => {
+    return new Promise((resolve, reject) => {
+        if (loadedScripts.has(src)) {
+            return resolve();
+        }
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = () => {
+            loadedScripts.add(src);
+            resolve();
+        };
+        script.onerror = () => reject(new Error(`Script load error for ${src}`));
+        document.body.appendChild(script);
+    });
+};
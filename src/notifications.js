@@ -0,0 +1,121 @@
+// --- Notifications ---
+// What each user is told about, in the bell of the header and by email.
+// Every notification is a document in the recipient's `notifications`
+// subcollection of `users`:
+//
+//   { kind, reportId, reportTitle, disciplineId, text, actorUid, actorName, createdAt, read }
+//
+// The app writes the ones a user causes (assignments, comments, approvals)
+// signed as that user; the scheduled job in functions/ writes the deadline
+// reminders. functions/ also emails every new notification unless the
+// recipient turned email off in their profile (`emailNotifications: false`).
+// Nobody is notified of their own doing, and only members of the report's
+// team are notified at all. The email of a notification written by a user
+// is composed by functions/ from the stored report, not from its `text`.
+// Mirrors firestore.rules.
+
+import { useState, useEffect } from 'react';
+import { collection, doc, onSnapshot, query, orderBy, limit, writeBatch, serverTimestamp } from 'firebase/firestore';
+
+export const NOTIFICATION_KINDS = [
+    { id: 'assigned', label: 'Asignación' },
+    { id: 'due_soon', label: 'Vence pronto' },
+    { id: 'overdue', label: 'Vencida' },
+    { id: 'comment', label: 'Comentario' },
+    { id: 'mention', label: 'Mención' },
+    { id: 'approval', label: 'Aprobación' },
+];
+
+export const getNotificationKindLabel = (kind) => NOTIFICATION_KINDS.find(k => k.id === kind)?.label || 'Aviso';
+
+// The bell shows the latest ones; older notifications stay in Firestore.
+const NOTIFICATIONS_SHOWN = 50;
+
+export const getNotificationsPath = (appId, uid) => `artifacts/${appId}/public/data/users/${uid}/notifications`;
+
+// A pending server timestamp is null on the writing client: it counts as now.
+const normalizeNotification = ({ createdAt, ...data }) => ({
+    kind: '',
+    reportId: '',
+    reportTitle: '',
+    disciplineId: '',
+    text: '',
+    actorUid: '',
+    actorName: '',
+    read: false,
+    ...data,
+    at: createdAt ? createdAt.toMillis() : Date.now(),
+});
+
+export const useNotifications = ({ db, appId, uid }) => {
+    const [notifications, setNotifications] = useState([]);
+
+    useEffect(() => {
+        if (!db || !uid) return undefined;
+        const q = query(collection(db, getNotificationsPath(appId, uid)), orderBy('createdAt', 'desc'), limit(NOTIFICATIONS_SHOWN));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setNotifications(snapshot.docs.map(d => normalizeNotification({ id: d.id, ...d.data({ serverTimestamps: 'estimate' }) })));
+        }, () => setNotifications([]));
+        return () => unsubscribe();
+    }, [db, appId, uid]);
+
+    return notifications;
+};
+
+// --- Writing ---
+
+// One notification per recipient, in a single batch. Only members of the
+// report's team are notified; the rules reject anyone else.
+export const sendNotifications = (db, appId, report, notifications, profile) => {
+    const recipients = notifications.filter(n => n.to && n.to !== profile.uid && report.members.includes(n.to));
+    if (recipients.length === 0) return Promise.resolve();
+    const batch = writeBatch(db);
+    recipients.forEach(({ to, ...fields }) => batch.set(doc(collection(db, getNotificationsPath(appId, to))), {
+        disciplineId: '',
+        ...fields,
+        actorUid: profile.uid,
+        actorName: profile.displayName,
+        read: false,
+        createdAt: serverTimestamp(),
+    }));
+    return batch.commit();
+};
+
+export const markNotificationsRead = (db, appId, uid, ids) => {
+    const batch = writeBatch(db);
+    ids.forEach(id => batch.update(doc(db, getNotificationsPath(appId, uid), id), { read: true }));
+    return batch.commit();
+};
+
+// --- What Each Event Notifies ---
+
+const reportFields = (report) => ({ reportId: report.id, reportTitle: report.title });
+
+export const assignmentNotifications = (report, disciplineId, action, profile) => [{
+    to: action.responsibleUid,
+    kind: 'assigned',
+    ...reportFields(report),
+    disciplineId,
+    text: `${profile.displayName} te ha asignado la acción «${action.action || 'sin descripción'}»${action.date ? `, con fecha límite ${action.date}` : ''}.`,
+}];
+
+// Mentioned users, and on a reply whoever else wrote in the thread.
+export const commentNotifications = (report, disciplineId, { text, mentions, thread }, profile) => {
+    const excerpt = text.trim().length > 120 ? `${text.trim().slice(0, 117)}…` : text.trim();
+    const participants = thread ? [thread.uid, ...thread.replies.map(r => r.uid)] : [];
+    return [
+        ...mentions.map(uid => ({ to: uid, kind: 'mention', text: `${profile.displayName} te ha mencionado en ${disciplineId}: «${excerpt}»` })),
+        ...[...new Set(participants)].filter(uid => !mentions.includes(uid)).map(uid => ({ to: uid, kind: 'comment', text: `${profile.displayName} ha respondido en ${disciplineId}: «${excerpt}»` })),
+    ].map(n => ({ ...n, ...reportFields(report), disciplineId }));
+};
+
+// Whoever completed the discipline learns the quality manager's decision.
+export const approvalNotifications = (report, disciplineId, decision, reason, profile) => [{
+    to: report.completed[disciplineId]?.by,
+    kind: 'approval',
+    ...reportFields(report),
+    disciplineId,
+    text: decision === 'approved'
+        ? `${profile.displayName} ha aprobado ${disciplineId}.`
+        : `${profile.displayName} ha rechazado ${disciplineId}: ${reason.trim()}`,
+}];
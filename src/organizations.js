@@ -0,0 +1,124 @@
+// --- Organizations ---
+// Plants and suppliers share one deployment but must not see each other's
+// 8Ds. Every report, template, customer profile and plant belongs to an
+// organization (`orgId`); users join organizations through invitations and
+// hold a role and a set of plants in each of them. Mirrors firestore.rules.
+//
+//   organizations/{orgId}                 { name, createdBy, createdByName, createdAt }
+//   organizations/{orgId}/members/{uid}   { uid, displayName, email, department, role, plantIds, joinedAt }
+//   8d-invitations/{orgId}_{email}        { orgId, orgName, email, role, plantIds, invitedBy, invitedByName, createdAt }
+//
+// A user profile lists the organizations its owner belongs to in `orgIds`,
+// which feeds the organization switcher; access itself is always checked
+// against the membership document.
+
+import { PROFILE_ROLE_IDS } from './permissions';
+
+export const getOrganizationsPath = (appId) => `artifacts/${appId}/public/data/organizations`;
+
+export const getMembersPath = (appId, orgId) => `${getOrganizationsPath(appId)}/${orgId}/members`;
+
+export const getInvitationsPath = (appId) => `artifacts/${appId}/public/data/8d-invitations`;
+
+// --- Report Visibility ---
+
+export const VISIBILITY_LEVELS = [
+    { id: 'organization', label: 'Toda la organización', description: 'Cualquier miembro de la organización puede leerlo.' },
+    { id: 'plant', label: 'Solo la planta', description: 'Solo los miembros asignados a la planta del informe y su equipo.' },
+    { id: 'team', label: 'Solo el equipo', description: 'Solo el equipo D1 y los gerentes de calidad.' },
+];
+
+export const getVisibilityLabel = (visibility) => VISIBILITY_LEVELS.find(v => v.id === visibility)?.label || visibility;
+
+// --- Memberships ---
+
+const text = (value) => typeof value === 'string' ? value : '';
+const list = (value) => Array.isArray(value) ? value : [];
+
+export const normalizeOrganization = ({ id, ...data }) => ({
+    id,
+    name: text(data.name),
+    createdBy: text(data.createdBy),
+    createdByName: text(data.createdByName),
+});
+
+export const normalizeMember = ({ id, ...data }) => ({
+    uid: id,
+    displayName: text(data.displayName),
+    email: text(data.email),
+    department: text(data.department),
+    role: PROFILE_ROLE_IDS.includes(data.role) ? data.role : 'member',
+    plantIds: list(data.plantIds).filter(plantId => typeof plantId === 'string'),
+});
+
+// The membership document of a user, copied from their profile so members
+// of an organization never need to read profiles from other organizations.
+export const createMember = (profile, role, plantIds = []) => ({
+    uid: profile.uid,
+    displayName: profile.displayName,
+    email: profile.email || '',
+    department: profile.department || '',
+    role,
+    plantIds,
+});
+
+// The profile as seen inside the active organization. Quality managers on
+// the profile itself are platform administrators and keep their role in
+// every organization; everyone else gets the role of their membership.
+export const getOrgProfile = (profile, orgId, member) => ({
+    ...profile,
+    role: profile.role === 'quality_manager' ? 'quality_manager' : member.role,
+    orgId,
+    plantIds: member.plantIds,
+});
+
+// --- Invitations ---
+
+export const normalizeEmail = (email) => text(email).trim().toLowerCase();
+
+// One pending invitation per organization and address; the rules look it up
+// by this id when the invitee joins.
+export const getInvitationId = (orgId, email) => `${orgId}_${normalizeEmail(email)}`;
+
+export const normalizeInvitation = ({ id, ...data }) => ({
+    id,
+    orgId: text(data.orgId),
+    orgName: text(data.orgName),
+    email: text(data.email),
+    role: PROFILE_ROLE_IDS.includes(data.role) ? data.role : 'member',
+    plantIds: list(data.plantIds).filter(plantId => typeof plantId === 'string'),
+    invitedByName: text(data.invitedByName),
+});
+
+export const createInvitation = ({ org, email, role, plantIds, profile }) => ({
+    orgId: org.id,
+    orgName: org.name,
+    email: normalizeEmail(email),
+    role,
+    plantIds,
+    invitedBy: profile.uid,
+    invitedByName: profile.displayName,
+});
+
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email));
+
+// --- Active Organization ---
+// Remembered per browser and user; a stale id falls back to the first organization.
+
+const activeOrgKey = (uid) => `plataforma-8d:organizacion:${uid}`;
+
+export const readActiveOrgId = (uid) => {
+    try {
+        return window.localStorage.getItem(activeOrgKey(uid)) || '';
+    } catch {
+        return '';
+    }
+};
+
+export const writeActiveOrgId = (uid, orgId) => {
+    try {
+        window.localStorage.setItem(activeOrgKey(uid), orgId);
+    } catch {
+        // Private browsing: the choice lasts for the session only.
+    }
+};
@@ -0,0 +1,176 @@
+// --- Output Formats ---
+// Customers ask for their own 8D forms. A format decides the document
+// title, the cover header fields, the section names and whether a D0 section
+// is printed; every format is rendered by the same `generatePdf`.
+//
+// Customer profiles (`8d-customers` collection) choose the default format of
+// their reports and add a logo, extra header fields (supplier code, contact,
+// ...) and their own section names. A report can override the format in its
+// `outputFormat` field.
+
+import { DISCIPLINE_IDS, OUTPUT_FORMAT_IDS, createId, tokenize } from './reportSchema';
+import { hasD0, isRenamed } from './disciplines';
+import { getSeverity, getStatusLabel } from './workflow';
+
+// --- Header Fields ---
+// Report data a format can print on the cover.
+const formatDate = (value) => {
+    if (!value) return '';
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+};
+
+export const HEADER_FIELDS = {
+    reportNumber: { label: 'Nº de Informe', value: (r) => r.reportNumber || r.id },
+    customer: { label: 'Cliente', value: (r) => r.customer },
+    partNumber: { label: 'Nº de Parte', value: (r) => r.partNumber },
+    plant: { label: 'Planta', value: (r) => r.plant },
+    defectCategory: { label: 'Categoría de Defecto', value: (r) => r.defectCategory },
+    severity: { label: 'Severidad', value: (r) => getSeverity(r.severity)?.label },
+    status: { label: 'Estado', value: (r) => getStatusLabel(r.status) },
+    createdAt: { label: 'Fecha de Creación', value: (r) => formatDate(r.createdAt) },
+    closedAt: { label: 'Fecha de Cierre', value: (r) => formatDate(r.closedAt) },
+    champion: { label: 'Champion', value: (r) => r.d1_team.filter(m => m.access === 'champion').map(m => m.name).join(', ') },
+};
+
+// --- Formats ---
+// `sections` holds the heading of every part of the document. D0 is printed
+// by formats with `includeD0` and for reports whose plant enabled it.
+export const OUTPUT_FORMATS = [
+    {
+        id: 'generic',
+        label: 'Genérico 8D',
+        description: 'El formato de la plataforma, con Ishikawa y 5 Porqués.',
+        title: 'Informe 8D',
+        filePrefix: 'Informe_8D',
+        includeD0: false,
+        headerFields: ['reportNumber', 'customer', 'partNumber', 'severity', 'status', 'createdAt'],
+        fieldLabels: {},
+        sections: {
+            D0: 'D0: Respuesta de Emergencia',
+            D1: 'D1: Formar el Equipo',
+            D2: 'D2: Describir el Problema (5W2H)',
+            D3: 'D3: Acciones de Contención',
+            D4: 'D4: Análisis de Causa Raíz',
+            D5: 'D5: Acciones Correctivas Permanentes',
+            D6: 'D6: Implementar y Validar',
+            D7: 'D7: Prevenir la Recurrencia',
+            D8: 'D8: Reconocer al Equipo',
+            attachments: 'Anexo: Evidencias Adjuntas',
+            approval: 'Aprobación y Firmas',
+        },
+    },
+    {
+        id: 'vda',
+        label: 'VDA 8D',
+        description: 'Estructura del informe 8D de la VDA (industria automotriz alemana).',
+        title: 'Informe 8D (VDA)',
+        filePrefix: 'VDA_8D',
+        includeD0: false,
+        headerFields: ['reportNumber', 'customer', 'partNumber', 'plant', 'defectCategory', 'createdAt', 'closedAt', 'status'],
+        fieldLabels: { reportNumber: 'Nº de Reclamación', plant: 'Proveedor / Planta', createdAt: 'Fecha de la Reclamación' },
+        sections: {
+            D0: 'D0: Acciones de Emergencia',
+            D1: 'D1: Equipo de Resolución del Problema',
+            D2: 'D2: Descripción del Problema',
+            D3: 'D3: Acciones de Contención Inmediatas',
+            D4: 'D4: Causa Raíz y Punto de No Detección',
+            D5: 'D5: Acciones Correctivas Planificadas y Verificación de su Eficacia',
+            D6: 'D6: Acciones Correctivas Implementadas y Validación',
+            D7: 'D7: Evitar la Repetición',
+            D8: 'D8: Cierre y Reconocimiento del Equipo',
+            attachments: 'Anexos',
+            approval: 'Conformidad del Cliente y del Proveedor',
+        },
+    },
+    {
+        id: 'ford_g8d',
+        label: 'Ford Global 8D',
+        description: 'Global 8D (G8D) con D0 y acciones de respuesta de emergencia.',
+        title: 'Global 8D (G8D)',
+        filePrefix: 'G8D',
+        includeD0: true,
+        headerFields: ['reportNumber', 'customer', 'partNumber', 'plant', 'champion', 'createdAt', 'status'],
+        fieldLabels: { reportNumber: 'Nº de G8D', createdAt: 'Fecha de Apertura' },
+        sections: {
+            D0: 'D0: Preparación y Acciones de Respuesta de Emergencia (ERA)',
+            D1: 'D1: Establecer el Equipo',
+            D2: 'D2: Describir el Problema',
+            D3: 'D3: Desarrollar Acciones de Contención Provisionales (ICA)',
+            D4: 'D4: Diagnosticar la Causa Raíz y el Punto de Escape',
+            D5: 'D5: Elegir y Verificar las Acciones Correctivas Permanentes (PCA)',
+            D6: 'D6: Implementar y Validar las PCA',
+            D7: 'D7: Prevenir la Recurrencia',
+            D8: 'D8: Reconocer las Contribuciones del Equipo',
+            attachments: 'Anexo: Evidencias',
+            approval: 'Aprobación del Champion y del Equipo',
+        },
+    },
+];
+
+export const getOutputFormat = (id) => OUTPUT_FORMATS.find(f => f.id === id) || OUTPUT_FORMATS[0];
+
+// Section keys in document order, with a label for the customer editor.
+export const SECTION_KEYS = [
+    ...DISCIPLINE_IDS.map(key => ({ key, label: key })),
+    { key: 'attachments', label: 'Anexo' },
+    { key: 'approval', label: 'Firmas' },
+];
+
+// --- Customer Profiles ---
+
+const text = (value) => typeof value === 'string' ? value : '';
+const list = (value) => Array.isArray(value) ? value : [];
+
+// Fills in missing fields so profiles saved by older versions still open.
+export const normalizeCustomer = ({ id, ...data }) => ({
+    id,
+    orgId: text(data.orgId),
+    name: text(data.name),
+    formatId: OUTPUT_FORMAT_IDS.includes(data.formatId) ? data.formatId : 'generic',
+    // An image in Storage, stored like an attachment: { id, name, storagePath, url, contentType }.
+    logo: data.logo && typeof data.logo.url === 'string' ? data.logo : null,
+    headerFields: list(data.headerFields).map(f => ({ label: text(f.label), value: text(f.value) })),
+    sectionTitles: Object.fromEntries(SECTION_KEYS.map(({ key }) => [key, text(data.sectionTitles?.[key])]).filter(([, title]) => title)),
+});
+
+// New profiles get their id up front so the logo can be uploaded to their folder before saving.
+export const createCustomer = (orgId, name = '') => ({ ...normalizeCustomer({ id: createId() }), orgId, name });
+
+// Storage folder of a customer's logo, inside its organization's folder.
+export const getCustomerLogoFolder = (appId, customer) => `artifacts/${appId}/customer-logos/${customer.orgId}/${customer.id}`;
+
+// Customers are matched by name, ignoring case and accents ("Ford" = "FORD").
+const customerKey = (name) => tokenize(name).join(' ');
+
+export const findCustomer = (customers, name) => {
+    const key = customerKey(name);
+    return key ? customers.find(c => customerKey(c.name) === key) || null : null;
+};
+
+// --- Layout ---
+// Everything `generatePdf` needs to print a report in its format. Section
+// names come from, in order: the customer's own names (only for the
+// customer's format), the report's renamed disciplines, and the format.
+export const resolveLayout = (report, customers) => {
+    const customer = findCustomer(customers, report.customer);
+    const format = getOutputFormat(report.outputFormat || customer?.formatId);
+    const ownFormat = customer && customer.formatId === format.id;
+    return {
+        format,
+        customer,
+        title: format.title,
+        includeD0: format.includeD0 || hasD0(report),
+        sections: {
+            ...format.sections,
+            ...Object.fromEntries(report.disciplines.filter(isRenamed).map(d => [d.id, `${d.id}: ${d.name.trim()}`])),
+            ...(ownFormat ? customer.sectionTitles : {}),
+        },
+        headerRows: [
+            ...format.headerFields.map(field => [format.fieldLabels[field] || HEADER_FIELDS[field].label, HEADER_FIELDS[field].value(report) || '—']),
+            ...(customer ? customer.headerFields.filter(f => f.label.trim()).map(f => [f.label, f.value || '—']) : []),
+        ],
+        logo: customer?.logo || null,
+        fileName: `${format.filePrefix}_${report.reportNumber || report.id}.pdf`,
+    };
+};
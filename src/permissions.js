@@ -0,0 +1,83 @@
+// --- Roles and Permissions ---
+// Mirrors firestore.rules: the UI hides what the rules would reject anyway.
+// Member, viewer and quality manager are organization roles stored on the
+// membership (see src/organizations.js); champion, team leader and member
+// are granted per report through the D1 team. `profile` is always the
+// profile as seen in the active organization. Supplier contacts hold the
+// `supplier` role in both: they only see and fill in the reports issued to
+// them (see src/supplier.js).
+
+export const ROLES = [
+    { id: 'champion', label: 'Champion' },
+    { id: 'team_leader', label: 'Líder de Equipo' },
+    { id: 'member', label: 'Miembro' },
+    { id: 'viewer', label: 'Observador' },
+    { id: 'quality_manager', label: 'Gerente de Calidad' },
+    { id: 'supplier', label: 'Proveedor' },
+];
+
+// Roles a D1 team member can hold on a single report.
+export const REPORT_ROLE_IDS = ['champion', 'team_leader', 'member', 'viewer', 'supplier'];
+
+// Access a team lead grants by hand; supplier access comes with the supplier request.
+export const TEAM_ACCESS_IDS = REPORT_ROLE_IDS.filter(id => id !== 'supplier');
+
+// Roles in an organization. Invitations set the first one; only a quality
+// manager of the organization can promote someone or restrict them to viewer.
+export const PROFILE_ROLE_IDS = ['member', 'viewer', 'quality_manager', 'supplier'];
+
+export const getRoleLabel = (role) => ROLES.find(r => r.id === role)?.label || role;
+
+const PERMISSIONS = {
+    edit: ['champion', 'team_leader', 'member', 'quality_manager', 'supplier'],
+    manageTeam: ['champion', 'team_leader', 'quality_manager'],
+    // Granting or removing the champion role; a team leader can do neither.
+    manageChampion: ['champion', 'quality_manager'],
+    // Submitting disciplines of a supplier-owned report, and reviewing them.
+    submit: ['supplier'],
+    review: ['champion', 'team_leader', 'quality_manager'],
+    complete: ['champion', 'team_leader', 'quality_manager'],
+    close: ['champion', 'quality_manager'],
+    // Formal approval or rejection of a completed discipline (see src/approvals.js).
+    approve: ['quality_manager'],
+    delete: ['champion', 'quality_manager'],
+};
+
+// The role a user effectively has on a report.
+export const getReportRole = (report, profile) => {
+    if (profile?.role === 'quality_manager') return 'quality_manager';
+    return report?.roles?.[profile?.uid] || 'viewer';
+};
+
+export const can = (action, report, profile) => {
+    if (action === 'create') return Boolean(profile) && profile.role !== 'viewer' && profile.role !== 'supplier';
+    // Team members invite the supplier contacts they issue reports to.
+    if (action === 'inviteSupplier') return Boolean(profile) && ['member', 'quality_manager'].includes(profile.role);
+    if (['manageUsers', 'manageCustomers', 'managePlants', 'manageDefectCategories'].includes(action)) return profile?.role === 'quality_manager';
+    // Templates (passed as `report`) are maintained by their author and quality managers.
+    if (action === 'editTemplate') return profile?.role === 'quality_manager' || (Boolean(profile) && report?.createdBy === profile.uid);
+    return (PERMISSIONS[action] || []).includes(getReportRole(report, profile));
+};
+
+// The rules cannot loop, so they compare the team with `roles` row by row up
+// to this many rows.
+export const MAX_TEAM_SIZE = 15;
+
+// The `roles` map and `members` list are derived from the D1 team so the
+// security rules and queries can check access without reading the team array.
+export const deriveAccess = (team) => {
+    const linked = team.filter(m => m.uid);
+    if (!linked.some(m => m.access === 'champion')) {
+        throw new Error('El equipo debe tener al menos un Champion vinculado a un usuario.');
+    }
+    if (team.length > MAX_TEAM_SIZE) {
+        throw new Error(`El equipo no puede tener más de ${MAX_TEAM_SIZE} miembros.`);
+    }
+    if (linked.some(m => linked.some(other => other.uid === m.uid && other.access !== m.access))) {
+        throw new Error('Un usuario vinculado dos veces debe tener el mismo permiso en ambas filas.');
+    }
+    return {
+        roles: Object.fromEntries(linked.map(m => [m.uid, m.access])),
+        members: [...new Set(linked.map(m => m.uid))],
+    };
+};
@@ -0,0 +1,71 @@
+// --- Presence ---
+// Who has a report open, on which discipline and in which field. Each user
+// keeps one document in the report's `presence` subcollection, refreshed by a
+// heartbeat; entries that stop refreshing (closed tab, lost connection) are
+// treated as gone.
+
+import { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import { collection, doc, setDoc, deleteDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+
+export const HEARTBEAT_MS = 30 * 1000;
+const STALE_AFTER_MS = 2.5 * HEARTBEAT_MS;
+
+const AVATAR_COLORS = ['#6366f1', '#0ea5e9', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#8b5cf6', '#14b8a6'];
+
+export const getAvatarColor = (uid) => AVATAR_COLORS[[...uid].reduce((sum, char) => sum + char.charCodeAt(0), 0) % AVATAR_COLORS.length];
+
+export const getInitials = (name) => (name || '?').split(/\s+/).filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('');
+
+// A pending server timestamp is null on the writing client: it counts as now.
+const isActive = (entry, now) => !entry.updatedAt || now - entry.updatedAt.toMillis() < STALE_AFTER_MS;
+
+// Publishes this user's position and returns everyone else in the report.
+export const usePresence = ({ db, reportPath, profile, discipline, field }) => {
+    const [entries, setEntries] = useState([]);
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!db || !reportPath) return undefined;
+        const unsubscribe = onSnapshot(collection(db, reportPath, 'presence'), (snapshot) => {
+            setEntries(snapshot.docs.map(d => ({ uid: d.id, ...d.data() })));
+        }, () => setEntries([]));
+        return () => unsubscribe();
+    }, [db, reportPath]);
+
+    useEffect(() => {
+        if (!db || !reportPath || !profile) return undefined;
+        const ref = doc(db, reportPath, 'presence', profile.uid);
+        const publish = () => setDoc(ref, { displayName: profile.displayName, discipline, field, updatedAt: serverTimestamp() }).catch(() => {});
+        publish();
+        const interval = setInterval(() => {
+            publish();
+            setNow(Date.now());
+        }, HEARTBEAT_MS);
+        return () => clearInterval(interval);
+    }, [db, reportPath, profile, discipline, field]);
+
+    // Leaving the report removes the entry right away instead of waiting for it to go stale.
+    useEffect(() => {
+        if (!db || !reportPath || !profile) return undefined;
+        return () => { deleteDoc(doc(db, reportPath, 'presence', profile.uid)).catch(() => {}); };
+    }, [db, reportPath, profile]);
+
+    const uid = profile?.uid;
+    return useMemo(() => entries.filter(entry => entry.uid !== uid && isActive(entry, now)), [entries, uid, now]);
+};
+
+// --- Field Editors ---
+// Form fields identify themselves by `name`; the workspace provides which
+// other users are focused on each name.
+
+export const FieldEditorsContext = createContext({});
+
+export const groupByField = (others) => others.reduce((fields, entry) => {
+    if (entry.field) fields[entry.field] = [...(fields[entry.field] || []), entry];
+    return fields;
+}, {});
+
+export const useFieldEditors = (name) => {
+    const fields = useContext(FieldEditorsContext);
+    return (name && fields[name]) || [];
+};
@@ -0,0 +1,64 @@
+// --- D7: Prevention ---
+// What keeps the problem from coming back. The controlled documents the
+// corrective actions change (PFMEA, control plan, work instructions...) are
+// listed with their number, the revision before and after, the responsible
+// and the due date; D7 is complete when every update is closed with its new
+// revision. Lessons learned are carried over to similar products and lines;
+// each lesson and each of those lines is confirmed on its own.
+
+export const DOCUMENT_TYPES = [
+    { id: 'pfmea', label: 'AMEF de proceso (PFMEA)' },
+    { id: 'dfmea', label: 'AMEF de diseño (DFMEA)' },
+    { id: 'control_plan', label: 'Plan de control' },
+    { id: 'work_instruction', label: 'Instrucción de trabajo' },
+    { id: 'training_record', label: 'Registro de formación' },
+    { id: 'gauge_rr', label: 'Estudio R&R' },
+    { id: 'other', label: 'Otro documento' },
+];
+
+export const DOCUMENT_STATUSES = [
+    { id: 'open', label: 'Pendiente', className: 'bg-gray-700 text-gray-300' },
+    { id: 'in_progress', label: 'En revisión', className: 'bg-yellow-900/60 text-yellow-300' },
+    { id: 'closed', label: 'Cerrado', className: 'bg-green-900/60 text-green-300' },
+];
+
+export const getDocumentTypeLabel = (type) => DOCUMENT_TYPES.find(t => t.id === type)?.label || type;
+
+export const getDocumentStatus = (status) => DOCUMENT_STATUSES.find(s => s.id === status) || DOCUMENT_STATUSES[0];
+
+// "Plan de control CP-0042 (rev. C → D)", for lists and notifications.
+export const describeDocument = (document) => {
+    const revision = document.revision_before || document.revision_after
+        ? ` (rev. ${document.revision_before || '—'} → ${document.revision_after || '—'})`
+        : '';
+    return `${document.title || getDocumentTypeLabel(document.type)}${document.number ? ` ${document.number}` : ''}${revision}`;
+};
+
+// Closing records the day; reopening clears it.
+export const setDocumentStatus = (document, status, today) => ({ ...document, status, closedAt: status === 'closed' ? today : '' });
+
+export const isDocumentOverdue = (document, today) => document.status !== 'closed' && document.due_date !== '' && document.due_date < today;
+
+// A closed update needs the revision it produced.
+export const getDocumentProblems = (document) => [
+    ...(document.status === 'closed' && !document.revision_after.trim() ? ['Falta la revisión nueva.'] : []),
+    ...(document.revision_after.trim() && document.revision_after.trim() === document.revision_before.trim() ? ['La revisión nueva es igual a la anterior.'] : []),
+];
+
+// Updates still to finish: not closed, or closed with a problem.
+export const getPendingDocuments = (report) => report.d7_prevention.documents
+    .filter(d => d.status !== 'closed' || getDocumentProblems(d).length > 0);
+
+// The assignment notification reads the document as if it were an action.
+export const toDocumentAssignment = (document) => ({ ...document, action: `Actualizar ${describeDocument(document)}`, date: document.due_date });
+
+// --- Confirmations ---
+// Lessons learned and read-across lines, confirmed by whoever checked them.
+
+export const confirmLine = (item, profile, today) => ({ ...item, confirmed: true, confirmedAt: today, confirmedBy: profile.uid, confirmedByName: profile.displayName || '' });
+
+export const unconfirmLine = (item) => ({ ...item, confirmed: false, confirmedAt: '', confirmedBy: '', confirmedByName: '' });
+
+export const getUnconfirmedLessons = (report) => report.d7_prevention.lessons_learned.filter(lesson => lesson.text.trim() !== '' && !lesson.confirmed);
+
+export const getUnconfirmedReadAcross = (report) => report.d7_prevention.read_across.filter(item => item.target.trim() !== '' && !item.confirmed);
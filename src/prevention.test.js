@@ -0,0 +1,16 @@
+import { describe, expect, it } from 'vitest';
+import { getPendingDocuments } from './prevention';
+import { createDocumentUpdate } from './reportSchema';
+
+const withDocuments = (documents) => ({ d7_prevention: { documents: documents.map(d => ({ ...createDocumentUpdate(), ...d })) } });
+
+describe('getPendingDocuments', () => {
+    it('counts a closed update without its new revision as pending', () => {
+        const report = withDocuments([
+            { id: 'd1', status: 'closed', revision_before: 'C', revision_after: 'D' },
+            { id: 'd2', status: 'closed', revision_before: 'C', revision_after: '' },
+            { id: 'd3', status: 'in_progress', revision_before: 'C', revision_after: 'D' },
+        ]);
+        expect(getPendingDocuments(report).map(d => d.id)).toEqual(['d2', 'd3']);
+    });
+});
@@ -0,0 +1,127 @@
+// --- D2: Problem Description ---
+// Besides the 5W2H answers, D2 pins the problem down with an IS / IS NOT
+// table (Kepner-Tregoe): for each dimension, where the defect shows up and
+// where it could but does not. It also records what identifies the
+// nonconformity (complaint reference, lots) and its impact: quantities
+// affected and inspected and the cost of poor quality. The part number,
+// severity and defect category are report-level fields, shared with the
+// dashboard filters and the analytics.
+
+export const W2H_QUESTIONS = [
+    { key: 'what', label: '¿Qué está mal?' },
+    { key: 'where', label: '¿Dónde se observa?' },
+    { key: 'when', label: '¿Cuándo ocurre?' },
+    { key: 'who', label: '¿A quién afecta?' },
+    { key: 'why', label: '¿Por qué es un problema?' },
+    { key: 'how', label: '¿Cómo ocurre?' },
+    { key: 'how_many', label: '¿Cuántas unidades/instancias están afectadas?' },
+];
+
+export const IS_IS_NOT_DIMENSIONS = [
+    { id: 'what', label: 'Qué', is: 'Qué pieza y qué defecto', isNot: 'Qué piezas o defectos parecidos no aparecen' },
+    { id: 'where', label: 'Dónde', is: 'Dónde se detecta (línea, estación, en la pieza)', isNot: 'Dónde podría aparecer y no aparece' },
+    { id: 'when', label: 'Cuándo', is: 'Cuándo se vio por primera vez, turnos, lotes', isNot: 'Cuándo podría haber ocurrido y no ocurrió' },
+    { id: 'extent', label: 'Cuánto', is: 'Cuántas piezas, qué proporción, tendencia', isNot: 'Cuánto podría ser y no es' },
+];
+
+export const CURRENCIES = [
+    { id: 'EUR', label: 'EUR (€)' },
+    { id: 'USD', label: 'USD (US$)' },
+    { id: 'MXN', label: 'MXN (MX$)' },
+];
+
+// --- Numbers ---
+
+// Digits grouped by thousands with dots or spaces: "1.500", "12 000 000".
+const THOUSANDS = /^[1-9]\d{0,2}([. ]\d{3})+$/;
+
+// The typed number in JavaScript notation, or null when it could be read two
+// ways. Spanish notation comes first: the comma is the decimal separator and
+// dots or spaces group thousands ("1.500,25"). A single dot is a decimal
+// point ("1.5", "0.125") unless it is followed by exactly three digits:
+// "1.500" is 1500 for a whole number and ambiguous otherwise.
+const toNumberText = (text, integer) => {
+    const [, sign, body] = text.replace(/[\u00a0\u202f]/g, ' ').match(/^([-+]?)(.*)$/);
+    const comma = body.lastIndexOf(',');
+    if (comma !== -1) {
+        const whole = body.slice(0, comma);
+        return /^\d*$/.test(whole) || THOUSANDS.test(whole) ? `${sign}${whole.replace(/[. ]/g, '')}.${body.slice(comma + 1)}` : text;
+    }
+    if (/^[1-9]\d{0,2}\.\d{3}$/.test(body)) return integer ? `${sign}${body.replace('.', '')}` : null;
+    if (THOUSANDS.test(body)) return `${sign}${body.replace(/[. ]/g, '')}`;
+    return text;
+};
+
+// Reads a typed quantity. Empty is allowed (null); anything else has to be
+// a number, non-negative unless `signed` and whole when `integer`.
+export const parseQuantity = (text, { integer = false, signed = false } = {}) => {
+    const trimmed = text.trim();
+    if (trimmed === '') return { value: null, error: '' };
+    const numberText = toNumberText(trimmed, integer);
+    if (numberText === null) {
+        return { value: null, error: `¿${trimmed.replace('.', '')} o ${trimmed.replace('.', ',')}? Escríbelo sin punto de miles o con coma decimal.` };
+    }
+    const value = Number(numberText);
+    if (!Number.isFinite(value)) return { value: null, error: 'Escribe un número.' };
+    if (value < 0 && !signed) return { value: null, error: 'No puede ser negativo.' };
+    if (integer && !Number.isInteger(value)) return { value: null, error: 'Tiene que ser un número entero.' };
+    return { value, error: '' };
+};
+
+// Share of the inspected parts that were affected, or null when unknown.
+export const getDefectRate = (problem) => problem.quantity_affected !== null && problem.quantity_inspected
+    ? problem.quantity_affected / problem.quantity_inspected
+    : null;
+
+// Problems between fields, shown next to them; they do not block saving.
+export const getQuantityWarnings = (problem) => [
+    ...(problem.quantity_affected !== null && problem.quantity_inspected !== null && problem.quantity_affected > problem.quantity_inspected
+        ? ['Hay más piezas afectadas que inspeccionadas.']
+        : []),
+];
+
+export const formatCount = (value) => (value === null ? '' : value.toLocaleString('es'));
+
+export const formatDefectRate = (rate) => {
+    if (rate === null) return '';
+    const ppm = Math.round(rate * 1e6);
+    return `${(rate * 100).toLocaleString('es', { maximumFractionDigits: 2 })} % (${ppm.toLocaleString('es')} ppm)`;
+};
+
+// The currency code rather than its symbol: the PDF fonts lack "€".
+export const formatCost = (amount, currency) => (amount === null
+    ? ''
+    : amount.toLocaleString('es', { style: 'currency', currency, currencyDisplay: 'code', maximumFractionDigits: 2 }));
+
+// --- Lots ---
+
+// Lot numbers typed as a list separated by commas, semicolons or lines.
+export const parseLotNumbers = (text) => [...new Set(text.split(/[,;\n]/).map(lot => lot.trim()).filter(Boolean))];
+
+export const formatLotNumbers = (lots) => lots.join(', ');
+
+// --- Summary ---
+
+// Label/value pairs of what is filled in, for the PDF and exports.
+export const describeIdentification = (report) => [
+    ['Referencia de reclamación', report.d2_problem.complaint_reference],
+    ['Nº de parte', report.partNumber],
+    ['Lotes', formatLotNumbers(report.d2_problem.lot_numbers)],
+    ['Categoría de defecto', report.defectCategory],
+].filter(([, value]) => value);
+
+export const describeImpact = (report, severityLabel) => {
+    const problem = report.d2_problem;
+    return [
+        ['Severidad', severityLabel],
+        ['Cantidad afectada', formatCount(problem.quantity_affected)],
+        ['Cantidad inspeccionada', formatCount(problem.quantity_inspected)],
+        ['Tasa de defecto', formatDefectRate(getDefectRate(problem))],
+        ['Coste de la no calidad', formatCost(problem.cost_of_poor_quality, problem.currency)],
+    ].filter(([, value]) => value);
+};
+
+export const hasIsIsNot = (problem) => IS_IS_NOT_DIMENSIONS.some(d => problem.is_is_not[d.id].is.trim() || problem.is_is_not[d.id].is_not.trim());
+
+// Every dimension says both what the problem is and what it is not.
+export const isIsIsNotComplete = (problem) => IS_IS_NOT_DIMENSIONS.every(d => problem.is_is_not[d.id].is.trim() && problem.is_is_not[d.id].is_not.trim());
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { parseQuantity } from './problemDescription';
+
+describe('parseQuantity', () => {
+    it('reads the comma as the decimal separator', () => {
+        expect(parseQuantity('1,5').value).toBe(1.5);
+        expect(parseQuantity('1.500,25').value).toBe(1500.25);
+        expect(parseQuantity('-0,75', { signed: true }).value).toBe(-0.75);
+    });
+
+    it('reads dots and spaces between groups of three digits as thousands', () => {
+        expect(parseQuantity('1.500.000').value).toBe(1500000);
+        expect(parseQuantity('12 000').value).toBe(12000);
+        expect(parseQuantity('1.500', { integer: true }).value).toBe(1500);
+    });
+
+    it('reads any other dot as a decimal point', () => {
+        expect(parseQuantity('1.5').value).toBe(1.5);
+        expect(parseQuantity('0.125').value).toBe(0.125);
+        expect(parseQuantity('12.75').value).toBe(12.75);
+    });
+
+    it('rejects a dot that could be either', () => {
+        expect(parseQuantity('1.500')).toEqual({ value: null, error: '¿1500 o 1,500? Escríbelo sin punto de miles o con coma decimal.' });
+    });
+
+    it('rejects text that is not a number', () => {
+        expect(parseQuantity('1,500,000').error).toBe('Escribe un número.');
+        expect(parseQuantity('1,5', { integer: true }).error).toBe('Tiene que ser un número entero.');
+    });
+});
@@ -0,0 +1,181 @@
+// --- Recurrence ---
+// Whether a problem has happened before. While D2 is being filled in, the
+// reports the user can read that share the part number, defect category or
+// customer, or words of the problem description, are fetched and scored on
+// the client; the best ones are suggested with their verified root causes
+// and corrective actions. Linking one records the relation on both reports
+// (`recurrenceLinks`): the later report is a recurrence of the earlier one.
+
+import { useEffect, useState } from 'react';
+import { doc, getDoc } from 'firebase/firestore';
+import { normalizeReport, tokenize, validateUpdate } from './reportSchema';
+import { buildSimilarReportsQueries, getDocsOfQueries } from './reportQuery';
+import { getRootCauses } from './fishbone';
+import { getWhyRootCauses } from './whyTree';
+import { writeWithHistory } from './history';
+
+export const RECURRENCE_RELATIONS = [
+    { id: 'recurrence_of', label: 'Recurrencia de' },
+    { id: 'recurred_in', label: 'Se repitió en' },
+];
+
+export const getRecurrenceRelationLabel = (relation) => RECURRENCE_RELATIONS.find(r => r.id === relation)?.label || relation;
+
+const MAX_SUGGESTIONS = 5;
+const MIN_SCORE = 0.3;
+// Words looked up on the server; the longest are usually the most telling.
+const QUERY_WORDS = 3;
+const SEARCH_DELAY_MS = 1000;
+
+// --- Similarity ---
+
+const STOP_WORDS = new Set([
+    'que', 'los', 'las', 'del', 'con', 'por', 'para', 'una', 'uno', 'unos', 'unas', 'sin', 'sobre', 'entre',
+    'como', 'cuando', 'donde', 'pero', 'mas', 'muy', 'son', 'esta', 'este', 'estan', 'hay', 'fue', 'ser', 'tiene',
+    'the', 'and', 'for', 'with',
+]);
+
+const normalizeKey = (value) => tokenize(value).join(' ');
+
+// The words of the problem description (5W2H and the IS column) and of the
+// root causes found in D4, without short and common words.
+export const getProblemWords = (report) => {
+    const problem = report.d2_problem;
+    const texts = [
+        problem.what, problem.where, problem.when, problem.how, problem.why,
+        ...Object.values(problem.is_is_not).map(row => row.is),
+        ...getRootCauses(report.d4_root_cause.fishbone).map(c => c.text),
+        ...getWhyRootCauses(report.d4_root_cause.why_tree).map(n => n.text),
+    ];
+    return [...new Set(texts.flatMap(tokenize).filter(word => word.length > 2 && !STOP_WORDS.has(word)))];
+};
+
+const overlap = (words, otherWords) => {
+    if (words.length === 0 || otherWords.length === 0) return 0;
+    const others = new Set(otherWords);
+    const shared = words.filter(w => others.has(w)).length;
+    return shared / new Set([...words, ...otherWords]).size;
+};
+
+// A score from 0 to 1 and the reasons behind it.
+export const scoreSimilarity = (report, other) => {
+    const reasons = [];
+    let score = 0;
+    const same = (field) => normalizeKey(report[field]) !== '' && normalizeKey(report[field]) === normalizeKey(other[field]);
+    if (same('partNumber')) { score += 0.4; reasons.push('Mismo nº de parte'); }
+    if (same('defectCategory')) { score += 0.25; reasons.push('Misma categoría de defecto'); }
+    if (same('customer')) { score += 0.1; reasons.push('Mismo cliente'); }
+    const text = overlap(getProblemWords(report), getProblemWords(other));
+    if (text >= 0.1) reasons.push(`Descripción parecida (${Math.round(text * 100)} %)`);
+    score += Math.min(text * 1.5, 0.5);
+    return { score: Math.min(score, 1), reasons };
+};
+
+export const isLinked = (report, otherId) => report.recurrenceLinks.some(l => l.reportId === otherId);
+
+// [{ report, score, reasons }], best first; linked reports are not suggested again.
+export const findSimilarReports = (report, candidates) => candidates
+    .filter(c => c.id !== report.id && !c.deleted && !isLinked(report, c.id))
+    .map(c => ({ report: c, ...scoreSimilarity(report, c) }))
+    .filter(s => s.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS);
+
+// What a similar report found, to reuse it: verified root causes and the
+// corrective actions with their status.
+export const getVerifiedRootCauses = (report) => [
+    ...getRootCauses(report.d4_root_cause.fishbone).filter(c => c.status === 'verified').map(c => c.text),
+    ...getWhyRootCauses(report.d4_root_cause.why_tree).map(n => n.text),
+].filter(text => text.trim() !== '');
+
+export const getCorrectiveActions = (report) => report.d5_corrective_actions.filter(a => a.action.trim() !== '');
+
+// --- Search ---
+
+const getSearchCriteria = (report) => ({
+    fields: { partNumber: report.partNumber.trim(), defectCategory: report.defectCategory.trim(), customer: report.customer.trim() },
+    words: [...getProblemWords(report)].sort((a, b) => b.length - a.length).slice(0, QUERY_WORDS),
+});
+
+// Suggestions for `report` (null while it loads), searched again a moment
+// after what identifies the problem changes. `scope` comes from `getReportScope`.
+export const useSimilarReports = ({ db, collectionPath, report, scope, enabled }) => {
+    const [state, setState] = useState({ suggestions: [], isLoading: false, error: '' });
+    const criteriaKey = report ? JSON.stringify(getSearchCriteria(report)) : '';
+    const linksKey = report ? report.recurrenceLinks.map(l => l.reportId).join(',') : '';
+
+    // `report` is only read to score; the search runs again when the criteria or the links change.
+    useEffect(() => {
+        const criteria = criteriaKey ? JSON.parse(criteriaKey) : null;
+        const hasCriteria = criteria && (Object.values(criteria.fields).some(Boolean) || criteria.words.length > 0);
+        if (!db || !scope || !enabled || !hasCriteria) {
+            setState({ suggestions: [], isLoading: false, error: '' });
+            return undefined;
+        }
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            setState(current => ({ ...current, isLoading: true }));
+            try {
+                const docs = await getDocsOfQueries(buildSimilarReportsQueries(db, collectionPath, criteria, scope));
+                const candidates = docs.map(d => normalizeReport({ id: d.id, ...d.data() }).report);
+                if (!cancelled) setState({ suggestions: findSimilarReports(report, candidates), isLoading: false, error: '' });
+            } catch (error) {
+                if (!cancelled) setState({ suggestions: [], isLoading: false, error: error.message });
+            }
+        }, SEARCH_DELAY_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [db, collectionPath, scope, enabled, criteriaKey, linksKey]);
+
+    return state;
+};
+
+// --- Links ---
+
+// A report still being created has no server time yet: it is the latest.
+const toMillis = (value) => {
+    if (value?.toMillis) return value.toMillis();
+    return value ? new Date(value).getTime() : Date.now();
+};
+
+// The link to store on each report; the one created later is the recurrence.
+export const createRecurrenceLinks = (report, other, author, now = new Date()) => {
+    const isLater = toMillis(report.createdAt) >= toMillis(other.createdAt);
+    const base = { linkedAt: now.toISOString(), linkedBy: author.uid, linkedByName: author.displayName || '' };
+    return {
+        own: { ...base, reportId: other.id, title: other.title, relation: isLater ? 'recurrence_of' : 'recurred_in' },
+        other: { ...base, reportId: report.id, title: report.title, relation: isLater ? 'recurred_in' : 'recurrence_of' },
+    };
+};
+
+export const addRecurrenceLink = (links, link) => [...links.filter(l => l.reportId !== link.reportId), link];
+
+export const removeRecurrenceLink = (links, reportId) => links.filter(l => l.reportId !== reportId);
+
+// Later reports of the same problem.
+export const countRecurrences = (report) => report.recurrenceLinks.filter(l => l.relation === 'recurred_in').length;
+
+export const isRecurrence = (report) => report.recurrenceLinks.some(l => l.relation === 'recurrence_of');
+
+// Short summary for the dashboard cards, e.g. "Recurrente · Repetido 2 veces".
+export const describeRecurrence = (report) => {
+    const count = countRecurrences(report);
+    return [
+        isRecurrence(report) ? 'Recurrente' : '',
+        count > 0 ? `Repetido ${count} ${count === 1 ? 'vez' : 'veces'}` : '',
+    ].filter(Boolean).join(' · ');
+};
+
+// Applies `change(links)` to the links of another report, read fresh so
+// concurrent links are kept. A report that no longer exists is skipped.
+export const updateLinkedReport = async (db, collectionPath, reportId, change, author) => {
+    const path = `${collectionPath}/${reportId}`;
+    const snapshot = await getDoc(doc(db, path));
+    if (!snapshot.exists()) return;
+    const { report } = normalizeReport({ id: snapshot.id, ...snapshot.data() });
+    const links = change(report.recurrenceLinks);
+    validateUpdate('recurrenceLinks', links);
+    await writeWithHistory(db, path, report, { recurrenceLinks: links }, author);
+};
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { createRecurrenceLinks, findSimilarReports, getProblemWords, scoreSimilarity } from './recurrence';
+import { createReport } from './reportSchema';
+
+const report = (id, fields = {}, what = '') => {
+    const base = createReport({ title: id, userId: 'u1', userName: 'Ana' });
+    return { ...base, id, ...fields, d2_problem: { ...base.d2_problem, what } };
+};
+
+describe('scoreSimilarity', () => {
+    it('adds up what the reports share', () => {
+        const a = report('a', { partNumber: '4521-AB', defectCategory: 'Fuga', customer: 'Seat' });
+        expect(scoreSimilarity(a, report('b', { partNumber: '4521-ab', defectCategory: 'fuga', customer: 'Otro' }))).toEqual({
+            score: 0.65,
+            reasons: ['Mismo nº de parte', 'Misma categoría de defecto'],
+        });
+    });
+
+    it('scores the words of the problem description without common words', () => {
+        const a = report('a', {}, 'Fuga de aceite en la junta tórica');
+        expect(getProblemWords(a)).toEqual(['fuga', 'aceite', 'junta', 'torica']);
+        const { score, reasons } = scoreSimilarity(a, report('b', {}, 'Fuga de aceite por la junta tórica'));
+        expect(score).toBe(0.5);
+        expect(reasons).toEqual(['Descripción parecida (100 %)']);
+    });
+
+    it('does not match empty fields', () => {
+        expect(scoreSimilarity(report('a'), report('b')).score).toBe(0);
+    });
+});
+
+describe('findSimilarReports', () => {
+    const a = report('a', { partNumber: '4521-AB', defectCategory: 'Fuga' });
+
+    it('suggests the closest reports first and leaves out weak matches', () => {
+        const candidates = [
+            report('customer', { customer: a.customer }),
+            report('part', { partNumber: '4521-AB' }),
+            report('both', { partNumber: '4521-AB', defectCategory: 'Fuga' }),
+        ];
+        expect(findSimilarReports(a, candidates).map(s => s.report.id)).toEqual(['both', 'part']);
+    });
+
+    it('leaves out the report itself, deleted reports and linked reports', () => {
+        const linked = { ...a, recurrenceLinks: [{ reportId: 'c', relation: 'recurrence_of' }] };
+        const candidates = [a, report('b', { partNumber: '4521-AB', deleted: true }), report('c', { partNumber: '4521-AB' })];
+        expect(findSimilarReports(linked, candidates)).toEqual([]);
+    });
+});
+
+describe('createRecurrenceLinks', () => {
+    it('makes the later report the recurrence of the earlier one', () => {
+        const earlier = report('a', { createdAt: '2026-01-10T08:00:00.000Z' });
+        const later = report('b', { createdAt: '2026-10-01T08:00:00.000Z' });
+        const links = createRecurrenceLinks(earlier, later, { uid: 'u1', displayName: 'Ana' }, new Date('2026-10-19T08:00:00.000Z'));
+        expect(links.own).toMatchObject({ reportId: 'b', relation: 'recurred_in', linkedAt: '2026-10-19T08:00:00.000Z' });
+        expect(links.other).toMatchObject({ reportId: 'a', relation: 'recurrence_of' });
+    });
+});
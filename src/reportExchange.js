@@ -0,0 +1,449 @@
+// --- Report Exchange: JSON, XLSX and CSV ---
+// Export of reports for ERPs and customer portals, and import of reports
+// from our own JSON or from legacy Excel workbooks.
+//
+// JSON format "plataforma-8d/informes", version 1:
+//
+//   {
+//     "format": "plataforma-8d/informes",
+//     "version": 1,
+//     "exportedAt": "2026-10-19T08:30:00.000Z",
+//     "schemaVersion": 22,
+//     "reports": [{ "id": "abc123", "title": "...", "createdAt": "2026-01-31T10:00:00.000Z", ... }]
+//   }
+//
+// Each report holds the fields of src/reportSchema.js as of `schemaVersion`
+// (older versions are migrated when imported), with `createdAt` as an ISO
+// date. The derived fields `searchTokens`, `roles` and `members` are left
+// out; they are rebuilt on import.
+//
+// Spreadsheets have one sheet per discipline, linked by the "ID Informe"
+// column. The first sheet, "Informes", has one row per report with the same
+// column names the Excel import recognizes, so it can be imported again.
+
+import { DISCIPLINE_IDS, SCHEMA_VERSION, buildSearchTokens, createAction, createCorrectiveAction, createId, createReport, createTeamMember, normalizeReport, toDocument, tokenize } from './reportSchema';
+import { deriveAccess, getRoleLabel } from './permissions';
+import { REPORT_STATUSES, SEVERITIES, getSeverity, getStatusLabel } from './workflow';
+import { ACTION_FIELDS, getActionStatusLabel } from './actions';
+import { getD0DecisionLabel, getDisciplineIds, hasD0 } from './disciplines';
+import { getCategoryName, getCauseStatus, getRootCauses } from './fishbone';
+import { WHY_CHAINS, flattenChain } from './whyTree';
+import { getVisibilityLabel } from './organizations';
+import { IS_IS_NOT_DIMENSIONS, formatLotNumbers } from './problemDescription';
+import { getDocumentStatus, getDocumentTypeLabel } from './prevention';
+import { evaluateCheck, formatChange, formatMetricValue, getChartMeasurements, getCheckStatus, getEffectivenessKindLabel, getMeasurementPhaseLabel } from './effectiveness';
+
+export const EXCHANGE_FORMAT = 'plataforma-8d/informes';
+export const EXCHANGE_VERSION = 1;
+
+// SheetJS, loaded with `loadScript` the first time a spreadsheet is used.
+export const SHEETJS_URL = 'https://cdn.sheetjs.com/xlsx-0.20.2/package/dist/xlsx.full.min.js';
+
+const DERIVED_FIELDS = ['searchTokens', 'roles', 'members'];
+
+const toIsoDate = (value) => {
+    if (!value) return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// --- JSON Export ---
+
+export const toExchangeJson = (reports) => JSON.stringify({
+    format: EXCHANGE_FORMAT,
+    version: EXCHANGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    schemaVersion: SCHEMA_VERSION,
+    reports: reports.map(report => ({
+        ...Object.fromEntries(Object.entries(report).filter(([key]) => !DERIVED_FIELDS.includes(key))),
+        createdAt: toIsoDate(report.createdAt),
+    })),
+}, null, 2);
+
+// --- Spreadsheet Export ---
+
+const D2_LABELS = {
+    what: '¿Qué?', where: '¿Dónde?', when: '¿Cuándo?', who: '¿Quién?',
+    why: '¿Por qué?', how: '¿Cómo?', how_many: '¿Cuántos?',
+};
+
+const joinLines = (values) => values.filter(Boolean).join('\n');
+
+const actionSheetRow = (report, a) => ({
+    'ID Informe': report.id,
+    'Acción': a.action,
+    'Responsable': a.responsible,
+    'Fecha': a.date,
+    'Estado': getActionStatusLabel(a.status),
+    'Evidencia': a.evidence,
+    'Implementada': a.implementedAt,
+    'Verificada': a.verifiedAt,
+});
+
+// Column names of the "Informes" sheet; also the names the Excel import recognizes.
+const summaryRow = (report) => {
+    const fishbone = report.d4_root_cause.fishbone;
+    return {
+        'ID Informe': report.id,
+        'Título': report.title,
+        'Cliente': report.customer,
+        'Nº de Parte': report.partNumber,
+        'Planta': report.plant,
+        'Visibilidad': getVisibilityLabel(report.visibility),
+        'Categoría de Defecto': report.defectCategory,
+        'Severidad': getSeverity(report.severity)?.label || '',
+        'Estado': getStatusLabel(report.status),
+        'Disciplina Actual': report.currentDiscipline,
+        'Fecha de Creación': toIsoDate(report.createdAt)?.slice(0, 10) || '',
+        'Fecha de Cierre': report.closedAt.slice(0, 10),
+        'Equipo': joinLines(report.d1_team.map(m => m.name)),
+        ...Object.fromEntries(Object.entries(D2_LABELS).map(([key, label]) => [label, report.d2_problem[key]])),
+        'Acciones de Contención': joinLines(report.d3_containment.map(a => a.action)),
+        'Causas Raíz': joinLines(getRootCauses(fishbone).map(c => c.text)),
+        'Acciones Correctivas': joinLines(report.d5_corrective_actions.map(a => a.action)),
+        'Resumen de la Implementación': report.d6_implementation.summary,
+        'Resultados de la Validación': report.d6_implementation.validation_results,
+        'Documentos Actualizados': report.d7_prevention.updated_docs,
+        'Nuevos Estándares': report.d7_prevention.new_standards,
+        'Resumen del Reconocimiento': report.d8_recognition.summary,
+    };
+};
+
+// [{ name, rows }], one sheet per discipline; rows are objects keyed by column name.
+export const buildSheets = (reports) => [
+    { name: 'Informes', rows: reports.map(summaryRow) },
+    {
+        name: 'D0 Emergencia',
+        rows: reports.filter(hasD0).map(r => ({
+            'ID Informe': r.id,
+            'Síntoma': r.d0_emergency.symptom,
+            'Acciones de Emergencia': joinLines(r.d0_emergency_actions.map(a => a.action)),
+            'Decisión': getD0DecisionLabel(r.d0_emergency.decision),
+            'Motivo': r.d0_emergency.decision_reason,
+        })),
+    },
+    { name: 'D1 Equipo', rows: reports.flatMap(r => r.d1_team.map(m => ({ 'ID Informe': r.id, 'Nombre': m.name, 'Rol': m.role, 'Acceso': getRoleLabel(m.access) }))) },
+    {
+        name: 'D2 Problema',
+        rows: reports.map(r => ({
+            'ID Informe': r.id,
+            'Referencia de Reclamación': r.d2_problem.complaint_reference,
+            'Lotes': formatLotNumbers(r.d2_problem.lot_numbers),
+            'Cantidad Afectada': r.d2_problem.quantity_affected ?? '',
+            'Cantidad Inspeccionada': r.d2_problem.quantity_inspected ?? '',
+            'Coste de la No Calidad': r.d2_problem.cost_of_poor_quality ?? '',
+            'Moneda': r.d2_problem.currency,
+            ...Object.fromEntries(IS_IS_NOT_DIMENSIONS.flatMap(d => [
+                [`${d.label} - ES`, r.d2_problem.is_is_not[d.id].is],
+                [`${d.label} - NO ES`, r.d2_problem.is_is_not[d.id].is_not],
+            ])),
+            ...Object.fromEntries(Object.entries(D2_LABELS).map(([key, label]) => [label, r.d2_problem[key]])),
+        })),
+    },
+    { name: 'D3 Contención', rows: reports.flatMap(r => r.d3_containment.map(a => actionSheetRow(r, a))) },
+    {
+        name: 'D4 Ishikawa',
+        rows: reports.flatMap(r => r.d4_root_cause.fishbone.causes.map(c => ({
+            'ID Informe': r.id,
+            'Categoría': getCategoryName(r.d4_root_cause.fishbone, c.categoryId),
+            'Causa': c.text,
+            'Estado': getCauseStatus(c.status).label,
+            'Causa Raíz': c.isRootCause ? 'Sí' : 'No',
+        }))),
+    },
+    {
+        name: 'D4 Porqués',
+        rows: reports.flatMap(r => WHY_CHAINS.flatMap(chain => flattenChain(r.d4_root_cause.why_tree, chain.id).map(({ node, number }) => ({
+            'ID Informe': r.id,
+            'Cadena': chain.label,
+            'Nº': number,
+            'Porqué': node.text,
+            'Causa Raíz': node.isRootCause ? 'Sí' : 'No',
+        })))),
+    },
+    {
+        name: 'D5 Correctivas',
+        rows: reports.flatMap(r => r.d5_corrective_actions.map(a => ({
+            ...actionSheetRow(r, a),
+            'Causas Raíz': joinLines(a.rootCauseIds.map(id => r.d4_root_cause.fishbone.causes.find(c => c.id === id)?.text)),
+        }))),
+    },
+    { name: 'D6 Implementación', rows: reports.map(r => ({ 'ID Informe': r.id, 'Resumen': r.d6_implementation.summary, 'Resultados de la Validación': r.d6_implementation.validation_results })) },
+    {
+        name: 'D6 Eficacia',
+        rows: reports.flatMap(r => r.d6_implementation.effectiveness_checks.map(c => {
+            const result = evaluateCheck(c);
+            return {
+                'ID Informe': r.id,
+                'Acción Correctiva': r.d5_corrective_actions.find(a => a.id === c.actionId)?.action || '',
+                'Métrica': c.metric,
+                'Tipo': getEffectivenessKindLabel(c.kind),
+                'Línea Base': formatMetricValue(c, result.baseline),
+                'Objetivo': formatMetricValue(c, c.target),
+                'Después': formatMetricValue(c, result.after),
+                'Cambio': formatChange(result.change),
+                'Resultado': getCheckStatus(result.status).label,
+                'Mediciones': joinLines(getChartMeasurements(c).map(m => `${m.date} ${getMeasurementPhaseLabel(m.phase)}: ${formatMetricValue(c, m.plotted)}`)),
+            };
+        })),
+    },
+    {
+        name: 'D7 Prevención',
+        rows: reports.map(r => ({
+            'ID Informe': r.id,
+            'Documentos Actualizados': r.d7_prevention.updated_docs,
+            'Nuevos Estándares': r.d7_prevention.new_standards,
+            'Lecciones Aprendidas': joinLines(r.d7_prevention.lessons_learned.map(l => `${l.confirmed ? '[x]' : '[ ]'} ${l.text}`)),
+            'Extensión a Productos y Líneas': joinLines(r.d7_prevention.read_across.map(item => `${item.confirmed ? '[x]' : '[ ]'} ${item.target}: ${item.action}`)),
+        })),
+    },
+    {
+        name: 'D7 Documentos',
+        rows: reports.flatMap(r => r.d7_prevention.documents.map(d => ({
+            'ID Informe': r.id,
+            'Tipo': getDocumentTypeLabel(d.type),
+            'Documento': d.title,
+            'Nº de Documento': d.number,
+            'Revisión Anterior': d.revision_before,
+            'Revisión Nueva': d.revision_after,
+            'Responsable': d.responsible,
+            'Fecha Límite': d.due_date,
+            'Estado': getDocumentStatus(d.status).label,
+            'Fecha de Cierre': d.closedAt,
+        }))),
+    },
+    { name: 'D8 Reconocimiento', rows: reports.map(r => ({ 'ID Informe': r.id, 'Resumen': r.d8_recognition.summary, 'Fecha de Celebración': r.d8_recognition.celebration_date })) },
+];
+
+// Builds a workbook with SheetJS (`window.XLSX`).
+export const buildWorkbook = (XLSX, reports) => {
+    const workbook = XLSX.utils.book_new();
+    buildSheets(reports).forEach(({ name, rows }) => {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), name);
+    });
+    return workbook;
+};
+
+// --- Import ---
+// Every source is turned into preview rows: { key, label, report, errors,
+// duplicateOf, include }. `report` is a complete document ready to write.
+
+// A supplier request does not travel with the report: the contact's account
+// link is dropped. Approvals were given in the source organization.
+const IMPORT_DEFAULTS = {
+    deleted: false,
+    deletedAt: '',
+    deletedBy: '',
+    supplierRequest: { company: '', contactUid: '', contactName: '', issuedAt: '', issuedBy: '', issuedByName: '', deadlines: {} },
+    supplierLog: [],
+    supplierStatus: {},
+    approvals: {},
+    // Links point at reports of the source workspace.
+    recurrenceLinks: [],
+};
+
+// The importer becomes the champion; other members keep name and role but
+// lose their account link, so an imported file cannot grant access. The
+// report joins the importer's organization; its plant is looked up by name
+// when it is written.
+export const prepareForImport = (report, user) => {
+    const creator = { ...createTeamMember(), name: user.displayName, role: 'Líder', uid: user.uid, access: 'champion' };
+    const team = [creator, ...report.d1_team.map(m => ({ ...m, uid: '', access: m.access === 'champion' ? 'member' : m.access }))];
+    // Attachment files belong to the storage folder of the source report;
+    // actions and D7 documents keep the responsible's name but not their account.
+    const withoutFiles = (actions) => actions.map(a => ({ ...a, responsibleUid: '', attachments: [] }));
+    const prepared = {
+        ...report,
+        ...IMPORT_DEFAULTS,
+        orgId: user.orgId,
+        plantId: '',
+        createdBy: user.uid,
+        createdByName: user.displayName,
+        d1_team: team,
+        ...deriveAccess(team),
+        ...Object.fromEntries(ACTION_FIELDS.map(({ field }) => [field, withoutFiles(report[field])])),
+        d7_prevention: { ...report.d7_prevention, documents: report.d7_prevention.documents.map(d => ({ ...d, responsibleUid: '' })) },
+        attachments: Object.fromEntries(DISCIPLINE_IDS.map(d => [d, []])),
+    };
+    return { ...prepared, searchTokens: buildSearchTokens(prepared) };
+};
+
+export const parseExchangeJson = (text, user) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`El archivo no es un JSON válido: ${error.message}`);
+    }
+    if (data?.format !== EXCHANGE_FORMAT || !Array.isArray(data.reports)) {
+        throw new Error(`El archivo no tiene el formato "${EXCHANGE_FORMAT}".`);
+    }
+    if (data.version > EXCHANGE_VERSION) {
+        throw new Error(`El archivo usa la versión ${data.version} del formato, más reciente que esta aplicación.`);
+    }
+    return data.reports.map((raw, index) => {
+        const label = `Informe ${index + 1}`;
+        try {
+            const createdAt = raw.createdAt ? new Date(raw.createdAt) : null;
+            // Derived fields are not exported; empty ones keep validation quiet until prepareForImport rebuilds them.
+            const { report, errors } = normalizeReport({ searchTokens: [], roles: {}, members: [], ...raw, createdAt: createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt : null });
+            return { key: label, label, sourceId: report.id, report: prepareForImport(toDocument(report), user), errors: errors.map(String) };
+        } catch (error) {
+            return { key: label, label, sourceId: raw?.id, report: null, errors: [error.message] };
+        }
+    });
+};
+
+// --- Excel Column Mapping ---
+// Targets a legacy workbook column can be mapped to. `aliases` are matched
+// against the normalized header to propose a mapping.
+export const EXCEL_FIELDS = [
+    { key: 'title', label: 'Título', required: true, aliases: ['titulo', 'title', 'asunto', 'problema'] },
+    { key: 'customer', label: 'Cliente', aliases: ['cliente', 'customer'] },
+    { key: 'partNumber', label: 'Nº de Parte', aliases: ['de parte', 'no de parte', 'numero de parte', 'part number', 'pieza', 'referencia'] },
+    { key: 'plant', label: 'Planta', aliases: ['planta', 'plant', 'sitio'] },
+    { key: 'defectCategory', label: 'Categoría de Defecto', aliases: ['categoria de defecto', 'defecto', 'defect category'] },
+    { key: 'severity', label: 'Severidad', aliases: ['severidad', 'severity', 'gravedad'] },
+    { key: 'status', label: 'Estado', aliases: ['estado', 'status'] },
+    { key: 'createdAt', label: 'Fecha de Creación', aliases: ['fecha de creacion', 'fecha', 'fecha apertura', 'created'] },
+    { key: 'closedAt', label: 'Fecha de Cierre', aliases: ['fecha de cierre', 'cierre', 'closed'] },
+    { key: 'team', label: 'Equipo (D1)', aliases: ['equipo', 'team'] },
+    ...Object.entries(D2_LABELS).map(([key, label]) => ({ key: `d2_problem.${key}`, label: `D2 ${label}`, aliases: [tokenize(label).join(' ')] })),
+    { key: 'containment', label: 'Acciones de Contención (D3)', aliases: ['acciones de contencion', 'contencion', 'd3'] },
+    { key: 'rootCauses', label: 'Causas Raíz (D4)', aliases: ['causas raiz', 'causa raiz', 'root cause', 'd4'] },
+    { key: 'corrective', label: 'Acciones Correctivas (D5)', aliases: ['acciones correctivas', 'accion correctiva', 'd5'] },
+    { key: 'd6_implementation.summary', label: 'Resumen de la Implementación (D6)', aliases: ['resumen de la implementacion', 'implementacion', 'd6'] },
+    { key: 'd6_implementation.validation_results', label: 'Resultados de la Validación (D6)', aliases: ['resultados de la validacion', 'validacion'] },
+    { key: 'd7_prevention.updated_docs', label: 'Documentos Actualizados (D7)', aliases: ['documentos actualizados', 'd7'] },
+    { key: 'd7_prevention.new_standards', label: 'Nuevos Estándares (D7)', aliases: ['nuevos estandares'] },
+    { key: 'd8_recognition.summary', label: 'Resumen del Reconocimiento (D8)', aliases: ['resumen del reconocimiento', 'reconocimiento', 'd8'] },
+];
+
+// Headers are compared as lower-case words without accents ("Nº de Parte" -> "de parte").
+const normalizeHeader = (header) => tokenize(String(header)).join(' ');
+
+// { fieldKey: header } for the headers that match a field's aliases.
+export const guessMapping = (headers) => Object.fromEntries(EXCEL_FIELDS.flatMap(field => {
+    const header = headers.find(h => field.aliases.includes(normalizeHeader(h)));
+    return header ? [[field.key, header]] : [];
+}));
+
+const splitLines = (value) => String(value).split(/\r?\n|;/).map(line => line.trim()).filter(Boolean);
+
+const matchOption = (value, options) => {
+    const wanted = normalizeHeader(value);
+    return options.find(o => normalizeHeader(o.id) === wanted || normalizeHeader(o.label) === wanted)?.id;
+};
+
+// Excel stores dates as serial day numbers from 1899-12-30.
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+export const parseSpreadsheetDate = (value) => {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+    if (typeof value === 'number') return new Date(EXCEL_EPOCH + value * 24 * 60 * 60 * 1000);
+    const text = String(value).trim();
+    const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    const date = dayFirst ? new Date(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1])) : new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Builds a report from one spreadsheet row (an object keyed by header).
+export const rowToReport = (row, mapping, user) => {
+    const errors = [];
+    const value = (key) => {
+        const cell = mapping[key] ? row[mapping[key]] : undefined;
+        return cell === undefined || cell === null ? '' : cell;
+    };
+    const text = (key) => String(value(key)).trim();
+
+    const title = text('title');
+    if (!title) errors.push('Falta el título');
+
+    const severityText = text('severity');
+    const severity = severityText ? matchOption(severityText, SEVERITIES) : '';
+    if (severity === undefined) errors.push(`Severidad desconocida: "${severityText}" (use ${SEVERITIES.map(s => s.label).join(', ')})`);
+
+    const statusText = text('status');
+    const status = statusText ? matchOption(statusText, REPORT_STATUSES) : 'open';
+    if (status === undefined) errors.push(`Estado desconocido: "${statusText}"`);
+
+    const dateOf = (key, label) => {
+        if (value(key) === '') return null;
+        const date = parseSpreadsheetDate(value(key));
+        if (!date) errors.push(`${label} no es una fecha válida: "${value(key)}"`);
+        return date;
+    };
+    const createdAt = dateOf('createdAt', 'Fecha de creación');
+    const closedAt = dateOf('closedAt', 'Fecha de cierre');
+
+    const base = createReport({ title, userId: user.uid, userName: user.displayName, createdAt: createdAt || new Date() });
+    const rootCauses = value('rootCauses') === '' ? [] : splitLines(value('rootCauses'));
+    // Root causes typed in a cell have no category; like old reports, they go to "Otras".
+    const causes = rootCauses.map(causeText => ({
+        id: createId(), categoryId: 'Other', parentId: '', text: causeText,
+        status: 'verified', evidence: [], offset: null, isRootCause: true,
+    }));
+    const actionsFrom = (key, create) => (value(key) === '' ? [] : splitLines(value(key))).map(actionText => ({ ...create(), action: actionText }));
+
+    let report = {
+        ...base,
+        customer: text('customer'),
+        partNumber: text('partNumber'),
+        plant: text('plant'),
+        defectCategory: text('defectCategory'),
+        severity: severity || '',
+        d1_team: value('team') === '' ? [] : splitLines(value('team')).map(name => ({ ...createTeamMember(), name })),
+        d3_containment: actionsFrom('containment', createAction),
+        d4_root_cause: {
+            ...base.d4_root_cause,
+            fishbone: causes.length > 0
+                ? { categories: [...base.d4_root_cause.fishbone.categories, { id: 'Other', name: 'Otras' }], causes }
+                : base.d4_root_cause.fishbone,
+        },
+        d5_corrective_actions: actionsFrom('corrective', createCorrectiveAction).map(a => ({ ...a, rootCauseIds: causes.map(c => c.id) })),
+    };
+    EXCEL_FIELDS.filter(f => f.key.includes('.')).forEach(({ key }) => {
+        const [group, field] = key.split('.');
+        report = { ...report, [group]: { ...report[group], [field]: text(key) } };
+    });
+    // A closed legacy report is taken as finished: every discipline completed on its closing date.
+    if (status === 'closed') {
+        const at = (closedAt || createdAt || new Date()).toISOString();
+        report = {
+            ...report,
+            status,
+            closedAt: at,
+            closedBy: user.uid,
+            currentDiscipline: 'D8',
+            completed: Object.fromEntries(getDisciplineIds(report).map(d => [d, { at, by: user.uid }])),
+        };
+    }
+    return { report: prepareForImport(report, user), errors };
+};
+
+export const parseSpreadsheetRows = (rows, mapping, user) => rows.map((row, index) => {
+    // Row 1 holds the headers.
+    const label = `Fila ${index + 2}`;
+    try {
+        return { key: label, label, sourceId: '', ...rowToReport(row, mapping, user) };
+    } catch (error) {
+        return { key: label, label, sourceId: '', report: null, errors: [error.message] };
+    }
+});
+
+// --- Duplicates ---
+// A row duplicates an existing report (or an earlier row) with the same id
+// or the same title, customer and part number.
+const duplicateKey = (report) => [report.title, report.customer, report.partNumber].map(v => tokenize(v).join(' ')).join('|');
+
+export const markDuplicates = (rows, existing) => {
+    const byKey = new Map(existing.map(r => [duplicateKey(r), r.title]));
+    const byId = new Map(existing.map(r => [r.id, r.title]));
+    return rows.map(row => {
+        if (!row.report) return { ...row, duplicateOf: null, include: false };
+        const key = duplicateKey(row.report);
+        const duplicateOf = (row.sourceId && byId.get(row.sourceId)) || byKey.get(key) || null;
+        if (!byKey.has(key)) byKey.set(key, `${row.report.title} (${row.label})`);
+        return { ...row, duplicateOf, include: row.errors.length === 0 && !duplicateOf };
+    });
+};
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { EXCHANGE_FORMAT, markDuplicates, parseExchangeJson, parseSpreadsheetRows } from './reportExchange';
+import { SCHEMA_VERSION } from './reportSchema';
+
+const user = { uid: 'u1', displayName: 'Ana', orgId: 'org-1' };
+
+const exchangeFile = (reports, fields = {}) => JSON.stringify({ format: EXCHANGE_FORMAT, version: 1, reports, ...fields });
+
+// Parses a file and marks the rows the dialog would import.
+const importRows = (text) => markDuplicates(parseExchangeJson(text, user), []);
+
+describe('parseExchangeJson', () => {
+    it('rejects files that are not an export of the platform', () => {
+        expect(() => parseExchangeJson('{"format":', user)).toThrow('El archivo no es un JSON válido');
+        expect(() => parseExchangeJson(JSON.stringify({ reports: [] }), user)).toThrow(`El archivo no tiene el formato "${EXCHANGE_FORMAT}".`);
+        expect(() => parseExchangeJson(exchangeFile({}), user)).toThrow(`El archivo no tiene el formato "${EXCHANGE_FORMAT}".`);
+        expect(() => parseExchangeJson(exchangeFile([], { version: 2 }), user)).toThrow('El archivo usa la versión 2 del formato');
+    });
+
+    it('leaves out reports from a newer version of the application', () => {
+        const [row] = importRows(exchangeFile([{ id: 'r1', title: 'Fuga', schemaVersion: SCHEMA_VERSION + 1 }]));
+        expect(row).toMatchObject({ report: null, include: false });
+        expect(row.errors[0]).toMatch('más reciente que esta aplicación');
+    });
+
+    it('leaves out reports that are not objects', () => {
+        const rows = importRows(exchangeFile([null, 'Fuga']));
+        expect(rows.map(r => r.include)).toEqual([false, false]);
+        expect(rows.every(r => r.errors.length > 0)).toBe(true);
+    });
+
+    it('keeps the access of an imported file to the importer', () => {
+        const raw = {
+            id: 'r1',
+            title: 'Fuga',
+            orgId: 'other-org',
+            createdBy: 'intruder',
+            d1_team: [{ id: 'm1', name: 'Eva', role: 'Calidad', uid: 'intruder', access: 'champion' }],
+            roles: { intruder: 'champion' },
+            members: ['intruder'],
+            approvals: { D1: { decision: 'approved', at: '2026-10-01T08:00:00.000Z', by: 'intruder', byName: 'Eva', reason: '' } },
+        };
+        const [row] = importRows(exchangeFile([raw]));
+        expect(row.report).toMatchObject({ orgId: 'org-1', createdBy: 'u1', roles: { u1: 'champion' }, members: ['u1'], approvals: {} });
+        expect(row.report.d1_team[1]).toMatchObject({ uid: '', access: 'member' });
+    });
+});
+
+describe('parseSpreadsheetRows', () => {
+    const mapping = { title: 'Título', severity: 'Severidad', status: 'Estado', createdAt: 'Fecha' };
+
+    it('leaves out rows with missing or unknown values', () => {
+        const rows = markDuplicates(parseSpreadsheetRows([
+            { Título: '', Severidad: 'Alta' },
+            { Título: 'Fuga', Severidad: 'Enorme' },
+            { Título: 'Grieta', Estado: 'Perdido' },
+            { Título: 'Rebaba', Fecha: 'ayer' },
+            { Título: 'Golpe', Severidad: 'Alta', Fecha: '05/03/2024' },
+        ], mapping, user), []);
+        expect(rows.map(r => r.include)).toEqual([false, false, false, false, true]);
+        expect(rows[0].errors).toEqual(['Falta el título']);
+        expect(rows[3].errors).toEqual(['Fecha de creación no es una fecha válida: "ayer"']);
+    });
+
+    it('leaves out rows that repeat an existing report', () => {
+        const rows = markDuplicates(parseSpreadsheetRows([{ Título: 'Fuga' }, { Título: 'Fuga' }], mapping, user), [{ id: 'r1', title: 'Grieta', customer: '', partNumber: '' }]);
+        expect(rows.map(r => r.include)).toEqual([true, false]);
+    });
+});
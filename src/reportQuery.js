@@ -0,0 +1,220 @@
+// --- Dashboard Queries ---
+// Filter state for the report dashboard: how it is kept in the URL, how it
+// becomes a paginated Firestore query and what has to be refined on the client.
+
+import { collection, query, where, orderBy, limit, onSnapshot, getDocs } from 'firebase/firestore';
+import { tokenize } from './reportSchema';
+import { countOverdueActions } from './actions';
+
+export const PAGE_SIZE = 24;
+
+export const DEFAULT_FILTERS = {
+    search: '',
+    status: '',
+    discipline: '',
+    createdBy: '',
+    member: '',
+    customer: '',
+    defectCategory: '',
+    severity: '',
+    partNumber: '',
+    from: '',
+    to: '',
+    sort: 'created_desc',
+};
+
+export const SORT_OPTIONS = [
+    { value: 'created_desc', label: 'Más recientes' },
+    { value: 'created_asc', label: 'Más antiguos (antigüedad)' },
+    { value: 'overdue', label: 'Acciones vencidas (informes cargados)' },
+];
+
+// Short parameter names keep shared links readable.
+const URL_PARAMS = {
+    search: 'q', status: 'estado', discipline: 'disciplina', createdBy: 'creador',
+    member: 'miembro', customer: 'cliente', defectCategory: 'categoria', severity: 'severidad',
+    partNumber: 'pieza', from: 'desde', to: 'hasta', sort: 'orden',
+};
+
+export const readFiltersFromUrl = (search = window.location.search) => {
+    const params = new URLSearchParams(search);
+    return Object.fromEntries(Object.entries(DEFAULT_FILTERS).map(([key, fallback]) => [key, params.get(URL_PARAMS[key]) ?? fallback]));
+};
+
+export const writeFiltersToUrl = (filters) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value && value !== DEFAULT_FILTERS[key]) params.set(URL_PARAMS[key], value);
+    });
+    const queryString = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${queryString ? `?${queryString}` : ''}${window.location.hash}`);
+};
+
+export const hasActiveFilters = (filters) => Object.entries(filters).some(([key, value]) => key !== 'sort' && value !== DEFAULT_FILTERS[key]);
+
+// --- Visibility Scope ---
+// Security rules reject a query unless every document it can return is
+// readable, so a user who may not read the whole organization gets one query
+// per way they can see a report: shared with the organization, shared with
+// one of their plants, or on their team. `listenToQueries` merges them.
+
+// What the user can read in their active organization (see src/organizations.js).
+// Supplier contacts only see the reports issued to them, through their team.
+export const getReportScope = (profile) => ({
+    orgId: profile.orgId,
+    uid: profile.uid,
+    all: profile.role === 'quality_manager',
+    teamOnly: profile.role === 'supplier',
+    plantIds: profile.plantIds,
+});
+
+// `byTeam` marks the query that already uses the single array-contains Firestore allows.
+const scopeConstraints = (scope) => {
+    const inOrg = where('orgId', '==', scope.orgId);
+    const team = { constraints: [inOrg, where('members', 'array-contains', scope.uid)], byTeam: true };
+    if (scope.all) return [{ constraints: [inOrg], byTeam: false }];
+    if (scope.teamOnly) return [team];
+    return [
+        { constraints: [inOrg, where('visibility', '==', 'organization')], byTeam: false },
+        ...(scope.plantIds.length > 0 ? [{ constraints: [inOrg, where('visibility', '==', 'plant'), where('plantId', 'in', scope.plantIds.slice(0, 30))], byTeam: false }] : []),
+        team,
+    ];
+};
+
+const scopedQueries = (db, collectionPath, scope, buildConstraints) => scopeConstraints(scope)
+    .map(({ constraints, byTeam }) => query(collection(db, collectionPath), ...constraints, ...buildConstraints(byTeam)));
+
+// Every report the user can read, for lookups such as the import's duplicate check.
+export const buildScopeQueries = (db, collectionPath, scope) => scopedQueries(db, collectionPath, scope, () => []);
+
+// Calls `onNext(docs, snapshots)` with each document once, whichever queries returned it.
+export const listenToQueries = (queries, onNext, onError) => {
+    const snapshots = queries.map(() => null);
+    const unsubscribes = queries.map((q, i) => onSnapshot(q, (snapshot) => {
+        snapshots[i] = snapshot;
+        if (snapshots.includes(null)) return;
+        const docs = new Map();
+        snapshots.forEach(s => s.docs.forEach(d => docs.set(d.id, d)));
+        onNext([...docs.values()], snapshots);
+    }, onError));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+export const getDocsOfQueries = async (queries) => {
+    const snapshots = await Promise.all(queries.map(q => getDocs(q)));
+    const docs = new Map();
+    snapshots.forEach(s => s.docs.forEach(d => docs.set(d.id, d)));
+    return [...docs.values()];
+};
+
+// Merged results lose the order of each query. Reports still being created have no server time yet and go first.
+const orderByCreatedAt = (reports, direction) => {
+    const time = (r) => r.createdAt?.toMillis ? r.createdAt.toMillis() : Number.MAX_SAFE_INTEGER;
+    return [...reports].sort((a, b) => direction === 'asc' ? time(a) - time(b) : time(b) - time(a));
+};
+
+// --- Firestore Query ---
+// Firestore allows a single array-contains per query, so the first search
+// word is matched on the server and everything else on the client. Returns
+// one query per visibility scope; each returns at most `fetchCount` reports.
+export const buildReportsQuery = (db, collectionPath, filters, fetchCount, scope) => {
+    const [firstWord] = tokenize(filters.search);
+    const direction = filters.sort === 'created_asc' ? 'asc' : 'desc';
+
+    return scopedQueries(db, collectionPath, scope, (byTeam) => {
+        const constraints = [];
+        if (filters.status) constraints.push(where('status', '==', filters.status));
+        if (filters.discipline) constraints.push(where('currentDiscipline', '==', filters.discipline));
+        if (filters.createdBy) constraints.push(where('createdBy', '==', filters.createdBy));
+        if (filters.customer) constraints.push(where('customer', '==', filters.customer));
+        if (filters.defectCategory) constraints.push(where('defectCategory', '==', filters.defectCategory));
+        if (filters.severity) constraints.push(where('severity', '==', filters.severity));
+        if (filters.partNumber) constraints.push(where('partNumber', '==', filters.partNumber));
+        // The team scope already uses the array-contains on `members`.
+        if (!byTeam && firstWord) {
+            constraints.push(where('searchTokens', 'array-contains', firstWord));
+        } else if (!byTeam && filters.member) {
+            constraints.push(where('members', 'array-contains', filters.member));
+        }
+        if (filters.from) constraints.push(where('createdAt', '>=', new Date(`${filters.from}T00:00:00`)));
+        if (filters.to) constraints.push(where('createdAt', '<=', new Date(`${filters.to}T23:59:59`)));
+        return [...constraints, orderBy('createdAt', direction), limit(fetchCount)];
+    });
+};
+
+// Applies the filters the Firestore query could not express.
+const matchesFilters = (report, filters) => {
+    // Reports created before soft delete have no `deleted` field, so a
+    // server-side `where('deleted', '==', false)` would hide them.
+    if (report.deleted) return false;
+    const words = tokenize(filters.search);
+    if (!words.every(word => report.searchTokens.includes(word))) return false;
+    if (filters.member && !report.members.includes(filters.member)) return false;
+    return true;
+};
+
+// Every report created in a date range, for the analytics view.
+export const buildAnalyticsQuery = (db, collectionPath, { from, to }, scope) => scopedQueries(db, collectionPath, scope, () => {
+    const constraints = [];
+    if (from) constraints.push(where('createdAt', '>=', new Date(`${from}T00:00:00`)));
+    if (to) constraints.push(where('createdAt', '<=', new Date(`${to}T23:59:59`)));
+    return [...constraints, orderBy('createdAt', 'desc')];
+});
+
+// Candidates for the similar-report suggestions (see src/recurrence.js):
+// the latest reports sharing each of `fields` ({ partNumber: '4521-AB', ... })
+// and those containing each of `words`. Word queries leave out the team
+// scope, which already uses the array-contains on `members`.
+const SIMILAR_CANDIDATES = 20;
+
+export const buildSimilarReportsQueries = (db, collectionPath, { fields, words }, scope) => [
+    ...Object.entries(fields).filter(([, value]) => value).flatMap(([field, value]) => scopedQueries(db, collectionPath, scope, () => [
+        where(field, '==', value),
+        orderBy('createdAt', 'desc'),
+        limit(SIMILAR_CANDIDATES),
+    ])),
+    ...words.flatMap(word => scopeConstraints(scope).filter(({ byTeam }) => !byTeam).map(({ constraints }) => query(
+        collection(db, collectionPath),
+        ...constraints,
+        where('searchTokens', 'array-contains', word),
+        orderBy('createdAt', 'desc'),
+        limit(SIMILAR_CANDIDATES),
+    ))),
+];
+
+// Reports that are not closed yet, for the action tracker. An inequality
+// rather than `in`, which would multiply with the plant scope's `in` past
+// Firestore's limit of 30 combinations.
+export const buildOpenReportsQuery = (db, collectionPath, scope) => scopedQueries(db, collectionPath, scope, () => [
+    where('status', '!=', 'closed'),
+]);
+
+// Reports in the trash, most recently deleted first.
+export const buildTrashQuery = (db, collectionPath, scope) => scopedQueries(db, collectionPath, scope, () => [
+    where('deleted', '==', true),
+    orderBy('deletedAt', 'desc'),
+]);
+
+// Overdue actions are not stored on the report, so this order only applies
+// to the pages already shown; loading more can bring reports with more.
+const sortReports = (reports, sort) => {
+    if (sort !== 'overdue') return reports;
+    return [...reports].sort((a, b) => countOverdueActions(b) - countOverdueActions(a));
+};
+
+// --- Pagination ---
+// The client-side filters can leave the fetched reports short of the pages
+// shown, so `fetchMore` asks for a bigger `fetchCount` until they are full
+// or no query has anything left. While some query is still full, only the
+// first `fetchCount` merged reports are certain to be in order.
+export const pageReports = (reports, snapshotSizes, filters, pageCount, fetchCount) => {
+    const exhausted = snapshotSizes.every(size => size < fetchCount);
+    const ordered = orderByCreatedAt(reports, filters.sort === 'created_asc' ? 'asc' : 'desc');
+    const matching = (exhausted ? ordered : ordered.slice(0, fetchCount)).filter(r => matchesFilters(r, filters));
+    const shown = PAGE_SIZE * pageCount;
+    return {
+        page: sortReports(matching.slice(0, shown), filters.sort),
+        hasMore: matching.length > shown || !exhausted,
+        fetchMore: matching.length < shown && !exhausted,
+    };
+};
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_FILTERS, PAGE_SIZE, pageReports } from './reportQuery';
+
+describe('pageReports', () => {
+    const createdAt = (day) => ({ toMillis: () => day });
+    const report = (day, deleted = false) => ({ id: `r${day}`, createdAt: createdAt(day), deleted, searchTokens: [], members: [], d5_corrective_actions: [] });
+    // Newest first: every other report is in the trash.
+    const reports = Array.from({ length: PAGE_SIZE }, (_, i) => report(PAGE_SIZE - i, i % 2 === 1));
+
+    it('asks for more reports while a filtered page is short', () => {
+        const result = pageReports(reports, [PAGE_SIZE], DEFAULT_FILTERS, 1, PAGE_SIZE);
+        expect(result.page).toHaveLength(PAGE_SIZE / 2);
+        expect(result).toMatchObject({ hasMore: true, fetchMore: true });
+    });
+
+    it('shows a short page once the queries have nothing left', () => {
+        const result = pageReports(reports, [PAGE_SIZE], DEFAULT_FILTERS, 1, PAGE_SIZE * 2);
+        expect(result.page.map(r => r.id)).toEqual(reports.filter(r => !r.deleted).map(r => r.id));
+        expect(result).toMatchObject({ hasMore: false, fetchMore: false });
+    });
+
+    it('leaves out reports past the limit while a query is still full', () => {
+        const merged = [...reports, report(0)];
+        const result = pageReports(merged, [PAGE_SIZE, 1], DEFAULT_FILTERS, 1, PAGE_SIZE);
+        expect(result.page.map(r => r.id)).not.toContain('r0');
+    });
+});
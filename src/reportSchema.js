@@ -0,0 +1,839 @@
+import { REPORT_ROLE_IDS, deriveAccess } from './permissions';
+
+// --- 8D Report Schema ---
+// Single source of truth for the shape of a report document stored in
+// `artifacts/{appId}/public/data/8d-reports`. Every read goes through
+// `normalizeReport` and every write through `validateUpdate`.
+
+export const SCHEMA_VERSION = 24;
+
+export class ReportValidationError extends Error {
+    constructor(path, message) {
+        super(`${path}: ${message}`);
+        this.name = 'ReportValidationError';
+        this.path = path;
+    }
+}
+
+export const createId = () => crypto.randomUUID();
+
+// --- Field Types ---
+// Each type knows how to validate a value, build its default and repair a
+// value that does not match (keeping whatever part of it is still usable).
+
+const string = () => ({
+    validate: (value, path) => typeof value === 'string' ? [] : [`${path}: se esperaba texto`],
+    create: () => '',
+    repair: (value) => typeof value === 'string' ? value : (value == null ? '' : String(value)),
+});
+
+// A stable identifier for list items, generated when missing.
+const id = () => ({
+    validate: (value, path) => typeof value === 'string' && value !== '' ? [] : [`${path}: falta el identificador`],
+    create: () => createId(),
+    repair: (value) => typeof value === 'string' && value !== '' ? value : createId(),
+});
+
+const boolean = () => ({
+    validate: (value, path) => typeof value === 'boolean' ? [] : [`${path}: se esperaba verdadero/falso`],
+    create: () => false,
+    repair: (value) => Boolean(value),
+});
+
+// A finite number or null when not set.
+const optionalNumber = () => ({
+    validate: (value, path) => value === null || Number.isFinite(value) ? [] : [`${path}: se esperaba un número`],
+    create: () => null,
+    repair: (value) => Number.isFinite(value) ? value : null,
+});
+
+// A quantity or an amount: empty (null) or a non-negative number, whole for counts.
+const quantity = ({ integer = false } = {}) => ({
+    validate: (value, path) => value === null || (Number.isFinite(value) && value >= 0 && (!integer || Number.isInteger(value)))
+        ? []
+        : [`${path}: se esperaba ${integer ? 'un número entero' : 'un número'} mayor o igual que cero`],
+    create: () => null,
+    repair: (value) => Number.isFinite(value) && value >= 0 ? (integer ? Math.round(value) : value) : null,
+});
+
+// Firestore timestamps, server timestamp sentinels and plain dates are all accepted as-is.
+const timestamp = () => ({
+    validate: () => [],
+    create: () => null,
+    repair: (value) => value ?? null,
+});
+
+const oneOf = (values, fallback = values[0]) => ({
+    validate: (value, path) => values.includes(value) ? [] : [`${path}: valor no permitido "${value}"`],
+    create: () => fallback,
+    repair: (value) => values.includes(value) ? value : fallback,
+});
+
+const shape = (fields) => ({
+    fields,
+    validate: (value, path) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path}: se esperaba un objeto`];
+        return Object.entries(fields).flatMap(([key, type]) => type.validate(value[key], `${path}.${key}`));
+    },
+    create: () => Object.fromEntries(Object.entries(fields).map(([key, type]) => [key, type.create()])),
+    repair: (value) => {
+        const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+        return {
+            ...source,
+            ...Object.fromEntries(Object.entries(fields).map(([key, type]) => [key, key in source ? type.repair(source[key]) : type.create()])),
+        };
+    },
+});
+
+const arrayOf = (item, { initial = 0 } = {}) => ({
+    item,
+    validate: (value, path) => {
+        if (!Array.isArray(value)) return [`${path}: se esperaba una lista`];
+        return value.flatMap((entry, i) => item.validate(entry, `${path}[${i}]`));
+    },
+    create: () => Array.from({ length: initial }, () => item.create()),
+    repair: (value) => Array.isArray(value) ? value.map(item.repair) : Array.from({ length: initial }, () => item.create()),
+});
+
+// An object with arbitrary keys whose values all share one type.
+const recordOf = (item, defaults = {}) => ({
+    values: item,
+    validate: (value, path) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path}: se esperaba un objeto`];
+        return Object.entries(value).flatMap(([key, entry]) => item.validate(entry, `${path}.${key}`));
+    },
+    create: () => ({ ...defaults }),
+    repair: (value) => {
+        const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+        return { ...defaults, ...Object.fromEntries(Object.entries(source).map(([key, entry]) => [key, item.repair(entry)])) };
+    },
+});
+
+// --- Report Definition ---
+// D0 (emergency response, from Global 8D) is optional; D1-D8 are always present.
+export const DISCIPLINE_IDS = ['D0', 'D1', 'D2', 'D3', 'D4', 'D5', 'D6', 'D7', 'D8'];
+
+// The disciplines of a new report; plants can rename them, add sub-steps and
+// enable D0 (see src/disciplines.js).
+export const DEFAULT_DISCIPLINES = [
+    { id: 'D1', name: 'Formar el Equipo' },
+    { id: 'D2', name: 'Describir el Problema' },
+    { id: 'D3', name: 'Acciones de Contención' },
+    { id: 'D4', name: 'Análisis de Causa Raíz' },
+    { id: 'D5', name: 'Acciones Correctivas' },
+    { id: 'D6', name: 'Implementar y Validar' },
+    { id: 'D7', name: 'Prevenir Recurrencia' },
+    { id: 'D8', name: 'Reconocer al Equipo' },
+];
+
+export const D0_DISCIPLINE = { id: 'D0', name: 'Respuesta de Emergencia' };
+
+// The D0 decision: go on with the 8D, or close the report after D0.
+export const D0_DECISION_IDS = ['proceed', 'not_required'];
+
+// The six M categories every new diagram starts with; teams can add their own.
+export const DEFAULT_FISHBONE_CATEGORIES = [
+    { id: 'Manpower', name: 'Mano de Obra' },
+    { id: 'Machine', name: 'Maquinaria' },
+    { id: 'Method', name: 'Método' },
+    { id: 'Material', name: 'Materiales' },
+    { id: 'Measurement', name: 'Medición' },
+    { id: 'Environment', name: 'Medio Ambiente' },
+];
+
+// Entries of the supplier review log: the supplier submits, the team decides.
+export const SUPPLIER_LOG_KIND_IDS = ['submitted', 'accepted', 'rejected'];
+
+// Quality manager decisions on a discipline.
+export const APPROVAL_DECISION_IDS = ['approved', 'rejected'];
+
+// How a linked report relates to this one: an earlier occurrence of the same
+// problem, or a later one.
+export const RECURRENCE_RELATION_IDS = ['recurrence_of', 'recurred_in'];
+
+export const CAUSE_STATUS_IDS = ['suspected', 'verified', 'ruled_out'];
+
+// 5-Whys chains: why it occurred, why it escaped detection, why the system allowed it.
+export const WHY_CHAIN_IDS = ['occurrence', 'escape', 'systemic'];
+
+export const SEVERITY_IDS = ['low', 'medium', 'high', 'critical'];
+
+// Output layouts of the PDF, see src/outputFormats.js.
+export const OUTPUT_FORMAT_IDS = ['generic', 'vda', 'ford_g8d'];
+
+// Who can read a report besides its team, see src/organizations.js.
+export const VISIBILITY_IDS = ['organization', 'plant', 'team'];
+
+export const STATUS_IDS = ['open', 'containment', 'root_cause_found', 'corrective_action_verified', 'closed'];
+
+const teamMember = shape({ id: id(), name: string(), role: string(), uid: string(), access: oneOf(REPORT_ROLE_IDS, 'member') });
+
+export const ACTION_STATUS_IDS = ['open', 'implemented', 'verified'];
+
+// A file in Firebase Storage; `storagePath` is kept to delete it.
+const attachment = shape({
+    id: id(),
+    name: string(),
+    storagePath: string(),
+    url: string(),
+    contentType: string(),
+    size: optionalNumber(),
+    uploadedBy: string(),
+    uploadedByName: string(),
+    uploadedAt: string(),
+});
+
+const actionFields = {
+    id: id(),
+    action: string(),
+    // The name is kept for display and export; the uid links the account
+    // that is notified (see src/notifications.js).
+    responsible: string(),
+    responsibleUid: string(),
+    date: string(),
+    status: oneOf(ACTION_STATUS_IDS),
+    evidence: string(),
+    implementedAt: string(),
+    verifiedAt: string(),
+    verifiedBy: string(),
+    attachments: arrayOf(attachment),
+};
+
+const action = shape(actionFields);
+
+// Corrective actions point at the D4 root causes they eliminate.
+const correctiveAction = shape({ ...actionFields, rootCauseIds: arrayOf(string()) });
+
+const fishboneCause = shape({
+    id: id(),
+    categoryId: string(),
+    parentId: string(),
+    text: string(),
+    status: oneOf(CAUSE_STATUS_IDS),
+    evidence: arrayOf(shape({ id: id(), label: string(), url: string() })),
+    offset: optionalNumber(),
+    isRootCause: boolean(),
+});
+
+// Each why answers its parent; several children branch the analysis.
+const whyNode = shape({
+    id: id(),
+    chain: oneOf(WHY_CHAIN_IDS),
+    parentId: string(),
+    text: string(),
+    isRootCause: boolean(),
+    fishboneCauseId: string(),
+});
+
+// D7: the controlled documents the corrective actions change, the lessons
+// learned and their read-across to similar products and lines (see src/prevention.js).
+export const DOCUMENT_TYPE_IDS = ['pfmea', 'dfmea', 'control_plan', 'work_instruction', 'training_record', 'gauge_rr', 'other'];
+export const DOCUMENT_STATUS_IDS = ['open', 'in_progress', 'closed'];
+
+const documentUpdate = shape({
+    id: id(),
+    type: oneOf(DOCUMENT_TYPE_IDS, 'other'),
+    title: string(),
+    number: string(),
+    revision_before: string(),
+    revision_after: string(),
+    responsible: string(),
+    responsibleUid: string(),
+    due_date: string(),
+    status: oneOf(DOCUMENT_STATUS_IDS, 'open'),
+    closedAt: string(),
+});
+
+// Who confirmed a lesson or a read-across line, and on which day.
+const confirmation = { confirmed: boolean(), confirmedAt: string(), confirmedBy: string(), confirmedByName: string() };
+
+const lessonLearned = shape({ id: id(), text: string(), ...confirmation });
+
+// A similar product or line the fix is carried over to, confirmed one by one.
+const readAcross = shape({
+    id: id(),
+    target: string(),
+    action: string(),
+    ...confirmation,
+});
+
+export const CURRENCY_IDS = ['EUR', 'USD', 'MXN'];
+
+// D6: effectiveness checks of the corrective actions (see src/effectiveness.js).
+export const EFFECTIVENESS_KIND_IDS = ['ppm', 'value'];
+export const EFFECTIVENESS_DIRECTION_IDS = ['decrease', 'increase'];
+export const MEASUREMENT_PHASE_IDS = ['before', 'after'];
+
+// A `ppm` check measures defects out of a sample; a `value` check, the value itself.
+const measurement = shape({
+    id: id(),
+    date: string(),
+    phase: oneOf(MEASUREMENT_PHASE_IDS, 'after'),
+    value: optionalNumber(),
+    defects: quantity({ integer: true }),
+    sample_size: quantity({ integer: true }),
+});
+
+const effectivenessCheck = shape({
+    id: id(),
+    actionId: string(),
+    metric: string(),
+    kind: oneOf(EFFECTIVENESS_KIND_IDS, 'ppm'),
+    unit: string(),
+    direction: oneOf(EFFECTIVENESS_DIRECTION_IDS, 'decrease'),
+    baseline: optionalNumber(),
+    target: optionalNumber(),
+    // Minimum sample after the change: inspected units for `ppm`, measurements for `value`.
+    sample_size: quantity({ integer: true }),
+    measurements: arrayOf(measurement),
+});
+
+// D2: the 5W2H answers, the IS / IS NOT table (see src/problemDescription.js),
+// what identifies the nonconformity and its quantified impact.
+const isIsNotRow = shape({ is: string(), is_not: string() });
+
+const problemDescription = shape({
+    what: string(),
+    where: string(),
+    when: string(),
+    who: string(),
+    why: string(),
+    how: string(),
+    how_many: string(),
+    is_is_not: shape({ what: isIsNotRow, where: isIsNotRow, when: isIsNotRow, extent: isIsNotRow }),
+    complaint_reference: string(),
+    lot_numbers: arrayOf(string()),
+    quantity_affected: quantity({ integer: true }),
+    quantity_inspected: quantity({ integer: true }),
+    cost_of_poor_quality: quantity(),
+    currency: oneOf(CURRENCY_IDS, 'EUR'),
+});
+
+// The disciplines a report goes through: D1-D8 in order, optionally after D0.
+const disciplineConfig = shape({ id: oneOf(DISCIPLINE_IDS), name: string(), steps: arrayOf(shape({ id: id(), name: string() })) });
+
+const disciplineList = () => {
+    const list = arrayOf(disciplineConfig);
+    const core = DEFAULT_DISCIPLINES.map(d => d.id).join();
+    const inOrder = (value) => value.map(d => d.id).filter((id, i) => i > 0 || id !== 'D0').join() === core;
+    return {
+        ...list,
+        validate: (value, path) => {
+            const errors = list.validate(value, path);
+            return errors.length > 0 || inOrder(value) ? errors : [`${path}: deben ser D1 a D8 en orden, opcionalmente tras D0`];
+        },
+        create: () => DEFAULT_DISCIPLINES.map(d => ({ ...d, steps: [] })),
+        // Keeps the names and sub-steps of the disciplines that are still recognizable.
+        repair: (value) => {
+            const repaired = list.repair(value);
+            if (inOrder(repaired)) return repaired;
+            const find = (id) => repaired.find(d => d.id === id);
+            return [
+                ...(find('D0') ? [find('D0')] : []),
+                ...DEFAULT_DISCIPLINES.map(d => find(d.id) || { ...d, steps: [] }),
+            ];
+        },
+    };
+};
+
+const fishbone = shape({
+    categories: arrayOf(shape({ id: id(), name: string() })),
+    causes: arrayOf(fishboneCause),
+});
+
+const reportSchema = shape({
+    schemaVersion: {
+        validate: (value, path) => value === SCHEMA_VERSION ? [] : [`${path}: versión ${value} no soportada`],
+        create: () => SCHEMA_VERSION,
+        repair: () => SCHEMA_VERSION,
+    },
+    title: string(),
+    customer: string(),
+    partNumber: string(),
+    severity: oneOf(['', ...SEVERITY_IDS], ''),
+    plant: string(),
+    defectCategory: string(),
+    // The organization the report belongs to, and its plant within it.
+    orgId: string(),
+    plantId: string(),
+    visibility: oneOf(VISIBILITY_IDS, 'organization'),
+    // '' prints the report in its customer's format.
+    outputFormat: oneOf(['', ...OUTPUT_FORMAT_IDS], ''),
+    createdBy: string(),
+    createdByName: string(),
+    createdAt: timestamp(),
+    roles: recordOf(oneOf(REPORT_ROLE_IDS, 'viewer')),
+    members: arrayOf(string()),
+    searchTokens: arrayOf(string()),
+    currentDiscipline: oneOf(DISCIPLINE_IDS),
+    status: oneOf(STATUS_IDS),
+    completed: recordOf(shape({ at: string(), by: string() })),
+    disciplines: disciplineList(),
+    // Completed sub-steps, by step id.
+    substeps: recordOf(shape({ at: string(), by: string() })),
+    closedAt: string(),
+    closedBy: string(),
+    // Soft delete: deleted reports stay in the trash and can be restored.
+    deleted: boolean(),
+    deletedAt: string(),
+    deletedBy: string(),
+    // Supplier-owned 8D (see src/supplier.js). No contact means the team owns the report.
+    supplierRequest: shape({
+        company: string(),
+        contactUid: string(),
+        contactName: string(),
+        issuedAt: string(),
+        issuedBy: string(),
+        issuedByName: string(),
+        // Response deadline of each discipline that has one, as an ISO date-time.
+        deadlines: recordOf(string()),
+    }),
+    supplierLog: arrayOf(shape({
+        id: id(),
+        disciplineId: oneOf(DISCIPLINE_IDS),
+        kind: oneOf(SUPPLIER_LOG_KIND_IDS),
+        at: string(),
+        by: string(),
+        byName: string(),
+        comment: string(),
+    })),
+    // Latest log entry of each discipline, derived from the log so the rules
+    // can keep the supplier out of the disciplines in review or accepted.
+    supplierStatus: recordOf(oneOf(SUPPLIER_LOG_KIND_IDS)),
+    // Reports of the same recurring problem; each link is kept on both reports (see src/recurrence.js).
+    recurrenceLinks: arrayOf(shape({
+        reportId: string(),
+        title: string(),
+        relation: oneOf(RECURRENCE_RELATION_IDS),
+        linkedAt: string(),
+        linkedBy: string(),
+        linkedByName: string(),
+    })),
+    // Latest quality manager decision on each discipline, by discipline id (see src/approvals.js).
+    approvals: recordOf(shape({
+        decision: oneOf(APPROVAL_DECISION_IDS),
+        at: string(),
+        by: string(),
+        byName: string(),
+        reason: string(),
+    })),
+    d0_emergency: shape({
+        symptom: string(),
+        decision: oneOf(['', ...D0_DECISION_IDS], ''),
+        decision_reason: string(),
+        decided_by: string(),
+        decided_at: string(),
+    }),
+    d0_emergency_actions: arrayOf(action),
+    d1_team: arrayOf(teamMember),
+    d2_problem: problemDescription,
+    d3_containment: arrayOf(action, { initial: 1 }),
+    d4_root_cause: shape({
+        why_tree: arrayOf(whyNode),
+        fishbone: { ...fishbone, create: () => ({ categories: DEFAULT_FISHBONE_CATEGORIES.map(c => ({ ...c })), causes: [] }) },
+    }),
+    d5_corrective_actions: arrayOf(correctiveAction, { initial: 1 }),
+    d6_implementation: shape({ summary: string(), validation_results: string(), effectiveness_checks: arrayOf(effectivenessCheck) }),
+    d7_prevention: shape({
+        updated_docs: string(),
+        new_standards: string(),
+        // Document updates, usually brought in by a template.
+        documents: arrayOf(documentUpdate),
+        lessons_learned: arrayOf(lessonLearned),
+        read_across: arrayOf(readAcross),
+    }),
+    d8_recognition: shape({ summary: string(), celebration_date: string() }),
+    // Evidence files of each discipline; actions keep their own.
+    attachments: shape(Object.fromEntries(DISCIPLINE_IDS.map(d => [d, arrayOf(attachment)]))),
+});
+
+// --- Derived Fields ---
+// Stored next to the data they come from so Firestore can query them, and
+// recomputed by `withDerivedFields` on every write that touches their sources.
+
+const SEARCHABLE_PATHS = ['title', 'd2_problem'];
+
+// Lower-case words without accents, e.g. "Fuga en Conexión" -> ['fuga', 'en', 'conexion'].
+export const tokenize = (text) => (text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 2);
+
+export const buildSearchTokens = (report) => [...new Set([
+    ...tokenize(report.title),
+    ...Object.values(report.d2_problem || {}).flatMap(value => typeof value === 'string' ? tokenize(value) : []),
+    ...(Array.isArray(report.d2_problem?.lot_numbers) ? report.d2_problem.lot_numbers.flatMap(tokenize) : []),
+])];
+
+// Later entries of a discipline replace earlier ones.
+const buildSupplierStatus = (log) => Object.fromEntries(log.map(entry => [entry.disciplineId, entry.kind]));
+
+// Returns a copy of the report with `updateDoc`-style dotted paths applied.
+// Copies only the objects along each path, so untouched values (including
+// Firestore timestamps) are shared with the original report.
+const setPath = (node, [key, ...rest], value) => ({
+    ...node,
+    [key]: rest.length === 0 ? value : setPath(node?.[key] && typeof node[key] === 'object' ? node[key] : {}, rest, value),
+});
+
+export const applyFieldUpdates = (report, fields) => Object.entries(fields)
+    .reduce((updated, [path, value]) => setPath(updated, path.split('.'), value), report);
+
+export const getPath = (report, path) => path.split('.').reduce((node, key) => node?.[key], report);
+
+// Adds the derived fields affected by an update to the map of fields to write.
+export const withDerivedFields = (report, fields) => {
+    const touchesSearch = Object.keys(fields).some(path => SEARCHABLE_PATHS.some(p => path === p || path.startsWith(`${p}.`)));
+    const derived = { ...fields };
+    if (touchesSearch) derived.searchTokens = buildSearchTokens(applyFieldUpdates(report, fields));
+    // Throws when the team would be left without a linked champion.
+    if (fields.d1_team) Object.assign(derived, deriveAccess(fields.d1_team));
+    if (fields.supplierLog) derived.supplierStatus = buildSupplierStatus(fields.supplierLog);
+    return derived;
+};
+
+// --- Migrations ---
+// Keyed by the version they upgrade *from*. Documents written before the
+// schema existed have no `schemaVersion` and are treated as version 0.
+
+// Nested sections as stored, or an empty object. The first version of the
+// editor saved D6 and D7 as the text "d6_implementation" / "d7_prevention";
+// spreading that text would keep one key per character.
+const storedObject = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+
+const migrations = {
+    0: (data) => {
+        const d4 = data.d4_root_cause || {};
+        return {
+            ...data,
+            d4_root_cause: {
+                ...d4,
+                // Early drafts stored the 5 Whys as a single block of text.
+                five_whys: typeof d4.five_whys === 'string' ? d4.five_whys.split('\n') : d4.five_whys,
+            },
+            schemaVersion: 1,
+        };
+    },
+    // v2 introduces the discipline workflow. `currentDiscipline` used to be the
+    // last tab clicked, so it restarts at D1 with nothing completed.
+    1: (data) => ({
+        ...data,
+        status: 'open',
+        completed: {},
+        currentDiscipline: 'D1',
+        d4_root_cause: { ...data.d4_root_cause, root_cause: '' },
+        schemaVersion: 2,
+    }),
+    // v3 adds per-report roles. The creator becomes champion, and the team
+    // member created along with the report is linked to that account.
+    2: (data) => {
+        const creator = data.createdBy || '';
+        const creatorName = creator ? `Usuario ${creator.substring(0, 6)}` : null;
+        return {
+            ...data,
+            createdByName: creatorName || '',
+            d1_team: (data.d1_team || []).map(m => m.name === creatorName
+                ? { ...m, uid: creator, access: 'champion' }
+                : { ...m, uid: '', access: 'member' }),
+            roles: creator ? { [creator]: 'champion' } : {},
+            members: creator ? [creator] : [],
+            schemaVersion: 3,
+        };
+    },
+    // v4 stores the search tokens used by the dashboard search.
+    3: (data) => ({ ...data, searchTokens: buildSearchTokens(data), schemaVersion: 4 }),
+    // v5 gives actions an id and replaces the `verified` flag with a status.
+    // Ids are derived from the position so every client migrates to the same ones.
+    4: (data) => {
+        const upgradeActions = (actions, prefix) => Array.isArray(actions)
+            ? actions.map(({ verified, ...a }, i) => ({ ...a, id: a.id || `${prefix}-${i + 1}`, status: verified ? 'verified' : 'open' }))
+            : actions;
+        return {
+            ...data,
+            d3_containment: upgradeActions(data.d3_containment, 'd3'),
+            d5_corrective_actions: upgradeActions(data.d5_corrective_actions, 'd5'),
+            schemaVersion: 5,
+        };
+    },
+    // v6 turns the fishbone from { Category: [text] } into categories and
+    // causes with ids, and the single `root_cause` text into flagged causes.
+    5: (data) => {
+        const { root_cause: rootCause = '', fishbone: legacy, ...d4 } = data.d4_root_cause || {};
+        const legacyCauses = legacy && typeof legacy === 'object' && !Array.isArray(legacy.causes) ? legacy : {};
+        const categories = [
+            ...DEFAULT_FISHBONE_CATEGORIES,
+            ...Object.keys(legacyCauses).filter(key => !DEFAULT_FISHBONE_CATEGORIES.some(c => c.id === key)).map(key => ({ id: key, name: key })),
+        ];
+        const causes = Object.entries(legacyCauses).flatMap(([categoryId, texts]) => (Array.isArray(texts) ? texts : [])
+            .filter(text => typeof text === 'string')
+            .map((text, i) => ({
+                id: `${categoryId}-${i + 1}`, categoryId, parentId: '', text,
+                status: rootCause && text === rootCause ? 'verified' : 'suspected',
+                evidence: [], offset: null, isRootCause: Boolean(rootCause) && text === rootCause,
+            })));
+        // A root cause typed outside the diagram (e.g. the last "why") keeps its own category.
+        if (rootCause && !causes.some(c => c.isRootCause)) {
+            categories.push({ id: 'Other', name: 'Otras' });
+            causes.push({ id: 'Other-1', categoryId: 'Other', parentId: '', text: rootCause, status: 'verified', evidence: [], offset: null, isRootCause: true });
+        }
+        return {
+            ...data,
+            d4_root_cause: { ...d4, fishbone: legacy && Array.isArray(legacy.causes) ? legacy : { categories, causes } },
+            d5_corrective_actions: Array.isArray(data.d5_corrective_actions)
+                ? data.d5_corrective_actions.map(a => ({ ...a, rootCauseIds: a.rootCauseIds || [] }))
+                : data.d5_corrective_actions,
+            schemaVersion: 6,
+        };
+    },
+    // v7 replaces the flat `five_whys` list with the why-tree. The old list
+    // becomes one linear occurrence chain; if its last answer is a fishbone
+    // root cause (as migrated in v6), the leaf is marked and linked to it.
+    6: (data) => {
+        const { five_whys: fiveWhys, ...d4 } = data.d4_root_cause || {};
+        const whys = (Array.isArray(fiveWhys) ? fiveWhys : []).filter(why => typeof why === 'string' && why.trim() !== '');
+        const causes = Array.isArray(d4.fishbone?.causes) ? d4.fishbone.causes : [];
+        const linked = causes.find(c => c.isRootCause && c.text === whys[whys.length - 1]);
+        const whyTree = whys.map((text, i) => ({
+            id: `why-${i + 1}`,
+            chain: 'occurrence',
+            parentId: i === 0 ? '' : `why-${i}`,
+            text,
+            isRootCause: Boolean(linked) && i === whys.length - 1,
+            fishboneCauseId: linked && i === whys.length - 1 ? linked.id : '',
+        }));
+        return {
+            ...data,
+            d4_root_cause: { ...d4, why_tree: Array.isArray(d4.why_tree) ? d4.why_tree : whyTree },
+            schemaVersion: 7,
+        };
+    },
+    // v8 gives team members ids so concurrent edits of D1 can be merged.
+    7: (data) => ({
+        ...data,
+        d1_team: Array.isArray(data.d1_team)
+            ? data.d1_team.map((member, i) => ({ ...member, id: member.id || `member-${i + 1}` }))
+            : data.d1_team,
+        schemaVersion: 8,
+    }),
+    // v9 replaces permanent deletion with a trash; the flag must exist on
+    // every report for the dashboard query to find it.
+    8: (data) => ({ ...data, deleted: false, deletedAt: '', deletedBy: '', schemaVersion: 9 }),
+    // v10 adds evidence attachments to every discipline and action.
+    9: (data) => {
+        const withAttachments = (actions) => Array.isArray(actions)
+            ? actions.map(a => ({ ...a, attachments: a.attachments || [] }))
+            : actions;
+        return {
+            ...data,
+            attachments: Object.fromEntries(DISCIPLINE_IDS.map(d => [d, data.attachments?.[d] || []])),
+            d3_containment: withAttachments(data.d3_containment),
+            d5_corrective_actions: withAttachments(data.d5_corrective_actions),
+            schemaVersion: 10,
+        };
+    },
+    // v11 adds the severity and the D7 document checklist used by templates.
+    10: (data) => ({
+        ...data,
+        severity: data.severity || '',
+        d7_prevention: { ...storedObject(data.d7_prevention), checklist: storedObject(data.d7_prevention).checklist || [] },
+        schemaVersion: 11,
+    }),
+    // v12 adds the plant and defect category the analytics group by. Older
+    // reports have neither; they show up as "not specified".
+    11: (data) => ({ ...data, plant: data.plant || '', defectCategory: data.defectCategory || '', schemaVersion: 12 }),
+    // v13 adds the output format; existing reports follow their customer's.
+    12: (data) => ({ ...data, outputFormat: data.outputFormat || '', schemaVersion: 13 }),
+    // v14 adds D0 and the configurable discipline list. Existing reports keep
+    // D1-D8 with the default names and no sub-steps.
+    13: (data) => ({
+        ...data,
+        disciplines: data.disciplines || DEFAULT_DISCIPLINES.map(d => ({ ...d, steps: [] })),
+        substeps: data.substeps || {},
+        d0_emergency: data.d0_emergency || { symptom: '', decision: '', decision_reason: '', decided_by: '', decided_at: '' },
+        d0_emergency_actions: data.d0_emergency_actions || [],
+        attachments: { ...data.attachments, D0: data.attachments?.D0 || [] },
+        schemaVersion: 14,
+    }),
+    // v15 scopes reports to an organization and a plant. Existing reports
+    // have neither until a platform administrator assigns them.
+    14: (data) => ({
+        ...data,
+        orgId: data.orgId || '',
+        plantId: data.plantId || '',
+        visibility: data.visibility || 'organization',
+        schemaVersion: 15,
+    }),
+    // v16 adds supplier-owned 8Ds; existing reports belong to their team.
+    15: (data) => ({
+        ...data,
+        supplierRequest: data.supplierRequest || { company: '', contactUid: '', contactName: '', issuedAt: '', issuedBy: '', issuedByName: '', deadlines: {} },
+        supplierLog: data.supplierLog || [],
+        schemaVersion: 16,
+    }),
+    // v17 adds quality manager approvals; no discipline has been decided yet.
+    16: (data) => ({
+        ...data,
+        approvals: data.approvals || {},
+        schemaVersion: 17,
+    }),
+    // v18 assigns actions to accounts. Existing actions are linked to the D1
+    // team member with the same name, if that member has an account.
+    17: (data) => {
+        const team = Array.isArray(data.d1_team) ? data.d1_team : [];
+        const uidOf = (name) => team.find(m => m.uid && typeof name === 'string' && name.trim() !== ''
+            && m.name?.trim().toLowerCase() === name.trim().toLowerCase())?.uid || '';
+        const withAccounts = (actions) => Array.isArray(actions)
+            ? actions.map(a => ({ ...a, responsibleUid: a.responsibleUid || uidOf(a.responsible) }))
+            : actions;
+        return {
+            ...data,
+            d0_emergency_actions: withAccounts(data.d0_emergency_actions),
+            d3_containment: withAccounts(data.d3_containment),
+            d5_corrective_actions: withAccounts(data.d5_corrective_actions),
+            schemaVersion: 18,
+        };
+    },
+    // v19 structures D2 with the IS / IS NOT table, the complaint and lot
+    // references and the quantified impact. The affected quantity is taken
+    // from "how many" when that answer is only a number.
+    18: (data) => {
+        const d2 = data.d2_problem && typeof data.d2_problem === 'object' ? data.d2_problem : {};
+        const howMany = typeof d2.how_many === 'string' && /^\s*\d+\s*$/.test(d2.how_many) ? Number(d2.how_many) : null;
+        return {
+            ...data,
+            d2_problem: { ...problemDescription.create(), ...d2, quantity_affected: d2.quantity_affected ?? howMany },
+            schemaVersion: 19,
+        };
+    },
+    // v20 links reports of a recurring problem; no report is linked yet.
+    19: (data) => ({ ...data, recurrenceLinks: data.recurrenceLinks || [], schemaVersion: 20 }),
+    // v21 adds the D6 effectiveness checks; existing reports have none.
+    20: (data) => ({
+        ...data,
+        d6_implementation: { ...storedObject(data.d6_implementation), effectiveness_checks: storedObject(data.d6_implementation).effectiveness_checks || [] },
+        schemaVersion: 21,
+    }),
+    // v22 turns the D7 checklist into document updates. The checklist only
+    // had a text and a tick: the text becomes the title of a document of
+    // type "other", closed if it was ticked.
+    21: (data) => {
+        const { checklist, ...d7 } = data.d7_prevention && typeof data.d7_prevention === 'object' ? data.d7_prevention : {};
+        const documents = (Array.isArray(checklist) ? checklist : []).map(item => ({
+            ...documentUpdate.create(),
+            id: item.id || createId(),
+            title: typeof item.text === 'string' ? item.text : '',
+            status: item.done ? 'closed' : 'open',
+        }));
+        return {
+            ...data,
+            d7_prevention: { ...d7, documents: d7.documents || documents, lessons_learned: d7.lessons_learned || [], read_across: d7.read_across || [] },
+            schemaVersion: 22,
+        };
+    },
+    // v23 stores the supplier status of each discipline next to the log.
+    22: (data) => ({
+        ...data,
+        supplierStatus: buildSupplierStatus(Array.isArray(data.supplierLog) ? data.supplierLog : []),
+        schemaVersion: 23,
+    }),
+    // v24 confirms lessons learned one by one, like the read-across lines.
+    23: (data) => {
+        const d7 = storedObject(data.d7_prevention);
+        const lessons = Array.isArray(d7.lessons_learned) ? d7.lessons_learned : [];
+        return {
+            ...data,
+            d7_prevention: {
+                ...d7,
+                lessons_learned: lessons.map(lesson => ({ confirmed: false, confirmedAt: '', confirmedBy: '', confirmedByName: '', ...lesson })),
+            },
+            schemaVersion: 24,
+        };
+    },
+};
+
+const migrate = (data) => {
+    let migrated = { ...data };
+    let version = typeof migrated.schemaVersion === 'number' ? migrated.schemaVersion : 0;
+    if (version > SCHEMA_VERSION) {
+        throw new ReportValidationError('schemaVersion', `el informe usa la versión ${version}, más reciente que esta aplicación (${SCHEMA_VERSION})`);
+    }
+    while (version < SCHEMA_VERSION) {
+        migrated = migrations[version](migrated);
+        version = migrated.schemaVersion;
+    }
+    return migrated;
+};
+
+// --- Public API ---
+
+// Builds the document for a brand-new report.
+export const createReport = ({ title, userId, userName, ...overrides }) => {
+    const report = reportSchema.create();
+    return {
+        ...report,
+        searchTokens: tokenize(title),
+        ...overrides,
+        title,
+        createdBy: userId,
+        createdByName: userName,
+        currentDiscipline: 'D1',
+        d1_team: [{ ...teamMember.create(), name: userName, role: 'Líder', uid: userId, access: 'champion' }],
+        roles: { [userId]: 'champion' },
+        members: [userId],
+    };
+};
+
+export const createAction = () => action.create();
+
+export const createCorrectiveAction = () => correctiveAction.create();
+
+export const createAttachment = (fields) => ({ ...attachment.create(), ...fields });
+
+export const createTeamMember = () => teamMember.create();
+
+export const createEffectivenessCheck = (actionId) => ({ ...effectivenessCheck.create(), actionId });
+
+export const createMeasurement = (fields = {}) => ({ ...measurement.create(), ...fields });
+
+export const createDocumentUpdate = (fields = {}) => ({ ...documentUpdate.create(), ...fields });
+
+export const createLessonLearned = () => lessonLearned.create();
+
+export const createReadAcross = () => readAcross.create();
+
+// Migrates and repairs a raw Firestore document. `needsRepair` tells the
+// caller that the stored document differs from the normalized one and
+// should be written back.
+export const normalizeReport = (raw) => {
+    const { id, ...data } = raw;
+    const migrated = migrate(data);
+    const errors = reportSchema.validate(migrated, 'informe');
+    const report = errors.length === 0 ? migrated : reportSchema.repair(migrated);
+    const needsRepair = migrated.schemaVersion !== data.schemaVersion || errors.length > 0;
+    return { report: { id, ...report }, errors, needsRepair };
+};
+
+// Returns only the persisted fields of a normalized report (no `id`).
+export const toDocument = ({ id, ...data }) => data;
+
+const typeAtPath = (path) => {
+    return path.split('.').reduce((type, key) => {
+        if (!type) return null;
+        if (type.fields) return type.fields[key] || null;
+        if (type.values) return type.values;
+        return null;
+    }, reportSchema);
+};
+
+// Validates a value about to be written with `updateDoc(ref, { [path]: value })`.
+export const validateUpdate = (path, value) => {
+    const type = typeAtPath(path);
+    if (!type) {
+        throw new ReportValidationError(path, 'campo desconocido en el esquema del informe');
+    }
+    const errors = type.validate(value, path);
+    if (errors.length > 0) {
+        throw new ReportValidationError(path, errors[0].replace(`${path}: `, ''));
+    }
+};
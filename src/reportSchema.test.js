@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { SCHEMA_VERSION, normalizeReport } from './reportSchema';
+
+// A report as the first version of the editor stored it.
+const baselineReport = (fields = {}) => ({
+    id: 'r1',
+    title: 'Fuga en la junta',
+    createdBy: 'u1',
+    d1_team: [{ name: 'Ana', role: 'Líder' }],
+    d2_problem: { what: 'Fuga', where: '', when: '', who: '', why: '', how: '', how_many: '3' },
+    d3_containment: [],
+    d4_root_cause: { root_cause: '', fishbone: {}, five_whys: [] },
+    d5_corrective_actions: [],
+    d6_implementation: { summary: '', validation_results: '' },
+    d7_prevention: { updated_docs: '', new_standards: '' },
+    d8_recognition: { summary: '', celebration_date: '' },
+    ...fields,
+});
+
+describe('normalizeReport migrations', () => {
+    it('migrates a baseline report to the current version', () => {
+        const { report } = normalizeReport(baselineReport());
+        expect(report.schemaVersion).toBe(SCHEMA_VERSION);
+    });
+
+    it('starts D7 over when it was stored as its field name', () => {
+        const { report } = normalizeReport(baselineReport({ d7_prevention: 'd7_prevention' }));
+        expect(report.d7_prevention).toEqual({ updated_docs: '', new_standards: '', documents: [], lessons_learned: [], read_across: [] });
+    });
+
+    it('starts D6 over when it was stored as its field name', () => {
+        const { report } = normalizeReport(baselineReport({ d6_implementation: 'd6_implementation' }));
+        expect(report.d6_implementation).toEqual({ summary: '', validation_results: '', effectiveness_checks: [] });
+    });
+
+    it('keeps the D7 texts of a stored object', () => {
+        const { report } = normalizeReport(baselineReport({ d7_prevention: { updated_docs: 'PFMEA rev. C', new_standards: '' } }));
+        expect(report.d7_prevention.updated_docs).toBe('PFMEA rev. C');
+    });
+
+    it('stores the latest supplier status of each discipline', () => {
+        const entry = (disciplineId, kind) => ({ id: `${disciplineId}-${kind}`, disciplineId, kind, at: '', by: 'u2', byName: '', comment: '' });
+        const { report } = normalizeReport(baselineReport({
+            schemaVersion: 22,
+            supplierLog: [entry('D3', 'submitted'), entry('D3', 'rejected'), entry('D4', 'submitted'), entry('D3', 'submitted')],
+        }));
+        expect(report.supplierStatus).toEqual({ D3: 'submitted', D4: 'submitted' });
+    });
+
+    it('leaves the lessons learned unconfirmed', () => {
+        const { report } = normalizeReport(baselineReport({
+            schemaVersion: 23,
+            d7_prevention: { updated_docs: '', new_standards: '', documents: [], lessons_learned: [{ id: 'l1', text: 'Validar el par' }], read_across: [] },
+        }));
+        expect(report.d7_prevention.lessons_learned).toEqual([{ id: 'l1', text: 'Validar el par', confirmed: false, confirmedAt: '', confirmedBy: '', confirmedByName: '' }]);
+    });
+});
@@ -0,0 +1,300 @@
+// --- Report Sync ---
+// Edits in the workspace are queued and written to Firestore in one batch
+// after a short pause in typing. Firestore keeps the writes in its IndexedDB
+// cache while the device is offline and sends them when it reconnects.
+//
+// Lists whose items have ids are merged instead of overwritten: each queued
+// list remembers the value it was edited from (`base`), and when it is
+// written only the items this user added, changed or removed are applied on
+// top of the latest snapshot, keeping everyone else's changes.
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { DISCIPLINE_IDS, applyFieldUpdates, getPath, validateUpdate, withDerivedFields } from './reportSchema';
+import { writeWithHistory } from './history';
+
+export const SAVE_DELAY_MS = 800;
+
+export const SYNC_STATES = {
+    saved: { label: 'Guardado', className: 'text-green-400' },
+    pending: { label: 'Guardando...', className: 'text-yellow-400' },
+    offline: { label: 'Sin conexión · cambios guardados en este dispositivo', className: 'text-orange-400' },
+    error: { label: 'Error al guardar', className: 'text-red-400' },
+};
+
+// --- Merging ---
+
+export const isEqual = (a, b) => {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+};
+
+// Three-way merge of lists of `{ id, ... }`. Local additions are appended,
+// local removals and changes win, and anything else comes from `remote`.
+export const mergeById = (base, local, remote) => {
+    if (isEqual(base, remote)) return local;
+    const baseItems = new Map(base.map(item => [item.id, item]));
+    const localItems = new Map(local.map(item => [item.id, item]));
+    const remoteIds = new Set(remote.map(item => item.id));
+
+    const kept = remote
+        .filter(item => localItems.has(item.id) || !baseItems.has(item.id))
+        .map(item => {
+            const mine = localItems.get(item.id);
+            const original = baseItems.get(item.id);
+            return mine && (!original || !isEqual(mine, original)) ? mine : item;
+        });
+    const added = local.filter(item => !baseItems.has(item.id) && !remoteIds.has(item.id));
+    return [...kept, ...added];
+};
+
+const mergeFishbone = (base, local, remote) => ({
+    categories: mergeById(base.categories, local.categories, remote.categories),
+    causes: mergeById(base.causes, local.causes, remote.causes),
+});
+
+// Fields written as a whole that several people commonly edit at once.
+const MERGERS = {
+    d0_emergency_actions: mergeById,
+    d1_team: mergeById,
+    d3_containment: mergeById,
+    d5_corrective_actions: mergeById,
+    'd4_root_cause.why_tree': mergeById,
+    'd4_root_cause.fishbone': mergeFishbone,
+    'd7_prevention.documents': mergeById,
+    'd7_prevention.lessons_learned': mergeById,
+    'd7_prevention.read_across': mergeById,
+    ...Object.fromEntries(DISCIPLINE_IDS.map(d => [`attachments.${d}`, mergeById])),
+};
+
+// --- Conflicts ---
+// A conflict is a remote change to something this user has also changed and
+// not written yet; for merged lists, only the same item counts.
+
+const valueConflict = (base, local, remote) => !isEqual(remote, base) && !isEqual(remote, local);
+
+export const itemConflict = (base, local, remote) => {
+    const baseItems = new Map(base.map(item => [item.id, item]));
+    const remoteItems = new Map(remote.map(item => [item.id, item]));
+    return local.some(item => {
+        const original = baseItems.get(item.id);
+        if (!original || isEqual(item, original)) return false;
+        const theirs = remoteItems.get(item.id);
+        return !theirs || valueConflict(original, item, theirs);
+    });
+};
+
+const CONFLICT_CHECKS = {
+    d0_emergency_actions: itemConflict,
+    d1_team: itemConflict,
+    d3_containment: itemConflict,
+    d5_corrective_actions: itemConflict,
+    'd4_root_cause.why_tree': itemConflict,
+    'd4_root_cause.fishbone': (base, local, remote) => itemConflict(base.categories, local.categories, remote.categories)
+        || itemConflict(base.causes, local.causes, remote.causes),
+    'd7_prevention.documents': itemConflict,
+    'd7_prevention.lessons_learned': itemConflict,
+    'd7_prevention.read_across': itemConflict,
+    ...Object.fromEntries(DISCIPLINE_IDS.map(d => [`attachments.${d}`, itemConflict])),
+};
+
+const FIELD_LABELS = [
+    ['title', 'el título'],
+    ['customer', 'el cliente'],
+    ['partNumber', 'el número de parte'],
+    ['severity', 'la severidad'],
+    ['plantId', 'la planta'],
+    ['plant', 'la planta'],
+    ['visibility', 'la visibilidad'],
+    ['defectCategory', 'la categoría de defecto'],
+    ['outputFormat', 'el formato de salida'],
+    ['disciplines', 'las disciplinas y subpasos'],
+    ['supplierRequest', 'la solicitud al proveedor'],
+    ['supplierLog', 'las revisiones del proveedor'],
+    ['approvals', 'las aprobaciones de Calidad'],
+    ['substeps', 'los subpasos completados'],
+    ['d0_emergency_actions', 'las acciones de emergencia (D0)'],
+    ['d0_emergency', 'la respuesta de emergencia (D0)'],
+    ['d1_team', 'el equipo (D1)'],
+    ['d2_problem', 'la descripción del problema (D2)'],
+    ['d3_containment', 'las acciones de contención (D3)'],
+    ['d4_root_cause.why_tree', 'los 5 Porqués (D4)'],
+    ['d4_root_cause.fishbone', 'el diagrama de Ishikawa (D4)'],
+    ['d5_corrective_actions', 'las acciones correctivas (D5)'],
+    ['d6_implementation', 'la implementación (D6)'],
+    ['d7_prevention', 'la prevención (D7)'],
+    ['d8_recognition', 'el reconocimiento (D8)'],
+    ...DISCIPLINE_IDS.map(d => [`attachments.${d}`, `las evidencias (${d})`]),
+];
+
+// Accepts update paths ('d2_problem.what') and diff paths ('d3_containment[id].action').
+export const describeField = (path) => FIELD_LABELS.find(([prefix]) => path === prefix || path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`))?.[1] || path;
+
+// --- Queue ---
+// Firestore rejects an update that writes both a field and a field inside it
+// ('d0_emergency' and 'd0_emergency.symptom'). An edit inside a queued field
+// is folded into it; an edit of a whole field replaces the queued edits
+// inside it, which the new value was made from.
+export const queueEdit = (queue, path, value, latest) => {
+    const parent = Object.keys(queue).find(queued => path.startsWith(`${queued}.`));
+    if (parent) {
+        return { ...queue, [parent]: { ...queue[parent], value: applyFieldUpdates(queue[parent].value, { [path.slice(parent.length + 1)]: value }) } };
+    }
+    const kept = Object.fromEntries(Object.entries(queue).filter(([queued]) => !queued.startsWith(`${path}.`)));
+    return { ...kept, [path]: { base: queue[path]?.base ?? getPath(latest, path), value } };
+};
+
+// --- Writer Hook ---
+// Returns the report with the local, not yet confirmed edits applied, so
+// inputs stay responsive while the writes are debounced.
+export const useReportWriter = ({ db, docPath, report, hasPendingWrites, author, onError }) => {
+    const queue = useRef({}); // path -> { base, value }, not written yet
+    const inFlight = useRef({}); // path -> value, written but not yet in a snapshot
+    const timer = useRef(null);
+    const reportRef = useRef(report);
+    const onErrorRef = useRef(onError);
+    const authorRef = useRef(author);
+    const [, setRevision] = useState(0);
+    const [error, setError] = useState(null);
+    const [conflicts, setConflicts] = useState([]); // [{ path, theirs }]
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+    reportRef.current = report;
+    onErrorRef.current = onError;
+    authorRef.current = author;
+    const rerender = () => setRevision(r => r + 1);
+
+    // The report as this client last wrote it.
+    const current = () => applyFieldUpdates(reportRef.current, inFlight.current);
+
+    const write = useCallback((fields, kind = 'edit') => {
+        const handleFailure = (writeError) => {
+            Object.keys(fields).forEach(path => { delete inFlight.current[path]; });
+            setError(writeError.message);
+            onErrorRef.current(`No se pudo guardar el cambio: ${writeError.message}`);
+            rerender();
+        };
+        try {
+            const before = current();
+            const data = withDerivedFields(before, fields);
+            Object.assign(inFlight.current, fields);
+            rerender();
+            // Only fields that change are recorded; the rules reject history
+            // entries that do not match a change in the same batch.
+            const changed = Object.fromEntries(Object.entries(fields).filter(([path, value]) => !isEqual(getPath(before, path), value)));
+            // Offline, the promise only settles once the write reaches the server.
+            writeWithHistory(db, docPath, before, data, authorRef.current, kind, changed).then(() => setError(null), handleFailure);
+        } catch (writeError) {
+            handleFailure(writeError);
+        }
+    }, [db, docPath]);
+
+    const flush = useCallback(() => {
+        clearTimeout(timer.current);
+        const entries = Object.entries(queue.current);
+        if (entries.length === 0) return;
+        queue.current = {};
+        const latest = current();
+        write(Object.fromEntries(entries.map(([path, { base, value }]) => {
+            const merge = MERGERS[path];
+            return [path, merge && base ? merge(base, value, getPath(latest, path)) : value];
+        })));
+    }, [write]);
+
+    // Queues field edits; throws if a value does not match the schema.
+    const update = useCallback((fields) => {
+        Object.entries(fields).forEach(([path, value]) => validateUpdate(path, value));
+        const latest = current();
+        Object.entries(fields).forEach(([path, value]) => {
+            queue.current = queueEdit(queue.current, path, value, latest);
+        });
+        rerender();
+        clearTimeout(timer.current);
+        timer.current = setTimeout(flush, SAVE_DELAY_MS);
+    }, [flush]);
+
+    // Workflow transitions and restores are written at once, after any queued edits.
+    const writeNow = useCallback((fields, kind) => {
+        Object.entries(fields).forEach(([path, value]) => validateUpdate(path, value));
+        flush();
+        write(fields, kind);
+    }, [flush, write]);
+
+    // A snapshot that reflects a write, or one without pending writes, replaces it.
+    // Queued edits are checked against it for conflicting remote changes, each
+    // remote value being reported once.
+    useEffect(() => {
+        if (!report) return;
+        const settled = Object.entries(inFlight.current)
+            .filter(([path, value]) => !hasPendingWrites || isEqual(getPath(report, path), value));
+        settled.forEach(([path]) => { delete inFlight.current[path]; });
+        if (settled.length > 0) rerender();
+
+        const found = Object.entries(queue.current).filter(([path, entry]) => {
+            const remote = getPath(report, path);
+            if (entry.base === undefined || isEqual(remote, entry.reported)) return false;
+            if (!(CONFLICT_CHECKS[path] || valueConflict)(entry.base, entry.value, remote)) return false;
+            entry.reported = remote;
+            return true;
+        });
+        if (found.length > 0) {
+            setConflicts(list => [
+                ...list.filter(c => !found.some(([path]) => path === c.path)),
+                ...found.map(([path, entry]) => ({ path, theirs: entry.reported })),
+            ]);
+        }
+    }, [report, hasPendingWrites]);
+
+    // Keeping the local version needs nothing: it is written over theirs.
+    // Taking theirs drops the queued edit and restores their value.
+    const resolveConflict = useCallback((path, keepMine) => {
+        const conflict = conflicts.find(c => c.path === path);
+        setConflicts(list => list.filter(c => c.path !== path));
+        if (keepMine || !conflict) return;
+        delete queue.current[path];
+        write({ [path]: conflict.theirs });
+    }, [conflicts, write]);
+
+    // Write queued edits when the tablet is put away or the report is left.
+    useEffect(() => {
+        const handleVisibilityChange = () => { if (document.visibilityState === 'hidden') flush(); };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('pagehide', flush);
+        return () => {
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            window.removeEventListener('pagehide', flush);
+            flush();
+            inFlight.current = {};
+            setConflicts([]);
+        };
+    }, [flush]);
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    const queued = Object.fromEntries(Object.entries(queue.current).map(([path, { value }]) => [path, value]));
+    const hasLocalChanges = Object.keys(queued).length > 0 || Object.keys(inFlight.current).length > 0;
+    let status = 'saved';
+    if (error) status = 'error';
+    else if (!isOnline) status = 'offline';
+    else if (hasLocalChanges || hasPendingWrites) status = 'pending';
+
+    return {
+        report: report && applyFieldUpdates(report, { ...inFlight.current, ...queued }),
+        status,
+        conflicts,
+        update,
+        writeNow,
+        resolveConflict,
+    };
+};
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { itemConflict, mergeById, queueEdit } from './reportSync';
+
+describe('queueEdit', () => {
+    const latest = { d0_emergency: { symptom: 'Fuga', decision: '', decision_reason: '' } };
+
+    it('folds an edit inside a queued field into it', () => {
+        const queue = queueEdit({}, 'd0_emergency', { ...latest.d0_emergency, decision: 'required' }, latest);
+        const folded = queueEdit(queue, 'd0_emergency.symptom', 'Fuga de aceite', latest);
+        expect(Object.keys(folded)).toEqual(['d0_emergency']);
+        expect(folded.d0_emergency).toEqual({ base: latest.d0_emergency, value: { symptom: 'Fuga de aceite', decision: 'required', decision_reason: '' } });
+    });
+
+    it('replaces the queued edits inside a field written as a whole', () => {
+        const queue = queueEdit({}, 'd0_emergency.symptom', 'Fuga de aceite', latest);
+        const replaced = queueEdit(queue, 'd0_emergency', { ...latest.d0_emergency, symptom: 'Fuga de aceite', decision: 'required' }, latest);
+        expect(Object.keys(replaced)).toEqual(['d0_emergency']);
+    });
+
+    it('keeps the value a field was first edited from', () => {
+        const queue = queueEdit({}, 'd0_emergency.symptom', 'Fuga de', latest);
+        expect(queueEdit(queue, 'd0_emergency.symptom', 'Fuga de aceite', latest)['d0_emergency.symptom']).toEqual({ base: 'Fuga', value: 'Fuga de aceite' });
+    });
+});
+
+describe('mergeById', () => {
+    const a = { id: 'a', action: 'Separar lote' };
+    const b = { id: 'b', action: 'Inspeccionar 100 %' };
+    const base = [a, b];
+
+    it('keeps what both sides added', () => {
+        const mine = { id: 'c', action: 'Avisar al cliente' };
+        const theirs = { id: 'd', action: 'Bloquear el almacén' };
+        expect(mergeById(base, [...base, mine], [...base, theirs])).toEqual([a, b, theirs, mine]);
+    });
+
+    it('applies what either side removed', () => {
+        expect(mergeById(base, [a], [a, b])).toEqual([a]);
+        expect(mergeById(base, [a, b], [b])).toEqual([b]);
+    });
+
+    it('keeps local changes and remote changes to other items', () => {
+        const mine = { ...a, action: 'Separar el lote 42' };
+        const theirs = { ...b, action: 'Inspeccionar el lote 42' };
+        expect(mergeById(base, [mine, b], [a, theirs])).toEqual([mine, theirs]);
+    });
+
+    it('lets the local change win when both sides edit the same item', () => {
+        const mine = { ...a, action: 'Separar el lote 42' };
+        expect(mergeById(base, [mine, b], [{ ...a, action: 'Separar el lote 43' }, b])).toEqual([mine, b]);
+    });
+
+    it('returns the local list when nothing changed remotely', () => {
+        const local = [b, a];
+        expect(mergeById(base, local, [a, b])).toBe(local);
+    });
+});
+
+describe('itemConflict', () => {
+    const a = { id: 'a', action: 'Separar lote' };
+    const b = { id: 'b', action: 'Inspeccionar 100 %' };
+    const base = [a, b];
+    const mine = [{ ...a, action: 'Separar el lote 42' }, b];
+
+    it('reports the same item edited on both sides', () => {
+        expect(itemConflict(base, mine, [{ ...a, action: 'Separar el lote 43' }, b])).toBe(true);
+    });
+
+    it('reports an item edited here and removed there', () => {
+        expect(itemConflict(base, mine, [b])).toBe(true);
+    });
+
+    it('ignores changes to different items and identical edits', () => {
+        expect(itemConflict(base, mine, [a, { ...b, action: 'Inspeccionar el lote 42' }])).toBe(false);
+        expect(itemConflict(base, mine, mine)).toBe(false);
+    });
+
+    it('ignores additions and removals on either side', () => {
+        const added = { id: 'c', action: 'Avisar al cliente' };
+        expect(itemConflict(base, [...base, added], [a])).toBe(false);
+        expect(itemConflict(base, [a], [...base, { ...added, id: 'd' }])).toBe(false);
+    });
+});
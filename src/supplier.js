@@ -0,0 +1,122 @@
+// --- Supplier-Owned 8Ds ---
+// When a supplier caused the problem, the team issues the 8D to a contact of
+// that supplier. The contact is a member of the organization with the
+// `supplier` role: they only see reports whose D1 team links them with
+// `supplier` access. They fill in the disciplines and submit each one for
+// review; the champion, team leader or a quality manager accepts or rejects
+// it with a comment. Mirrors firestore.rules.
+//
+//   supplierRequest   { company, contactUid, contactName, issuedAt, issuedBy, issuedByName, deadlines: { D3: iso, ... } }
+//   supplierLog       [{ id, disciplineId, kind: 'submitted' | 'accepted' | 'rejected', at, by, byName, comment }]
+//   supplierStatus    { D3: 'submitted', ... }, the latest kind of each discipline, derived from the log
+//
+// The log is append-only; the state of a discipline is its latest entry.
+
+import { createId, createTeamMember } from './reportSchema';
+
+export const SUPPLIER_STATUSES = [
+    { id: 'pending', label: 'Pendiente del proveedor', className: 'bg-gray-700 text-gray-200' },
+    { id: 'submitted', label: 'En revisión', className: 'bg-blue-900/60 text-blue-300' },
+    { id: 'accepted', label: 'Aceptada', className: 'bg-green-900/60 text-green-300' },
+    { id: 'rejected', label: 'Rechazada', className: 'bg-red-900/60 text-red-300' },
+];
+
+export const getSupplierStatus = (status) => SUPPLIER_STATUSES.find(s => s.id === status) || SUPPLIER_STATUSES[0];
+
+// Default response times, counted from the moment the request is issued.
+export const SUPPLIER_DEADLINES = [
+    { disciplineId: 'D3', hours: 24, label: 'Contención en 24 h' },
+    { disciplineId: 'D4', hours: 10 * 24, label: 'Causa raíz en 10 días' },
+];
+
+export const isSupplierReport = (report) => Boolean(report.supplierRequest?.contactUid);
+
+// The request and the D1 team entry that gives the contact access to the
+// report. Editing the request keeps when and by whom it was first issued.
+export const issueSupplierRequest = (report, { company, contact, deadlines, profile, now = new Date() }) => {
+    const team = report.d1_team.filter(m => m.access !== 'supplier');
+    const issued = isSupplierReport(report)
+        ? { issuedAt: report.supplierRequest.issuedAt, issuedBy: report.supplierRequest.issuedBy, issuedByName: report.supplierRequest.issuedByName }
+        : { issuedAt: now.toISOString(), issuedBy: profile.uid, issuedByName: profile.displayName };
+    return {
+        supplierRequest: {
+            company,
+            contactUid: contact.uid,
+            contactName: contact.displayName,
+            ...issued,
+            deadlines,
+        },
+        d1_team: [...team, { ...createTeamMember(), name: contact.displayName, role: `Proveedor (${company})`, uid: contact.uid, access: 'supplier' }],
+    };
+};
+
+export const getDefaultDeadlines = (now = new Date()) => Object.fromEntries(SUPPLIER_DEADLINES.map(d => [
+    d.disciplineId,
+    new Date(now.getTime() + d.hours * 60 * 60 * 1000).toISOString(),
+]));
+
+// --- Submissions and Reviews ---
+
+const entriesOf = (report, disciplineId) => report.supplierLog.filter(e => e.disciplineId === disciplineId);
+
+export const getDisciplineSupplierStatus = (report, disciplineId) => {
+    const entries = entriesOf(report, disciplineId);
+    return entries.length === 0 ? 'pending' : entries[entries.length - 1].kind;
+};
+
+export const getDisciplineLog = (report, disciplineId) => entriesOf(report, disciplineId);
+
+// Submitted or accepted disciplines are locked for the supplier until a rejection.
+export const isLockedForSupplier = (report, disciplineId) => ['submitted', 'accepted'].includes(getDisciplineSupplierStatus(report, disciplineId));
+
+const appendEntry = (report, disciplineId, kind, profile, comment, now) => ({
+    supplierLog: [...report.supplierLog, {
+        id: createId(),
+        disciplineId,
+        kind,
+        at: now.toISOString(),
+        by: profile.uid,
+        byName: profile.displayName,
+        comment: comment.trim(),
+    }],
+});
+
+export const submitDiscipline = (report, disciplineId, profile, comment = '', now = new Date()) => {
+    if (getDisciplineSupplierStatus(report, disciplineId) === 'submitted') throw new Error(`${disciplineId} ya está en revisión.`);
+    if (getDisciplineSupplierStatus(report, disciplineId) === 'accepted') throw new Error(`${disciplineId} ya fue aceptada.`);
+    return appendEntry(report, disciplineId, 'submitted', profile, comment, now);
+};
+
+// A rejection has to say what is missing.
+export const reviewDiscipline = (report, disciplineId, decision, profile, comment = '', now = new Date()) => {
+    if (getDisciplineSupplierStatus(report, disciplineId) !== 'submitted') throw new Error(`${disciplineId} no está pendiente de revisión.`);
+    if (decision === 'rejected' && !comment.trim()) throw new Error('Indica el motivo del rechazo.');
+    return appendEntry(report, disciplineId, decision, profile, comment, now);
+};
+
+// --- Response Deadlines ---
+// A deadline is met by the first submission of its discipline, even if a
+// later review rejects it.
+
+export const getDeadlineState = (report, disciplineId, now = new Date()) => {
+    const due = report.supplierRequest.deadlines[disciplineId];
+    if (!due) return null;
+    const firstSubmission = entriesOf(report, disciplineId).find(e => e.kind === 'submitted');
+    if (firstSubmission) return { due, state: firstSubmission.at <= due ? 'met' : 'late', at: firstSubmission.at };
+    return { due, state: new Date(due) < now ? 'overdue' : 'open', at: '' };
+};
+
+export const getDeadlines = (report, now = new Date()) => Object.keys(report.supplierRequest.deadlines)
+    .sort()
+    .map(disciplineId => ({ disciplineId, ...getDeadlineState(report, disciplineId, now) }));
+
+// Deadlines not met yet, soonest first, for the dashboard cards.
+export const getOpenDeadlines = (report, now = new Date()) => (isSupplierReport(report) ? getDeadlines(report, now) : [])
+    .filter(d => d.state === 'open' || d.state === 'overdue')
+    .sort((a, b) => a.due.localeCompare(b.due));
+
+export const formatTimeLeft = (due, now = new Date()) => {
+    const hours = Math.round((new Date(due) - now) / (60 * 60 * 1000));
+    const amount = Math.abs(hours) >= 48 ? `${Math.round(Math.abs(hours) / 24)} días` : `${Math.abs(hours)} h`;
+    return hours < 0 ? `vencido hace ${amount}` : `vence en ${amount}`;
+};
@@ -0,0 +1,117 @@
+// --- Report Templates ---
+// A template is the starting structure shared by the reports of one customer
+// or product line: the usual team, standard containment steps, fishbone
+// categories and the D7 documents to update. Templates live in the
+// `8d-templates` collection; a report copies its template when it is created
+// and keeps no link to it.
+
+import { DEFAULT_FISHBONE_CATEGORIES, DOCUMENT_TYPE_IDS, SEVERITY_IDS, buildSearchTokens, createAction, createDocumentUpdate, createReadAcross, createReport, createTeamMember } from './reportSchema';
+import { REPORT_ROLE_IDS, deriveAccess } from './permissions';
+
+const text = (value) => typeof value === 'string' ? value : '';
+const list = (value) => Array.isArray(value) ? value : [];
+
+// Fills in missing fields so templates saved by older versions still open.
+export const normalizeTemplate = ({ id, ...data }) => ({
+    id,
+    orgId: text(data.orgId),
+    name: text(data.name),
+    description: text(data.description),
+    customer: text(data.customer),
+    partNumber: text(data.partNumber),
+    severity: SEVERITY_IDS.includes(data.severity) ? data.severity : '',
+    team: list(data.team).map(m => ({
+        name: text(m.name),
+        role: text(m.role),
+        uid: text(m.uid),
+        access: REPORT_ROLE_IDS.includes(m.access) ? m.access : 'member',
+    })),
+    containment: list(data.containment).map(a => ({ action: text(a.action), responsible: text(a.responsible) })),
+    fishboneCategories: list(data.fishboneCategories).length > 0
+        ? data.fishboneCategories.map(c => ({ id: text(c.id), name: text(c.name) }))
+        : DEFAULT_FISHBONE_CATEGORIES.map(c => ({ ...c })),
+    // Older templates kept the documents as a checklist of names.
+    d7Documents: list(data.d7Documents ?? list(data.d7Checklist).filter(item => typeof item === 'string').map(title => ({ title }))).map(d => ({
+        type: DOCUMENT_TYPE_IDS.includes(d.type) ? d.type : 'other',
+        title: text(d.title),
+        number: text(d.number),
+    })),
+    createdBy: text(data.createdBy),
+    createdByName: text(data.createdByName),
+    createdAt: data.createdAt ?? null,
+});
+
+export const createTemplate = ({ orgId, userId, userName }) => ({
+    ...normalizeTemplate({}),
+    orgId,
+    createdBy: userId,
+    createdByName: userName,
+});
+
+// The reusable parts of a report; dates, results and statuses are left out.
+export const templateFromReport = (report) => ({
+    customer: report.customer,
+    partNumber: report.partNumber,
+    severity: report.severity,
+    team: report.d1_team.filter(m => m.name.trim() !== '' && m.access !== 'supplier').map(({ name, role, uid, access }) => ({ name, role, uid, access })),
+    containment: report.d3_containment.filter(a => a.action.trim() !== '').map(({ action, responsible }) => ({ action, responsible })),
+    fishboneCategories: report.d4_root_cause.fishbone.categories.map(({ id, name }) => ({ id, name })),
+    d7Documents: report.d7_prevention.documents.map(({ type, title, number }) => ({ type, title, number })),
+});
+
+// --- Creating Reports ---
+
+// The creator always starts as champion; a template or source report member
+// linked to the same account is merged into that entry.
+const withCreator = (report, team) => {
+    const [creator] = report.d1_team;
+    const others = team.filter(m => !m.uid || m.uid !== creator.uid);
+    const own = team.find(m => m.uid === creator.uid);
+    const d1Team = [{ ...creator, role: own?.role || creator.role }, ...others.map(m => ({ ...createTeamMember(), ...m }))];
+    return { ...report, d1_team: d1Team, ...deriveAccess(d1Team) };
+};
+
+// `details` are the fields of the new-report dialog plus the creator:
+// { title, customer, partNumber, severity, userId, userName, createdAt }.
+export const buildReportFromTemplate = (template, details) => {
+    const { title, userId, userName, ...fields } = details;
+    const report = createReport({ title, userId, userName, ...fields });
+    if (!template) return report;
+    const withTeam = withCreator(report, template.team.map(({ name, role, uid, access }) => ({ name, role, uid, access })));
+    return {
+        ...withTeam,
+        d3_containment: template.containment.length > 0
+            ? template.containment.map(a => ({ ...createAction(), action: a.action, responsible: a.responsible }))
+            : withTeam.d3_containment,
+        d4_root_cause: {
+            ...withTeam.d4_root_cause,
+            fishbone: { categories: template.fishboneCategories.map(c => ({ ...c })), causes: [] },
+        },
+        d7_prevention: { ...withTeam.d7_prevention, documents: template.d7Documents.map(d => createDocumentUpdate({ ...d })) },
+    };
+};
+
+// Actions start over: same task and owner, nothing implemented or verified.
+const resetAction = (a) => ({ ...a, date: '', status: 'open', evidence: '', implementedAt: '', verifiedAt: '', verifiedBy: '', attachments: [] });
+
+// A new report with the analysis of `source` as a starting point. The
+// workflow starts again at D1; results (D6, D8) and attachments are not
+// copied, nor is the supplier contact (it is issued again if needed).
+// The D7 documents and read-across lines are kept but start open again.
+export const cloneReport = (source, details) => {
+    const { title, userId, userName, ...fields } = details;
+    const report = withCreator(createReport({ title, userId, userName, ...fields }), source.d1_team.filter(m => m.access !== 'supplier').map(({ id, ...m }) => m));
+    const cloned = {
+        ...report,
+        d2_problem: { ...source.d2_problem },
+        d3_containment: source.d3_containment.map(resetAction),
+        d4_root_cause: source.d4_root_cause,
+        d5_corrective_actions: source.d5_corrective_actions.map(resetAction),
+        d7_prevention: {
+            ...source.d7_prevention,
+            documents: source.d7_prevention.documents.map(({ type, title, number, responsible, responsibleUid }) => createDocumentUpdate({ type, title, number, responsible, responsibleUid })),
+            read_across: source.d7_prevention.read_across.map(({ target, action }) => ({ ...createReadAcross(), target, action })),
+        },
+    };
+    return { ...cloned, searchTokens: buildSearchTokens(cloned) };
+};
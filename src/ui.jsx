@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from 'react';
+import { X, AlertTriangle, Pencil, MessageSquare } from 'lucide-react';
+import { useFieldEditors } from './presence';
+import { useFieldComments } from './comments';
+import { parseQuantity } from './problemDescription';
+
+// --- Reusable Modal Component ---
+export const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, children }) => {
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex justify-center items-center">
+            <div className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-md mx-4">
+                <h3 className="text-lg font-bold text-white">{title}</h3>
+                <div className="mt-2 text-sm text-gray-300">
+                    {children}
+                </div>
+                <div className="mt-6 flex justify-end gap-3">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-md hover:bg-gray-500 transition">
+                        Cancelar
+                    </button>
+                    <button onClick={onConfirm} className="px-4 py-2 bg-red-600 text-white font-semibold rounded-md hover:bg-red-500 transition">
+                        Confirmar
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Reusable Error Banner ---
+export const ErrorBanner = ({ message, onDismiss }) => {
+    if (!message) return null;
+
+    return (
+        <div role="alert" className="mb-6 flex items-start gap-3 bg-red-900/40 border border-red-700 text-red-200 rounded-lg p-4">
+            <AlertTriangle size={20} className="flex-shrink-0 mt-0.5" />
+            <p className="flex-1 text-sm">{message}</p>
+            <button onClick={onDismiss} className="text-red-300 hover:text-white"><X size={18} /></button>
+        </div>
+    );
+};
+
+// --- Form Primitives ---
+export const Section = ({ title, description, children }) => (
+    <div className="mb-8">
+        <h3 className="text-2xl font-bold text-indigo-300">{title}</h3>
+        <p className="text-gray-400 mt-1 mb-6">{description}</p>
+        <div className="space-y-4">
+            {children}
+        </div>
+    </div>
+);
+
+// Fields with a `name` are highlighted while another user is editing them.
+const editingClass = (editors) => editors.length > 0 ? 'ring-2 ring-amber-400' : '';
+
+const EditorsHint = ({ editors }) => editors.length > 0 && (
+    <p className="mt-1 flex items-center gap-1 text-xs text-amber-300">
+        <Pencil size={12} /> {editors.map(e => e.displayName).join(', ')} {editors.length === 1 ? 'está' : 'están'} editando
+    </p>
+);
+
+// Opens the comments on a field or action; fields only show it on hover
+// until they have open threads. Not a button, so it keeps working inside a
+// disabled fieldset.
+export const CommentMarker = ({ name, label, always = false }) => {
+    const comments = useFieldComments(name);
+    if (!comments) return null;
+    const open = () => comments.open(label);
+    return (
+        <span
+            role="button"
+            tabIndex={0}
+            onClick={open}
+            onKeyDown={(e) => { if (e.key === 'Enter') open(); }}
+            title="Comentarios"
+            className={`inline-flex items-center gap-0.5 text-xs cursor-pointer ${comments.count > 0 ? 'text-indigo-300 hover:text-indigo-200' : `text-gray-500 hover:text-gray-300 ${always ? '' : 'opacity-0 group-hover:opacity-100 focus:opacity-100'}`}`}
+        >
+            <MessageSquare size={12} /> {comments.count > 0 && comments.count}
+        </span>
+    );
+};
+
+const FieldLabel = ({ name, label }) => (
+    <div className="flex items-center justify-between gap-2 mb-1">
+        <label className="block text-sm font-medium text-gray-300">{label}</label>
+        <CommentMarker name={name} label={label} />
+    </div>
+);
+
+export const InputField = ({ label, name, value, onChange, placeholder, type = 'text' }) => {
+    const editors = useFieldEditors(name);
+    return (
+        <div className="group">
+            <FieldLabel name={name} label={label} />
+            <input
+                type={type}
+                name={name}
+                value={value}
+                onChange={onChange}
+                placeholder={placeholder}
+                className={`w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white focus:ring-indigo-500 focus:border-indigo-500 transition disabled:opacity-60 ${editingClass(editors)}`}
+            />
+            <EditorsHint editors={editors} />
+        </div>
+    );
+};
+
+// Quantity typed as text: only valid numbers reach `onChange`, and the text
+// follows `value` when someone else changes it (see `parseQuantity`).
+export const QuantityField = ({ label, name, value, integer = false, signed = false, placeholder, onChange }) => {
+    const [text, setText] = useState(value === null ? '' : String(value));
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setText(current => (parseQuantity(current, { integer, signed }).value === value ? current : value === null ? '' : String(value)));
+    }, [value, integer, signed]);
+
+    const handleChange = (e) => {
+        const parsed = parseQuantity(e.target.value, { integer, signed });
+        setText(e.target.value);
+        setError(parsed.error);
+        if (!parsed.error && parsed.value !== value) onChange(parsed.value);
+    };
+
+    return (
+        <div>
+            <InputField label={label} name={name} value={text} onChange={handleChange} placeholder={placeholder} />
+            {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+        </div>
+    );
+};
+
+export const CheckboxField = ({ label, checked, onChange }) => (
+    <label className="flex items-center gap-2 text-sm font-medium text-gray-300 cursor-pointer">
+        <input type="checkbox" checked={checked} onChange={onChange} className="h-4 w-4 rounded bg-gray-900 border-gray-600 text-indigo-500 focus:ring-indigo-500" />
+        {label}
+    </label>
+);
+
+export const SelectField = ({ label, name, value, onChange, options, placeholder }) => {
+    const editors = useFieldEditors(name);
+    return (
+        <div className="group">
+            {label && <FieldLabel name={name} label={label} />}
+            <select
+                name={name}
+                value={value}
+                onChange={onChange}
+                className={`w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white focus:ring-indigo-500 focus:border-indigo-500 transition disabled:opacity-60 ${editingClass(editors)}`}
+            >
+                {placeholder !== undefined && <option value="">{placeholder}</option>}
+                {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+            <EditorsHint editors={editors} />
+        </div>
+    );
+};
+
+export const TextAreaField = ({ label, name, value, onChange, placeholder, rows = 3 }) => {
+    const editors = useFieldEditors(name);
+    return (
+        <div className="group">
+            {label && <FieldLabel name={name} label={label} />}
+            <textarea
+                name={name}
+                value={value}
+                onChange={onChange}
+                placeholder={placeholder}
+                rows={rows}
+                className={`w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white focus:ring-indigo-500 focus:border-indigo-500 transition disabled:opacity-60 ${editingClass(editors)}`}
+            />
+            <EditorsHint editors={editors} />
+        </div>
+    );
+};
+
+// Editable list of rows with add and remove; `renderRow(row, change)` renders the fields.
+// Rows with an `id` are keyed by it, so removing one keeps the others' inputs.
+export const RowList = ({ title, rows, createRow, renderRow, onChange, addLabel }) => (
+    <div>
+        <p className="text-sm font-semibold text-gray-200 mb-2">{title}</p>
+        <div className="space-y-2">
+            {rows.map((row, index) => (
+                <div key={row.id || index} className="flex items-end gap-2">
+                    <div className="flex-1">{renderRow(row, (changes) => onChange(rows.map((r, i) => i === index ? { ...r, ...changes } : r)))}</div>
+                    <button type="button" onClick={() => onChange(rows.filter((_, i) => i !== index))} className="mb-2 text-gray-500 hover:text-red-400" title="Quitar"><X size={18} /></button>
+                </div>
+            ))}
+        </div>
+        <button type="button" onClick={() => onChange([...rows, createRow()])} className="mt-2 text-sm text-indigo-400 hover:text-indigo-300 font-semibold">{addLabel}</button>
+    </div>
+);
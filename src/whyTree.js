@@ -0,0 +1,66 @@
+// --- 5-Whys Tree Model ---
+// Pure helpers over `d4_root_cause.why_tree`, a flat list of nodes. Each node
+// answers "why?" for its parent; a node with several children branches the
+// analysis. Only leaves can be marked as root causes.
+
+import { createId } from './reportSchema';
+
+export const WHY_CHAINS = [
+    { id: 'occurrence', label: '¿Por qué ocurrió?', description: 'Causas técnicas de la ocurrencia del defecto.' },
+    { id: 'escape', label: '¿Por qué no se detectó?', description: 'Punto de escape: por qué los controles no lo detectaron.' },
+    { id: 'systemic', label: '¿Por qué lo permitió el sistema?', description: 'Fallos del sistema de gestión que lo hicieron posible.' },
+];
+
+export const getWhyChildren = (tree, parentId, chain) => tree.filter(n => n.parentId === parentId && (parentId || n.chain === chain));
+
+export const isLeaf = (tree, nodeId) => !tree.some(n => n.parentId === nodeId);
+
+export const getWhyRootCauses = (tree) => tree.filter(n => n.isRootCause && isLeaf(tree, n.id));
+
+// Nodes of one chain in reading order, numbered like an outline ("1", "1.2", ...).
+export const flattenChain = (tree, chain) => {
+    const walk = (parentId, prefix, depth) => getWhyChildren(tree, parentId, chain).flatMap((node, i) => {
+        const number = prefix ? `${prefix}.${i + 1}` : `${i + 1}`;
+        return [{ node, number, depth }, ...walk(node.id, number, depth + 1)];
+    });
+    return walk('', '', 0);
+};
+
+// --- Updates (each returns a new tree) ---
+
+export const addWhy = (tree, chain, parentId = '') => {
+    const node = { id: createId(), chain, parentId, text: '', isRootCause: false, fishboneCauseId: '' };
+    // Asking "why?" again means the parent is no longer the root cause.
+    const updated = tree.map(n => n.id === parentId ? { ...n, isRootCause: false, fishboneCauseId: '' } : n);
+    return { tree: [...updated, node], node };
+};
+
+export const updateWhy = (tree, nodeId, changes) => tree.map(n => {
+    if (n.id !== nodeId) return n;
+    const updated = { ...n, ...changes };
+    if (changes.isRootCause === false) updated.fishboneCauseId = '';
+    return updated;
+});
+
+const collectSubtree = (tree, nodeId) => tree.filter(n => n.parentId === nodeId)
+    .flatMap(child => [child.id, ...collectSubtree(tree, child.id)]);
+
+export const removeWhy = (tree, nodeId) => {
+    const removed = new Set([nodeId, ...collectSubtree(tree, nodeId)]);
+    return tree.filter(n => !removed.has(n.id));
+};
+
+// Swaps a node with its previous (-1) or next (+1) sibling; the order of the
+// flat list is the order of siblings.
+export const moveWhy = (tree, nodeId, direction) => {
+    const node = tree.find(n => n.id === nodeId);
+    const siblings = getWhyChildren(tree, node.parentId, node.chain);
+    const target = siblings[siblings.indexOf(node) + direction];
+    if (!target) return tree;
+    const from = tree.indexOf(node);
+    const to = tree.indexOf(target);
+    const updated = [...tree];
+    updated[from] = target;
+    updated[to] = node;
+    return updated;
+};
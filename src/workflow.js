@@ -0,0 +1,169 @@
+// --- 8D Workflow ---
+// Completion criteria per discipline and the report status lifecycle.
+// A discipline can only be completed when all its criteria pass, and only
+// once every previous discipline is complete. The disciplines and their
+// sub-steps come from the report's own configuration (src/disciplines.js).
+
+import { getDiscipline, getDisciplineIds } from './disciplines';
+import { getDisciplineSupplierStatus, isSupplierReport } from './supplier';
+import { isIsIsNotComplete } from './problemDescription';
+import { getUnprovenActions } from './effectiveness';
+import { getPendingDocuments } from './prevention';
+
+export const REPORT_STATUSES = [
+    { id: 'open', label: 'Abierto' },
+    { id: 'containment', label: 'Contención' },
+    { id: 'root_cause_found', label: 'Causa raíz encontrada' },
+    { id: 'corrective_action_verified', label: 'Acción correctiva verificada' },
+    { id: 'closed', label: 'Cerrado' },
+];
+
+export const getStatusLabel = (status) => REPORT_STATUSES.find(s => s.id === status)?.label || 'Abierto';
+
+export const SEVERITIES = [
+    { id: 'low', label: 'Baja', className: 'bg-gray-700 text-gray-200' },
+    { id: 'medium', label: 'Media', className: 'bg-yellow-900/60 text-yellow-300' },
+    { id: 'high', label: 'Alta', className: 'bg-orange-900/60 text-orange-300' },
+    { id: 'critical', label: 'Crítica', className: 'bg-red-900/60 text-red-300' },
+];
+
+export const getSeverity = (severity) => SEVERITIES.find(s => s.id === severity);
+
+const filled = (value) => typeof value === 'string' && value.trim() !== '';
+
+const hasOwnerAndDate = (actions) => actions.length > 0 && actions.every(a => filled(a.action) && filled(a.responsible) && filled(a.date));
+
+export const COMPLETION_CRITERIA = {
+    D0: [
+        { label: 'Describir el síntoma', test: (r) => filled(r.d0_emergency.symptom) },
+        {
+            label: 'Cada acción de emergencia tiene responsable y fecha',
+            test: (r) => r.d0_emergency_actions.filter(a => filled(a.action)).every(a => filled(a.responsible) && filled(a.date)),
+        },
+        { label: 'Decidir si se requiere un 8D', test: (r) => r.d0_emergency.decision !== '' },
+    ],
+    D1: [
+        { label: 'Al menos dos miembros con nombre y rol', test: (r) => r.d1_team.filter(m => filled(m.name) && filled(m.role)).length >= 2 },
+    ],
+    D2: [
+        { label: 'Describir qué, dónde y cuándo ocurre', test: (r) => ['what', 'where', 'when'].every(k => filled(r.d2_problem[k])) },
+        { label: 'Completar el análisis ES / NO ES', test: (r) => isIsIsNotComplete(r.d2_problem) },
+        { label: 'Cuantificar las unidades afectadas', test: (r) => r.d2_problem.quantity_affected !== null },
+    ],
+    D3: [
+        { label: 'Cada acción tiene responsable y fecha', test: (r) => hasOwnerAndDate(r.d3_containment) },
+        { label: 'Al menos una acción de contención verificada', test: (r) => r.d3_containment.some(a => a.status === 'verified') },
+    ],
+    D4: [
+        { label: 'Al menos una causa raíz verificada en el diagrama', test: (r) => r.d4_root_cause.fishbone.causes.some(c => c.isRootCause && filled(c.text)) },
+    ],
+    D5: [
+        { label: 'Cada acción tiene responsable y fecha', test: (r) => hasOwnerAndDate(r.d5_corrective_actions) },
+        {
+            label: 'Cada causa raíz tiene al menos una acción correctiva',
+            test: (r) => r.d4_root_cause.fishbone.causes.filter(c => c.isRootCause).every(c => r.d5_corrective_actions.some(a => a.rootCauseIds.includes(c.id))),
+        },
+    ],
+    D6: [
+        { label: 'Resumen de la implementación', test: (r) => filled(r.d6_implementation.summary) },
+        { label: 'Resultados de la validación', test: (r) => filled(r.d6_implementation.validation_results) },
+        { label: 'Todas las acciones correctivas verificadas', test: (r) => r.d5_corrective_actions.length > 0 && r.d5_corrective_actions.every(a => a.status === 'verified') },
+        { label: 'Cada acción correctiva tiene una verificación de eficacia superada', test: (r) => getUnprovenActions(r).length === 0 },
+    ],
+    D7: [
+        { label: 'Registrar los documentos actualizados', test: (r) => r.d7_prevention.documents.length > 0 },
+        { label: 'Todas las actualizaciones de documentos cerradas con su revisión nueva', test: (r) => getPendingDocuments(r).length === 0 },
+    ],
+    D8: [
+        { label: 'Resumen del reconocimiento', test: (r) => filled(r.d8_recognition.summary) },
+    ],
+};
+
+// Disciplines a supplier works on need the team's acceptance, except those
+// completed before the report was issued to the supplier. D0 stays with the team.
+const needsSupplierAcceptance = (report, disciplineId) => disciplineId !== 'D0'
+    && isSupplierReport(report)
+    && !(report.completed[disciplineId]?.at < report.supplierRequest.issuedAt);
+
+// Returns the criteria of a discipline with their current result; every
+// sub-step of the discipline is one more criterion.
+export const evaluateDiscipline = (report, disciplineId) => {
+    const criteria = [
+        ...(COMPLETION_CRITERIA[disciplineId] || []).map(c => ({ label: c.label, passed: Boolean(c.test(report)) })),
+        ...getDiscipline(report, disciplineId).steps.map(step => ({ label: `Subpaso: ${step.name}`, passed: Boolean(report.substeps?.[step.id]) })),
+        ...(needsSupplierAcceptance(report, disciplineId)
+            ? [{ label: 'Aceptada tras la revisión del envío del proveedor', passed: getDisciplineSupplierStatus(report, disciplineId) === 'accepted' }]
+            : []),
+    ];
+    return { criteria, passed: criteria.every(c => c.passed) };
+};
+
+export const isComplete = (report, disciplineId) => Boolean(report.completed?.[disciplineId]);
+
+export const isClosed = (report) => report.status === 'closed';
+
+// 'complete' | 'warning' (open, or complete but its criteria no longer pass) | 'locked'
+export const getDisciplineState = (report, disciplineId) => {
+    const ids = getDisciplineIds(report);
+    const previousComplete = ids.slice(0, ids.indexOf(disciplineId)).every(id => isComplete(report, id));
+    if (!previousComplete) return 'locked';
+    if (isComplete(report, disciplineId) && evaluateDiscipline(report, disciplineId).passed) return 'complete';
+    return 'warning';
+};
+
+// The first discipline still to be completed (D8 once everything is done).
+export const getCurrentDiscipline = (completed, disciplineIds) => disciplineIds.find(id => !completed[id]) || disciplineIds[disciplineIds.length - 1];
+
+// Status reached through the completed disciplines; closing is always an explicit step.
+export const deriveStatus = (completed) => {
+    if (completed.D6) return 'corrective_action_verified';
+    if (completed.D4) return 'root_cause_found';
+    if (completed.D3) return 'containment';
+    return 'open';
+};
+
+// D0 can conclude that no 8D is needed; the report is then closed after D0.
+export const isEightDNotRequired = (report) => getDisciplineIds(report).includes('D0')
+    && report.d0_emergency.decision === 'not_required'
+    && getDisciplineState(report, 'D0') === 'complete';
+
+export const canClose = (report) => !isClosed(report)
+    && (isEightDNotRequired(report) || getDisciplineIds(report).every(id => getDisciplineState(report, id) === 'complete'));
+
+// --- Field Updates ---
+// Each transition returns the map of fields to write with a single `updateDoc`.
+
+export const completeDiscipline = (report, disciplineId, userId) => {
+    if (isClosed(report)) throw new Error('El informe está cerrado.');
+    if (getDisciplineState(report, disciplineId) === 'locked') throw new Error(`Completa las disciplinas anteriores antes de ${disciplineId}.`);
+    if (!evaluateDiscipline(report, disciplineId).passed) throw new Error(`${disciplineId} no cumple los criterios de finalización.`);
+
+    const completed = { ...report.completed, [disciplineId]: { at: new Date().toISOString(), by: userId } };
+    return {
+        [`completed.${disciplineId}`]: completed[disciplineId],
+        status: deriveStatus(completed),
+        currentDiscipline: getCurrentDiscipline(completed, getDisciplineIds(report)),
+    };
+};
+
+// Reopening a discipline also reopens every discipline after it.
+export const reopenDiscipline = (report, disciplineId) => {
+    if (isClosed(report)) throw new Error('El informe está cerrado.');
+    const ids = getDisciplineIds(report);
+    const index = ids.indexOf(disciplineId);
+    const completed = Object.fromEntries(Object.entries(report.completed || {}).filter(([id]) => ids.indexOf(id) < index));
+    return {
+        completed,
+        status: deriveStatus(completed),
+        currentDiscipline: getCurrentDiscipline(completed, ids),
+    };
+};
+
+export const closeReport = (report, userId) => {
+    if (!canClose(report)) throw new Error('Todas las disciplinas deben estar completas para cerrar el informe (o D0 debe concluir que no se requiere un 8D).');
+    return {
+        status: 'closed',
+        closedAt: new Date().toISOString(),
+        closedBy: userId,
+    };
+};
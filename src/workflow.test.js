@@ -0,0 +1,146 @@
+import { describe, expect, it } from 'vitest';
+import { COMPLETION_CRITERIA, canClose, closeReport, completeDiscipline, deriveStatus, evaluateDiscipline, getDisciplineState, reopenDiscipline } from './workflow';
+import { createAction, createCorrectiveAction, createDocumentUpdate, createEffectivenessCheck, createMeasurement, createReport, createTeamMember } from './reportSchema';
+
+const DISCIPLINES = ['D1', 'D2', 'D3', 'D4', 'D5', 'D6', 'D7', 'D8'];
+
+const owned = (fields) => ({ responsible: 'Ana', date: '2026-10-01', status: 'verified', ...fields });
+
+// A report whose every discipline meets its criteria.
+const completeReport = () => {
+    const report = createReport({ title: 'Fuga en la junta', userId: 'u1', userName: 'Ana' });
+    const check = {
+        ...createEffectivenessCheck('ca1'),
+        kind: 'ppm',
+        target: 100,
+        measurements: [createMeasurement({ phase: 'after', defects: 0, sample_size: 1000 })],
+    };
+    return {
+        ...report,
+        d1_team: [...report.d1_team, { ...createTeamMember(), name: 'Luis', role: 'Calidad' }],
+        d2_problem: {
+            ...report.d2_problem,
+            what: 'Fuga', where: 'Línea 2', when: 'Turno de noche',
+            is_is_not: Object.fromEntries(Object.keys(report.d2_problem.is_is_not).map(d => [d, { is: 'Sí', is_not: 'No' }])),
+            quantity_affected: 12,
+        },
+        d3_containment: [{ ...createAction(), ...owned({ id: 'c1', action: 'Separar lote' }) }],
+        d4_root_cause: {
+            ...report.d4_root_cause,
+            fishbone: { ...report.d4_root_cause.fishbone, causes: [{ id: 'rc1', text: 'Junta sin lubricar', isRootCause: true }] },
+        },
+        d5_corrective_actions: [{ ...createCorrectiveAction(), ...owned({ id: 'ca1', action: 'Lubricar la junta', rootCauseIds: ['rc1'] }) }],
+        d6_implementation: { ...report.d6_implementation, summary: 'Implantado', validation_results: 'Sin fugas', effectiveness_checks: [check] },
+        d7_prevention: {
+            ...report.d7_prevention,
+            documents: [createDocumentUpdate({ id: 'doc1', status: 'closed', revision_before: 'C', revision_after: 'D' })],
+        },
+        d8_recognition: { ...report.d8_recognition, summary: 'Gracias al equipo' },
+    };
+};
+
+const completeAll = (report) => ({
+    ...report,
+    completed: Object.fromEntries(DISCIPLINES.map(id => [id, { at: '2026-10-01T08:00:00.000Z', by: 'u1' }])),
+});
+
+describe('completion criteria', () => {
+    const empty = createReport({ title: 'Fuga en la junta', userId: 'u1', userName: 'Ana' });
+    const complete = completeReport();
+
+    it.each(DISCIPLINES)('%s fails on an empty report and passes once filled in', (id) => {
+        expect(evaluateDiscipline(empty, id).passed).toBe(false);
+        expect(evaluateDiscipline(complete, id)).toEqual({
+            criteria: COMPLETION_CRITERIA[id].map(c => ({ label: c.label, passed: true })),
+            passed: true,
+        });
+    });
+
+    it('holds D6 until every corrective action is proven effective', () => {
+        const report = { ...complete, d6_implementation: { ...complete.d6_implementation, effectiveness_checks: [] } };
+        expect(evaluateDiscipline(report, 'D6').criteria.filter(c => !c.passed).map(c => c.label))
+            .toEqual(['Cada acción correctiva tiene una verificación de eficacia superada']);
+    });
+
+    it('adds each sub-step of the discipline as a criterion', () => {
+        const report = { ...complete, disciplines: [{ id: 'D1', name: 'Equipo', steps: [{ id: 's1', name: 'Reunión inicial' }] }], substeps: {} };
+        expect(evaluateDiscipline(report, 'D1').passed).toBe(false);
+        expect(evaluateDiscipline({ ...report, substeps: { s1: true } }, 'D1').passed).toBe(true);
+    });
+});
+
+describe('D0', () => {
+    const withD0 = (d0, completed = {}) => {
+        const report = completeReport();
+        return {
+            ...report,
+            disciplines: ['D0', ...DISCIPLINES].map(id => ({ id, name: '', steps: [] })),
+            d0_emergency: { ...report.d0_emergency, ...d0 },
+            completed,
+        };
+    };
+
+    it('needs the symptom and the decision', () => {
+        expect(evaluateDiscipline(withD0({}), 'D0').passed).toBe(false);
+        expect(evaluateDiscipline(withD0({ symptom: 'Fuga', decision: 'proceed' }), 'D0').passed).toBe(true);
+    });
+
+    it('lets the report close after D0 when no 8D is required', () => {
+        const done = { D0: { at: '2026-10-01T08:00:00.000Z', by: 'u1' } };
+        expect(canClose(withD0({ symptom: 'Fuga', decision: 'not_required' }, done))).toBe(true);
+        expect(canClose(withD0({ symptom: 'Fuga', decision: 'proceed' }, done))).toBe(false);
+    });
+});
+
+describe('discipline state', () => {
+    it('locks a discipline until the previous ones are complete', () => {
+        const report = completeReport();
+        expect(getDisciplineState(report, 'D1')).toBe('warning');
+        expect(getDisciplineState(report, 'D2')).toBe('locked');
+        expect(() => completeDiscipline(report, 'D2', 'u1')).toThrow('Completa las disciplinas anteriores antes de D2.');
+    });
+
+    it('warns when a completed discipline no longer meets its criteria', () => {
+        const report = completeAll(completeReport());
+        expect(getDisciplineState(report, 'D3')).toBe('complete');
+        expect(getDisciplineState({ ...report, d3_containment: [] }, 'D3')).toBe('warning');
+    });
+});
+
+describe('status transitions', () => {
+    it('derives the status from the completed disciplines', () => {
+        expect(deriveStatus({})).toBe('open');
+        expect(deriveStatus({ D1: {}, D2: {}, D3: {} })).toBe('containment');
+        expect(deriveStatus({ D1: {}, D2: {}, D3: {}, D4: {} })).toBe('root_cause_found');
+        expect(deriveStatus({ D1: {}, D2: {}, D3: {}, D4: {}, D5: {}, D6: {} })).toBe('corrective_action_verified');
+    });
+
+    it('moves the status and current discipline as disciplines are completed', () => {
+        let report = completeReport();
+        ['D1', 'D2', 'D3'].forEach(id => {
+            const fields = completeDiscipline(report, id, 'u1');
+            report = { ...report, ...fields, completed: { ...report.completed, [id]: fields[`completed.${id}`] } };
+        });
+        expect(report.status).toBe('containment');
+        expect(report.currentDiscipline).toBe('D4');
+    });
+
+    it('refuses to complete a discipline that fails its criteria', () => {
+        const report = { ...completeReport(), d1_team: [] };
+        expect(() => completeDiscipline(report, 'D1', 'u1')).toThrow('D1 no cumple los criterios de finalización.');
+    });
+
+    it('reopens the discipline and every one after it', () => {
+        const fields = reopenDiscipline(completeAll(completeReport()), 'D4');
+        expect(Object.keys(fields.completed)).toEqual(['D1', 'D2', 'D3']);
+        expect(fields).toMatchObject({ status: 'containment', currentDiscipline: 'D4' });
+    });
+
+    it('closes only a report with every discipline complete', () => {
+        const report = completeReport();
+        expect(canClose(report)).toBe(false);
+        expect(() => closeReport(report, 'u1')).toThrow();
+        expect(closeReport(completeAll(report), 'u1')).toMatchObject({ status: 'closed', closedBy: 'u1' });
+        expect(canClose({ ...completeAll(report), status: 'closed' })).toBe(false);
+    });
+});
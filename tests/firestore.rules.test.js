@@ -0,0 +1,239 @@
+// Security rules tests. They need the Firestore emulator (and Java), so they
+// run through `npm run test:rules` rather than `npm test`.
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collection, doc, serverTimestamp, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { createWithHistory } from '../src/history';
+import { deriveAccess } from '../src/permissions';
+import { getMembersPath } from '../src/organizations';
+
+const APP_ID = 'test-app';
+const ORG_ID = 'org-1';
+const REPORT_PATH = `artifacts/${APP_ID}/public/data/8d-reports/r1`;
+const SUPPLIER_REPORT_PATH = `artifacts/${APP_ID}/public/data/8d-reports/r2`;
+
+const teamRow = (uid, access) => ({ id: `member-${uid}`, name: uid, role: '', uid, access });
+
+const TEAM = [teamRow('champ', 'champion'), teamRow('lead', 'team_leader'), teamRow('ana', 'member')];
+
+const SUPPLIER_TEAM = [...TEAM, teamRow('sup', 'supplier')];
+
+// The D1 team with the access the client derives from it.
+const teamUpdate = (team) => ({ d1_team: team, ...deriveAccess(team) });
+
+const submission = (disciplineId) => ({ id: `${disciplineId}-submitted`, disciplineId, kind: 'submitted', at: '2026-10-01T08:00:00.000Z', by: 'sup', byName: 'sup', comment: '' });
+
+let env;
+
+// Writes as the given user, or with the rules off when there is none.
+const write = (uid, path, data) => (uid
+    ? updateDoc(doc(env.authenticatedContext(uid).firestore(), path), data)
+    : env.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data)));
+
+beforeAll(async () => {
+    env = await initializeTestEnvironment({
+        projectId: 'demo-plataforma-8d',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+});
+
+afterAll(() => env.cleanup());
+
+beforeEach(async () => {
+    await env.clearFirestore();
+    const members = { champ: 'member', lead: 'member', ana: 'member', eva: 'member', qm: 'quality_manager', sup: 'supplier' };
+    for (const [uid, role] of Object.entries(members)) {
+        await write(null, `${getMembersPath(APP_ID, ORG_ID)}/${uid}`, { uid, role, plantIds: [] });
+    }
+    const report = {
+        orgId: ORG_ID,
+        title: 'Fuga en la junta',
+        status: 'open',
+        deleted: false,
+        visibility: 'organization',
+        plantId: '',
+        createdBy: 'champ',
+        approvals: {},
+        d2_problem: { what: 'Fuga' },
+        d3_containment: [],
+        attachments: { D2: [], D3: [] },
+    };
+    await write(null, REPORT_PATH, { ...report, ...teamUpdate(TEAM) });
+    // D3 is in review with the team.
+    await write(null, SUPPLIER_REPORT_PATH, {
+        ...report,
+        ...teamUpdate(SUPPLIER_TEAM),
+        supplierLog: [submission('D3')],
+        supplierStatus: { D3: 'submitted' },
+    });
+});
+
+describe('8d-reports team', () => {
+    it('lets the team leader add a member', async () => {
+        await assertSucceeds(write('lead', REPORT_PATH, teamUpdate([...TEAM, teamRow('eva', 'member')])));
+    });
+
+    it('rejects access that does not match the team', async () => {
+        await assertFails(write('lead', REPORT_PATH, { ...teamUpdate(TEAM), roles: { ...deriveAccess(TEAM).roles, eva: 'member' } }));
+        await assertFails(write('champ', REPORT_PATH, { ...teamUpdate(TEAM), members: ['champ', 'lead', 'ana', 'eva'] }));
+    });
+
+    it('keeps the team leader from taking the champion role', async () => {
+        await assertFails(write('lead', REPORT_PATH, teamUpdate([TEAM[0], teamRow('lead', 'champion'), TEAM[2]])));
+        await assertFails(write('lead', REPORT_PATH, teamUpdate([...TEAM, teamRow('eva', 'champion')])));
+    });
+
+    it('keeps the team leader from removing the champion', async () => {
+        await assertFails(write('lead', REPORT_PATH, teamUpdate([teamRow('champ', 'member'), teamRow('lead', 'champion'), TEAM[2]])));
+        await assertFails(write('lead', REPORT_PATH, teamUpdate([teamRow('eva', 'champion'), TEAM[1], TEAM[2]])));
+    });
+
+    it('lets the champion hand over the role', async () => {
+        await assertSucceeds(write('champ', REPORT_PATH, teamUpdate([teamRow('champ', 'member'), teamRow('lead', 'champion'), TEAM[2]])));
+    });
+
+    it('lets a quality manager name the champion', async () => {
+        await assertSucceeds(write('qm', REPORT_PATH, teamUpdate([teamRow('eva', 'champion'), TEAM[1], TEAM[2]])));
+    });
+
+    it('keeps members from changing the team', async () => {
+        await assertFails(write('ana', REPORT_PATH, teamUpdate([...TEAM, teamRow('eva', 'member')])));
+    });
+
+});
+
+describe('8d-reports status', () => {
+    it('lets the team leader move the status with the completed disciplines', async () => {
+        await assertSucceeds(write('lead', REPORT_PATH, { 'completed.D1': { at: '2026-10-01T08:00:00.000Z', by: 'lead' }, status: 'open', currentDiscipline: 'D2' }));
+    });
+
+    it('keeps members from setting the status', async () => {
+        await assertFails(write('ana', REPORT_PATH, { status: 'corrective_action_verified' }));
+        await assertFails(write('ana', REPORT_PATH, { currentDiscipline: 'D8' }));
+        await assertFails(write('ana', REPORT_PATH, { closedAt: '2026-10-01T08:00:00.000Z' }));
+    });
+});
+
+describe('8d-reports trash', () => {
+    const trash = (uid) => ({ deleted: true, deletedAt: '2026-10-01T08:00:00.000Z', deletedBy: uid });
+
+    it('lets the champion send the report to the trash', async () => {
+        await assertSucceeds(write('champ', REPORT_PATH, trash('champ')));
+    });
+
+    it('keeps team leaders and members from trashing the report', async () => {
+        await assertFails(write('lead', REPORT_PATH, trash('lead')));
+        await assertFails(write('ana', REPORT_PATH, trash('ana')));
+        await assertFails(write('ana', REPORT_PATH, { d2_problem: { what: 'Fuga de aceite' }, ...trash('ana') }));
+    });
+});
+
+describe('8d-reports supplier contact', () => {
+    const newRow = (access) => ({ id: 'member-luis', name: 'Luis', role: 'Operario', uid: '', access });
+
+    it('lets the supplier add their people', async () => {
+        await assertSucceeds(write('sup', SUPPLIER_REPORT_PATH, { d1_team: [...SUPPLIER_TEAM, newRow('member')] }));
+    });
+
+    it('keeps the supplier from granting access or changing the team', async () => {
+        await assertFails(write('sup', SUPPLIER_REPORT_PATH, { d1_team: [...SUPPLIER_TEAM, newRow('champion')] }));
+        await assertFails(write('sup', SUPPLIER_REPORT_PATH, { d1_team: [...SUPPLIER_TEAM, { ...newRow('member'), uid: 'eva' }] }));
+        await assertFails(write('sup', SUPPLIER_REPORT_PATH, { d1_team: [{ ...SUPPLIER_TEAM[0], name: 'Otro' }, ...SUPPLIER_TEAM.slice(1)] }));
+        await assertFails(write('sup', SUPPLIER_REPORT_PATH, { d1_team: SUPPLIER_TEAM.slice(1) }));
+    });
+
+    it('lets the supplier fill in and submit an open discipline', async () => {
+        await assertSucceeds(write('sup', SUPPLIER_REPORT_PATH, { d2_problem: { what: 'Fuga en la junta tórica' } }));
+        await assertSucceeds(write('sup', SUPPLIER_REPORT_PATH, {
+            supplierLog: [submission('D3'), submission('D2')],
+            supplierStatus: { D3: 'submitted', D2: 'submitted' },
+        }));
+    });
+
+    it('keeps a discipline in review locked for the supplier', async () => {
+        await assertFails(write('sup', SUPPLIER_REPORT_PATH, { d3_containment: [{ id: 'a1', action: 'Separar lote' }] }));
+        await assertFails(write('sup', SUPPLIER_REPORT_PATH, { 'attachments.D3': [{ id: 'f1', name: 'foto.jpg' }] }));
+        await assertFails(write('sup', SUPPLIER_REPORT_PATH, {
+            supplierLog: [submission('D3'), { ...submission('D3'), id: 'D3-again' }],
+            supplierStatus: { D3: 'submitted' },
+        }));
+    });
+
+    it('keeps the status in step with the log', async () => {
+        await assertFails(write('sup', SUPPLIER_REPORT_PATH, {
+            supplierLog: [submission('D3'), submission('D2')],
+            supplierStatus: { D3: 'rejected', D2: 'submitted' },
+        }));
+    });
+});
+
+describe('8d-reports history', () => {
+    // The report update and its history entry, as writeWithHistory batches them.
+    const writeWithEntry = (uid, fields, entry) => {
+        const db = env.authenticatedContext(uid).firestore();
+        const batch = writeBatch(db);
+        if (fields) batch.update(doc(db, REPORT_PATH), fields);
+        batch.set(doc(collection(db, REPORT_PATH, 'history')), { kind: 'edit', uid, userName: uid, at: serverTimestamp(), ...entry });
+        return batch.commit();
+    };
+
+    it('records a change written in the same batch', async () => {
+        await assertSucceeds(writeWithEntry('ana', { 'd2_problem.what': 'Fuga de aceite' }, { path: 'd2_problem.what', before: 'Fuga', after: 'Fuga de aceite' }));
+    });
+
+    it('rejects entries without the change they record', async () => {
+        await assertFails(writeWithEntry('ana', null, { path: 'd2_problem.what', before: 'Fuga', after: 'Fuga de aceite' }));
+        await assertFails(writeWithEntry('ana', { 'd2_problem.what': 'Fuga de aceite' }, { path: 'd2_problem.what', before: 'Fuga', after: 'Otra cosa' }));
+    });
+
+    it('keeps readers off the team from writing history', async () => {
+        await assertFails(writeWithEntry('eva', null, { path: 'title', before: 'Fuga en la junta', after: 'Sin problema' }));
+    });
+
+    it('lets readers record the recurrence links they add', async () => {
+        const links = [{ reportId: 'r9', title: 'Fuga anterior', relation: 'recurrence_of', linkedAt: '2026-10-01', linkedBy: 'eva', linkedByName: 'eva' }];
+        await assertSucceeds(writeWithEntry('eva', { recurrenceLinks: links }, { path: 'recurrenceLinks', before: null, after: links }));
+    });
+
+    it('records an imported report in the batch that creates it', async () => {
+        const team = [teamRow('eva', 'champion')];
+        const imported = { orgId: ORG_ID, title: 'Fuga importada', status: 'open', deleted: false, visibility: 'organization', plantId: '', createdBy: 'eva', approvals: {}, quantity: null, ...teamUpdate(team) };
+        const db = env.authenticatedContext('eva').firestore();
+        await assertSucceeds(createWithHistory(db, `artifacts/${APP_ID}/public/data/8d-reports/r3`, imported, { uid: 'eva', displayName: 'eva' }, 'import'));
+    });
+
+    it('rejects entries for a report that does not exist', async () => {
+        const db = env.authenticatedContext('eva').firestore();
+        await assertFails(setDoc(doc(collection(db, `artifacts/${APP_ID}/public/data/8d-reports/r3`, 'history')), { kind: 'import', uid: 'eva', userName: 'eva', at: serverTimestamp(), path: 'title', before: null, after: 'Fuga' }));
+    });
+});
+
+describe('notifications', () => {
+    const notify = (from, to) => setDoc(doc(env.authenticatedContext(from).firestore(), `artifacts/${APP_ID}/public/data/users/${to}/notifications/n1`), {
+        kind: 'assigned',
+        reportId: 'r1',
+        reportTitle: 'Fuga en la junta',
+        disciplineId: 'D3',
+        text: 'lead te ha asignado la acción «Separar lote».',
+        actorUid: from,
+        actorName: from,
+        read: false,
+        createdAt: serverTimestamp(),
+    });
+
+    beforeEach(async () => {
+        for (const uid of ['lead', 'ana', 'eva']) {
+            await write(null, `artifacts/${APP_ID}/public/data/users/${uid}`, { uid, displayName: uid, role: 'member' });
+        }
+    });
+
+    it('lets users notify the report team', async () => {
+        await assertSucceeds(notify('lead', 'ana'));
+    });
+
+    it('keeps users from notifying anyone off the team', async () => {
+        await assertFails(notify('lead', 'eva'));
+        await assertFails(notify('eva', 'qm'));
+    });
+});